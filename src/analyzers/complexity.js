@@ -5,24 +5,41 @@
 
 const path = require('path');
 const { minimatch } = require('minimatch');
+const { isParsableScript, extractFunctions } = require('../parsers/functions');
 
-// Complexity thresholds
+// Default complexity thresholds
 const THRESHOLDS = {
   maxFileLines: 500,      // Files larger than this get flagged
   maxFunctionLines: 50,   // Functions larger than this get flagged
+  maxParameters: 5,       // Functions taking more parameters than this get flagged
   maxNestingDepth: 4,     // Nesting deeper than this gets flagged
   maxLineLength: 150,     // Lines longer than this get flagged
-  maxCyclomaticComplexity: 10, // Estimated from control flow keywords
+  maxCyclomaticComplexity: 10, // Per function for JS/TS, estimated from control flow keywords otherwise
+  maxCognitiveComplexity: 15,  // Per function for JS/TS
   largeAdditions: 300     // PRs adding more than this to a single file
 };
 
+// Code files by language key, as used in threshold config
+const LANGUAGES = {
+  '.js': 'js', '.jsx': 'js', '.mjs': 'js', '.cjs': 'js', '.ts': 'js', '.tsx': 'js', '.mts': 'js', '.cts': 'js',
+  '.py': 'py', '.java': 'java', '.kt': 'kt', '.go': 'go', '.rb': 'rb', '.rs': 'rs',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cs': 'cs', '.php': 'php', '.swift': 'swift', '.sql': 'sql'
+};
+
+// Built-in per-language thresholds that replace the defaults
+const LANGUAGE_THRESHOLDS = {
+  go: { maxFunctionLines: 80 },  // Explicit error handling makes Go functions longer
+  sql: { maxLineLength: 200 }
+};
+
 // Control flow keywords by language (for cyclomatic complexity estimation)
 const CONTROL_FLOW_PATTERNS = {
-  js: /\b(if|else|for|while|do|switch|case|catch|&&|\|\||\?)\b/g,
+  js: /\b(if|else|for|while|do|switch|case|catch)\b|&&|\|\||\?/g,
   py: /\b(if|elif|else|for|while|try|except|and|or)\b/g,
-  java: /\b(if|else|for|while|do|switch|case|catch|&&|\|\||\?)\b/g,
+  java: /\b(if|else|for|while|do|switch|case|catch)\b|&&|\|\||\?/g,
   go: /\b(if|else|for|switch|case|select)\b/g,
-  rb: /\b(if|elsif|else|unless|case|when|while|until|for|rescue)\b/g
+  rb: /\b(if|elsif|else|unless|case|when|while|until|for|rescue)\b/g,
+  sql: /\b(case|when|if|elsif|loop|while|exception)\b/gi
 };
 
 // Code smell patterns
@@ -33,22 +50,27 @@ const CODE_SMELL_PATTERNS = [
   { pattern: /print\s*\(/g, type: 'debug', message: 'Contains print statements' },
   { pattern: /\.only\s*\(/g, type: 'test', message: 'Contains .only() in tests (will skip other tests)' },
   { pattern: /eslint-disable|@ts-ignore|@ts-nocheck|noqa/g, type: 'lint', message: 'Contains lint disable comments' },
-  { pattern: /password\s*=\s*['"][^'"]+['"]/gi, type: 'security', message: 'Possible hardcoded password' },
-  { pattern: /api[_-]?key\s*=\s*['"][^'"]+['"]/gi, type: 'security', message: 'Possible hardcoded API key' },
   { pattern: /\w+\.forEach\([^)]+\)\s*{[^}]+await/g, type: 'async', message: 'Async operation in forEach (use for...of instead)' }
 ];
 
 /**
- * Analyze code complexity
+ * Analyze code complexity. Files with head contents in `contents`
+ * ({ [filename]: { base, head } }) are measured in full and compared with
+ * their base, with JS/TS parsed into functions; other files get an estimate
+ * from their added lines in `diff`. `thresholds` overrides the defaults (see
+ * validateThresholds) and throws if it's invalid.
  */
 async function analyzeComplexity(files, diff, options = {}) {
-  const { ignorePatterns = [] } = options;
+  const { ignorePatterns = [], contents = {} } = options;
+  const thresholds = validateThresholds(options.thresholds);
   
   const result = {
     warnings: [],
     largeFiles: [],
     complexFiles: [],
+    complexFunctions: [],
     codeSmells: [],
+    improvements: [],
     stats: {
       totalAdditions: 0,
       totalDeletions: 0,
@@ -74,9 +96,10 @@ async function analyzeComplexity(files, diff, options = {}) {
 
     result.stats.totalAdditions += file.additions;
     result.stats.totalDeletions += file.deletions;
+    const limits = resolveThresholds(file.filename, thresholds);
 
     // Check for large additions
-    if (file.additions > THRESHOLDS.largeAdditions) {
+    if (file.additions > limits.values.largeAdditions) {
       result.largeFiles.push({
         filename: file.filename,
         additions: file.additions,
@@ -87,59 +110,18 @@ async function analyzeComplexity(files, diff, options = {}) {
         type: 'size',
         severity: 'medium',
         filename: file.filename,
-        message: `Adding ${file.additions} lines to single file. Consider breaking into smaller changes.`
+        message: `Adding ${file.additions} lines to single file. Consider breaking into smaller changes.`,
+        threshold: getThreshold(limits, 'largeAdditions')
       });
     }
 
-    // Get file content from diff
-    const fileContent = diffContent[file.filename];
-    if (fileContent) {
-      // Analyze complexity of added lines
-      const complexityResult = analyzeFileComplexity(file.filename, fileContent);
-      
-      if (complexityResult.complexity > THRESHOLDS.maxCyclomaticComplexity) {
-        result.complexFiles.push({
-          filename: file.filename,
-          complexity: complexityResult.complexity,
-          message: `High cyclomatic complexity: ${complexityResult.complexity}`
-        });
-        result.warnings.push({
-          type: 'complexity',
-          severity: 'high',
-          filename: file.filename,
-          message: `Estimated cyclomatic complexity (${complexityResult.complexity}) exceeds threshold (${THRESHOLDS.maxCyclomaticComplexity})`
-        });
-      }
-
-      if (complexityResult.maxNesting > THRESHOLDS.maxNestingDepth) {
-        result.warnings.push({
-          type: 'nesting',
-          severity: 'medium',
-          filename: file.filename,
-          message: `Deep nesting detected (${complexityResult.maxNesting} levels). Consider refactoring.`
-        });
-      }
-
-      // Check for code smells
-      const smells = detectCodeSmells(fileContent);
-      if (smells.length > 0) {
-        for (const smell of smells) {
-          result.codeSmells.push({
-            filename: file.filename,
-            ...smell
-          });
-        }
-      }
-
-      // Check for long lines
-      if (complexityResult.longLines > 0) {
-        result.warnings.push({
-          type: 'formatting',
-          severity: 'low',
-          filename: file.filename,
-          message: `${complexityResult.longLines} line(s) exceed ${THRESHOLDS.maxLineLength} characters`
-        });
-      }
+    const versions = contents[file.filename];
+    if (typeof versions?.head === 'string') {
+      // Measure both full versions and report what got worse
+      compareFileVersions(file.filename, limits, versions, diffContent[file.filename], result);
+    } else if (diffContent[file.filename]) {
+      // Without contents, fall back to estimating from added lines
+      analyzeAddedLines(file.filename, limits, diffContent[file.filename], result);
     }
   }
 
@@ -155,13 +137,21 @@ async function analyzeComplexity(files, diff, options = {}) {
 
   // Generate details
   if (result.largeFiles.length > 0) {
-    result.details.push(`📏 ${result.largeFiles.length} file(s) with large changes (>${THRESHOLDS.largeAdditions} lines)`);
+    result.details.push(`📏 ${result.largeFiles.length} file(s) with large changes`);
   }
 
   if (result.complexFiles.length > 0) {
     result.details.push(`🔀 ${result.complexFiles.length} file(s) with high complexity`);
   }
 
+  if (result.complexFunctions.length > 0) {
+    result.details.push(`🧮 ${result.complexFunctions.length} function(s) over complexity thresholds`);
+  }
+
+  if (result.improvements.length > 0) {
+    result.details.push(`✨ ${result.improvements.length} function size improvement(s)`);
+  }
+
   if (result.codeSmells.length > 0) {
     const byType = {};
     for (const smell of result.codeSmells) {
@@ -181,7 +171,9 @@ async function analyzeComplexity(files, diff, options = {}) {
     totalWarnings: result.warnings.length,
     largeFiles: result.largeFiles.length,
     complexFiles: result.complexFiles.length,
+    complexFunctions: result.complexFunctions.length,
     codeSmells: result.codeSmells.length,
+    improvements: result.improvements.length,
     totalAdditions: result.stats.totalAdditions,
     totalDeletions: result.stats.totalDeletions
   };
@@ -189,6 +181,267 @@ async function analyzeComplexity(files, diff, options = {}) {
   return result;
 }
 
+/**
+ * Compare base and head metrics of a file. Sizes, nesting and long lines are
+ * reported when they cross or grow past a threshold, code smells when the head
+ * has more of them, and parsed JS/TS functions individually.
+ */
+function compareFileVersions(filename, limits, versions, addedContent, result) {
+  const base = typeof versions.base === 'string' ? measureFile(filename, limits, versions.base) : null;
+  const head = measureFile(filename, limits, versions.head);
+
+  const maxFileLines = getThreshold(limits, 'maxFileLines');
+  const fileLines = describeGrowth('File', base?.lines, head.lines, 'lines', maxFileLines);
+  if (fileLines) {
+    result.warnings.push({ type: 'size', severity: 'medium', filename, message: fileLines, threshold: maxFileLines });
+  }
+
+  const maxNestingDepth = getThreshold(limits, 'maxNestingDepth');
+  const nesting = describeGrowth('Nesting depth', base?.maxNesting, head.maxNesting, 'levels', maxNestingDepth);
+  if (nesting) {
+    result.warnings.push({ type: 'nesting', severity: 'medium', filename, message: `${nesting}. Consider refactoring.`, threshold: maxNestingDepth });
+  }
+
+  if (head.longLines > (base?.longLines || 0)) {
+    const maxLineLength = getThreshold(limits, 'maxLineLength');
+    result.warnings.push({
+      type: 'formatting',
+      severity: 'low',
+      filename,
+      message: base
+        ? `Lines over ${maxLineLength.value} characters went from ${base.longLines} to ${head.longLines}`
+        : `${head.longLines} line(s) exceed ${maxLineLength.value} characters`,
+      threshold: maxLineLength
+    });
+  }
+
+  const baseSmells = Object.fromEntries((base?.smells || []).map(smell => [smell.message, smell.count]));
+  for (const smell of head.smells) {
+    const added = smell.count - (baseSmells[smell.message] || 0);
+    if (added > 0) result.codeSmells.push({ filename, ...smell, count: added });
+  }
+
+  const functions = extractFunctions(filename, versions.head);
+  if (!functions || !isParsableScript(filename)) {
+    // Keyword counts only mean something for the changed lines
+    if (addedContent) checkEstimatedComplexity(filename, limits, analyzeFileComplexity(filename, addedContent).complexity, result);
+  }
+  if (!functions) return;
+
+  const baseFunctions = base ? extractFunctions(filename, versions.base) || [] : [];
+  const pairs = pairFunctions(baseFunctions, functions);
+
+  if (isParsableScript(filename)) {
+    for (const fn of findComplexityRegressions(pairs, limits)) {
+      const { threshold, ...complexFunction } = fn;
+      result.complexFunctions.push({ filename, ...complexFunction });
+      result.warnings.push({
+        type: 'complexity',
+        severity: 'high',
+        filename,
+        line: fn.startLine,
+        message: formatFunctionComplexity(fn, limits),
+        threshold
+      });
+    }
+  }
+
+  checkFunctionSizes(filename, limits, pairs, versions, result);
+}
+
+/**
+ * Flag new and changed functions over maxFunctionLines or maxParameters, and
+ * note functions the PR brought back within them
+ */
+function checkFunctionSizes(filename, limits, pairs, versions, result) {
+  const baseLines = (versions.base || '').split('\n');
+  const headLines = versions.head.split('\n');
+  const source = (lines, fn) => lines.slice(fn.startLine - 1, fn.endLine).join('\n');
+
+  for (const { fn, before } of pairs) {
+    const changed = !before || source(baseLines, before) !== source(headLines, fn);
+    const subject = `Function \`${fn.name}\` (${formatLines(fn)})`;
+
+    for (const [measure, thresholdName, unit] of [[functionLength, 'maxFunctionLines', 'lines'], [f => f.params, 'maxParameters', 'parameters']]) {
+      const after = measure(fn);
+      const previous = before ? measure(before) : null;
+      const threshold = getThreshold(limits, thresholdName);
+
+      if (after > threshold.value && changed) {
+        result.warnings.push({
+          type: 'size',
+          severity: 'medium',
+          filename,
+          line: fn.startLine,
+          message: describeChange(subject, previous, after, unit, threshold),
+          threshold
+        });
+      } else if (previous > threshold.value && after <= threshold.value) {
+        result.improvements.push({
+          filename,
+          line: fn.startLine,
+          message: describeChange(subject, previous, after, unit, threshold)
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Estimate complexity, nesting, long lines and smells from added lines only
+ */
+function analyzeAddedLines(filename, limits, content, result) {
+  const complexityResult = analyzeFileComplexity(filename, content, limits.values.maxLineLength);
+  checkEstimatedComplexity(filename, limits, complexityResult.complexity, result);
+
+  if (complexityResult.maxNesting > limits.values.maxNestingDepth) {
+    result.warnings.push({
+      type: 'nesting',
+      severity: 'medium',
+      filename,
+      message: `Deep nesting detected (${complexityResult.maxNesting} levels). Consider refactoring.`,
+      threshold: getThreshold(limits, 'maxNestingDepth')
+    });
+  }
+
+  for (const smell of detectCodeSmells(content)) {
+    result.codeSmells.push({ filename, ...smell });
+  }
+
+  if (complexityResult.longLines > 0) {
+    result.warnings.push({
+      type: 'formatting',
+      severity: 'low',
+      filename,
+      message: `${complexityResult.longLines} line(s) exceed ${limits.values.maxLineLength} characters`,
+      threshold: getThreshold(limits, 'maxLineLength')
+    });
+  }
+}
+
+function checkEstimatedComplexity(filename, limits, complexity, result) {
+  const threshold = getThreshold(limits, 'maxCyclomaticComplexity');
+  if (complexity <= threshold.value) return;
+
+  result.complexFiles.push({
+    filename,
+    complexity,
+    message: `High cyclomatic complexity: ${complexity}`
+  });
+  result.warnings.push({
+    type: 'complexity',
+    severity: 'high',
+    filename,
+    message: `Estimated cyclomatic complexity (${complexity}) exceeds threshold (${threshold.value})`,
+    threshold
+  });
+}
+
+function measureFile(filename, limits, content) {
+  return {
+    lines: content.split('\n').length - (content.endsWith('\n') ? 1 : 0),
+    ...analyzeFileComplexity(filename, content, limits.values.maxLineLength),
+    smells: detectCodeSmells(content)
+  };
+}
+
+/**
+ * Whether a metric is over its threshold and new, crossed it or grew:
+ * 'new', 'crossed', 'worse' or null
+ */
+function growthStatus(before, after, threshold) {
+  if (after <= threshold) return null;
+  if (before === null || before === undefined) return 'new';
+  if (before <= threshold) return 'crossed';
+  return after > before ? 'worse' : null;
+}
+
+/**
+ * Describe a metric that crossed or grew past a threshold, e.g.
+ * "File grew from 420 to 610 lines (crosses maxFileLines 500)", or null
+ */
+function describeGrowth(subject, before, after, unit, threshold) {
+  if (!growthStatus(before, after, threshold.value)) return null;
+  return describeChange(subject, before, after, unit, threshold);
+}
+
+/**
+ * Describe a metric's change relative to a threshold from getThreshold
+ */
+function describeChange(subject, before, after, unit, { name, value }) {
+  const limit = `${name} ${value}`;
+  if (before === null || before === undefined || before === after) {
+    return `${subject} has ${after} ${unit} (${after > value ? 'over' : 'within'} ${limit})`;
+  }
+  if (after > before) {
+    return `${subject} grew from ${before} to ${after} ${unit} (${before > value ? 'over' : 'crosses'} ${limit})`;
+  }
+  return `${subject} shrank from ${before} to ${after} ${unit} (${after > value ? 'still over' : 'now within'} ${limit})`;
+}
+
+/**
+ * Functions over a complexity threshold that were added, crossed it or got
+ * worse, with the first threshold they're over
+ */
+function findComplexityRegressions(pairs, limits) {
+  const regressions = [];
+  const thresholds = [getThreshold(limits, 'maxCyclomaticComplexity'), getThreshold(limits, 'maxCognitiveComplexity')];
+
+  for (const { fn, before } of pairs) {
+    const statuses = [
+      growthStatus(before?.cyclomatic, fn.cyclomatic, thresholds[0].value),
+      growthStatus(before?.cognitive, fn.cognitive, thresholds[1].value)
+    ];
+    if (!statuses.some(Boolean)) continue;
+
+    regressions.push({
+      name: fn.name,
+      startLine: fn.startLine,
+      endLine: fn.endLine,
+      status: ['new', 'crossed', 'worse'].find(status => statuses.includes(status)),
+      cyclomatic: { before: before?.cyclomatic ?? null, after: fn.cyclomatic },
+      cognitive: { before: before?.cognitive ?? null, after: fn.cognitive },
+      threshold: thresholds[statuses.findIndex(Boolean)]
+    });
+  }
+
+  return regressions;
+}
+
+/**
+ * Pair head functions with their base version, matched by name and order
+ */
+function pairFunctions(baseFunctions, headFunctions) {
+  const previous = new Map(keyFunctions(baseFunctions));
+  return keyFunctions(headFunctions).map(([key, fn]) => ({ fn, before: previous.get(key) || null }));
+}
+
+/**
+ * Key functions by name and occurrence so overloads and repeated callback
+ * names line up between versions
+ */
+function keyFunctions(functions) {
+  const seen = {};
+  return functions.map(fn => {
+    seen[fn.name] = (seen[fn.name] || 0) + 1;
+    return [`${fn.name}#${seen[fn.name]}`, fn];
+  });
+}
+
+function formatFunctionComplexity(fn, limits) {
+  const format = ({ before, after }) => (before === null || before === after ? `${after}` : `${before} → ${after}`);
+  return `Function \`${fn.name}\` (${formatLines(fn)}): cyclomatic complexity ${format(fn.cyclomatic)}, cognitive complexity ${format(fn.cognitive)} ` +
+    `(thresholds ${limits.values.maxCyclomaticComplexity} / ${limits.values.maxCognitiveComplexity})`;
+}
+
+function formatLines(fn) {
+  return fn.startLine === fn.endLine ? `line ${fn.startLine}` : `lines ${fn.startLine}-${fn.endLine}`;
+}
+
+function functionLength(fn) {
+  return fn.endLine - fn.startLine + 1;
+}
+
 /**
  * Parse unified diff format to extract file contents
  */
@@ -223,10 +476,8 @@ function parseDiff(diff) {
 /**
  * Analyze complexity of file content
  */
-function analyzeFileComplexity(filename, content) {
-  const ext = path.extname(filename).toLowerCase().replace('.', '');
-  const langMap = { js: 'js', jsx: 'js', ts: 'js', tsx: 'js', py: 'py', java: 'java', go: 'go', rb: 'rb' };
-  const lang = langMap[ext] || 'js';
+function analyzeFileComplexity(filename, content, maxLineLength = THRESHOLDS.maxLineLength) {
+  const lang = getLanguage(filename) || 'js';
   
   const pattern = CONTROL_FLOW_PATTERNS[lang] || CONTROL_FLOW_PATTERNS.js;
   
@@ -251,7 +502,7 @@ function analyzeFileComplexity(filename, content) {
   }
 
   // Count long lines
-  const longLines = lines.filter(line => line.length > THRESHOLDS.maxLineLength).length;
+  const longLines = lines.filter(line => line.length > maxLineLength).length;
 
   return { complexity, maxNesting, longLines };
 }
@@ -280,12 +531,113 @@ function detectCodeSmells(content) {
  * Check if file is a code file
  */
 function isCodeFile(filename) {
-  const codeExtensions = [
-    '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.kt', '.go',
-    '.rb', '.rs', '.c', '.cpp', '.h', '.cs', '.php', '.swift'
-  ];
-  const ext = path.extname(filename).toLowerCase();
-  return codeExtensions.includes(ext);
+  return Boolean(getLanguage(filename));
+}
+
+/**
+ * Language key of a code file, or null
+ */
+function getLanguage(filename) {
+  return LANGUAGES[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Validate threshold config, returning it with defaults filled in. Config has
+ * threshold values at the top level, `languages` mapping language keys to
+ * thresholds, and `overrides`: [{ files: glob or globs, ...thresholds }].
+ * Throws listing every invalid key or value.
+ */
+function validateThresholds(config) {
+  if (config === null || config === undefined) return { defaults: {}, languages: {}, overrides: [] };
+
+  const errors = [];
+  const checkValues = (values, where) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in THRESHOLDS)) errors.push(`unknown threshold "${key}"${where}`);
+      else if (typeof value !== 'number' || !(value > 0)) errors.push(`"${key}"${where} must be a positive number`);
+    }
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(config)) {
+    throw new Error('Invalid complexity thresholds: expected a JSON object');
+  }
+
+  const { languages = {}, overrides = [], ...defaults } = config;
+  checkValues(defaults, '');
+
+  if (!isObject(languages)) {
+    errors.push('"languages" must be an object');
+  } else {
+    const known = new Set(Object.values(LANGUAGES));
+    for (const [language, values] of Object.entries(languages)) {
+      if (!known.has(language)) errors.push(`unknown language "${language}" (valid: ${[...known].join(', ')})`);
+      else if (!isObject(values)) errors.push(`languages.${language} must be an object`);
+      else checkValues(values, ` in languages.${language}`);
+    }
+  }
+
+  if (!Array.isArray(overrides)) {
+    errors.push('"overrides" must be an array');
+  } else {
+    overrides.forEach((override, index) => {
+      if (!isObject(override)) {
+        errors.push(`overrides[${index}] must be an object`);
+        return;
+      }
+      const { files, ...values } = override;
+      const globs = [].concat(files || []);
+      if (globs.length === 0 || globs.some(glob => typeof glob !== 'string')) {
+        errors.push(`overrides[${index}] needs a "files" glob or list of globs`);
+      }
+      checkValues(values, ` in overrides[${index}]`);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid complexity thresholds: ${errors.join('; ')}. Valid thresholds: ${Object.keys(THRESHOLDS).join(', ')}`);
+  }
+
+  return {
+    defaults,
+    languages: isObject(languages) ? languages : {},
+    overrides: overrides.map(({ files, ...values }) => ({ files: [].concat(files), values }))
+  };
+}
+
+/**
+ * Thresholds for a file and where each came from. Later sources win:
+ * defaults, configured defaults, built-in then configured language
+ * thresholds, then each matching override in order.
+ */
+function resolveThresholds(filename, config) {
+  const values = { ...THRESHOLDS };
+  const sources = Object.fromEntries(Object.keys(THRESHOLDS).map(name => [name, 'default']));
+  const apply = (overrides, source) => {
+    for (const [name, value] of Object.entries(overrides || {})) {
+      values[name] = value;
+      sources[name] = source;
+    }
+  };
+
+  const language = getLanguage(filename);
+  apply(LANGUAGE_THRESHOLDS[language], `${language} default`);
+  apply(config.defaults, 'config');
+  apply(config.languages[language], `languages.${language}`);
+  for (const override of config.overrides) {
+    if (override.files.some(glob => minimatch(filename, glob))) {
+      apply(override.values, override.files.join(', '));
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * A threshold applied to a file: { name, value, source }
+ */
+function getThreshold(limits, name) {
+  return { name, value: limits.values[name], source: limits.sources[name] };
 }
 
 /**
@@ -303,4 +655,4 @@ function getSmellIcon(type) {
   return icons[type] || '👃';
 }
 
-module.exports = { analyzeComplexity, THRESHOLDS };
+module.exports = { analyzeComplexity, isCodeFile, validateThresholds, resolveThresholds, THRESHOLDS };
@@ -4,6 +4,10 @@
  */
 
 const path = require('path');
+const { parseDiffHunks, toLineRanges } = require('../utils/diff');
+const { percentage } = require('../parsers/coverage-reports');
+const { compileTestMapping, matchesTestPattern, expectedTestPaths } = require('../utils/test-mapping');
+const { escapeRegExp } = require('../utils/regex');
 
 // Common coverage file patterns
 const COVERAGE_PATTERNS = [
@@ -48,11 +52,27 @@ const TEST_FILE_PATTERNS = [
   /Test\.php$/i
 ];
 
+// Source changes at least this large should come with test updates
+const LARGE_SOURCE_CHANGE = 50;
+
 /**
- * Analyze coverage-related changes in PR files
+ * Analyze coverage-related changes in PR files.
+ * When parsed head/base coverage reports are supplied, a real delta is computed,
+ * and with the PR diff the coverage of the added lines (patch coverage).
+ * `repoFiles` (all paths in the head tree) lets existing, untouched tests count,
+ * and `testMapping` replaces the built-in test naming heuristics.
  */
 async function analyzeCoverage(files, options = {}) {
-  const { threshold = 80 } = options;
+  const {
+    threshold = 80,
+    headReport = null,
+    baseReport = null,
+    diff = null,
+    repoFiles = null,
+    testMapping = null
+  } = options;
+
+  const locator = createTestLocator(testMapping);
   
   const result = {
     testFilesAdded: [],
@@ -60,14 +80,19 @@ async function analyzeCoverage(files, options = {}) {
     testFilesDeleted: [],
     coverageFilesChanged: [],
     sourceFilesWithoutTests: [],
+    sourceFilesWithStaleTests: [],
+    totals: null,
+    baseTotals: null,
     delta: null,
+    branchDelta: null,
+    patch: null,
     status: 'unknown',
     details: []
   };
 
   // Categorize test files
-  const testFiles = files.filter(f => isTestFile(f.filename));
-  const sourceFiles = files.filter(f => isSourceFile(f.filename) && !isTestFile(f.filename));
+  const testFiles = files.filter(f => locator.isTest(f.filename));
+  const sourceFiles = files.filter(f => isSourceFile(f.filename) && !locator.isTest(f.filename));
   const coverageFiles = files.filter(f => isCoverageFile(f.filename));
 
   // Process test files
@@ -85,9 +110,23 @@ async function analyzeCoverage(files, options = {}) {
   result.coverageFilesChanged = coverageFiles.map(f => f.filename);
 
   // Find source files that might need tests
+  const changedFilenames = files.filter(f => f.status !== 'removed').map(f => f.filename);
+
   for (const file of sourceFiles) {
-    if (file.status !== 'removed' && !hasMatchingTestFile(file.filename, files)) {
+    if (file.status === 'removed') continue;
+    if (locator.findTests(file.filename, changedFilenames).length > 0) continue;
+
+    const existingTests = locator.findTests(file.filename, repoFiles || []);
+    const changes = (file.additions || 0) + (file.deletions || 0);
+
+    if (existingTests.length === 0) {
       result.sourceFilesWithoutTests.push(file.filename);
+    } else if (changes >= LARGE_SOURCE_CHANGE) {
+      result.sourceFilesWithStaleTests.push({
+        filename: file.filename,
+        tests: existingTests,
+        changes
+      });
     }
   }
 
@@ -103,25 +142,155 @@ async function analyzeCoverage(files, options = {}) {
   } else if (testsDeleted > testsAdded) {
     result.status = 'degraded';
     result.details.push(`⚠️ Removed ${testsDeleted - testsAdded} more test file(s) than added`);
-  } else if (result.sourceFilesWithoutTests.length > 0 && testsAdded === 0) {
+  } else if ((result.sourceFilesWithoutTests.length > 0 || result.sourceFilesWithStaleTests.length > 0) && testsAdded === 0) {
     result.status = 'missing';
-    result.details.push(`📝 ${result.sourceFilesWithoutTests.length} source file(s) may need tests`);
+    if (result.sourceFilesWithoutTests.length > 0) {
+      result.details.push(`📝 ${result.sourceFilesWithoutTests.length} source file(s) may need tests`);
+    }
+    if (result.sourceFilesWithStaleTests.length > 0) {
+      result.details.push(`🔁 ${result.sourceFilesWithStaleTests.length} source file(s) changed significantly without updating their existing tests`);
+    }
   } else {
     result.status = 'stable';
     result.details.push('✓ Test coverage appears stable');
   }
 
+  // Apply coverage report data on top of the file-based status
+  if (headReport) {
+    applyCoverageReports(result, headReport, baseReport, threshold);
+
+    if (diff) {
+      result.patch = calculatePatchCoverage(parseDiffHunks(diff), headReport, locator.isTest);
+      if (result.patch && result.patch.pct !== null) {
+        result.details.push(`🩹 Patch coverage: ${result.patch.pct}% (${result.patch.covered}/${result.patch.total} added lines)`);
+      }
+    }
+  }
+
   // Add summary
   result.summary = {
     testFilesChanged: testFiles.length,
     sourceFilesChanged: sourceFiles.length,
     netTestChange,
-    filesNeedingTests: result.sourceFilesWithoutTests.length
+    filesNeedingTests: result.sourceFilesWithoutTests.length,
+    filesWithStaleTests: result.sourceFilesWithStaleTests.length,
+    lineCoverage: result.totals?.lines ?? null,
+    delta: result.delta,
+    patchCoverage: result.patch?.pct ?? null
   };
 
   return result;
 }
 
+/**
+ * Compute totals and delta from parsed coverage reports and update status
+ */
+function applyCoverageReports(result, headReport, baseReport, threshold) {
+  result.totals = {
+    lines: headReport.lines.pct,
+    branches: headReport.branches.pct
+  };
+
+  if (baseReport) {
+    result.baseTotals = {
+      lines: baseReport.lines.pct,
+      branches: baseReport.branches.pct
+    };
+    result.delta = difference(result.totals.lines, result.baseTotals.lines);
+    result.branchDelta = difference(result.totals.branches, result.baseTotals.branches);
+  }
+
+  const lineCoverage = result.totals.lines;
+  const deltaText = result.delta !== null ? ` (${formatDelta(result.delta)})` : '';
+  result.details.push(`📊 Line coverage: ${lineCoverage ?? 'n/a'}%${deltaText}`);
+
+  const reasons = [];
+  if (result.delta !== null && result.delta < 0) {
+    reasons.push(`⚠️ Line coverage dropped by ${Math.abs(result.delta)}%`);
+  }
+  if (lineCoverage !== null && lineCoverage < threshold) {
+    reasons.push(`⚠️ Line coverage ${lineCoverage}% is below the ${threshold}% threshold`);
+  }
+
+  if (reasons.length > 0) {
+    result.status = 'degraded';
+    result.details.push(...reasons);
+  } else if (result.delta !== null && result.delta > 0) {
+    result.status = 'improved';
+  }
+}
+
+/**
+ * Intersect added diff lines with per-line hits from the head coverage report.
+ * Only lines the report instruments count towards patch coverage.
+ */
+function calculatePatchCoverage(diffFiles, report, isTest = isTestFile) {
+  const reportPaths = Object.keys(report.files || {});
+  const hasLineData = reportPaths.some(p => Object.keys(report.files[p].hits || {}).length > 0);
+  if (!hasLineData) return null;
+
+  const patch = { covered: 0, total: 0, pct: null, files: [] };
+
+  for (const [filename, hunks] of Object.entries(diffFiles)) {
+    if (hunks.added.length === 0 || isTest(filename)) continue;
+
+    const reportPath = findReportPath(filename, reportPaths);
+    if (!reportPath) continue;
+
+    const hits = report.files[reportPath].hits;
+    const coverable = hunks.added.filter(a => hits[a.line] !== undefined);
+    if (coverable.length === 0) continue;
+
+    const uncoveredLines = coverable.filter(a => hits[a.line] === 0).map(a => a.line);
+    const covered = coverable.length - uncoveredLines.length;
+
+    patch.files.push({
+      filename,
+      covered,
+      total: coverable.length,
+      pct: percentage(covered, coverable.length),
+      uncoveredLines,
+      uncoveredRanges: toLineRanges(uncoveredLines)
+    });
+    patch.covered += covered;
+    patch.total += coverable.length;
+  }
+
+  patch.pct = percentage(patch.covered, patch.total);
+  patch.files.sort((a, b) => a.pct - b.pct);
+
+  return patch;
+}
+
+/**
+ * Find the report entry for a repository path. Reports may use absolute paths
+ * (Istanbul, Clover) or paths relative to a source root (Cobertura, JaCoCo).
+ * Suffix matches are only used when a single entry matches, so files sharing
+ * a trailing path (e.g. utils/index.js) never get another file's coverage.
+ */
+function findReportPath(filename, reportPaths) {
+  const normalized = filename.replace(/\\/g, '/');
+  const unique = matches => (matches.length === 1 ? matches[0] : undefined);
+  return reportPaths.find(p => p === normalized) ||
+    unique(reportPaths.filter(p => p.replace(/\\/g, '/').endsWith(`/${normalized}`))) ||
+    unique(reportPaths.filter(p => normalized.endsWith(`/${p.replace(/\\/g, '/').replace(/^\.\//, '')}`)));
+}
+
+/**
+ * Difference between two percentages, rounded to two decimals
+ */
+function difference(head, base) {
+  if (head === null || base === null) return null;
+  return Math.round((head - base) * 100) / 100;
+}
+
+/**
+ * Format a percentage delta with its sign
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta}%`;
+}
+
 /**
  * Check if a filename is a test file
  */
@@ -149,20 +318,43 @@ function isCoverageFile(filename) {
 }
 
 /**
- * Check if a source file has a matching test file in the PR
+ * Build test detection/lookup functions from a test mapping config. Configured
+ * test globs replace TEST_FILE_PATTERNS; sources not covered by any mapping
+ * rule fall back to name-based matching.
+ */
+function createTestLocator(testMapping) {
+  const mapping = testMapping ? compileTestMapping(testMapping) : null;
+
+  const isTest = mapping && mapping.testPatterns.length > 0
+    ? (filename) => matchesTestPattern(filename, mapping)
+    : isTestFile;
+
+  const findTests = (sourceFilename, candidates) => {
+    const expected = mapping ? expectedTestPaths(sourceFilename, mapping) : null;
+    if (expected) {
+      return candidates.filter(candidate => expected.includes(candidate));
+    }
+    return findMatchingTestFiles(sourceFilename, candidates);
+  };
+
+  return { isTest, findTests };
+}
+
+/**
+ * Find test files among candidate paths that match a source file by name
  */
-function hasMatchingTestFile(sourceFilename, files) {
-  const baseName = path.basename(sourceFilename, path.extname(sourceFilename));
+function findMatchingTestFiles(sourceFilename, candidates) {
+  const baseName = escapeRegExp(path.basename(sourceFilename, path.extname(sourceFilename)));
   const testPatterns = [
-    new RegExp(`${baseName}\\.test\\.`, 'i'),
-    new RegExp(`${baseName}\\.spec\\.`, 'i'),
-    new RegExp(`${baseName}_test\\.`, 'i'),
-    new RegExp(`test_${baseName}\\.`, 'i'),
-    new RegExp(`${baseName}Test\\.`, 'i'),
-    new RegExp(`${baseName}Tests\\.`, 'i')
+    new RegExp(`(^|/)${baseName}\\.test\\.`, 'i'),
+    new RegExp(`(^|/)${baseName}\\.spec\\.`, 'i'),
+    new RegExp(`(^|/)${baseName}_test\\.`, 'i'),
+    new RegExp(`(^|/)test_${baseName}\\.`, 'i'),
+    new RegExp(`(^|/)${baseName}Test\\.`, 'i'),
+    new RegExp(`(^|/)${baseName}Tests\\.`, 'i')
   ];
 
-  return files.some(f => testPatterns.some(pattern => pattern.test(f.filename)));
+  return candidates.filter(candidate => testPatterns.some(pattern => pattern.test(candidate)));
 }
 
 module.exports = { analyzeCoverage, isTestFile, isSourceFile, isCoverageFile };
@@ -0,0 +1,177 @@
+/**
+ * Dependency Analyzer
+ * Diffs dependency manifests between the base and head of the PR
+ */
+
+const { minimatch } = require('minimatch');
+const { getManifestType, parseManifest, compareVersions, isMajorBump } = require('../parsers/manifests');
+const { escapeRegExp } = require('../utils/regex');
+
+// Severity for each kind of risky dependency change
+const FLAG_SEVERITY = {
+  git: 'high',
+  url: 'high',
+  'install-script': 'high',
+  file: 'medium',
+  major: 'medium',
+  downgrade: 'medium'
+};
+
+const FLAG_MESSAGES = {
+  git: 'installed from a git repository',
+  url: 'installed from a URL',
+  file: 'installed from a local path',
+  major: 'major version bump',
+  downgrade: 'version downgrade'
+};
+
+/**
+ * Analyze dependency changes in manifest files.
+ * `contents` maps filenames to { base, head } file contents.
+ */
+async function analyzeDependencies(files, options = {}) {
+  const { contents = {}, ignorePatterns = [] } = options;
+
+  const result = {
+    changes: [],
+    scripts: [],
+    findings: [],
+    manifests: [],
+    details: []
+  };
+
+  for (const file of files) {
+    if (!getManifestType(file.filename)) continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const versions = contents[file.filename];
+    if (!versions) continue;
+
+    const basePath = file.previous_filename || file.filename;
+    const base = parseManifest(basePath, versions.base);
+    const head = parseManifest(file.filename, versions.head);
+
+    result.manifests.push(file.filename);
+
+    for (const change of diffDependencies(base.dependencies, head.dependencies)) {
+      const entry = { manifest: file.filename, ...change };
+      result.changes.push(entry);
+
+      for (const flag of entry.flags) {
+        result.findings.push(createFinding(file.filename, versions.head, entry.name, flag,
+          `Dependency ${entry.name} ${FLAG_MESSAGES[flag]}`));
+      }
+    }
+
+    for (const [script, command] of Object.entries(head.scripts)) {
+      if (base.scripts[script] === command) continue;
+
+      result.scripts.push({ manifest: file.filename, script, command, previous: base.scripts[script] || null });
+      result.findings.push(createFinding(file.filename, versions.head, script, 'install-script',
+        `${base.scripts[script] ? 'Changed' : 'New'} "${script}" script runs on install: ${command}`));
+    }
+  }
+
+  const counts = countKinds(result.changes);
+
+  if (result.changes.length > 0) {
+    const parts = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind}`);
+    result.details.push(`📦 Dependency changes: ${parts.join(', ')}`);
+  }
+  if (result.scripts.length > 0) {
+    result.details.push(`⚠️ ${result.scripts.length} install script(s) added or changed`);
+  }
+
+  const flagged = result.changes.filter(c => c.flags.length > 0).length;
+  if (flagged > 0) {
+    result.details.push(`🚩 ${flagged} dependency change(s) need review`);
+  }
+
+  result.summary = {
+    manifests: result.manifests.length,
+    ...counts,
+    installScripts: result.scripts.length,
+    flagged
+  };
+
+  return result;
+}
+
+/**
+ * Compare two dependency maps
+ */
+function diffDependencies(base, head) {
+  const changes = [];
+
+  for (const [name, dep] of Object.entries(head)) {
+    const previous = base[name];
+
+    if (!previous) {
+      changes.push({ name, kind: 'added', from: null, to: dep.spec, type: dep.type, flags: sourceFlags(dep) });
+      continue;
+    }
+    if (previous.spec === dep.spec && previous.source === dep.source) continue;
+
+    let kind = 'changed';
+    const flags = dep.source !== previous.source ? sourceFlags(dep) : [];
+
+    if (dep.version && previous.version && dep.source === 'registry' && previous.source === 'registry') {
+      const comparison = compareVersions(dep.version, previous.version);
+      if (comparison > 0) {
+        kind = 'upgraded';
+        if (isMajorBump(previous.version, dep.version)) flags.push('major');
+      } else if (comparison < 0) {
+        kind = 'downgraded';
+        flags.push('downgrade');
+      }
+    }
+
+    changes.push({ name, kind, from: previous.spec, to: dep.spec, type: dep.type, flags });
+  }
+
+  for (const [name, dep] of Object.entries(base)) {
+    if (!head[name]) {
+      changes.push({ name, kind: 'removed', from: dep.spec, to: null, type: dep.type, flags: [] });
+    }
+  }
+
+  return changes;
+}
+
+function sourceFlags(dep) {
+  return dep.source === 'registry' ? [] : [dep.source];
+}
+
+function countKinds(changes) {
+  const counts = { added: 0, removed: 0, upgraded: 0, downgraded: 0, changed: 0 };
+  for (const change of changes) {
+    counts[change.kind]++;
+  }
+  return counts;
+}
+
+/**
+ * Build a risk finding, locating the line that mentions the dependency
+ */
+function createFinding(filename, content, name, flag, message) {
+  return {
+    filename,
+    line: findLine(content, name),
+    type: flag,
+    category: 'dependencies',
+    severity: FLAG_SEVERITY[flag],
+    message
+  };
+}
+
+function findLine(content, name) {
+  const lines = (content || '').split(/\r?\n/);
+  const escaped = escapeRegExp(name);
+  const pattern = new RegExp(`(^|[^\\w.-])${escaped}([^\\w.-]|$)`, 'i');
+  const index = lines.findIndex(line => pattern.test(line));
+  return index >= 0 ? index + 1 : null;
+}
+
+module.exports = { analyzeDependencies, diffDependencies };
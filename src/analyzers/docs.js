@@ -5,6 +5,15 @@
 
 const path = require('path');
 const { minimatch } = require('minimatch');
+const { isTestFile } = require('./coverage');
+const { getExportLanguage, extractExports, diffExports } = require('../parsers/exports');
+const { getSymbolLanguage, extractSymbols } = require('../parsers/symbols');
+const { percentage } = require('../parsers/coverage-reports');
+const { isChangelogFile, parseChangelogEntries, validateChangelogEntry, hasReference } = require('../parsers/changelog');
+const { isMarkdownFile, extractLinks, extractAnchors, resolveLink, isValidUrl } = require('../parsers/markdown');
+const { getPackageEntryPoints } = require('../parsers/manifests');
+const { isActionFile, parseActionMetadata, diffActionMetadata, extractDocumentedOptions } = require('../parsers/action');
+const { parseDiffHunks } = require('../utils/diff');
 
 // Documentation file patterns
 const DOC_FILE_PATTERNS = [
@@ -45,20 +54,50 @@ const DOC_TRIGGER_PATTERNS = [
   { pattern: '**/migration*', docHint: 'Migration documentation may need updates' }
 ];
 
+// Build output directories package entry points often point into
+const BUILD_DIR_PATTERN = /^(dist|build|lib|out)(\/|$)/;
+
 // Files that should have inline documentation
 const INLINE_DOC_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs'];
 
 /**
- * Analyze documentation status
+ * Analyze documentation status.
+ * `contents` maps filenames to { base, head } contents; JS/TS and Python
+ * modules among them have their exported API surface diffed. With the PR
+ * `diff`, functions, classes and methods it adds are checked for doc comments
+ * and changelog entries it adds are validated. `pullRequest` ({ number, labels })
+ * lets entries reference the PR and `changelogSkipLabel` skip the check.
+ * An entry is only required for breaking changes or changes to the package's
+ * entry points, read from the nearest package.json in `contents` or
+ * `packageManifests` ({ [path]: content }).
+ * Links in changed Markdown docs are resolved against `repoFiles` (all paths
+ * in the head tree) and the headings of linked docs, read from `contents` or
+ * `linkedDocs` ({ [path]: content }). Inputs and outputs changed in action.yml
+ * are compared with the README.md and docs/configuration.md next to it.
  */
 async function analyzeDocs(files, options = {}) {
-  const { ignorePatterns = [] } = options;
+  const {
+    ignorePatterns = [],
+    contents = {},
+    diff = null,
+    docCoverageThreshold = null,
+    pullRequest = {},
+    changelogSkipLabel = 'no-changelog',
+    repoFiles = null,
+    linkedDocs = {},
+    packageManifests = {}
+  } = options;
+  const diffFiles = parseDiffHunks(diff);
   
   const result = {
     missingDocs: [],
     docFilesModified: [],
     docFilesAdded: [],
     triggersNeedingDocs: [],
+    apiChanges: [],
+    apiImpact: 'none',
+    brokenLinks: [],
+    actionDrift: [],
     readmeUpdated: false,
     changelogUpdated: false,
     details: [],
@@ -85,9 +124,19 @@ async function analyzeDocs(files, options = {}) {
     }
   }
 
+  // Validate entries added to changelogs
+  result.changelog = checkChangelog(docFiles, diffFiles, contents, { pullRequest, skipLabel: changelogSkipLabel });
+
+  // Check links in changed docs
+  result.brokenLinks = checkLinks(docFiles, files, contents, { repoFiles, linkedDocs });
+
+  // Compare action inputs and outputs with their docs
+  const actionCheck = checkActionDrift(sourceFiles, contents, linkedDocs);
+  result.actionDrift = actionCheck.drift;
+
   // Check source files for documentation triggers
   for (const file of sourceFiles) {
-    if (file.status === 'removed') continue;
+    if (file.status === 'removed' || actionCheck.checked.includes(file.filename)) continue;
 
     // Check if file matches doc trigger patterns
     for (const trigger of DOC_TRIGGER_PATTERNS) {
@@ -119,6 +168,37 @@ async function analyzeDocs(files, options = {}) {
     }
   }
 
+  // Diff the exported surface of modules whose contents are available
+  const manifests = Object.fromEntries(Object.entries(packageManifests).filter(([, content]) => content));
+  for (const [filename, versions] of Object.entries(contents)) {
+    if (path.posix.basename(filename) === 'package.json' && versions.head) manifests[filename] = versions.head;
+  }
+  const surfaceFiles = new Set();
+  for (const file of sourceFiles) {
+    const versions = contents[file.filename];
+    if (!versions || !getExportLanguage(file.filename) || isTestFile(file.filename)) continue;
+
+    surfaceFiles.add(file.filename);
+    const changes = diffExports(
+      extractExports(file.previous_filename || file.filename, versions.base),
+      extractExports(file.filename, versions.head)
+    );
+    if (changes.length > 0) {
+      result.apiChanges.push({
+        filename: file.filename,
+        impact: changes.some(c => c.breaking) ? 'breaking' : 'additive',
+        entryPoint: isEntryPoint(file.filename, manifests),
+        changes
+      });
+    }
+  }
+  if (result.apiChanges.length > 0) {
+    result.apiImpact = result.apiChanges.some(f => f.impact === 'breaking') ? 'breaking' : 'additive';
+  }
+
+  // Inline doc coverage of symbols added in the diff
+  result.inlineDocs = analyzeInlineDocs(sourceFiles, diffFiles, contents);
+
   // Generate details and suggestions
   if (result.docFilesAdded.length > 0) {
     result.details.push(`📚 ${result.docFilesAdded.length} documentation file(s) added`);
@@ -128,12 +208,50 @@ async function analyzeDocs(files, options = {}) {
     result.details.push(`📝 ${result.docFilesModified.length} documentation file(s) updated`);
   }
 
+  const apiChanges = result.apiChanges.flatMap(f => f.changes);
+  const breakingChanges = apiChanges.filter(c => c.breaking);
+  if (breakingChanges.length > 0) {
+    result.details.push(`💥 ${breakingChanges.length} breaking API change(s) to exports`);
+  }
+  if (apiChanges.length > breakingChanges.length) {
+    result.details.push(`🧩 ${apiChanges.length - breakingChanges.length} additive API change(s) to exports`);
+  }
+
+  const { inlineDocs } = result;
+  inlineDocs.threshold = docCoverageThreshold;
+  inlineDocs.belowThreshold = docCoverageThreshold !== null && inlineDocs.coverage !== null && inlineDocs.coverage < docCoverageThreshold;
+  if (inlineDocs.coverage !== null) {
+    result.details.push(`📝 Inline docs: ${inlineDocs.documented}/${inlineDocs.symbols} new symbol(s) documented (${inlineDocs.coverage}%)`);
+    if (inlineDocs.belowThreshold) {
+      result.details.push(`⚠️ Inline doc coverage ${inlineDocs.coverage}% is below the ${docCoverageThreshold}% threshold`);
+    }
+  }
+
+  if (result.brokenLinks.length > 0) {
+    result.details.push(`🔗 ${result.brokenLinks.length} broken link(s) in documentation`);
+  }
+
+  if (result.actionDrift.length > 0) {
+    result.details.push(`📐 ${result.actionDrift.length} action input/output change(s) not reflected in docs`);
+  } else if (actionCheck.checked.length > 0) {
+    result.details.push('✅ Action inputs and outputs match the docs');
+  }
+
   if (result.readmeUpdated) {
     result.details.push('✅ README.md was updated');
   }
 
-  if (result.changelogUpdated) {
+  const { changelog } = result;
+  if (changelog.status === 'valid') {
+    result.details.push(`✅ CHANGELOG.md has ${changelog.entries.length} valid new entr${changelog.entries.length === 1 ? 'y' : 'ies'}`);
+  } else if (changelog.status === 'unverified') {
     result.details.push('✅ CHANGELOG.md was updated');
+  } else if (changelog.status === 'skipped') {
+    result.details.push(`⏭️ Changelog check skipped by the \`${changelogSkipLabel}\` label`);
+  } else if (changelog.status === 'invalid') {
+    result.details.push(...changelog.problems.map(problem => `⚠️ ${problem}`));
+  } else if (result.changelogUpdated) {
+    result.details.push('⚠️ CHANGELOG.md was changed but no entries were added');
   }
 
   // Suggestions
@@ -146,6 +264,30 @@ async function analyzeDocs(files, options = {}) {
     result.details.push(`⚠️ ${result.triggersNeedingDocs.length} file(s) may need documentation updates`);
   }
 
+  if (result.brokenLinks.length > 0) {
+    result.suggestions.push({
+      type: 'warning',
+      message: 'Fix broken links in documentation',
+      files: [...new Set(result.brokenLinks.map(link => link.filename))]
+    });
+  }
+
+  if (result.actionDrift.length > 0) {
+    result.suggestions.push({
+      type: 'warning',
+      message: 'Update the docs for changed action inputs and outputs',
+      files: [...new Set(result.actionDrift.map(d => d.filename))]
+    });
+  }
+
+  if (inlineDocs.undocumented.length > 0) {
+    result.suggestions.push({
+      type: 'info',
+      message: 'Add doc comments to new public functions and classes',
+      files: [...new Set(inlineDocs.undocumented.map(s => s.filename))]
+    });
+  }
+
   if (result.missingDocs.length > 0) {
     result.suggestions.push({
       type: 'info',
@@ -155,29 +297,311 @@ async function analyzeDocs(files, options = {}) {
     result.details.push(`📋 ${result.missingDocs.length} new file(s) may need documentation`);
   }
 
-  // Check for public API changes without changelog
-  const hasApiChanges = sourceFiles.some(f => 
-    /api|public|export/i.test(f.filename) && f.status !== 'removed'
-  );
-  
-  if (hasApiChanges && !result.changelogUpdated) {
-    result.suggestions.push({
-      type: 'info',
-      message: 'Consider updating CHANGELOG.md for API changes'
-    });
+  // Breaking API changes need a changelog entry and updated usage docs
+  if (result.apiImpact === 'breaking') {
+    const breakingFiles = result.apiChanges.filter(f => f.impact === 'breaking').map(f => f.filename);
+    if (!changelog.ok) {
+      result.suggestions.push({
+        type: 'warning',
+        message: 'Breaking API changes detected; update CHANGELOG.md',
+        files: breakingFiles
+      });
+    }
+    if (!result.readmeUpdated) {
+      result.suggestions.push({
+        type: 'warning',
+        message: 'Breaking API changes detected; check README.md usage examples',
+        files: breakingFiles
+      });
+    }
+  } else {
+    // Fall back to path hints for modules whose exports couldn't be read
+    const hasApiChanges = result.apiImpact === 'additive' || sourceFiles.some(f =>
+      !surfaceFiles.has(f.filename) && /api|public|export/i.test(f.filename) && f.status !== 'removed'
+    );
+
+    if (hasApiChanges && !changelog.ok) {
+      result.suggestions.push({
+        type: 'info',
+        message: 'Consider updating CHANGELOG.md for API changes'
+      });
+    }
   }
 
+  // Breaking changes and changes to the package's entry points make a changelog entry mandatory
+  changelog.required = result.apiChanges.some(f => f.impact === 'breaking' || f.entryPoint);
+
   result.summary = {
     docFilesChanged: docFiles.length,
     triggersFound: result.triggersNeedingDocs.length,
     missingDocs: result.missingDocs.length,
+    apiImpact: result.apiImpact,
+    apiChanges: apiChanges.length,
+    docCoverage: inlineDocs.coverage,
+    brokenLinks: result.brokenLinks.length,
+    actionDrift: result.actionDrift.length,
     readmeUpdated: result.readmeUpdated,
-    changelogUpdated: result.changelogUpdated
+    changelogUpdated: result.changelogUpdated,
+    changelogStatus: changelog.status
   };
 
   return result;
 }
 
+/**
+ * Validate changelog entries added in the PR. Status is skipped, missing,
+ * unverified (contents unavailable), invalid or valid.
+ */
+function checkChangelog(docFiles, diffFiles, contents, { pullRequest, skipLabel }) {
+  const changelog = { status: 'missing', ok: false, required: false, entries: [], problems: [] };
+
+  if (skipLabel && (pullRequest.labels || []).includes(skipLabel)) {
+    return { ...changelog, status: 'skipped', ok: true };
+  }
+
+  let unverified = false;
+  for (const file of docFiles) {
+    if (!isChangelogFile(file.filename) || file.status === 'removed') continue;
+
+    const head = contents[file.filename]?.head;
+    if (!head) {
+      unverified = true;
+      continue;
+    }
+
+    const addedLines = new Set((diffFiles[file.filename]?.added || []).map(a => a.line));
+    for (const entry of parseChangelogEntries(head, addedLines)) {
+      changelog.entries.push({ filename: file.filename, ...entry });
+      for (const problem of validateChangelogEntry(entry)) {
+        changelog.problems.push(`${file.filename}:${entry.line} entry ${problem}`);
+      }
+    }
+  }
+
+  if (changelog.entries.length > 0 && !changelog.entries.some(e => hasReference(e.text))) {
+    const pr = pullRequest.number ? `#${pullRequest.number}` : 'the PR';
+    changelog.problems.push(`No changelog entry references ${pr} or an issue`);
+  }
+
+  if (changelog.entries.length > 0) {
+    changelog.status = changelog.problems.length > 0 ? 'invalid' : 'valid';
+  } else if (unverified) {
+    changelog.status = 'unverified';
+  }
+  changelog.ok = ['valid', 'unverified'].includes(changelog.status);
+
+  return changelog;
+}
+
+/**
+ * Find broken links in changed Markdown docs: missing files, links to files
+ * the PR deletes or renames, missing heading anchors and malformed URLs.
+ * Without `repoFiles`, only links to files in the PR are checked.
+ */
+function checkLinks(docFiles, files, contents, { repoFiles, linkedDocs }) {
+  const brokenLinks = [];
+  const existing = repoFiles ? new Set(repoFiles) : null;
+  const directories = new Set((repoFiles || []).flatMap(parentDirectories));
+  const removed = new Map(files.filter(f => f.status === 'removed').map(f => [f.filename, null]));
+  for (const file of files.filter(f => f.status === 'renamed' && f.previous_filename)) {
+    removed.set(file.previous_filename, file.filename);
+  }
+  const anchorCache = {};
+  const anchorsOf = (filename) => {
+    if (!(filename in anchorCache)) {
+      const content = contents[filename]?.head ?? linkedDocs[filename];
+      anchorCache[filename] = typeof content === 'string' ? extractAnchors(content) : null;
+    }
+    return anchorCache[filename];
+  };
+
+  for (const file of docFiles) {
+    if (file.status === 'removed' || !isMarkdownFile(file.filename)) continue;
+
+    const content = contents[file.filename]?.head;
+    if (!content) continue;
+
+    for (const link of extractLinks(content)) {
+      const reason = checkLink(file.filename, link.target, { existing, directories, removed, anchorsOf });
+      if (reason) {
+        brokenLinks.push({ filename: file.filename, line: link.line, target: link.target, image: link.image, reason });
+      }
+    }
+  }
+
+  return brokenLinks;
+}
+
+/**
+ * Why a link is broken, or null if it resolves
+ */
+function checkLink(filename, target, { existing, directories, removed, anchorsOf }) {
+  const link = resolveLink(filename, target);
+  if (link.external) {
+    return isValidUrl(target) ? null : 'Malformed URL';
+  }
+  if (link.outside) {
+    return 'Points outside the repository';
+  }
+
+  const targetFile = link.path ?? filename;
+  if (removed.has(targetFile)) {
+    const renamedTo = removed.get(targetFile);
+    return renamedTo ? `File renamed to \`${renamedTo}\` in this PR` : 'File deleted in this PR';
+  }
+  if (existing && targetFile !== '.' && !existing.has(targetFile) && !directories.has(targetFile)) {
+    return 'File not found';
+  }
+
+  if (link.anchor && isMarkdownFile(targetFile)) {
+    const anchors = anchorsOf(targetFile);
+    if (anchors && !anchors.has(link.anchor) && !anchors.has(link.anchor.toLowerCase())) {
+      return `Heading \`#${link.anchor}\` not found`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if a module is a public entry point: a `main`, `module` or `exports`
+ * target of the nearest package.json, compared without extensions so builds
+ * under dist/, build/, lib/ or out/ match their src/ modules. A Python
+ * package's __init__.py always is.
+ */
+function isEntryPoint(filename, manifests) {
+  if (path.posix.basename(filename) === '__init__.py') return true;
+
+  const packageDir = [...parentDirectories(filename).reverse(), '']
+    .find(dir => path.posix.join(dir, 'package.json') in manifests);
+  if (packageDir === undefined) return false;
+
+  const entryPoints = getPackageEntryPoints(manifests[path.posix.join(packageDir, 'package.json')]) || [];
+  const stem = moduleStem(packageDir ? filename.slice(packageDir.length + 1) : filename);
+  return entryPoints.some(entryPoint => {
+    const target = moduleStem(entryPoint);
+    const candidates = [target, target.replace(BUILD_DIR_PATTERN, 'src$2'), target.replace(BUILD_DIR_PATTERN, '')];
+    return candidates.some(candidate =>
+      candidate.includes('*') ? minimatch(stem, candidate.replace(/\*/g, '**')) : candidate === stem
+    );
+  });
+}
+
+/**
+ * Module path without its extension or trailing index, e.g. lib/index.d.ts -> lib
+ */
+function moduleStem(filePath) {
+  return filePath.replace(/(\.d)?\.[cm]?[jt]sx?$/, '').replace(/(^|\/)index$/, '');
+}
+
+/**
+ * Every directory containing a path, e.g. a/b/c.md -> a, a/b
+ */
+function parentDirectories(filePath) {
+  const parts = filePath.split('/').slice(0, -1);
+  return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Find action.yml input and output changes the docs don't reflect: added
+ * options missing from the docs, removed options still documented and
+ * documented defaults that differ from the new default.
+ * Returns { drift, checked } with the action files that could be compared.
+ */
+function checkActionDrift(files, contents, linkedDocs) {
+  const drift = [];
+  const checked = [];
+
+  for (const file of files) {
+    if (file.status === 'removed' || !isActionFile(file.filename)) continue;
+
+    const versions = contents[file.filename];
+    const head = parseActionMetadata(versions?.head);
+    if (!head) continue;
+
+    const docs = getActionDocPaths(file.filename)
+      .map(docPath => ({ path: docPath, content: contents[docPath]?.head ?? linkedDocs[docPath] }))
+      .filter(doc => typeof doc.content === 'string')
+      .map(doc => ({ ...doc, options: extractDocumentedOptions(doc.content) }));
+    if (docs.length === 0) continue;
+
+    checked.push(file.filename);
+    const docNames = docs.map(doc => doc.path).join(' or ');
+    const label = (kind, name) => `${kind === 'input' ? 'Input' : 'Output'} \`${name}\``;
+
+    for (const change of diffActionMetadata(parseActionMetadata(versions.base), head)) {
+      const mentions = docs
+        .map(doc => ({ path: doc.path, ...doc.options[`${change.kind}s`][change.name] }))
+        .filter(mention => mention.line);
+      const add = (message) => drift.push({ filename: file.filename, ...change, message });
+
+      if (change.change === 'added' && mentions.length === 0) {
+        add(`${label(change.kind, change.name)} is not documented in ${docNames}`);
+      } else if (change.change === 'removed' && mentions.length > 0) {
+        add(`${label(change.kind, change.name)} was removed but is still documented in ${mentions.map(m => `${m.path}:${m.line}`).join(', ')}`);
+      } else if (change.change === 'default') {
+        for (const mention of mentions.filter(m => m.default !== undefined && m.default !== change.to)) {
+          add(`${label(change.kind, change.name)} defaults to ${formatDefault(change.to)} but ${mention.path}:${mention.line} says ${formatDefault(mention.default)}`);
+        }
+      }
+    }
+  }
+
+  return { drift, checked };
+}
+
+/**
+ * Docs describing an action's options: the README.md and docs/configuration.md
+ * in the action's directory
+ */
+function getActionDocPaths(actionFile) {
+  const dir = path.posix.dirname(actionFile);
+  return ['README.md', 'docs/configuration.md'].map(doc => (dir === '.' ? doc : `${dir}/${doc}`));
+}
+
+function formatDefault(value) {
+  return value === null ? 'no default' : `\`${value}\``;
+}
+
+/**
+ * Count doc comments on functions, classes and methods defined on added lines.
+ * Head contents give the surrounding lines; without them only added lines are seen.
+ */
+function analyzeInlineDocs(files, diffFiles, contents) {
+  const inlineDocs = { symbols: 0, documented: 0, coverage: null, undocumented: [] };
+
+  for (const file of files) {
+    if (file.status === 'removed' || !getSymbolLanguage(file.filename) || isTestFile(file.filename)) continue;
+
+    const added = diffFiles[file.filename]?.added || [];
+    if (added.length === 0) continue;
+
+    const addedLines = new Set(added.map(a => a.line));
+    const content = contents[file.filename]?.head ?? sparseContent(added);
+    const symbols = extractSymbols(file.filename, content).filter(s => addedLines.has(s.line));
+
+    inlineDocs.symbols += symbols.length;
+    inlineDocs.documented += symbols.filter(s => s.documented).length;
+    inlineDocs.undocumented.push(...symbols
+      .filter(s => s.public && !s.documented)
+      .map(({ name, kind, line }) => ({ filename: file.filename, line, name, kind })));
+  }
+
+  inlineDocs.coverage = percentage(inlineDocs.documented, inlineDocs.symbols);
+  return inlineDocs;
+}
+
+/**
+ * Rebuild a file from its added lines, leaving the others blank
+ */
+function sparseContent(added) {
+  const lines = [];
+  for (const { line, content } of added) {
+    lines[line - 1] = content;
+  }
+  return Array.from(lines, line => line ?? '').join('\n');
+}
+
 /**
  * Check if a file is a documentation file
  */
@@ -211,4 +635,4 @@ function shouldIgnore(filename, patterns) {
   return patterns.some(p => minimatch(filename, p));
 }
 
-module.exports = { analyzeDocs, isDocFile };
+module.exports = { analyzeDocs, isDocFile, getActionDocPaths };
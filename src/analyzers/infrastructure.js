@@ -0,0 +1,357 @@
+/**
+ * Infrastructure Analyzer
+ * Checks Dockerfiles, Kubernetes manifests and Terraform for misconfigurations
+ */
+
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+const { parseDiffHunks } = require('../utils/diff');
+const { escapeRegExp } = require('../utils/regex');
+
+const DOCKER_FILES = ['**/Dockerfile', '**/Dockerfile.*', '**/*.dockerfile', '**/Containerfile'];
+const KUBERNETES_PATHS = ['**/k8s/**/*.{yml,yaml}', '**/kubernetes/**/*.{yml,yaml}', '**/helm/**/*.{yml,yaml}'];
+const TERRAFORM_FILES = ['**/*.tf'];
+
+// Rules applied to added lines. `context` receives the 0-based line index and
+// the parsed head file, for checks that depend on the enclosing block.
+const LINE_RULES = {
+  docker: [
+    { id: 'curl-pipe-shell', pattern: /\b(curl|wget)\b.*\|\s*(sudo\s+)?(ba|z|da)?sh\b/, severity: 'high', message: 'Remote script piped into a shell; download, verify and then run it' },
+    { id: 'add-remote-url', pattern: /^\s*ADD\s+(--\S+\s+)*https?:\/\//i, severity: 'medium', message: 'ADD with a remote URL fetches unverified content; use curl with a checksum or COPY' }
+  ],
+  kubernetes: [
+    { id: 'privileged-container', pattern: /^\s*privileged:\s*true\b/, severity: 'high', message: 'Privileged container has full access to the host' },
+    { id: 'host-namespace', pattern: /^\s*host(Network|PID|IPC):\s*true\b/, severity: 'high', message: 'Pod shares the host network, PID or IPC namespace' }
+  ],
+  terraform: [
+    { id: 'open-ingress', pattern: /["'](0\.0\.0\.0\/0|::\/0)["']/, context: isIngressContext, severity: 'high', message: 'Ingress open to the entire internet (0.0.0.0/0)' },
+    { id: 'public-s3-acl', pattern: /^\s*acl\s*=\s*"(public-read|public-read-write|authenticated-read)"/, severity: 'high', message: 'S3 bucket ACL grants public access' },
+    { id: 'public-access-block-disabled', pattern: /^\s*(block_public_acls|block_public_policy|ignore_public_acls|restrict_public_buckets)\s*=\s*false\b/, severity: 'medium', message: 'S3 public access block setting disabled' },
+    { id: 'encryption-disabled', pattern: /^\s*(encrypted|storage_encrypted|encrypt_at_rest|enable_encryption)\s*=\s*false\b/, severity: 'high', message: 'Storage encryption explicitly disabled' }
+  ]
+};
+
+// Workload kinds and the path to their pod spec
+const POD_SPEC_PATHS = {
+  Pod: ['spec'],
+  Deployment: ['spec', 'template', 'spec'],
+  StatefulSet: ['spec', 'template', 'spec'],
+  DaemonSet: ['spec', 'template', 'spec'],
+  ReplicaSet: ['spec', 'template', 'spec'],
+  Job: ['spec', 'template', 'spec'],
+  CronJob: ['spec', 'jobTemplate', 'spec', 'template', 'spec']
+};
+
+// Terraform storage resources and the attribute that enables encryption
+const ENCRYPTED_RESOURCES = {
+  aws_ebs_volume: 'encrypted',
+  aws_db_instance: 'storage_encrypted',
+  aws_rds_cluster: 'storage_encrypted',
+  aws_efs_file_system: 'encrypted',
+  aws_redshift_cluster: 'encrypted'
+};
+
+/**
+ * Analyze infrastructure files. Line rules run on added lines; checks for
+ * missing settings run on the whole file and report only what the PR
+ * introduces. `contents` maps filenames to { base, head } contents.
+ */
+async function analyzeInfrastructure(files, diff, options = {}) {
+  const { contents = {}, ignorePatterns = [] } = options;
+  const diffFiles = parseDiffHunks(diff);
+
+  const result = {
+    files: [],
+    findings: [],
+    details: []
+  };
+
+  for (const file of files) {
+    if (file.status === 'removed') continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const versions = contents[file.filename] || {};
+    const type = getInfrastructureType(file.filename, versions.head);
+    if (!type) continue;
+
+    const headLines = (versions.head || '').split(/\r?\n/);
+    const parsed = type === 'terraform' ? parseTerraformBlocks(headLines) : null;
+    const findings = [];
+
+    for (const { line, content } of diffFiles[file.filename]?.added || []) {
+      if (/^\s*(#|\/\/)/.test(content)) continue;
+
+      for (const rule of LINE_RULES[type]) {
+        if (!rule.pattern.test(content)) continue;
+        if (rule.context && !rule.context(line - 1, parsed)) continue;
+        findings.push(createFinding(file.filename, line, rule.id, rule.severity, rule.message));
+      }
+    }
+
+    if (versions.head) {
+      const baseKeys = new Set(versions.base ? FILE_CHECKS[type](versions.base).map(issue => issue.key) : []);
+      for (const issue of FILE_CHECKS[type](versions.head)) {
+        if (baseKeys.has(issue.key)) continue;
+        findings.push(createFinding(file.filename, issue.line, issue.rule, issue.severity, issue.message));
+      }
+    }
+
+    findings.sort((a, b) => a.line - b.line);
+    result.files.push({ filename: file.filename, type, issues: findings.length });
+    result.findings.push(...findings);
+  }
+
+  if (result.findings.length > 0) {
+    const affected = new Set(result.findings.map(f => f.filename));
+    result.details.push(`🏗️ ${result.findings.length} infrastructure misconfiguration(s) in ${affected.size} file(s)`);
+  }
+
+  result.summary = {
+    files: result.files.length,
+    issues: result.findings.length,
+    highSeverity: result.findings.filter(f => f.severity === 'high').length
+  };
+
+  return result;
+}
+
+/**
+ * Classify a file as docker, kubernetes or terraform, or null. YAML outside
+ * the usual directories counts as Kubernetes when it declares apiVersion and kind.
+ */
+function getInfrastructureType(filename, content) {
+  const matches = globs => globs.some(p => minimatch(filename, p, { dot: true }));
+
+  if (matches(DOCKER_FILES)) return 'docker';
+  if (matches(TERRAFORM_FILES)) return 'terraform';
+  if (matches(KUBERNETES_PATHS)) return 'kubernetes';
+  if (/\.ya?ml$/.test(filename) && /^apiVersion:/m.test(content || '') && /^kind:/m.test(content || '')) {
+    return 'kubernetes';
+  }
+  return null;
+}
+
+/**
+ * Files whose contents are needed to classify and check them. Any YAML file
+ * may be a Kubernetes manifest.
+ */
+function isInfrastructureFile(filename) {
+  return Boolean(getInfrastructureType(filename)) || /\.ya?ml$/.test(filename);
+}
+
+function createFinding(filename, line, rule, severity, message) {
+  return { filename, line, rule, category: 'infrastructure', severity, message };
+}
+
+// Whole-file checks, returning { rule, severity, line, message, key }
+const FILE_CHECKS = {
+  docker: checkDockerfile,
+  kubernetes: checkKubernetesManifest,
+  terraform: checkTerraform
+};
+
+/**
+ * Base image tags and the user of the final stage
+ */
+function checkDockerfile(content) {
+  const instructions = parseDockerInstructions(content);
+  const issues = [];
+  const stages = new Set();
+  let finalStage = null;
+
+  for (const { line, keyword, args } of instructions) {
+    if (keyword === 'USER' && finalStage) finalStage.user = args[0];
+    if (keyword !== 'FROM') continue;
+
+    const [image, , alias] = args.filter(arg => !arg.startsWith('--'));
+    finalStage = { line, user: null };
+    if (alias) stages.add(alias.toLowerCase());
+
+    if (!image || image === 'scratch' || image.includes('$') || stages.has(image.toLowerCase())) continue;
+    if (image.includes('@sha256:')) continue;
+
+    const tag = image.substring(image.lastIndexOf('/') + 1).split(':')[1];
+    if (!tag || tag === 'latest') {
+      issues.push({
+        rule: 'unpinned-base-image',
+        severity: 'medium',
+        line,
+        message: `Base image ${image} ${tag ? 'uses the latest tag' : 'has no tag'}; pin a version or digest`,
+        key: `unpinned-base-image|${image}`
+      });
+    }
+  }
+
+  if (finalStage) {
+    const user = (finalStage.user || '').split(':')[0];
+    if (!user || user === 'root' || user === '0') {
+      issues.push({
+        rule: 'root-user',
+        severity: 'medium',
+        line: finalStage.line,
+        message: finalStage.user ? 'Container runs as root (USER root)' : 'No USER instruction; the container runs as root',
+        key: 'root-user'
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Join continuation lines into instructions, keeping the first line number
+ */
+function parseDockerInstructions(content) {
+  const instructions = [];
+  let current = null;
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const text = rawLine.trim();
+    if (!current && (!text || text.startsWith('#'))) return;
+
+    current = current ? { ...current, text: `${current.text} ${text}` } : { line: index + 1, text };
+    if (text.endsWith('\\')) {
+      current.text = current.text.slice(0, -1);
+      return;
+    }
+
+    const [keyword, ...args] = current.text.split(/\s+/);
+    instructions.push({ line: current.line, keyword: keyword.toUpperCase(), args });
+    current = null;
+  });
+
+  return instructions;
+}
+
+/**
+ * Containers without resource limits
+ */
+function checkKubernetesManifest(content) {
+  let documents;
+  try {
+    documents = yaml.loadAll(content);
+  } catch {
+    // Helm templates aren't valid YAML until rendered
+    return [];
+  }
+
+  const lines = content.split(/\r?\n/);
+  const issues = [];
+
+  for (const doc of documents) {
+    const specPath = POD_SPEC_PATHS[doc?.kind];
+    if (!specPath) continue;
+
+    const podSpec = specPath.reduce((node, key) => node?.[key], doc);
+    const containers = [...(podSpec?.containers || []), ...(podSpec?.initContainers || [])];
+    const workload = `${doc.kind}/${doc.metadata?.name || 'unnamed'}`;
+
+    for (const container of containers) {
+      if (container?.resources?.limits) continue;
+
+      const name = container?.name || 'unnamed';
+      issues.push({
+        rule: 'missing-resource-limits',
+        severity: 'medium',
+        line: findContainerLine(lines, name),
+        message: `Container "${name}" in ${workload} has no resource limits`,
+        key: `missing-resource-limits|${workload}|${name}`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Line of a container's list item, searched after the first containers key
+ */
+function findContainerLine(lines, name) {
+  const start = lines.findIndex(line => /^\s*(initContainers|containers):/.test(line));
+  const pattern = new RegExp(`^\\s*-\\s*name:\\s*["']?${escapeRegExp(name)}["']?\\s*$`);
+  const index = lines.findIndex((line, i) => i > start && pattern.test(line));
+  return index >= 0 ? index + 1 : Math.max(start, 0) + 1;
+}
+
+/**
+ * Storage resources without encryption enabled
+ */
+function checkTerraform(content) {
+  const { resources } = parseTerraformBlocks(content.split(/\r?\n/));
+  const issues = [];
+
+  for (const resource of resources) {
+    const attribute = ENCRYPTED_RESOURCES[resource.type];
+    if (!attribute) continue;
+    if (new RegExp(`^\\s*${attribute}\\s*=\\s*true\\b`, 'm').test(resource.body)) continue;
+
+    issues.push({
+      rule: 'unencrypted-storage',
+      severity: 'medium',
+      line: resource.line,
+      message: `${resource.type}.${resource.name} does not set ${attribute} = true`,
+      key: `unencrypted-storage|${resource.type}.${resource.name}`
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Track block nesting in Terraform. Returns the enclosing block headers for
+ * every line and the top-level resources with their bodies.
+ */
+function parseTerraformBlocks(lines) {
+  const stacks = [];
+  const resources = [];
+  const stack = [];
+  let heredoc = null;
+
+  lines.forEach((line, index) => {
+    stacks.push(stack.map(block => block.header));
+
+    if (heredoc) {
+      if (line.trim() === heredoc) heredoc = null;
+      return;
+    }
+    const heredocStart = line.match(/<<-?(\w+)\s*$/);
+    if (heredocStart) {
+      heredoc = heredocStart[1];
+      return;
+    }
+
+    const code = line.replace(/"(\\.|[^"\\])*"/g, '""').replace(/(#|\/\/).*$/, '');
+    for (const char of code) {
+      if (char === '{') {
+        stack.push({ header: line.substring(0, line.indexOf('{')).trim(), start: index });
+      } else if (char === '}') {
+        const block = stack.pop();
+        const resource = block && stack.length === 0 && block.header.match(/^resource\s+"([^"]+)"\s+"([^"]+)"/);
+        if (resource) {
+          resources.push({ type: resource[1], name: resource[2], line: block.start + 1, body: lines.slice(block.start, index + 1).join('\n') });
+        }
+      }
+    }
+  });
+
+  return { stacks, resources, lines };
+}
+
+/**
+ * Whether a CIDR on this line applies to inbound traffic
+ */
+function isIngressContext(index, parsed) {
+  if (/^\s*source_ranges\s*=/.test(parsed.lines[index])) return true;
+
+  const headers = parsed.stacks[index] || [];
+  if (headers.some(header => /^ingress\b/.test(header))) return true;
+
+  const resource = headers[0]?.match(/^resource\s+"([^"]+)"/);
+  if (!resource) return false;
+  if (/ingress/.test(resource[1])) return true;
+
+  const block = parsed.resources.find(r => r.line <= index + 1 && index + 1 <= r.line + r.body.split('\n').length - 1);
+  return Boolean(block && /^\s*type\s*=\s*"ingress"/m.test(block.body));
+}
+
+module.exports = { analyzeInfrastructure, getInfrastructureType, isInfrastructureFile };
@@ -0,0 +1,159 @@
+/**
+ * Lockfile Analyzer
+ * Flags supply-chain red flags in npm, Yarn and pnpm lockfile changes
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { getLockfileType, getLockfileManifest, parseLockfile } = require('../parsers/lockfiles');
+const { parseManifest } = require('../parsers/manifests');
+const { escapeRegExp } = require('../utils/regex');
+
+// Registries packages may be resolved from without being flagged
+const DEFAULT_REGISTRIES = ['registry.npmjs.org', 'registry.yarnpkg.com'];
+
+/**
+ * Analyze lockfile changes.
+ * `contents` maps filenames to { base, head } contents of changed files and
+ * `manifests` maps package.json paths to head contents, used to tell which
+ * packages are required when the lockfile doesn't record it.
+ */
+async function analyzeLockfiles(files, options = {}) {
+  const {
+    contents = {},
+    manifests = {},
+    allowedRegistries = [],
+    ignorePatterns = []
+  } = options;
+
+  const registries = [...DEFAULT_REGISTRIES, ...allowedRegistries.map(registryHost)];
+
+  const result = {
+    lockfiles: [],
+    issues: [],
+    findings: [],
+    details: []
+  };
+
+  for (const file of files) {
+    if (!getLockfileType(file.filename) || file.status === 'removed') continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const versions = contents[file.filename];
+    if (!versions?.head) continue;
+
+    const base = parseLockfile(file.previous_filename || file.filename, versions.base);
+    const head = parseLockfile(file.filename, versions.head);
+    const dir = path.posix.dirname(file.filename);
+    const manifestPath = getLockfileManifest(file.filename);
+
+    // Requirements from the manifest cover lockfiles that don't list the root's dependencies
+    const manifest = parseManifest(manifestPath, contents[manifestPath]?.head ?? manifests[manifestPath] ?? null);
+    const required = new Set([...head.required, ...Object.keys(manifest.dependencies)]);
+    const baseNames = new Set(Object.values(base.packages).map(p => p.name));
+
+    const issues = [];
+    const addIssue = (type, pkg, message) => {
+      issues.push({ lockfile: file.filename, type, package: pkg?.name || null, version: pkg?.version || null, message });
+    };
+
+    const manifestChanged = files.some(f =>
+      path.posix.basename(f.filename) === 'package.json' && (dir === '.' || f.filename.startsWith(`${dir}/`))
+    );
+    if (file.status !== 'added' && !manifestChanged) {
+      addIssue('lockfile-only', null, 'Lockfile changed without a matching package.json change');
+    }
+
+    let added = 0;
+    for (const [key, pkg] of Object.entries(head.packages)) {
+      const previous = base.packages[key];
+      if (!previous) added++;
+
+      if (previous && previous.integrity && pkg.integrity && previous.integrity !== pkg.integrity) {
+        addIssue('integrity', pkg, `Integrity hash of ${pkg.name}@${pkg.version} changed without a version change`);
+      }
+
+      if (pkg.resolved && pkg.resolved !== previous?.resolved && !isAllowedRegistry(pkg.resolved, registries)) {
+        addIssue('registry', pkg, `${pkg.name}@${pkg.version} resolves outside the default registry: ${pkg.resolved}`);
+      }
+
+      if (!previous && !baseNames.has(pkg.name) && !required.has(pkg.name)) {
+        addIssue('unrequired', pkg, `${pkg.name}@${pkg.version} was added to the lockfile but nothing requires it`);
+      }
+    }
+
+    const removed = Object.keys(base.packages).filter(key => !head.packages[key]).length;
+    result.lockfiles.push({ filename: file.filename, type: getLockfileType(file.filename), added, removed });
+    result.issues.push(...issues);
+    result.findings.push(...issues.map(issue => ({
+      filename: file.filename,
+      line: issue.package ? findPackageLine(versions.head, issue.package, issue.version) : null,
+      type: issue.type,
+      category: 'dependencies',
+      severity: 'high',
+      message: issue.message
+    })));
+  }
+
+  if (result.issues.length > 0) {
+    result.details.push(`🔐 ${result.issues.length} lockfile issue(s) need review`);
+  }
+
+  result.summary = {
+    lockfiles: result.lockfiles.length,
+    issues: result.issues.length,
+    lockfileOnly: result.issues.filter(i => i.type === 'lockfile-only').length,
+    registry: result.issues.filter(i => i.type === 'registry').length,
+    integrity: result.issues.filter(i => i.type === 'integrity').length,
+    unrequired: result.issues.filter(i => i.type === 'unrequired').length
+  };
+
+  return result;
+}
+
+/**
+ * Check a resolved URL against the allowed registry hosts.
+ * Git, file and other non-HTTP sources are never allowed.
+ */
+function isAllowedRegistry(resolved, registries) {
+  let url;
+  try {
+    url = new URL(resolved);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  return registries.includes(url.host);
+}
+
+/**
+ * Accept registries as hosts or URLs
+ */
+function registryHost(registry) {
+  try {
+    return new URL(registry).host;
+  } catch {
+    return registry.replace(/\/.*$/, '');
+  }
+}
+
+/**
+ * Line of the lockfile entry for a package: the first entry header naming
+ * the package whose version follows closely
+ */
+function findPackageLine(content, name, version) {
+  const lines = content.split(/\r?\n/);
+  const escaped = escapeRegExp(name);
+  const header = new RegExp(`(^|[\\s"'/])${escaped}(@|"|'|/).*[:{]$`);
+  let fallback = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!header.test(lines[i].trimEnd())) continue;
+    if (fallback === null) fallback = i + 1;
+    if (lines.slice(i, i + 4).some(line => line.includes(version))) return i + 1;
+  }
+
+  return fallback;
+}
+
+module.exports = { analyzeLockfiles, isAllowedRegistry, DEFAULT_REGISTRIES };
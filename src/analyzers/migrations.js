@@ -0,0 +1,261 @@
+/**
+ * Migration Analyzer
+ * Classifies operations in database migrations so only destructive ones are escalated
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { parseDiffHunks } = require('../utils/diff');
+const { isTestFile } = require('./coverage');
+
+// Files treated as migrations. Schema dumps are excluded: they describe the
+// end state rather than the operations that get there.
+const MIGRATION_PATTERNS = ['**/migrations/**', '**/migrate/**', '**/alembic/versions/**', '**/*.sql'];
+const SCHEMA_DUMP_PATTERNS = ['**/schema*', '**/structure.sql'];
+
+const SQL_FILES = ['**/*.sql'];
+const RUBY_FILES = ['**/*.rb'];
+const PY_FILES = ['**/*.py'];
+const JS_FILES = ['**/*.{js,ts,mjs,cjs}'];
+
+const EXPLANATIONS = {
+  dropTable: 'Deletes the table and all of its rows; code that still queries it fails.',
+  dropColumn: 'Deletes the column and its data; the running release fails if it still reads or writes it.',
+  truncate: 'Deletes every row in the table.',
+  typeChange: 'Can truncate or fail to convert existing values and usually rewrites the table under an exclusive lock.',
+  alterColumn: 'Redefines the column; check whether its type changes, which can lose data and lock the table.',
+  rename: 'The running release still uses the old name and breaks until the new code is deployed; add, backfill and switch over instead.',
+  notNullColumn: 'Adding a NOT NULL column without a default fails on tables that already have rows.',
+  setNotNull: 'Checks every row under an exclusive lock and fails if any value is null.',
+  index: 'Without a concurrent build, Postgres blocks writes to the table until the index is built.'
+};
+
+// Operation rules. `destructive` operations lose data or break running code and
+// are escalated to high; `risky` ones are reported as medium.
+// `unless` suppresses a match. `table` captures the affected table so that
+// operations on tables created by the same migration aren't reported; rules
+// that can't tell which table they touch use `skipOnCreate` instead.
+const MIGRATION_RULES = [
+  // Raw SQL, including SQL embedded in DSL migrations
+  { id: 'drop-table', pattern: /\bDROP\s+TABLE\b/i, kind: 'destructive', operation: 'Drop table', explanation: EXPLANATIONS.dropTable },
+  { id: 'drop-schema', pattern: /\bDROP\s+(SCHEMA|DATABASE)\b/i, kind: 'destructive', operation: 'Drop schema', explanation: 'Deletes every object in the schema along with its data.' },
+  { id: 'drop-column', pattern: /\bDROP\s+COLUMN\b/i, kind: 'destructive', operation: 'Drop column', explanation: EXPLANATIONS.dropColumn },
+  { id: 'truncate', pattern: /\bTRUNCATE\b/i, kind: 'destructive', operation: 'Truncate table', explanation: EXPLANATIONS.truncate },
+  { id: 'delete-all', pattern: /\bDELETE\s+FROM\s+[\w."`]+\s*(;|$|['"`)])/i, kind: 'destructive', operation: 'Delete all rows', explanation: 'DELETE without a WHERE clause removes every row in the table.' },
+  { id: 'column-type', pattern: /\bALTER\s+COLUMN\s+\S+\s+(SET\s+DATA\s+)?TYPE\b|\bMODIFY\s+COLUMN\b|\bCHANGE\s+COLUMN\b/i, kind: 'destructive', operation: 'Change column type', explanation: EXPLANATIONS.typeChange },
+  { id: 'rename', pattern: /\bRENAME\s+(TO|COLUMN|TABLE)\b|\bsp_rename\b/i, kind: 'destructive', operation: 'Rename', explanation: EXPLANATIONS.rename },
+  { id: 'add-not-null', pattern: /\bADD\s+(COLUMN\s+)?[\w"`]+\s+[^;]*\bNOT\s+NULL\b/i, unless: /\bDEFAULT\b/i, kind: 'risky', operation: 'Add NOT NULL column', explanation: EXPLANATIONS.notNullColumn },
+  { id: 'set-not-null', pattern: /\bALTER\s+COLUMN\s+\S+\s+SET\s+NOT\s+NULL\b/i, kind: 'risky', operation: 'Set NOT NULL', explanation: EXPLANATIONS.setNotNull },
+  { id: 'create-index', pattern: /\bCREATE\s+(UNIQUE\s+)?INDEX\s+(?!CONCURRENTLY)(?:IF\s+NOT\s+EXISTS\s+)?[\w."]*\s*ON\s+(?:ONLY\s+)?([\w."]+)/i, table: 2, engines: ['postgres'], kind: 'risky', operation: 'Create index', explanation: EXPLANATIONS.index },
+
+  // Rails
+  { id: 'rails-drop-table', pattern: /\bdrop_table\b/, files: RUBY_FILES, kind: 'destructive', operation: 'Drop table', explanation: EXPLANATIONS.dropTable },
+  { id: 'rails-remove-column', pattern: /\bremove_(column|columns|reference|belongs_to|timestamps)\b/, files: RUBY_FILES, kind: 'destructive', operation: 'Drop column', explanation: EXPLANATIONS.dropColumn },
+  { id: 'rails-change-column', pattern: /\bchange_column\s/, files: RUBY_FILES, kind: 'destructive', operation: 'Change column type', explanation: EXPLANATIONS.typeChange },
+  { id: 'rails-rename', pattern: /\brename_(column|table)\b/, files: RUBY_FILES, kind: 'destructive', operation: 'Rename', explanation: EXPLANATIONS.rename },
+  { id: 'rails-add-not-null', pattern: /\badd_(column|reference|belongs_to)\s+:?["']?(\w+).*\bnull:\s*false\b/, table: 2, unless: /\bdefault:/, files: RUBY_FILES, kind: 'risky', operation: 'Add NOT NULL column', explanation: EXPLANATIONS.notNullColumn },
+  { id: 'rails-set-not-null', pattern: /\bchange_column_null\b.*,\s*false\b/, files: RUBY_FILES, kind: 'risky', operation: 'Set NOT NULL', explanation: EXPLANATIONS.setNotNull },
+  { id: 'rails-add-index', pattern: /\badd_index\s+:?["']?(\w+)/, table: 1, unless: /algorithm:\s*:concurrently/, engines: ['postgres'], files: RUBY_FILES, kind: 'risky', operation: 'Create index', explanation: EXPLANATIONS.index },
+
+  // Django
+  { id: 'django-delete-model', pattern: /\bmigrations\.DeleteModel\b/, files: PY_FILES, kind: 'destructive', operation: 'Drop table', explanation: EXPLANATIONS.dropTable },
+  { id: 'django-remove-field', pattern: /\bmigrations\.RemoveField\b/, files: PY_FILES, kind: 'destructive', operation: 'Drop column', explanation: EXPLANATIONS.dropColumn },
+  { id: 'django-rename', pattern: /\bmigrations\.Rename(Field|Model)\b/, files: PY_FILES, kind: 'destructive', operation: 'Rename', explanation: EXPLANATIONS.rename },
+  { id: 'django-alter-field', pattern: /\bmigrations\.AlterField\b/, files: PY_FILES, kind: 'risky', operation: 'Alter column', explanation: EXPLANATIONS.alterColumn },
+  { id: 'django-add-field', pattern: /\bmigrations\.AddField\b(?=.*\bmodel_name\s*=\s*['"](\w+)['"])/, table: 1, unless: /\bnull\s*=\s*True\b|\bdefault\s*=|ManyToManyField/, files: PY_FILES, kind: 'risky', operation: 'Add NOT NULL column', explanation: EXPLANATIONS.notNullColumn },
+  { id: 'django-add-index', pattern: /\bmigrations\.AddIndex\b(?=.*\bmodel_name\s*=\s*['"](\w+)['"])/, table: 1, engines: ['postgres'], files: PY_FILES, kind: 'risky', operation: 'Create index', explanation: `${EXPLANATIONS.index} Use AddIndexConcurrently.` },
+
+  // Alembic
+  { id: 'alembic-drop-table', pattern: /\bop\.drop_table\b/, files: PY_FILES, kind: 'destructive', operation: 'Drop table', explanation: EXPLANATIONS.dropTable },
+  { id: 'alembic-drop-column', pattern: /\bop\.drop_column\b/, files: PY_FILES, kind: 'destructive', operation: 'Drop column', explanation: EXPLANATIONS.dropColumn },
+  { id: 'alembic-type', pattern: /\bop\.alter_column\b.*\btype_\s*=/, files: PY_FILES, kind: 'destructive', operation: 'Change column type', explanation: EXPLANATIONS.typeChange },
+  { id: 'alembic-rename', pattern: /\bop\.rename_table\b|\bop\.alter_column\b.*\bnew_column_name\s*=/, files: PY_FILES, kind: 'destructive', operation: 'Rename', explanation: EXPLANATIONS.rename },
+  { id: 'alembic-set-not-null', pattern: /\bop\.alter_column\b.*\bnullable\s*=\s*False\b/, files: PY_FILES, kind: 'risky', operation: 'Set NOT NULL', explanation: EXPLANATIONS.setNotNull },
+  { id: 'alembic-add-not-null', pattern: /\bop\.add_column\s*\(\s*['"](\w+)['"].*\bnullable\s*=\s*False\b/, table: 1, unless: /\bserver_default\s*=/, files: PY_FILES, kind: 'risky', operation: 'Add NOT NULL column', explanation: EXPLANATIONS.notNullColumn },
+  { id: 'alembic-create-index', pattern: /\bop\.create_index\s*\(\s*[^,]+,\s*['"](\w+)['"]/, table: 1, unless: /postgresql_concurrently\s*=\s*True/, engines: ['postgres'], files: PY_FILES, kind: 'risky', operation: 'Create index', explanation: EXPLANATIONS.index },
+
+  // Knex
+  { id: 'knex-drop-table', pattern: /\.dropTable(IfExists)?\s*\(/, files: JS_FILES, kind: 'destructive', operation: 'Drop table', explanation: EXPLANATIONS.dropTable },
+  { id: 'knex-drop-column', pattern: /\.dropColumns?\s*\(/, files: JS_FILES, kind: 'destructive', operation: 'Drop column', explanation: EXPLANATIONS.dropColumn },
+  { id: 'knex-rename', pattern: /\.rename(Column|Table)\s*\(/, files: JS_FILES, kind: 'destructive', operation: 'Rename', explanation: EXPLANATIONS.rename },
+  { id: 'knex-alter', pattern: /\.alter\s*\(/, files: JS_FILES, kind: 'risky', operation: 'Alter column', explanation: EXPLANATIONS.alterColumn },
+  { id: 'knex-not-null', pattern: /\.notNullable\s*\(/, unless: /\.defaultTo\s*\(/, skipOnCreate: true, files: JS_FILES, kind: 'risky', operation: 'Add NOT NULL column', explanation: EXPLANATIONS.notNullColumn },
+  { id: 'knex-index', pattern: /\.(index|unique)\s*\(/, engines: ['postgres'], skipOnCreate: true, files: JS_FILES, kind: 'risky', operation: 'Create index', explanation: EXPLANATIONS.index }
+];
+
+// Statements that create tables, capturing the table name
+const CREATE_TABLE_PATTERNS = [
+  /\bCREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w."]+)/i,
+  /\bcreate_table\s+:?["']?(\w+)/,
+  /\bmigrations\.CreateModel\s*\(\s*name\s*=\s*['"](\w+)['"]/,
+  /\bop\.create_table\s*\(\s*['"](\w+)['"]/,
+  /\.createTable\s*\(\s*['"`](\w+)['"`]/
+];
+
+const SEVERITY = { destructive: 'high', risky: 'medium' };
+
+/**
+ * Analyze operations added to migration files.
+ * Returns per-file `assessments` that replace the generic path-based
+ * database risk, and `findings` for each reported operation.
+ */
+async function analyzeMigrations(files, diff, options = {}) {
+  const { ignorePatterns = [], engine = 'postgres' } = options;
+  const diffFiles = parseDiffHunks(diff);
+
+  const result = {
+    migrations: [],
+    findings: [],
+    assessments: {},
+    details: []
+  };
+
+  for (const file of files) {
+    if (file.status === 'removed' || !isMigrationFile(file.filename)) continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const statements = toStatements(diffFiles[file.filename]?.added || [], isSqlFile(file.filename));
+    const operations = classifyStatements(file.filename, statements, engine);
+    const severity = operations.some(op => op.kind === 'destructive') ? 'high'
+      : operations.length > 0 ? 'medium' : 'low';
+
+    result.migrations.push({ filename: file.filename, severity, operations });
+    result.findings.push(...operations.map(op => ({
+      filename: file.filename,
+      line: op.line,
+      rule: op.rule,
+      category: 'database',
+      severity: op.severity,
+      message: `${op.operation}: ${op.explanation}`
+    })));
+
+    result.assessments[file.filename] = {
+      category: 'database',
+      severity,
+      message: severity === 'high' ? 'Destructive database migration'
+        : severity === 'medium' ? 'Database migration with risky operations'
+          : 'Database migration (no destructive operations)'
+    };
+  }
+
+  const destructive = result.migrations.filter(m => m.severity === 'high');
+  const risky = result.migrations.filter(m => m.severity === 'medium');
+
+  if (destructive.length > 0) {
+    result.details.push(`🧨 ${destructive.length} destructive migration(s)`);
+  }
+  if (risky.length > 0) {
+    result.details.push(`⚠️ ${risky.length} migration(s) with risky operations`);
+  }
+  if (result.migrations.length > 0 && destructive.length === 0 && risky.length === 0) {
+    result.details.push(`✅ ${result.migrations.length} migration(s) without destructive operations`);
+  }
+
+  result.summary = {
+    migrations: result.migrations.length,
+    destructive: destructive.length,
+    risky: risky.length,
+    operations: result.findings.length
+  };
+
+  return result;
+}
+
+/**
+ * Match statements against the rules that apply to the file
+ */
+function classifyStatements(filename, statements, engine) {
+  const rules = MIGRATION_RULES.filter(rule =>
+    (!rule.files || rule.files.some(glob => minimatch(filename, glob, { dot: true }))) &&
+    (!rule.engines || rule.engines.includes(engine))
+  );
+
+  const createdTables = new Set();
+  for (const { text } of statements) {
+    for (const pattern of CREATE_TABLE_PATTERNS) {
+      const match = pattern.exec(text);
+      if (match) createdTables.add(normalizeTable(match[1]));
+    }
+  }
+
+  const operations = [];
+  for (const { line, text } of statements) {
+    for (const rule of rules) {
+      const match = rule.pattern.exec(text);
+      if (!match || rule.unless?.test(text)) continue;
+
+      // New tables are empty and unused, so locking them is harmless
+      if (rule.table && createdTables.has(normalizeTable(match[rule.table]))) continue;
+      if (rule.skipOnCreate && createdTables.size > 0) continue;
+
+      operations.push({
+        line,
+        rule: rule.id,
+        operation: rule.operation,
+        kind: rule.kind,
+        severity: SEVERITY[rule.kind],
+        explanation: rule.explanation
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Group added lines into statements. SQL statements end with a semicolon;
+ * DSL calls end when their parentheses close and the next line doesn't
+ * continue a method chain, or when the line opens a callback body.
+ */
+function toStatements(addedLines, sql) {
+  const statements = [];
+  let current = null;
+  let depth = 0;
+  let previousLine = null;
+
+  const flush = () => {
+    if (current) statements.push(current);
+    current = null;
+    depth = 0;
+  };
+
+  for (const { line, content } of addedLines) {
+    const text = content.trim();
+
+    // Statements never span gaps between hunks
+    if (previousLine !== null && line !== previousLine + 1) flush();
+    previousLine = line;
+
+    if (!text || /^(--|#|\/\/)/.test(text)) continue;
+
+    if (current && !sql && depth <= 0 && !text.startsWith('.')) flush();
+
+    if (current) {
+      current.text += ` ${text}`;
+    } else {
+      current = { line, text };
+    }
+
+    depth += (text.match(/\(/g) || []).length - (text.match(/\)/g) || []).length;
+    if (sql ? text.endsWith(';') : text.endsWith('{')) flush();
+  }
+  flush();
+
+  return statements;
+}
+
+function isMigrationFile(filename) {
+  if (isTestFile(filename)) return false;
+  if (SCHEMA_DUMP_PATTERNS.some(p => minimatch(filename, p))) return false;
+  return MIGRATION_PATTERNS.some(p => minimatch(filename, p));
+}
+
+function isSqlFile(filename) {
+  return SQL_FILES.some(p => minimatch(filename, p));
+}
+
+function normalizeTable(name) {
+  return path.posix.basename(name.replace(/["`]/g, '').replace(/\./g, '/')).toLowerCase();
+}
+
+module.exports = { analyzeMigrations, isMigrationFile, MIGRATION_RULES };
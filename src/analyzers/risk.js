@@ -4,6 +4,9 @@
  */
 
 const { minimatch } = require('minimatch');
+const { parseDiffHunks } = require('../utils/diff');
+const { isTestFile } = require('./coverage');
+const { parseCodeowners, resolveOwners } = require('../utils/codeowners');
 
 // Default risk patterns with severity levels
 const DEFAULT_RISK_PATTERNS = [
@@ -45,6 +48,7 @@ const DEFAULT_RISK_PATTERNS = [
   { pattern: '**/package.json', category: 'dependencies', severity: 'medium', message: 'Node.js dependencies' },
   { pattern: '**/package-lock.json', category: 'dependencies', severity: 'low', message: 'Node.js lockfile' },
   { pattern: '**/yarn.lock', category: 'dependencies', severity: 'low', message: 'Yarn lockfile' },
+  { pattern: '**/pnpm-lock.yaml', category: 'dependencies', severity: 'low', message: 'pnpm lockfile' },
   { pattern: '**/requirements.txt', category: 'dependencies', severity: 'medium', message: 'Python dependencies' },
   { pattern: '**/Gemfile', category: 'dependencies', severity: 'medium', message: 'Ruby dependencies' },
   { pattern: '**/go.mod', category: 'dependencies', severity: 'medium', message: 'Go dependencies' },
@@ -63,22 +67,70 @@ const DEFAULT_RISK_PATTERNS = [
   { pattern: '**/Jenkinsfile', category: 'ci', severity: 'medium', message: 'Jenkins pipeline' },
 ];
 
+const JS_FILES = ['**/*.{js,jsx,ts,tsx,mjs,cjs}'];
+const PY_FILES = ['**/*.py'];
+
+// Content rules applied to added lines of the diff
+const CONTENT_RISK_RULES = [
+  // Dynamic code execution
+  { id: 'eval', pattern: /(^|[^\w.])eval\s*\(/, files: [...JS_FILES, ...PY_FILES], category: 'security', severity: 'high', message: 'Dynamic code execution with eval()' },
+  { id: 'new-function', pattern: /\bnew\s+Function\s*\(/, files: JS_FILES, category: 'security', severity: 'high', message: 'Dynamic code execution with new Function()' },
+  { id: 'exec-template', pattern: /\bexec(Sync)?\s*\(\s*`[^`]*\$\{/, files: JS_FILES, category: 'security', severity: 'high', message: 'Shell command built from a template string (command injection)' },
+  { id: 'shell-true', pattern: /\bsubprocess\.\w+\(.*shell\s*=\s*True/, files: PY_FILES, category: 'security', severity: 'medium', message: 'subprocess call with shell=True' },
+
+  // Injection
+  { id: 'sql-concat', pattern: /\b(SELECT\s.+\sFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b[^'"`]*['"`]\s*\+/i, category: 'security', severity: 'high', message: 'SQL built by string concatenation (SQL injection)' },
+  { id: 'sql-template', pattern: /\b(query|execute|raw)\s*\(\s*(`|f['"])[^`'"]*\b(SELECT|INSERT|UPDATE|DELETE)\b[^`'"]*(\$\{|\{)/i, category: 'security', severity: 'high', message: 'SQL built by string interpolation (SQL injection)' },
+  { id: 'sql-format', pattern: /\b(execute|query)\s*\(\s*['"][^'"]*\b(SELECT|INSERT|UPDATE|DELETE)\b[^'"]*['"]\s*(%|\.format\()/i, files: PY_FILES, category: 'security', severity: 'high', message: 'SQL built by string formatting (SQL injection)' },
+  { id: 'dangerously-set-inner-html', pattern: /dangerouslySetInnerHTML/, files: JS_FILES, category: 'security', severity: 'medium', message: 'Raw HTML rendered via dangerouslySetInnerHTML (XSS)' },
+  { id: 'inner-html', pattern: /\.(innerHTML|outerHTML)\s*=[^=]/, files: JS_FILES, category: 'security', severity: 'medium', message: 'Assignment to innerHTML (XSS)' },
+
+  // Transport security
+  { id: 'tls-reject-unauthorized', pattern: /rejectUnauthorized\s*:\s*false/, category: 'security', severity: 'high', message: 'TLS certificate verification disabled (rejectUnauthorized: false)' },
+  { id: 'tls-env', pattern: /NODE_TLS_REJECT_UNAUTHORIZED['"]?\s*[=:]\s*['"]?0/, category: 'security', severity: 'high', message: 'TLS certificate verification disabled (NODE_TLS_REJECT_UNAUTHORIZED=0)' },
+  { id: 'tls-verify-false', pattern: /\bverify\s*=\s*False\b/, files: PY_FILES, category: 'security', severity: 'high', message: 'TLS certificate verification disabled (verify=False)' },
+
+  // CSRF
+  { id: 'csrf-exempt', pattern: /@csrf_exempt\b|WTF_CSRF_ENABLED\s*=\s*False/, files: PY_FILES, category: 'security', severity: 'high', message: 'CSRF protection disabled' },
+  { id: 'csrf-rails', pattern: /skip_(before_action|forgery_protection).*verify_authenticity_token|protect_from_forgery\s+with:\s*:null_session/, files: ['**/*.rb'], category: 'security', severity: 'high', message: 'CSRF protection disabled' },
+  { id: 'csrf-spring', pattern: /\.csrf\(\)\s*\.disable\(\)|csrf\s*\(\s*\w*\s*->\s*\w*\.disable\(\)\s*\)|AbstractHttpConfigurer::disable/, files: ['**/*.{java,kt}'], category: 'security', severity: 'high', message: 'CSRF protection disabled' },
+  { id: 'csrf-option', pattern: /\bcsrf(Protection)?\s*:\s*false\b/, files: JS_FILES, category: 'security', severity: 'high', message: 'CSRF protection disabled' },
+
+  // Unsafe deserialization
+  { id: 'pickle-loads', pattern: /\bpickle\.loads?\s*\(/, files: PY_FILES, category: 'security', severity: 'medium', message: 'Unsafe deserialization with pickle' },
+  { id: 'yaml-load', pattern: /\byaml\.load\s*\((?![^)]*Loader\s*=\s*(yaml\.)?SafeLoader)/, files: PY_FILES, category: 'security', severity: 'medium', message: 'yaml.load without SafeLoader' }
+];
+
 /**
- * Analyze files for risk patterns
+ * Analyze files for risk patterns. Paths are matched against risk patterns and,
+ * when the PR diff is provided, added lines against CONTENT_RISK_RULES.
+ * `findings` from other analyzers (e.g. secrets) are merged into the same
+ * per-file aggregation, and `codeowners` content resolves owners per risky file.
+ * `assessments` map filenames to a { category, severity, message } verdict from
+ * a content-aware analyzer, replacing default patterns of the same category.
+ * Custom patterns may carry `when` / `unless` conditions evaluated against the
+ * file and `pullRequest` ({ author, authorAssociation, branch, labels }).
  */
 async function analyzeRisk(files, options = {}) {
-  const { customPatterns = [], ignorePatterns = [] } = options;
+  const {
+    customPatterns = [],
+    ignorePatterns = [],
+    diff = null,
+    findings: externalFindings = [],
+    assessments = {},
+    codeowners = null,
+    pullRequest = {}
+  } = options;
   
-  // Combine default and custom patterns
-  const patterns = [...DEFAULT_RISK_PATTERNS, ...customPatterns.map(p => ({
-    pattern: p.pattern || p,
-    category: p.category || 'custom',
-    severity: p.severity || 'medium',
-    message: p.message || 'Custom risk pattern'
-  }))];
+  const customRules = customPatterns.map(normalizeCustomPattern);
+
+  const diffFiles = parseDiffHunks(diff);
+  const externalByFile = groupByFilename(externalFindings);
+  const ownerRules = codeowners ? parseCodeowners(codeowners) : null;
 
   const result = {
     files: [],
+    findings: [],
     highRiskCount: 0,
     mediumRiskCount: 0,
     lowRiskCount: 0,
@@ -92,14 +144,37 @@ async function analyzeRisk(files, options = {}) {
       continue;
     }
 
-    // Check each risk pattern
-    const matchedPatterns = patterns.filter(p => minimatch(file.filename, p.pattern));
+    // Custom rules whose conditions hold; severity none suppresses default patterns
+    const matchedRules = customRules.filter(rule =>
+      minimatch(file.filename, rule.pattern) && ruleApplies(rule, file, { files, pullRequest })
+    );
+    const suppressions = matchedRules.filter(rule => rule.severity === 'none');
+
+    // Check each default pattern, deferring to a content-aware assessment of the file
+    const assessment = assessments[file.filename];
+    const matchedPatterns = [
+      ...DEFAULT_RISK_PATTERNS.filter(p =>
+        minimatch(file.filename, p.pattern) &&
+        p.category !== assessment?.category &&
+        !suppressions.some(rule => !rule.scope || rule.scope === p.category)
+      ),
+      ...matchedRules.filter(rule => rule.severity !== 'none')
+    ];
+
+    // Check added lines against content rules
+    const findings = [
+      ...scanAddedLines(file.filename, diffFiles[file.filename]?.added || []),
+      ...(externalByFile[file.filename] || [])
+    ];
+    result.findings.push(...findings);
     
-    if (matchedPatterns.length > 0) {
+    const signals = [...matchedPatterns, ...(assessment ? [assessment] : []), ...findings];
+
+    if (signals.length > 0) {
       // Get highest severity
-      const severity = getHighestSeverity(matchedPatterns);
-      const categories = [...new Set(matchedPatterns.map(p => p.category))];
-      const messages = matchedPatterns.map(p => p.message);
+      const severity = getHighestSeverity(signals);
+      const categories = [...new Set(signals.map(p => p.category))];
+      const messages = [...new Set(signals.map(p => p.message))];
 
       const riskFile = {
         filename: file.filename,
@@ -109,7 +184,9 @@ async function analyzeRisk(files, options = {}) {
         severity,
         categories,
         messages,
-        patterns: matchedPatterns.map(p => p.pattern)
+        patterns: matchedPatterns.map(p => p.pattern),
+        findings,
+        owners: ownerRules ? resolveOwners(file.filename, ownerRules) : []
       };
 
       result.files.push(riskFile);
@@ -139,6 +216,10 @@ async function analyzeRisk(files, options = {}) {
   if (result.lowRiskCount > 0) {
     result.details.push(`ℹ️ ${result.lowRiskCount} low-risk file(s) noted`);
   }
+  const codeFindings = result.findings.filter(f => !['secrets', 'dependencies', 'database', 'api'].includes(f.category));
+  if (codeFindings.length > 0) {
+    result.details.push(`🔎 ${codeFindings.length} risky code pattern(s) found in changed files`);
+  }
 
   // Category summaries
   for (const [category, categoryFiles] of Object.entries(result.byCategory)) {
@@ -151,12 +232,126 @@ async function analyzeRisk(files, options = {}) {
     highRisk: result.highRiskCount,
     mediumRisk: result.mediumRiskCount,
     lowRisk: result.lowRiskCount,
+    findings: result.findings.length,
     categories: Object.keys(result.byCategory)
   };
 
   return result;
 }
 
+// Conditions a custom pattern can require in `when` or rule out in `unless`
+const RULE_CONDITIONS = {
+  status: (value, file) => toArray(value).includes(file.status),
+  minAdditions: (value, file) => (file.additions || 0) >= value,
+  minDeletions: (value, file) => (file.deletions || 0) >= value,
+  authors: (value, file, { pullRequest }) =>
+    toArray(value).some(login => login.toLowerCase() === (pullRequest.author || '').toLowerCase()),
+  authorAssociations: (value, file, { pullRequest }) =>
+    toArray(value).some(a => a.toUpperCase() === (pullRequest.authorAssociation || '').toUpperCase()),
+  branches: (value, file, { pullRequest }) =>
+    toArray(value).some(glob => minimatch(pullRequest.branch || '', glob)),
+  labels: (value, file, { pullRequest }) =>
+    toArray(value).some(label => (pullRequest.labels || []).includes(label)),
+  withFiles: (value, file, { files }) =>
+    files.some(f => f.filename !== file.filename && toArray(value).some(glob => minimatch(f.filename, glob))),
+  onlyTests: (value, file, { files, pattern }) =>
+    files.filter(f => minimatch(f.filename, pattern)).every(f => isTestFile(f.filename)) === value
+};
+
+/**
+ * Fill in defaults for a custom pattern. A bare string is a glob with the
+ * default severity.
+ */
+function normalizeCustomPattern(p) {
+  const rule = {
+    pattern: p.pattern || p,
+    category: p.category || 'custom',
+    severity: p.severity || 'medium',
+    message: p.message || 'Custom risk pattern',
+    when: p.when || null,
+    unless: p.unless || null,
+    // Suppressions without a category apply to every default pattern
+    scope: p.category || null
+  };
+
+  for (const key of [...Object.keys(rule.when || {}), ...Object.keys(rule.unless || {})]) {
+    if (!RULE_CONDITIONS[key]) {
+      throw new Error(`Unknown condition "${key}" in risk pattern ${rule.pattern}`);
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Whether all `when` conditions of a rule hold and not all `unless` conditions do
+ */
+function ruleApplies(rule, file, context) {
+  const holds = conditions => Object.entries(conditions).every(([key, value]) =>
+    RULE_CONDITIONS[key](value, file, { ...context, pattern: rule.pattern })
+  );
+
+  if (rule.when && !holds(rule.when)) return false;
+  if (rule.unless && Object.keys(rule.unless).length > 0 && holds(rule.unless)) return false;
+  return true;
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Scan added lines of a file against content risk rules
+ */
+function scanAddedLines(filename, addedLines) {
+  if (addedLines.length === 0 || isTestFile(filename)) return [];
+
+  const rules = CONTENT_RISK_RULES.filter(rule =>
+    !rule.files || rule.files.some(glob => minimatch(filename, glob, { dot: true }))
+  );
+  const findings = [];
+
+  for (const { line, content } of addedLines) {
+    if (isCommentLine(content)) continue;
+
+    for (const rule of rules) {
+      if (rule.pattern.test(content)) {
+        findings.push({
+          filename,
+          line,
+          rule: rule.id,
+          category: rule.category,
+          severity: rule.severity,
+          message: rule.message
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Group findings by the file they belong to
+ */
+function groupByFilename(findings) {
+  const grouped = {};
+  for (const finding of findings) {
+    if (!grouped[finding.filename]) {
+      grouped[finding.filename] = [];
+    }
+    grouped[finding.filename].push(finding);
+  }
+  return grouped;
+}
+
+/**
+ * Check if a line is a comment in common languages
+ */
+function isCommentLine(content) {
+  return /^\s*(\/\/|#|\*|\/\*|--)/.test(content);
+}
+
 /**
  * Get the highest severity from matched patterns
  */
@@ -186,9 +381,10 @@ function getCategoryIcon(category) {
     api: '🌐',
     build: '🔧',
     ci: '🔄',
+    secrets: '🔑',
     custom: '🏷️'
   };
   return icons[category] || '📋';
 }
 
-module.exports = { analyzeRisk, DEFAULT_RISK_PATTERNS };
+module.exports = { analyzeRisk, DEFAULT_RISK_PATTERNS, CONTENT_RISK_RULES };
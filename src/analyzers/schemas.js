@@ -0,0 +1,112 @@
+/**
+ * Schema Analyzer
+ * Classifies changes to OpenAPI documents and GraphQL schemas as breaking or additive
+ */
+
+const { minimatch } = require('minimatch');
+const { isOpenApiFile, parseOpenApi, diffOpenApi } = require('../parsers/openapi');
+const { isGraphQLFile, parseGraphQLSchema, diffGraphQLSchema } = require('../parsers/graphql');
+const { escapeRegExp } = require('../utils/regex');
+
+/**
+ * Analyze API schema changes. `contents` maps filenames to { base, head }
+ * contents; schemas the PR adds or removes aren't compared. Breaking changes
+ * are returned as high-severity 'api' findings.
+ */
+async function analyzeSchemas(files, options = {}) {
+  const { contents = {}, ignorePatterns = [] } = options;
+
+  const result = {
+    schemas: [],
+    findings: [],
+    details: []
+  };
+
+  for (const file of files) {
+    const format = getSchemaFormat(file.filename);
+    if (!format || file.status === 'removed') continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const versions = contents[file.filename];
+    if (!versions?.base || !versions?.head) continue;
+
+    const changes = format === 'openapi' ? compareOpenApi(versions) : compareGraphQL(versions);
+    if (!changes) continue;
+
+    const schema = {
+      filename: file.filename,
+      format,
+      breaking: changes.filter(c => c.breaking),
+      additive: changes.filter(c => !c.breaking)
+    };
+    result.schemas.push(schema);
+    result.findings.push(...schema.breaking.map(change => ({
+      filename: file.filename,
+      line: change.line,
+      rule: 'breaking-schema-change',
+      category: 'api',
+      severity: 'high',
+      message: `Breaking API change: ${change.message}`
+    })));
+  }
+
+  const breaking = result.schemas.reduce((sum, s) => sum + s.breaking.length, 0);
+  const additive = result.schemas.reduce((sum, s) => sum + s.additive.length, 0);
+  if (breaking > 0) {
+    result.details.push(`💥 ${breaking} breaking change(s) in ${result.schemas.filter(s => s.breaking.length > 0).length} API schema(s)`);
+  }
+  if (additive > 0) {
+    result.details.push(`🧩 ${additive} non-breaking API schema change(s)`);
+  }
+
+  result.summary = {
+    schemas: result.schemas.length,
+    breaking,
+    additive
+  };
+
+  return result;
+}
+
+/**
+ * Schema format of a file: 'openapi', 'graphql' or null
+ */
+function getSchemaFormat(filename) {
+  if (isOpenApiFile(filename)) return 'openapi';
+  if (isGraphQLFile(filename)) return 'graphql';
+  return null;
+}
+
+/**
+ * Changes between OpenAPI versions with the head line of their path, or
+ * null if either version isn't an OpenAPI document
+ */
+function compareOpenApi(versions) {
+  const base = parseOpenApi(versions.base);
+  const head = parseOpenApi(versions.head);
+  if (!base || !head) return null;
+
+  const lines = versions.head.split(/\r?\n/);
+  return diffOpenApi(base, head).map(({ breaking, path, message }) => ({
+    breaking,
+    message,
+    line: findKeyLine(lines, path)
+  }));
+}
+
+function compareGraphQL(versions) {
+  return diffGraphQLSchema(parseGraphQLSchema(versions.base), parseGraphQLSchema(versions.head))
+    .map(({ breaking, message, line }) => ({ breaking, message, line }));
+}
+
+/**
+ * Line declaring a key in YAML or JSON, or null
+ */
+function findKeyLine(lines, key) {
+  const escaped = escapeRegExp(key);
+  const pattern = new RegExp(`^\\s*["']?${escaped}["']?\\s*:`);
+  const index = lines.findIndex(line => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+module.exports = { analyzeSchemas, getSchemaFormat };
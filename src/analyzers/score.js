@@ -0,0 +1,128 @@
+/**
+ * Risk Score
+ * Combines analyzer results into a single 0-100 score per PR
+ */
+
+const path = require('path');
+
+// Relative weight of each factor; the score is normalized to 0-100 regardless of their sum
+const DEFAULT_WEIGHTS = {
+  severity: 35,     // High/medium/low risk files
+  categories: 10,   // How many sensitive areas are touched
+  churn: 20,        // Total lines added + removed
+  tests: 15,        // Test/coverage status
+  spread: 10,       // Number of directories touched
+  deletions: 10     // Risky files deleted outright
+};
+
+// Categories that weigh fully in the categories factor, others count half
+const CRITICAL_CATEGORIES = ['security', 'secrets', 'database', 'infrastructure'];
+
+// How much each coverage status contributes to the tests factor
+const TEST_STATUS_RISK = {
+  degraded: 1,
+  missing: 0.6,
+  unknown: 0.3,
+  stable: 0.2,
+  improved: 0
+};
+
+/**
+ * Calculate the PR risk score with a per-factor breakdown
+ */
+function calculateRiskScore(files, results, options = {}) {
+  const weights = resolveWeights(options.weights);
+  const { risk, complexity, coverage } = results;
+
+  const highRisk = risk?.highRiskCount || 0;
+  const mediumRisk = risk?.mediumRiskCount || 0;
+  const lowRisk = risk?.lowRiskCount || 0;
+  const categories = Object.keys(risk?.byCategory || {});
+  const churn = (complexity?.stats?.totalAdditions || 0) + (complexity?.stats?.totalDeletions || 0);
+  const testStatus = coverage?.status || 'unknown';
+  const directories = new Set(files.map(f => path.posix.dirname(f.filename)));
+  const riskyDeletions = (risk?.files || []).filter(f => f.status === 'removed').length;
+
+  const criticalCount = categories.filter(c => CRITICAL_CATEGORIES.includes(c)).length;
+  const categoryWeight = criticalCount + (categories.length - criticalCount) * 0.5;
+
+  const factors = [
+    {
+      factor: 'severity',
+      value: Math.min(1, (highRisk + mediumRisk * 0.35 + lowRisk * 0.1) / 3),
+      detail: `${highRisk} high, ${mediumRisk} medium, ${lowRisk} low risk file(s)`
+    },
+    {
+      factor: 'categories',
+      value: Math.min(1, categoryWeight / 3),
+      detail: categories.length > 0 ? categories.join(', ') : 'none'
+    },
+    {
+      factor: 'churn',
+      value: Math.min(1, Math.log10(1 + churn) / 3),
+      detail: `${churn} line(s) changed`
+    },
+    {
+      factor: 'tests',
+      value: TEST_STATUS_RISK[testStatus] ?? TEST_STATUS_RISK.unknown,
+      detail: `coverage ${testStatus}`
+    },
+    {
+      factor: 'spread',
+      value: Math.min(1, Math.max(0, directories.size - 1) / 9),
+      detail: `${directories.size} director${directories.size === 1 ? 'y' : 'ies'} touched`
+    },
+    {
+      factor: 'deletions',
+      value: Math.min(1, riskyDeletions / 2),
+      detail: `${riskyDeletions} risky file(s) deleted`
+    }
+  ];
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const breakdown = factors.map(f => ({
+    ...f,
+    weight: weights[f.factor],
+    points: totalWeight > 0 ? Math.round((weights[f.factor] * f.value * 1000) / totalWeight) / 10 : 0
+  }));
+
+  const score = Math.min(100, Math.round(breakdown.reduce((sum, f) => sum + f.points, 0)));
+
+  return {
+    score,
+    level: getRiskLevel(score),
+    breakdown,
+    weights
+  };
+}
+
+/**
+ * Merge configured weights over the defaults, rejecting unknown factors
+ */
+function resolveWeights(weights = {}) {
+  const resolved = { ...DEFAULT_WEIGHTS };
+
+  for (const [factor, weight] of Object.entries(weights || {})) {
+    if (!(factor in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown risk score factor "${factor}". Valid factors: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Risk score weight for "${factor}" must be a non-negative number`);
+    }
+    resolved[factor] = weight;
+  }
+
+  return resolved;
+}
+
+/**
+ * Map a score to a level label
+ */
+function getRiskLevel(score) {
+  if (score >= 75) return 'high';
+  if (score >= 50) return 'elevated';
+  if (score >= 25) return 'moderate';
+  return 'low';
+}
+
+module.exports = { calculateRiskScore, DEFAULT_WEIGHTS };
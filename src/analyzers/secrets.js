@@ -0,0 +1,212 @@
+/**
+ * Secrets Analyzer
+ * Detects credentials and tokens in lines added by the PR
+ */
+
+const { minimatch } = require('minimatch');
+const { parseDiffHunks } = require('../utils/diff');
+const { escapeRegExp } = require('../utils/regex');
+
+// Provider-specific token formats
+const SECRET_DETECTORS = [
+  { id: 'aws-access-key', pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/, message: 'AWS access key ID' },
+  { id: 'aws-secret-key', pattern: /aws_?secret_?(?:access_?)?key['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})\b/i, message: 'AWS secret access key' },
+  { id: 'github-token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/, message: 'GitHub token' },
+  { id: 'github-fine-grained-token', pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/, message: 'GitHub fine-grained personal access token' },
+  { id: 'slack-token', pattern: /\b(xox[baprse]-[A-Za-z0-9-]{10,})/, message: 'Slack token' },
+  { id: 'slack-webhook', pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Za-z0-9_]+\/B[A-Za-z0-9_]+\/[A-Za-z0-9_]+)/, message: 'Slack webhook URL' },
+  { id: 'private-key', pattern: /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/, message: 'Private key' },
+  { id: 'jwt', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/, message: 'JSON Web Token' },
+  { id: 'stripe-key', pattern: /\b((?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,})\b/, message: 'Stripe secret key' },
+  { id: 'google-api-key', pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/, message: 'Google API key' },
+  { id: 'hardcoded-password', pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token)['"]?\s*[:=]\s*['"]([^'"\s]{8,})['"]/i, message: 'Hardcoded credential' }
+];
+
+// Files where random-looking strings are expected
+const SKIPPED_FILES = [
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*.lock',
+  '**/go.sum',
+  '**/*.min.js',
+  '**/*.map',
+  '**/*.svg'
+];
+
+// Values that are obviously not real credentials
+const PLACEHOLDER_PATTERN = /^(\$\{?|<|%|\{\{)|x{4,}|\*{3,}|example|placeholder|changeme|your[_-]|dummy|redacted|process\.env|os\.environ/i;
+
+// String literals considered for entropy checks
+const STRING_LITERAL_PATTERN = /['"`]([A-Za-z0-9+/=_-]{20,})['"`]/g;
+
+const ENTROPY_THRESHOLDS = {
+  base64: 4.5,
+  hex: 3.0
+};
+
+/**
+ * Analyze added lines for secrets
+ */
+async function analyzeSecrets(files, diff, options = {}) {
+  const { ignorePatterns = [], allowlist = '' } = options;
+  const allowed = parseAllowlist(allowlist);
+  const diffFiles = parseDiffHunks(diff);
+
+  const result = {
+    findings: [],
+    filesWithSecrets: [],
+    details: []
+  };
+
+  for (const file of files) {
+    if (file.status === 'removed') continue;
+    if (shouldSkip(file.filename, ignorePatterns, allowed)) continue;
+
+    const addedLines = diffFiles[file.filename]?.added || [];
+    const findings = scanLines(file.filename, addedLines, allowed);
+
+    if (findings.length > 0) {
+      result.findings.push(...findings);
+      result.filesWithSecrets.push(file.filename);
+    }
+  }
+
+  if (result.findings.length > 0) {
+    result.details.push(`🔑 ${result.findings.length} potential secret(s) found in ${result.filesWithSecrets.length} file(s)`);
+  }
+
+  result.summary = {
+    totalFindings: result.findings.length,
+    filesWithSecrets: result.filesWithSecrets.length
+  };
+
+  return result;
+}
+
+/**
+ * Scan lines for known token formats and high-entropy literals
+ */
+function scanLines(filename, addedLines, allowlist) {
+  const findings = [];
+
+  for (const { line, content } of addedLines) {
+    const matchedValues = new Set();
+
+    for (const detector of SECRET_DETECTORS) {
+      if (allowlist.rules.has(detector.id)) continue;
+
+      const match = detector.pattern.exec(content);
+      if (!match) continue;
+
+      const value = match[1];
+      if (PLACEHOLDER_PATTERN.test(value) || isAllowed(value, allowlist)) continue;
+
+      matchedValues.add(value);
+      findings.push(createFinding(filename, line, detector.id, detector.message, value));
+    }
+
+    if (allowlist.rules.has('high-entropy')) continue;
+
+    for (const literal of content.matchAll(STRING_LITERAL_PATTERN)) {
+      const value = literal[1];
+      if ([...matchedValues].some(v => v.includes(value) || value.includes(v))) continue;
+      if (!isHighEntropy(value) || PLACEHOLDER_PATTERN.test(value) || isAllowed(value, allowlist)) continue;
+
+      findings.push(createFinding(filename, line, 'high-entropy', 'High-entropy string literal', value));
+    }
+  }
+
+  return findings;
+}
+
+function createFinding(filename, line, type, message, value) {
+  return {
+    filename,
+    line,
+    type,
+    description: message,
+    category: 'secrets',
+    severity: 'high',
+    message: `Potential secret: ${message}`,
+    redacted: redact(value)
+  };
+}
+
+/**
+ * Check if a literal looks random enough to be a credential
+ */
+function isHighEntropy(value) {
+  // Identifiers and paths are long but not random
+  if (!/\d/.test(value) || !/[a-zA-Z]/.test(value)) return false;
+  if (/^[a-z]+([_-][a-z]+)*[_-]?\d*$/i.test(value)) return false;
+
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return value.length >= 32 && shannonEntropy(value) >= ENTROPY_THRESHOLDS.hex;
+  }
+  return shannonEntropy(value) >= ENTROPY_THRESHOLDS.base64;
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Keep just enough of a secret to recognize it
+ */
+function redact(value) {
+  const visible = value.length > 12 ? 4 : 2;
+  return `${value.substring(0, visible)}${'*'.repeat(8)}`;
+}
+
+/**
+ * Parse an allowlist file. Each non-comment line is one of:
+ *   path:<glob>   skip matching files
+ *   rule:<id>     disable a detector (e.g. rule:high-entropy)
+ *   <regex>       ignore secret values matching the expression
+ */
+function parseAllowlist(content) {
+  const allowlist = { paths: [], rules: new Set(), values: [] };
+
+  for (const rawLine of (content || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    if (line.startsWith('path:')) {
+      allowlist.paths.push(line.substring(5).trim());
+    } else if (line.startsWith('rule:')) {
+      allowlist.rules.add(line.substring(5).trim());
+    } else {
+      try {
+        allowlist.values.push(new RegExp(line));
+      } catch {
+        allowlist.values.push(new RegExp(escapeRegExp(line)));
+      }
+    }
+  }
+
+  return allowlist;
+}
+
+function isAllowed(value, allowlist) {
+  return allowlist.values.some(pattern => pattern.test(value));
+}
+
+function shouldSkip(filename, ignorePatterns, allowlist) {
+  return [...SKIPPED_FILES, ...ignorePatterns, ...allowlist.paths].some(p => minimatch(filename, p, { dot: true }));
+}
+
+module.exports = { analyzeSecrets, parseAllowlist, redact, shannonEntropy, SECRET_DETECTORS };
@@ -0,0 +1,290 @@
+/**
+ * Workflow Analyzer
+ * Checks GitHub Actions workflows for common security footguns
+ */
+
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+const { escapeRegExp } = require('../utils/regex');
+
+const WORKFLOW_PATTERNS = ['.github/workflows/*.yml', '.github/workflows/*.yaml'];
+
+// Owners whose actions are maintained by GitHub
+const FIRST_PARTY_OWNERS = ['actions', 'github'];
+
+// Triggers that run with secrets and a write token on behalf of untrusted users
+const UNTRUSTED_TRIGGERS = ['pull_request_target', 'workflow_run', 'issue_comment', 'issues', 'pull_request_review', 'pull_request_review_comment', 'discussion', 'discussion_comment'];
+
+// Triggers that run for pull requests from forks
+const FORK_TRIGGERS = ['pull_request', 'pull_request_target'];
+
+// Event fields an outside contributor controls
+const UNTRUSTED_EXPRESSION = /github\.(head_ref|event\.(issue\.(title|body)|pull_request\.(title|body|head\.(ref|label))|comment\.body|review\.body|review_comment\.body|discussion\.(title|body)|pages\.[^}]*\.page_name|commits\.[^}]*\.(message|author\.(email|name))|head_commit\.(message|author\.(email|name))|workflow_run\.(head_branch|head_commit\.[^}]*)))\b/;
+
+// Checkout refs that point at the pull request's code
+const PR_HEAD_REF = /github\.(event\.pull_request\.head\.(sha|ref)|head_ref)|refs\/pull\//;
+
+const FULL_SHA = /^[0-9a-f]{40}$/;
+
+/**
+ * Analyze workflow changes. `contents` maps filenames to { base, head }
+ * contents; only problems the PR introduces are reported.
+ */
+async function analyzeWorkflows(files, options = {}) {
+  const { contents = {}, ignorePatterns = [] } = options;
+
+  const result = {
+    workflows: [],
+    findings: [],
+    details: []
+  };
+
+  for (const file of files) {
+    if (file.status === 'removed' || !isWorkflowFile(file.filename)) continue;
+    if (ignorePatterns.some(p => minimatch(file.filename, p))) continue;
+
+    const versions = contents[file.filename];
+    if (!versions?.head) continue;
+
+    const head = checkWorkflow(versions.head);
+    const baseKeys = new Set(versions.base ? checkWorkflow(versions.base).map(issue => issue.key) : []);
+    const introduced = head.filter(issue => !baseKeys.has(issue.key));
+
+    result.workflows.push({ filename: file.filename, issues: introduced.length });
+    result.findings.push(...introduced.map(issue => ({
+      filename: file.filename,
+      line: issue.line,
+      rule: issue.rule,
+      category: 'ci',
+      severity: issue.severity,
+      message: issue.message
+    })));
+  }
+
+  if (result.findings.length > 0) {
+    const files = new Set(result.findings.map(f => f.filename));
+    result.details.push(`🔄 ${result.findings.length} workflow security issue(s) in ${files.size} workflow(s)`);
+  }
+
+  result.summary = {
+    workflows: result.workflows.length,
+    issues: result.findings.length,
+    highSeverity: result.findings.filter(f => f.severity === 'high').length
+  };
+
+  return result;
+}
+
+/**
+ * Check one workflow, returning issues with a line and a key that identifies
+ * the issue independently of where it sits in the file
+ */
+function checkWorkflow(content) {
+  let workflow;
+  try {
+    workflow = yaml.load(content);
+  } catch {
+    return [];
+  }
+  if (!workflow || typeof workflow !== 'object') return [];
+
+  const lines = content.split(/\r?\n/);
+  const layout = mapLayout(lines);
+  const triggers = getTriggers(workflow.on);
+  const untrusted = triggers.filter(t => UNTRUSTED_TRIGGERS.includes(t));
+  const jobs = workflow.jobs && typeof workflow.jobs === 'object' ? workflow.jobs : {};
+  const issues = [];
+
+  const add = (rule, severity, line, message, detail) => {
+    issues.push({ rule, severity, line, message, key: `${rule}|${detail}` });
+  };
+
+  // Token permissions
+  if (workflow.permissions === 'write-all') {
+    add('permissions-write-all', 'high', findLine(lines, /^permissions:/), 'Workflow grants write-all permissions to the GITHUB_TOKEN', 'workflow');
+  }
+  const jobsWithoutPermissions = Object.keys(jobs).filter(id => jobs[id]?.permissions === undefined);
+  if (workflow.permissions === undefined && jobsWithoutPermissions.length > 0) {
+    add('permissions-missing', 'medium', layout.jobsLine, `No permissions block for job(s) ${jobsWithoutPermissions.join(', ')}; the GITHUB_TOKEN gets the repository default permissions`, 'workflow');
+  }
+
+  for (const [jobId, job] of Object.entries(jobs)) {
+    if (!job || typeof job !== 'object') continue;
+    const jobLayout = layout.jobs[jobId] || { start: layout.jobsLine - 1, end: lines.length, steps: [] };
+    const inJob = (pattern) => findLine(lines, pattern, jobLayout.start, jobLayout.end) || jobLayout.start + 1;
+
+    if (job.permissions === 'write-all') {
+      add('permissions-write-all', 'high', inJob(/^\s*permissions:/), `Job "${jobId}" grants write-all permissions to the GITHUB_TOKEN`, jobId);
+    }
+
+    // Self-hosted runners execute fork code on your infrastructure
+    const runsOn = [].concat(job['runs-on']?.labels || job['runs-on'] || []);
+    const forkTriggers = triggers.filter(t => FORK_TRIGGERS.includes(t));
+    if (runsOn.includes('self-hosted') && forkTriggers.length > 0) {
+      add('self-hosted-fork', 'high', inJob(/^\s*runs-on:/), `Job "${jobId}" runs on a self-hosted runner for ${forkTriggers.join(', ')} events, which forks can trigger`, `${jobId}|${forkTriggers}`);
+    }
+
+    // Reusable workflows are pinned like actions
+    if (typeof job.uses === 'string') {
+      checkPinning(job.uses, inJob(/^\s*uses:/), jobId, add);
+    }
+
+    const steps = Array.isArray(job.steps) ? job.steps : [];
+    steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') return;
+      const range = jobLayout.steps[index] || { start: jobLayout.start, end: jobLayout.end };
+      const inStep = (pattern) => findLine(lines, pattern, range.start, range.end) || range.start + 1;
+      const stepName = step.name || step.uses || `step ${index + 1}`;
+
+      if (typeof step.uses === 'string') {
+        checkPinning(step.uses, inStep(/^\s*-?\s*uses:/), jobId, add);
+
+        // pull_request_target runs with secrets, so checking out the PR head runs untrusted code with them
+        const ref = String(step.with?.ref || '');
+        if (triggers.includes('pull_request_target') && /^actions\/checkout@/.test(step.uses) && PR_HEAD_REF.test(ref)) {
+          add('pr-target-checkout', 'high', inStep(/^\s*ref:/), `Job "${jobId}" checks out the pull request head in a pull_request_target workflow, running untrusted code with secrets`, `${jobId}|${ref}`);
+        }
+      }
+
+      // Expressions are expanded before the shell runs, so they can inject commands
+      const scripts = [step.run, /^actions\/github-script@/.test(step.uses || '') ? step.with?.script : null];
+      for (const script of scripts.filter(s => typeof s === 'string')) {
+        for (const expression of script.match(/\$\{\{[^}]*\}\}/g) || []) {
+          if (!/github\.(event\.|head_ref)/.test(expression)) continue;
+
+          const untrustedInput = UNTRUSTED_EXPRESSION.test(expression);
+          add(
+            'script-injection',
+            untrustedInput ? 'high' : 'medium',
+            findLine(lines, new RegExp(escapeRegExp(expression)), range.start, range.end) || range.start + 1,
+            `${expression} is interpolated into the script of "${stepName}"${untrustedInput ? ' and is controlled by the event author' : ''}; pass it through env instead`,
+            `${jobId}|${stepName}|${expression}`
+          );
+        }
+      }
+    });
+  }
+
+  // Secrets exposed to workflows untrusted users can trigger
+  if (untrusted.length > 0) {
+    const secrets = new Set([...content.matchAll(/\bsecrets\.([A-Za-z_][A-Za-z0-9_]*)/g)].map(m => m[1]));
+    secrets.delete('GITHUB_TOKEN');
+    for (const secret of secrets) {
+      add('untrusted-secrets', 'high', findLine(lines, new RegExp(`\\bsecrets\\.${secret}\\b`)), `secrets.${secret} is used in a workflow triggered by ${untrusted.join(', ')}`, `${secret}|${untrusted}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Flag third-party actions and reusable workflows not pinned to a commit SHA
+ */
+function checkPinning(uses, line, jobId, add) {
+  if (uses.startsWith('./') || uses.startsWith('docker://')) return;
+
+  const [action, ref = ''] = uses.split('@');
+  const owner = action.split('/')[0];
+  if (FIRST_PARTY_OWNERS.includes(owner) || FULL_SHA.test(ref)) return;
+
+  add('unpinned-action', 'medium', line, `Third-party action ${uses} is not pinned to a full commit SHA`, `${jobId}|${uses}`);
+}
+
+/**
+ * Normalize the `on` key to a list of trigger names
+ */
+function getTriggers(on) {
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on;
+  if (on && typeof on === 'object') return Object.keys(on);
+  return [];
+}
+
+/**
+ * Map top-level jobs and their steps to 0-based line ranges
+ */
+function mapLayout(lines) {
+  const layout = { jobsLine: 1, jobs: {} };
+
+  const jobsIndex = lines.findIndex(line => /^jobs:/.test(line));
+  if (jobsIndex < 0) return layout;
+  layout.jobsLine = jobsIndex + 1;
+
+  const jobsEnd = blockEnd(lines, jobsIndex);
+  const jobIndent = childIndent(lines, jobsIndex, jobsEnd);
+  const jobStarts = [];
+
+  for (let i = jobsIndex + 1; i < jobsEnd; i++) {
+    const match = lines[i].match(/^(\s*)['"]?([\w-]+)['"]?\s*:/);
+    if (match && match[1].length === jobIndent) jobStarts.push({ id: match[2], start: i });
+  }
+
+  jobStarts.forEach(({ id, start }, index) => {
+    const end = index + 1 < jobStarts.length ? jobStarts[index + 1].start : jobsEnd;
+    layout.jobs[id] = { start, end, steps: mapSteps(lines, start, end) };
+  });
+
+  return layout;
+}
+
+/**
+ * Line ranges of the items in a job's `steps` list
+ */
+function mapSteps(lines, start, end) {
+  const stepsIndex = lines.slice(start, end).findIndex(line => /^\s*steps:/.test(line));
+  if (stepsIndex < 0) return [];
+
+  const from = start + stepsIndex;
+  const to = Math.min(blockEnd(lines, from, true), end);
+  const itemIndent = childIndent(lines, from, to);
+  const starts = [];
+
+  for (let i = from + 1; i < to; i++) {
+    if (/^\s*-\s/.test(lines[i]) && indentOf(lines[i]) === itemIndent) starts.push(i);
+  }
+
+  return starts.map((itemStart, index) => ({ start: itemStart, end: starts[index + 1] ?? to }));
+}
+
+/**
+ * Index just past the last line nested under the key at `index`. Lists may
+ * sit at the same indentation as their key.
+ */
+function blockEnd(lines, index, allowSameIndentList = false) {
+  const indent = indentOf(lines[index]);
+  for (let i = index + 1; i < lines.length; i++) {
+    if (!lines[i].trim() || lines[i].trim().startsWith('#')) continue;
+    const lineIndent = indentOf(lines[i]);
+    if (lineIndent > indent) continue;
+    if (allowSameIndentList && lineIndent === indent && /^\s*-\s/.test(lines[i])) continue;
+    return i;
+  }
+  return lines.length;
+}
+
+function childIndent(lines, index, end) {
+  for (let i = index + 1; i < end; i++) {
+    if (lines[i].trim() && !lines[i].trim().startsWith('#')) return indentOf(lines[i]);
+  }
+  return -1;
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * 1-based line of the first match in [start, end), or null
+ */
+function findLine(lines, pattern, start = 0, end = lines.length) {
+  for (let i = start; i < end; i++) {
+    if (pattern.test(lines[i])) return i + 1;
+  }
+  return null;
+}
+
+function isWorkflowFile(filename) {
+  return WORKFLOW_PATTERNS.some(p => minimatch(filename, p, { dot: true }));
+}
+
+module.exports = { analyzeWorkflows, checkWorkflow, isWorkflowFile };
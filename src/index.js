@@ -2,9 +2,29 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const { analyzeCoverage } = require('./analyzers/coverage');
 const { analyzeRisk } = require('./analyzers/risk');
-const { analyzeDocs } = require('./analyzers/docs');
-const { analyzeComplexity } = require('./analyzers/complexity');
-const { postComment } = require('./reporters/comment');
+const { analyzeDocs, isDocFile, getActionDocPaths } = require('./analyzers/docs');
+const { analyzeComplexity, isCodeFile } = require('./analyzers/complexity');
+const { analyzeSecrets } = require('./analyzers/secrets');
+const { analyzeDependencies } = require('./analyzers/dependencies');
+const { analyzeLockfiles } = require('./analyzers/lockfiles');
+const { analyzeMigrations } = require('./analyzers/migrations');
+const { analyzeWorkflows, isWorkflowFile } = require('./analyzers/workflows');
+const { analyzeInfrastructure, isInfrastructureFile } = require('./analyzers/infrastructure');
+const { analyzeSchemas, getSchemaFormat } = require('./analyzers/schemas');
+const { calculateRiskScore } = require('./analyzers/score');
+const { loadCoverageReport } = require('./parsers/coverage-reports');
+const { getManifestType } = require('./parsers/manifests');
+const { getExportLanguage } = require('./parsers/exports');
+const { getSymbolLanguage } = require('./parsers/symbols');
+const { isChangelogFile } = require('./parsers/changelog');
+const { isMarkdownFile, extractLinks, resolveLink } = require('./parsers/markdown');
+const { isActionFile } = require('./parsers/action');
+const { getLockfileType, getLockfileManifest } = require('./parsers/lockfiles');
+const { fetchRepoTree, fetchFileContent, fetchFileVersions, hasWriteAccess } = require('./utils/github');
+const { parseAckCommand, acknowledgeRisks, applyAcknowledgements } = require('./utils/acknowledgements');
+const { postComment, readAcknowledgements } = require('./reporters/comment');
+const { requestOwnerReviews } = require('./reporters/reviewers');
+const { CODEOWNERS_PATHS } = require('./utils/codeowners');
 const { generateAISummary } = require('./ai/summary');
 
 async function run() {
@@ -12,6 +32,9 @@ async function run() {
     // Get inputs
     const token = core.getInput('github-token', { required: true });
     const coverageThreshold = parseInt(core.getInput('coverage-threshold') || '80');
+    const coverageReportPath = core.getInput('coverage-report');
+    const baseCoverageReportPath = core.getInput('base-coverage-report');
+    const testMapping = JSON.parse(core.getInput('test-mapping') || 'null');
     const riskPatterns = JSON.parse(core.getInput('risk-patterns') || '[]');
     const enableAI = core.getInput('enable-ai-summary') === 'true';
     const aiProvider = core.getInput('ai-provider') || 'openai';
@@ -21,12 +44,40 @@ async function run() {
     const maxFiles = parseInt(core.getInput('max-files') || '100');
     const ignorePatterns = JSON.parse(core.getInput('ignore-patterns') || '[]');
     const failOnRisk = core.getInput('fail-on-risk') === 'true';
+    const secretsAllowlistPath = core.getInput('secrets-allowlist') || '.secrets-allowlist';
+    const requestReviewers = core.getInput('request-reviewers') === 'true';
+    const riskScoreWeights = JSON.parse(core.getInput('risk-score-weights') || '{}');
+    const complexityThresholds = JSON.parse(core.getInput('complexity-thresholds') || 'null');
+    const allowedRegistries = JSON.parse(core.getInput('allowed-registries') || '[]');
+    const databaseEngine = core.getInput('database-engine') || 'postgres';
+    const docCoverageThreshold = core.getInput('doc-coverage-threshold') ? parseFloat(core.getInput('doc-coverage-threshold')) : null;
+    const docCoverageCheck = core.getInput('doc-coverage-check') || 'warn';
+    const changelogCheck = core.getInput('changelog-check') || 'warn';
+    const changelogSkipLabel = core.getInput('changelog-skip-label') || 'no-changelog';
+    const maxRiskScore = core.getInput('max-risk-score') ? parseInt(core.getInput('max-risk-score')) : null;
     const commentMode = core.getInput('comment-mode') || 'update';
 
     // Setup
     const octokit = github.getOctokit(token);
     const context = github.context;
 
+    // Comments on a PR can acknowledge flagged risks; the PR is re-reviewed with them applied
+    let ackCommand = null;
+    if (context.eventName === 'issue_comment') {
+      ackCommand = context.payload.issue?.pull_request ? parseAckCommand(context.payload.comment?.body) : null;
+      if (!ackCommand) {
+        core.info('Comment has no /pr-reviewer command, skipping...');
+        return;
+      }
+
+      const { data: pullRequest } = await octokit.rest.pulls.get({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: context.payload.issue.number
+      });
+      context.payload.pull_request = pullRequest;
+    }
+
     if (!context.payload.pull_request) {
       core.info('Not a pull request event, skipping...');
       return;
@@ -34,6 +85,8 @@ async function run() {
 
     const { owner, repo } = context.repo;
     const pullNumber = context.payload.pull_request.number;
+    const headSha = context.payload.pull_request.head.sha;
+    const baseSha = context.payload.pull_request.base.sha;
 
     core.info(`🔍 Analyzing PR #${pullNumber} in ${owner}/${repo}`);
 
@@ -55,14 +108,160 @@ async function run() {
       mediaType: { format: 'diff' }
     });
 
+    // Load coverage reports if provided
+    const [headReport, baseReport] = await Promise.all([
+      readCoverageReport(coverageReportPath),
+      readCoverageReport(baseCoverageReportPath)
+    ]);
+
+    // Get the head tree once so analyzers can see files outside the PR
+    const repoFiles = await readRepoTree(octokit, { owner, repo, ref: headSha });
+    const repoFileSet = repoFiles && new Set(repoFiles);
+
+    // Scan added lines for secrets first, findings feed into the risk analysis.
+    // The allowlist comes from the base branch so a PR can't allowlist its own secrets.
+    const secretsAllowlist = await readRepoFile(octokit, { owner, repo, path: secretsAllowlistPath, ref: baseSha });
+    const secretsResult = await analyzeSecrets(files, diff, { ignorePatterns, allowlist: secretsAllowlist });
+
+    // Fetch base and head contents of files that are analyzed as a whole, including all code
+    const versionedFiles = files.filter(f =>
+      getManifestType(f.filename) || getLockfileType(f.filename) || isWorkflowFile(f.filename) ||
+      isInfrastructureFile(f.filename) || getExportLanguage(f.filename) || getSymbolLanguage(f.filename) ||
+      isChangelogFile(f.filename) || (isDocFile(f.filename) && isMarkdownFile(f.filename)) || isActionFile(f.filename) ||
+      getSchemaFormat(f.filename) || isCodeFile(f.filename)
+    );
+    const fileVersions = await readFileVersions(octokit, { owner, repo, baseRef: baseSha, headRef: headSha }, versionedFiles);
+
+    // Diff dependency manifests and lockfiles between base and head
+    const dependencyResult = await analyzeDependencies(files, { contents: fileVersions, ignorePatterns });
+
+    // Lockfile checks also need the manifests the PR left untouched
+    const lockfileManifests = {};
+    for (const file of files.filter(f => getLockfileType(f.filename))) {
+      const manifestPath = getLockfileManifest(file.filename);
+      if (!(manifestPath in fileVersions) && !(manifestPath in lockfileManifests)) {
+        lockfileManifests[manifestPath] = await readRepoFile(octokit, { owner, repo, path: manifestPath, ref: headSha });
+      }
+    }
+    const lockfileResult = await analyzeLockfiles(files, {
+      contents: fileVersions,
+      manifests: lockfileManifests,
+      allowedRegistries,
+      ignorePatterns
+    });
+
+    // Classify migration operations so only destructive migrations are escalated
+    const migrationResult = await analyzeMigrations(files, diff, { ignorePatterns, engine: databaseEngine });
+
+    // Check workflow changes for security footguns
+    const workflowResult = await analyzeWorkflows(files, { contents: fileVersions, ignorePatterns });
+
+    // Check Dockerfiles, Kubernetes manifests and Terraform for misconfigurations
+    const infrastructureResult = await analyzeInfrastructure(files, diff, { contents: fileVersions, ignorePatterns });
+
+    // Classify OpenAPI and GraphQL schema changes as breaking or additive
+    const schemaResult = await analyzeSchemas(files, { contents: fileVersions, ignorePatterns });
+
+    // PR metadata conditional risk rules and the changelog check depend on
+    const pullRequestInfo = {
+      number: pullNumber,
+      author: context.payload.pull_request.user?.login,
+      authorAssociation: context.payload.pull_request.author_association,
+      branch: context.payload.pull_request.head.ref,
+      labels: (context.payload.pull_request.labels || []).map(label => label.name)
+    };
+
+    // Anchor links from changed docs need the headings of docs the PR left untouched
+    const linkedDocs = {};
+    for (const [filename, { head }] of Object.entries(fileVersions)) {
+      if (!head || !isDocFile(filename) || !isMarkdownFile(filename)) continue;
+
+      for (const link of extractLinks(head)) {
+        const { path, anchor, outside } = resolveLink(filename, link.target);
+        if (!path || !anchor || outside || !isMarkdownFile(path) || path in fileVersions || path in linkedDocs) continue;
+        if (repoFileSet && !repoFileSet.has(path)) continue;
+        linkedDocs[path] = await readRepoFile(octokit, { owner, repo, path, ref: headSha });
+      }
+    }
+
+    // Changed action metadata is compared with the docs next to it
+    for (const file of files.filter(f => isActionFile(f.filename) && f.status !== 'removed')) {
+      for (const path of getActionDocPaths(file.filename)) {
+        if (path in fileVersions || path in linkedDocs || (repoFileSet && !repoFileSet.has(path))) continue;
+        linkedDocs[path] = await readRepoFile(octokit, { owner, repo, path, ref: headSha });
+      }
+    }
+
+    // Export changes need a changelog entry when they touch the entry points of the nearest package.json
+    const packageManifests = {};
+    for (const file of files.filter(f => getExportLanguage(f.filename) === 'js' && f.status !== 'removed')) {
+      const parts = file.filename.split('/');
+      const manifestPath = parts.map((_, i) => [...parts.slice(0, i), 'package.json'].join('/')).reverse()
+        .find(path => path in fileVersions || (repoFileSet ? repoFileSet.has(path) : path === 'package.json'));
+      if (!manifestPath || manifestPath in fileVersions || manifestPath in packageManifests) continue;
+      packageManifests[manifestPath] = await readRepoFile(octokit, { owner, repo, path: manifestPath, ref: headSha });
+    }
+
+    // GitHub applies the CODEOWNERS file from the base branch
+    const codeowners = await readCodeowners(octokit, { owner, repo, ref: baseSha });
+
     // Run all analyzers in parallel
     const [coverageResult, riskResult, docsResult, complexityResult] = await Promise.all([
-      analyzeCoverage(files, { threshold: coverageThreshold }),
-      analyzeRisk(files, { customPatterns: riskPatterns, ignorePatterns }),
-      analyzeDocs(files, { ignorePatterns }),
-      analyzeComplexity(files, diff, { ignorePatterns })
+      analyzeCoverage(files, {
+        threshold: coverageThreshold,
+        headReport,
+        baseReport,
+        diff,
+        repoFiles,
+        testMapping
+      }),
+      analyzeRisk(files, {
+        customPatterns: riskPatterns,
+        ignorePatterns,
+        diff,
+        findings: [
+          ...secretsResult.findings,
+          ...dependencyResult.findings,
+          ...lockfileResult.findings,
+          ...migrationResult.findings,
+          ...workflowResult.findings,
+          ...infrastructureResult.findings,
+          ...schemaResult.findings
+        ],
+        assessments: migrationResult.assessments,
+        codeowners,
+        pullRequest: pullRequestInfo
+      }),
+      analyzeDocs(files, {
+        ignorePatterns,
+        contents: fileVersions,
+        diff,
+        docCoverageThreshold,
+        pullRequest: pullRequestInfo,
+        changelogSkipLabel,
+        repoFiles,
+        linkedDocs,
+        packageManifests
+      }),
+      analyzeComplexity(files, diff, { ignorePatterns, contents: fileVersions, thresholds: complexityThresholds })
     ]);
 
+    // Apply acknowledgements from earlier runs and the triggering comment
+    let acknowledgements = await readStoredAcknowledgements(octokit, context);
+    if (ackCommand) {
+      const commenter = context.payload.comment.user.login;
+      const acknowledged = await acknowledgeCommand(octokit, context, ackCommand, riskResult, files, commenter);
+      acknowledgements = [...acknowledgements, ...acknowledged];
+    }
+    acknowledgements = applyAcknowledgements(riskResult, acknowledgements, files);
+
+    // Combine results into a single risk score
+    const scoreResult = calculateRiskScore(files, {
+      risk: riskResult,
+      complexity: complexityResult,
+      coverage: coverageResult
+    }, { weights: riskScoreWeights });
+
     // Generate AI summary if enabled
     let aiSummary = null;
     if (enableAI && aiApiKey) {
@@ -83,8 +282,17 @@ async function run() {
     const summary = {
       coverage: coverageResult,
       risk: riskResult,
+      score: scoreResult,
+      secrets: secretsResult,
+      dependencies: dependencyResult,
+      lockfiles: lockfileResult,
+      migrations: migrationResult,
+      workflows: workflowResult,
+      infrastructure: infrastructureResult,
+      schemas: schemaResult,
       docs: docsResult,
       complexity: complexityResult,
+      acknowledgements,
       ai: aiSummary,
       meta: {
         filesAnalyzed: files.length,
@@ -95,17 +303,62 @@ async function run() {
 
     // Set outputs
     core.setOutput('coverage-delta', coverageResult.delta || 0);
+    core.setOutput('patch-coverage', coverageResult.patch?.pct ?? '');
     core.setOutput('risk-files', riskResult.files.length);
+    core.setOutput('risk-score', scoreResult.score);
+    core.setOutput('dependency-changes', JSON.stringify(dependencyResult.changes));
     core.setOutput('missing-docs', docsResult.missingDocs.length);
+    core.setOutput('doc-coverage', docsResult.inlineDocs.coverage ?? '');
     core.setOutput('complexity-warnings', complexityResult.warnings.length);
     core.setOutput('summary', JSON.stringify(summary));
 
     // Post comment
     await postComment(octokit, context, summary, { mode: commentMode });
 
-    // Fail if high-risk files detected and failOnRisk is true
-    if (failOnRisk && riskResult.highRiskCount > 0) {
-      core.setFailed(`Found ${riskResult.highRiskCount} high-risk file(s). Review required.`);
+    // Route high-risk changes to their code owners
+    if (requestReviewers) {
+      try {
+        const requested = await requestOwnerReviews(octokit, context, riskResult);
+        const names = [...requested.users, ...requested.teams.map(t => `${owner}/${t}`)];
+        if (names.length > 0) {
+          core.info(`👥 Requested reviews from ${names.join(', ')}`);
+        }
+      } catch (error) {
+        core.warning(`Could not request reviewers: ${error.message}`);
+      }
+    }
+
+    // API changes need a valid changelog entry
+    const { changelog } = docsResult;
+    if (changelogCheck !== 'off' && changelog.required && !changelog.ok) {
+      const message = `API changes need a valid CHANGELOG.md entry (changelog ${changelog.status}).`;
+      if (changelogCheck === 'fail') {
+        core.setFailed(message);
+        return;
+      }
+      core.warning(message);
+    }
+
+    // Added symbols need enough doc comments
+    const { inlineDocs } = docsResult;
+    if (inlineDocs.belowThreshold) {
+      const message = `Doc coverage of added symbols is ${inlineDocs.coverage}%, below the minimum of ${inlineDocs.threshold}%.`;
+      if (docCoverageCheck === 'fail') {
+        core.setFailed(message);
+        return;
+      }
+      core.warning(message);
+    }
+
+    // Fail if unacknowledged high-risk files detected and failOnRisk is true
+    if (failOnRisk && riskResult.unacknowledgedHighRiskCount > 0) {
+      core.setFailed(`Found ${riskResult.unacknowledgedHighRiskCount} high-risk file(s). Review required.`);
+      return;
+    }
+
+    // Fail if the risk score exceeds the configured maximum
+    if (maxRiskScore !== null && scoreResult.score > maxRiskScore) {
+      core.setFailed(`Risk score ${scoreResult.score} exceeds the maximum of ${maxRiskScore}.`);
       return;
     }
 
@@ -116,4 +369,120 @@ async function run() {
   }
 }
 
+/**
+ * Acknowledge the risk files an ack command covers. Users with write access may
+ * acknowledge any file; code owners only the files they own. Reacts to the
+ * command comment with the outcome.
+ */
+async function acknowledgeCommand(octokit, context, command, risk, files, commenter) {
+  const { owner, repo } = context.repo;
+  const canWrite = await hasWriteAccess(octokit, { owner, repo, username: commenter });
+  const isOwner = riskFile => (riskFile.owners || []).some(o => o.toLowerCase() === `@${commenter.toLowerCase()}`);
+
+  const { acks, denied } = acknowledgeRisks(command, risk, files, {
+    user: commenter,
+    canAcknowledge: riskFile => canWrite || isOwner(riskFile)
+  });
+
+  if (denied.length > 0) {
+    core.warning(`@${commenter} may not acknowledge ${denied.join(', ')}`);
+  }
+  if (acks.length > 0) {
+    core.info(`✅ @${commenter} acknowledged ${acks.map(a => a.filename).join(', ')}`);
+  }
+
+  try {
+    await octokit.rest.reactions.createForIssueComment({
+      owner,
+      repo,
+      comment_id: context.payload.comment.id,
+      content: acks.length > 0 && denied.length === 0 ? '+1' : 'confused'
+    });
+  } catch (error) {
+    core.warning(`Could not react to comment: ${error.message}`);
+  }
+
+  return acks;
+}
+
+/**
+ * Read acknowledgements stored in the review comment, or none if it can't be read
+ */
+async function readStoredAcknowledgements(octokit, context) {
+  try {
+    return await readAcknowledgements(octokit, context);
+  } catch (error) {
+    core.warning(`Could not read acknowledgements: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Fetch all file paths at the head commit, or null if the tree is unavailable
+ */
+async function readRepoTree(octokit, { owner, repo, ref }) {
+  try {
+    const tree = await fetchRepoTree(octokit, { owner, repo, ref });
+    if (tree.truncated) {
+      core.warning('Repository tree is truncated; some existing files may not be detected');
+    }
+    return tree.paths;
+  } catch (error) {
+    core.warning(`Could not fetch repository tree: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find the CODEOWNERS file in the locations GitHub supports
+ */
+async function readCodeowners(octokit, { owner, repo, ref }) {
+  for (const path of CODEOWNERS_PATHS) {
+    const content = await readRepoFile(octokit, { owner, repo, path, ref });
+    if (content !== null) return content;
+  }
+  return null;
+}
+
+/**
+ * Fetch a repository file's content, or null if it is missing or unreadable
+ */
+async function readRepoFile(octokit, params) {
+  try {
+    return await fetchFileContent(octokit, params);
+  } catch (error) {
+    core.warning(`Could not read ${params.path}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch base and head contents of changed files, warning about files that can't be read
+ */
+async function readFileVersions(octokit, refs, files) {
+  if (files.length === 0) return {};
+
+  return fetchFileVersions(octokit, refs, files, {
+    onError: (filename, error) => core.warning(`Could not read ${filename}: ${error.message}`)
+  });
+}
+
+/**
+ * Load a coverage report, warning instead of failing when it can't be read
+ */
+async function readCoverageReport(reportPath) {
+  if (!reportPath) return null;
+
+  try {
+    const report = await loadCoverageReport(reportPath);
+    core.info(`📊 Loaded ${report.format} coverage report from ${reportPath}`);
+    return report;
+  } catch (error) {
+    core.warning(`Could not read coverage report ${reportPath}: ${error.message}`);
+    return null;
+  }
+}
+
 run();
+
+module.exports = { run };
@@ -0,0 +1,139 @@
+/**
+ * Action Metadata Parsers
+ * Reads inputs and outputs from action.yml and the option tables documenting them
+ */
+
+const yaml = require('js-yaml');
+
+// First header cells of tables documenting options
+const TABLE_KINDS = { input: 'inputs', option: 'inputs', parameter: 'inputs', name: 'inputs', output: 'outputs' };
+
+// Table cells that mean "no default"
+const EMPTY_DEFAULTS = ['', '-', '—', 'none', 'n/a'];
+
+/**
+ * Check if a file is GitHub Action metadata
+ */
+function isActionFile(filename) {
+  return /(^|\/)action\.ya?ml$/.test(filename);
+}
+
+/**
+ * Parse action metadata into { inputs, outputs }, each mapping names to
+ * { default, required }, or null if it isn't valid YAML
+ */
+function parseActionMetadata(content) {
+  if (!content) return null;
+
+  let metadata;
+  try {
+    metadata = yaml.load(content);
+  } catch {
+    return null;
+  }
+  if (!metadata || typeof metadata !== 'object') return null;
+
+  const describe = (entries = {}) => Object.fromEntries(Object.entries(entries || {}).map(([name, spec]) => [name, {
+    default: normalizeDefault(spec?.default),
+    required: spec?.required === true || spec?.required === 'true'
+  }]));
+
+  return { inputs: describe(metadata.inputs), outputs: describe(metadata.outputs) };
+}
+
+/**
+ * Compare base and head metadata. Returns [{ kind, name, change, from, to }]
+ * where kind is input or output and change is added, removed or default.
+ */
+function diffActionMetadata(base, head) {
+  const changes = [];
+  const previous = base || { inputs: {}, outputs: {} };
+
+  for (const kind of ['input', 'output']) {
+    const before = previous[`${kind}s`];
+    const after = head[`${kind}s`];
+
+    for (const [name, spec] of Object.entries(after)) {
+      if (!before[name]) {
+        changes.push({ kind, name, change: 'added', from: null, to: spec.default });
+      } else if (kind === 'input' && before[name].default !== spec.default) {
+        changes.push({ kind, name, change: 'default', from: before[name].default, to: spec.default });
+      }
+    }
+    for (const [name, spec] of Object.entries(before)) {
+      if (!after[name]) {
+        changes.push({ kind, name, change: 'removed', from: spec.default, to: null });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Find options documented in Markdown tables headed Input, Output, Option,
+ * Parameter or Name, whose first column holds `name` cells, and in headings
+ * such as ### `name`. Tables headed Output document outputs, others inputs.
+ * Returns { inputs, outputs } mapping names to { line, default } where
+ * default is undefined when the table has no Default column.
+ */
+function extractDocumentedOptions(content) {
+  const documented = { inputs: {}, outputs: {} };
+  let table = null;
+  let fence = false;
+
+  (content || '').split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    if (/^\s*(```|~~~)/.test(text)) {
+      fence = !fence;
+      return;
+    }
+    if (fence) return;
+
+    if (!text.trim().startsWith('|')) {
+      table = null;
+
+      const heading = text.match(/^#{1,6}\s+(.*)$/);
+      for (const match of heading ? heading[1].matchAll(/`([\w-]+)`/g) : []) {
+        documented.inputs[match[1]] = documented.inputs[match[1]] || { line, default: undefined };
+      }
+      return;
+    }
+
+    const cells = splitRow(text);
+    if (!table) {
+      table = {
+        kind: TABLE_KINDS[cells[0].toLowerCase().replace(/s$/, '')] || null,
+        defaultColumn: cells.findIndex(cell => /^default/i.test(cell))
+      };
+      return;
+    }
+    if (!table.kind || cells.every(cell => /^:?-+:?$/.test(cell))) return;
+
+    const name = cells[0].match(/^`([\w-]+)`$/)?.[1];
+    if (!name) return;
+
+    const value = table.defaultColumn === -1 ? undefined : normalizeDefault(cells[table.defaultColumn]?.replace(/^`|`$/g, ''));
+    documented[table.kind][name] = { line, default: value };
+  });
+
+  return documented;
+}
+
+/**
+ * Defaults as strings, with empty values and placeholders as null
+ */
+function normalizeDefault(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return EMPTY_DEFAULTS.includes(text.toLowerCase()) ? null : text;
+}
+
+/**
+ * Cells of a table row, keeping escaped pipes
+ */
+function splitRow(text) {
+  return text.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+module.exports = { isActionFile, parseActionMetadata, diffActionMetadata, extractDocumentedOptions };
@@ -0,0 +1,82 @@
+/**
+ * Changelog Parser
+ * Reads entries added to a Keep a Changelog formatted file
+ */
+
+// Section headings defined by Keep a Changelog
+const CHANGELOG_SECTIONS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+/**
+ * Check if a file is a changelog
+ */
+function isChangelogFile(filename) {
+  return /(^|\/)changelog\.md$/i.test(filename);
+}
+
+/**
+ * Find list entries on added lines with the version and section headings
+ * they fall under. `addedLines` is a Set of 1-based line numbers.
+ * Returns [{ line, text, version, newVersion, section }].
+ */
+function parseChangelogEntries(content, addedLines) {
+  const entries = [];
+  let version = null;
+  let newVersion = false;
+  let section = null;
+
+  (content || '').split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+
+    const versionHeading = text.match(/^##\s+\[?([^\]\s]+)\]?/);
+    if (versionHeading) {
+      version = versionHeading[1];
+      newVersion = addedLines.has(line);
+      section = null;
+      return;
+    }
+
+    const sectionHeading = text.match(/^###\s+(.+?)\s*$/);
+    if (sectionHeading) {
+      section = sectionHeading[1];
+      return;
+    }
+
+    // Only top-level list items count as entries; nested items continue them
+    if (addedLines.has(line) && /^[-*+]\s+\S/.test(text)) {
+      entries.push({ line, text: text.replace(/^[-*+]\s+/, '').trim(), version, newVersion, section });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Problems with where an entry was added: it must be under Unreleased or a
+ * version heading added in the same change, in a Keep a Changelog section
+ */
+function validateChangelogEntry(entry) {
+  const problems = [];
+
+  if (!entry.version) {
+    problems.push('is not under a version heading');
+  } else if (entry.version.toLowerCase() !== 'unreleased' && !entry.newVersion) {
+    problems.push(`was added under the already released ${entry.version}`);
+  }
+
+  if (!entry.section) {
+    problems.push('is not under a section heading');
+  } else if (!CHANGELOG_SECTIONS.some(s => s.toLowerCase() === entry.section.toLowerCase())) {
+    problems.push(`is under "${entry.section}", which is not one of ${CHANGELOG_SECTIONS.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Whether entry text references a PR or issue (#123 or a pull/issues URL)
+ */
+function hasReference(text) {
+  return /#\d+\b|\/(pull|issues)\/\d+/.test(text);
+}
+
+module.exports = { isChangelogFile, parseChangelogEntries, validateChangelogEntry, hasReference, CHANGELOG_SECTIONS };
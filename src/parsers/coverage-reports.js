@@ -0,0 +1,327 @@
+/**
+ * Coverage Report Parsers
+ * Normalizes lcov, Cobertura, Clover, JaCoCo and Istanbul JSON reports
+ */
+
+const fs = require('fs');
+
+/**
+ * Read and parse a coverage report from disk
+ */
+async function loadCoverageReport(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  return parseCoverageReport(content, filePath);
+}
+
+/**
+ * Parse coverage report content into a normalized structure:
+ * { format, lines: { total, covered, pct }, branches: { total, covered, pct }, files }
+ * where each file entry holds its own totals and per-line hit counts.
+ */
+function parseCoverageReport(content, filename = '') {
+  const format = detectFormat(content, filename);
+
+  const parsers = {
+    lcov: parseLcov,
+    cobertura: parseCobertura,
+    clover: parseClover,
+    jacoco: parseJacoco,
+    'istanbul-summary': parseIstanbulSummary,
+    'istanbul-final': parseIstanbulFinal
+  };
+
+  const parser = parsers[format];
+  if (!parser) {
+    throw new Error(`Unrecognized coverage report format${filename ? `: ${filename}` : ''}`);
+  }
+
+  const report = parser(content);
+  report.format = format;
+  return report;
+}
+
+/**
+ * Detect the report format from filename and content
+ */
+function detectFormat(content, filename = '') {
+  const trimmed = (content || '').trimStart();
+
+  if (trimmed.startsWith('{')) {
+    if (/coverage-summary\.json$/i.test(filename)) return 'istanbul-summary';
+    if (/coverage-final\.json$/i.test(filename)) return 'istanbul-final';
+    const data = JSON.parse(trimmed);
+    return data.total && data.total.lines ? 'istanbul-summary' : 'istanbul-final';
+  }
+
+  if (trimmed.startsWith('<')) {
+    if (/<report[\s>]/.test(trimmed)) return 'jacoco';
+    if (/<coverage[^>]*line-rate=/.test(trimmed)) return 'cobertura';
+    if (/<coverage[^>]*>\s*<project/.test(trimmed) || /clover\.xml$/i.test(filename)) return 'clover';
+    if (/<coverage[\s>]/.test(trimmed)) return 'cobertura';
+    return null;
+  }
+
+  if (/^(TN|SF):/m.test(trimmed)) return 'lcov';
+
+  return null;
+}
+
+/**
+ * Parse lcov tracefile (lcov.info)
+ */
+function parseLcov(content) {
+  const report = createReport();
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('SF:')) {
+      current = getFile(report, line.substring(3));
+    } else if (line === 'end_of_record') {
+      current = null;
+    } else if (current && line.startsWith('DA:')) {
+      const [lineNumber, hits] = line.substring(3).split(',');
+      recordLine(current, parseInt(lineNumber), parseInt(hits) || 0);
+    } else if (current && line.startsWith('BRDA:')) {
+      const [lineNumber, , , taken] = line.substring(5).split(',');
+      recordBranches(current, parseInt(lineNumber), 1, taken !== '-' && parseInt(taken) > 0 ? 1 : 0);
+    }
+  }
+
+  return finalizeReport(report);
+}
+
+/**
+ * Parse Cobertura XML (cobertura.xml, coverage.xml)
+ */
+function parseCobertura(content) {
+  const report = createReport();
+
+  for (const classMatch of content.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+    const attrs = parseAttributes(classMatch[1]);
+    if (!attrs.filename) continue;
+    const file = getFile(report, attrs.filename);
+
+    // Method-level <lines> repeat the class-level ones, so dedupe by line number
+    const seen = new Set();
+    for (const lineMatch of classMatch[2].matchAll(/<line\b([^>]*?)\/?>/g)) {
+      const line = parseAttributes(lineMatch[1]);
+      const lineNumber = parseInt(line.number);
+      if (seen.has(lineNumber)) continue;
+      seen.add(lineNumber);
+
+      recordLine(file, lineNumber, parseInt(line.hits) || 0);
+
+      const condition = /\((\d+)\/(\d+)\)/.exec(line['condition-coverage'] || '');
+      if (line.branch === 'true' && condition) {
+        recordBranches(file, lineNumber, parseInt(condition[2]), parseInt(condition[1]));
+      }
+    }
+  }
+
+  return finalizeReport(report);
+}
+
+/**
+ * Parse Clover XML (clover.xml)
+ */
+function parseClover(content) {
+  const report = createReport();
+
+  for (const fileMatch of content.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const attrs = parseAttributes(fileMatch[1]);
+    const file = getFile(report, attrs.path || attrs.name);
+
+    for (const lineMatch of fileMatch[2].matchAll(/<line\b([^>]*?)\/?>/g)) {
+      const line = parseAttributes(lineMatch[1]);
+      const lineNumber = parseInt(line.num);
+
+      if (line.type === 'cond') {
+        const trueCount = parseInt(line.truecount) || 0;
+        const falseCount = parseInt(line.falsecount) || 0;
+        recordLine(file, lineNumber, trueCount + falseCount);
+        recordBranches(file, lineNumber, 2, (trueCount > 0 ? 1 : 0) + (falseCount > 0 ? 1 : 0));
+      } else if (line.type === 'stmt') {
+        recordLine(file, lineNumber, parseInt(line.count) || 0);
+      }
+    }
+  }
+
+  return finalizeReport(report);
+}
+
+/**
+ * Parse JaCoCo XML (jacoco.xml)
+ */
+function parseJacoco(content) {
+  const report = createReport();
+
+  for (const packageMatch of content.matchAll(/<package\b([^>]*)>([\s\S]*?)<\/package>/g)) {
+    const packageName = parseAttributes(packageMatch[1]).name || '';
+
+    for (const sourceMatch of packageMatch[2].matchAll(/<sourcefile\b([^>]*)>([\s\S]*?)<\/sourcefile>/g)) {
+      const sourceName = parseAttributes(sourceMatch[1]).name;
+      const file = getFile(report, packageName ? `${packageName}/${sourceName}` : sourceName);
+
+      for (const lineMatch of sourceMatch[2].matchAll(/<line\b([^>]*?)\/?>/g)) {
+        const line = parseAttributes(lineMatch[1]);
+        const lineNumber = parseInt(line.nr);
+        recordLine(file, lineNumber, parseInt(line.ci) || 0);
+
+        const missedBranches = parseInt(line.mb) || 0;
+        const coveredBranches = parseInt(line.cb) || 0;
+        if (missedBranches + coveredBranches > 0) {
+          recordBranches(file, lineNumber, missedBranches + coveredBranches, coveredBranches);
+        }
+      }
+    }
+  }
+
+  return finalizeReport(report);
+}
+
+/**
+ * Parse Istanbul json-summary (coverage-summary.json). Totals only, no per-line hits.
+ */
+function parseIstanbulSummary(content) {
+  const data = JSON.parse(content);
+  const report = createReport();
+
+  for (const [filePath, metrics] of Object.entries(data)) {
+    if (filePath === 'total') continue;
+    const file = getFile(report, filePath);
+    file.lines = toCounter(metrics.lines);
+    file.branches = toCounter(metrics.branches);
+  }
+
+  const result = finalizeReport(report);
+
+  // Prefer the reported totals when present, they account for files outside the listing
+  if (data.total) {
+    result.lines = toCounter(data.total.lines);
+    result.branches = toCounter(data.total.branches);
+  }
+
+  return result;
+}
+
+/**
+ * Parse Istanbul json (coverage-final.json)
+ */
+function parseIstanbulFinal(content) {
+  const data = JSON.parse(content);
+  const report = createReport();
+
+  for (const [key, entry] of Object.entries(data)) {
+    const file = getFile(report, entry.path || key);
+
+    for (const [id, location] of Object.entries(entry.statementMap || {})) {
+      recordLine(file, location.start.line, entry.s?.[id] || 0);
+    }
+
+    for (const [id, branch] of Object.entries(entry.branchMap || {})) {
+      const counts = entry.b?.[id] || [];
+      const lineNumber = branch.loc?.start?.line || branch.line;
+      recordBranches(file, lineNumber, counts.length, counts.filter(c => c > 0).length);
+    }
+  }
+
+  return finalizeReport(report);
+}
+
+/**
+ * Parse XML attributes from a tag's attribute string
+ */
+function parseAttributes(attributeString) {
+  const attrs = {};
+  for (const match of attributeString.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[match[1]] = match[2];
+  }
+  return attrs;
+}
+
+function createReport() {
+  return { files: {} };
+}
+
+function getFile(report, filePath) {
+  if (!report.files[filePath]) {
+    report.files[filePath] = { hits: {}, branchHits: {} };
+  }
+  return report.files[filePath];
+}
+
+/**
+ * Record hits for a line, keeping the highest count seen
+ */
+function recordLine(file, lineNumber, hits) {
+  if (!Number.isFinite(lineNumber)) return;
+  const previous = file.hits[lineNumber];
+  file.hits[lineNumber] = previous === undefined ? hits : Math.max(previous, hits);
+}
+
+/**
+ * Record branch counts for a line, accumulating across branch points
+ */
+function recordBranches(file, lineNumber, total, covered) {
+  if (!Number.isFinite(lineNumber) || total <= 0) return;
+  const previous = file.branchHits[lineNumber] || { total: 0, covered: 0 };
+  file.branchHits[lineNumber] = {
+    total: previous.total + total,
+    covered: previous.covered + covered
+  };
+}
+
+/**
+ * Compute per-file and overall totals from recorded hits
+ */
+function finalizeReport(report) {
+  const lines = { total: 0, covered: 0 };
+  const branches = { total: 0, covered: 0 };
+
+  for (const file of Object.values(report.files)) {
+    if (!file.lines) {
+      const hits = Object.values(file.hits);
+      file.lines = toCounter({ total: hits.length, covered: hits.filter(h => h > 0).length });
+    }
+    if (!file.branches) {
+      const branchHits = Object.values(file.branchHits);
+      file.branches = toCounter({
+        total: branchHits.reduce((sum, b) => sum + b.total, 0),
+        covered: branchHits.reduce((sum, b) => sum + b.covered, 0)
+      });
+    }
+
+    lines.total += file.lines.total;
+    lines.covered += file.lines.covered;
+    branches.total += file.branches.total;
+    branches.covered += file.branches.covered;
+  }
+
+  return {
+    lines: toCounter(lines),
+    branches: toCounter(branches),
+    files: report.files
+  };
+}
+
+/**
+ * Normalize a { total, covered } pair and compute its percentage
+ */
+function toCounter(metric = {}) {
+  const total = Number(metric.total) || 0;
+  const covered = Number(metric.covered) || 0;
+  return { total, covered, pct: percentage(covered, total) };
+}
+
+/**
+ * Percentage rounded to two decimals, or null when there is nothing to cover
+ */
+function percentage(covered, total) {
+  if (!total) return null;
+  return Math.round((covered / total) * 10000) / 100;
+}
+
+module.exports = { loadCoverageReport, parseCoverageReport, detectFormat, percentage };
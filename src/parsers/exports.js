@@ -0,0 +1,284 @@
+/**
+ * Export Parsers
+ * Extracts the public surface of JS/TS and Python modules and diffs it
+ */
+
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const PY_EXTENSIONS = ['.py'];
+
+/**
+ * Language whose exports can be extracted: 'js', 'python' or null
+ */
+function getExportLanguage(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  if (filename.endsWith('.d.ts') || JS_EXTENSIONS.includes(ext)) return 'js';
+  if (PY_EXTENSIONS.includes(ext)) return 'python';
+  return null;
+}
+
+/**
+ * Extract exports from a module.
+ * Returns { [name]: { name, kind, params, line } } where kind is function,
+ * class, variable, type or reexport, and params lists function parameters.
+ */
+function extractExports(filename, content) {
+  if (!content) return {};
+
+  const language = getExportLanguage(filename);
+  if (language === 'js') return extractJsExports(content);
+  if (language === 'python') return extractPythonExports(content);
+  return {};
+}
+
+/**
+ * ES module exports and CommonJS module.exports / exports.name assignments
+ */
+function extractJsExports(content) {
+  const code = stripJsComments(content);
+  const exports = {};
+  const add = (name, index, definition) => {
+    exports[name] = { name, ...definition, line: lineAt(code, index) };
+  };
+
+  // export function / class / const / type ...
+  const declaration = /^export\s+(default\s+)?(?:declare\s+)?(?:abstract\s+)?(async\s+function\s*\*?|function\s*\*?|class|const|let|var|interface|type|enum)\s*([\w$]*)/gm;
+  for (const match of code.matchAll(declaration)) {
+    const keyword = match[2].replace(/^async\s+/, '').replace(/\s*\*?\s*$/, '');
+    const name = match[1] ? 'default' : match[3];
+    if (!name) continue;
+    add(name, match.index, describeDeclaration(code, match.index + match[0].length, keyword));
+  }
+
+  // export default <expression>
+  for (const match of code.matchAll(/^export\s+default\s+(?!async\s+function|function|class|abstract)([\w$]+)/gm)) {
+    add('default', match.index, describeLocal(code, match[1]));
+  }
+
+  // export { a, b as c } [from '...'] and export * from '...'
+  for (const match of code.matchAll(/^export\s+(?:type\s+)?\{([^}]*)\}\s*(from\s*['"][^'"]+['"])?/gm)) {
+    for (const specifier of splitTopLevel(match[1])) {
+      const [local, exported = local] = specifier.replace(/^type\s+/, '').split(/\s+as\s+/).map(s => s.trim());
+      if (!local) continue;
+      add(exported, match.index, match[2] ? { kind: 'reexport', params: null } : describeLocal(code, local));
+    }
+  }
+  for (const match of code.matchAll(/^export\s+\*\s*(?:as\s+([\w$]+)\s*)?from\s*['"]([^'"]+)['"]/gm)) {
+    add(match[1] || `* from ${match[2]}`, match.index, { kind: 'reexport', params: null });
+  }
+
+  // module.exports = { a, b: c, d() {} } or module.exports = name
+  for (const match of code.matchAll(/^module\.exports\s*=\s*/gm)) {
+    const start = match.index + match[0].length;
+    if (code[start] === '{') {
+      const body = balanced(code, start, '{', '}');
+      for (const entry of splitTopLevel(body)) {
+        const shorthand = entry.match(/^([\w$]+)$/);
+        const pair = entry.match(/^['"]?([\w$]+)['"]?\s*:\s*([\s\S]+)$/);
+        const method = entry.match(/^(?:async\s+)?([\w$]+)\s*\(/);
+        if (shorthand) {
+          add(shorthand[1], match.index, describeLocal(code, shorthand[1]));
+        } else if (pair) {
+          add(pair[1], match.index, /^[\w$]+$/.test(pair[2].trim()) ? describeLocal(code, pair[2].trim()) : describeExpression(pair[2]));
+        } else if (method) {
+          add(method[1], match.index, { kind: 'function', params: splitTopLevel(balanced(entry, entry.indexOf('('), '(', ')')) });
+        }
+      }
+    } else {
+      const name = code.substring(start).match(/^[\w$]+/)?.[0];
+      add('default', match.index, name ? describeLocal(code, name) : describeExpression(code.substring(start)));
+    }
+  }
+
+  // module.exports.name = ... / exports.name = ...
+  for (const match of code.matchAll(/^(?:module\.)?exports\.([\w$]+)\s*=\s*([^\n]*)/gm)) {
+    const value = match[2].trim().replace(/;$/, '');
+    add(match[1], match.index, /^[\w$]+$/.test(value) ? describeLocal(code, value) : describeExpression(code.substring(match.index + match[0].length - match[2].length)));
+  }
+
+  return exports;
+}
+
+/**
+ * Describe a declaration from the text following its keyword and name
+ */
+function describeDeclaration(code, index, keyword) {
+  if (keyword === 'function') {
+    return { kind: 'function', params: splitTopLevel(balanced(code, code.indexOf('(', index), '(', ')')) };
+  }
+  if (keyword === 'class') return { kind: 'class', params: null };
+  if (['interface', 'type', 'enum'].includes(keyword)) return { kind: 'type', params: null };
+
+  const assignment = code.substring(index).match(/^\s*(?::[^=]+)?=\s*/);
+  return assignment ? describeExpression(code.substring(index + assignment[0].length)) : { kind: 'variable', params: null };
+}
+
+/**
+ * Describe an expression: functions and arrow functions carry their parameters
+ */
+function describeExpression(expression) {
+  const text = expression.trimStart();
+  const fn = text.match(/^(?:async\s+)?function\s*\*?\s*[\w$]*\s*\(/);
+  if (fn) return { kind: 'function', params: splitTopLevel(balanced(text, fn[0].length - 1, '(', ')')) };
+
+  const arrowParam = text.match(/^(?:async\s+)?([\w$]+)\s*=>/);
+  if (arrowParam) return { kind: 'function', params: [arrowParam[1]] };
+
+  const arrow = text.match(/^(?:async\s*)?\(/);
+  if (arrow) {
+    const start = arrow[0].length - 1;
+    const params = balanced(text, start, '(', ')');
+    const after = text.substring(start + params.length + 2);
+    if (/^\s*(:[^=]*)?=>/.test(after)) return { kind: 'function', params: splitTopLevel(params) };
+  }
+
+  if (/^class\b/.test(text)) return { kind: 'class', params: null };
+  return { kind: 'variable', params: null };
+}
+
+/**
+ * Describe a locally defined name by finding its top-level definition
+ */
+function describeLocal(code, name) {
+  const escaped = name.replace(/\$/g, '\\$');
+  const fn = code.match(new RegExp(`^(?:export\\s+)?(?:async\\s+)?function\\s*\\*?\\s*${escaped}\\s*\\(`, 'm'));
+  if (fn) return { kind: 'function', params: splitTopLevel(balanced(code, fn.index + fn[0].length - 1, '(', ')')) };
+
+  if (new RegExp(`^(?:export\\s+)?(?:abstract\\s+)?class\\s+${escaped}\\b`, 'm').test(code)) return { kind: 'class', params: null };
+
+  const variable = code.match(new RegExp(`^(?:export\\s+)?(?:const|let|var)\\s+${escaped}\\s*(?::[^=]+)?=\\s*`, 'm'));
+  if (variable) return describeExpression(code.substring(variable.index + variable[0].length));
+
+  return { kind: 'variable', params: null };
+}
+
+/**
+ * Public top-level defs and classes, limited to __all__ when it is declared
+ */
+function extractPythonExports(content) {
+  const exports = {};
+  const definition = /^(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)\s*(\()?/gm;
+
+  for (const match of content.matchAll(definition)) {
+    const [, keyword, name, paren] = match;
+    if (name.startsWith('_')) continue;
+
+    const params = keyword === 'def' && paren
+      ? splitTopLevel(balanced(content, match.index + match[0].length - 1, '(', ')'))
+      : null;
+    exports[name] = { name, kind: keyword === 'def' ? 'function' : 'class', params, line: lineAt(content, match.index) };
+  }
+
+  const all = content.match(/^__all__\s*=\s*[[(]([^\])]*)[\])]/m);
+  if (all) {
+    const names = [...all[1].matchAll(/['"]([^'"]+)['"]/g)].map(m => m[1]);
+    const line = lineAt(content, all.index);
+    return Object.fromEntries(names.map(name => [name, exports[name] || { name, kind: 'variable', params: null, line }]));
+  }
+
+  return exports;
+}
+
+/**
+ * Compare base and head exports. Removed exports, kind changes and signature
+ * changes other than appending optional parameters are breaking.
+ */
+function diffExports(base, head) {
+  const changes = [];
+
+  for (const [name, exported] of Object.entries(head)) {
+    const previous = base[name];
+    if (!previous) {
+      changes.push({ name, change: 'added', breaking: false, from: null, to: formatSignature(exported), line: exported.line });
+      continue;
+    }
+
+    const from = formatSignature(previous);
+    const to = formatSignature(exported);
+    if (from === to) continue;
+
+    const breaking = previous.kind !== exported.kind || !isCompatibleSignature(previous.params || [], exported.params || []);
+    changes.push({ name, change: 'changed', breaking, from, to, line: exported.line });
+  }
+
+  for (const [name, previous] of Object.entries(base)) {
+    if (!head[name]) {
+      changes.push({ name, change: 'removed', breaking: true, from: formatSignature(previous), to: null, line: null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Whether a new parameter list only appends optional parameters to the old one
+ */
+function isCompatibleSignature(before, after) {
+  if (after.length < before.length) return false;
+  if (before.some((param, i) => param !== after[i])) return false;
+  return after.slice(before.length).every(isOptionalParam);
+}
+
+function isOptionalParam(param) {
+  return /^\.\.\.|^\*|^[\w$]+\?\s*:|=/.test(param) || param === '/';
+}
+
+function formatSignature(exported) {
+  return exported.params ? `${exported.kind} (${exported.params.join(', ')})` : exported.kind;
+}
+
+/**
+ * Text between an opening bracket at `start` and its matching close
+ */
+function balanced(text, start, open, close) {
+  if (start < 0 || text[start] !== open) return '';
+
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return text.substring(start + 1, i);
+  }
+  return text.substring(start + 1);
+}
+
+/**
+ * Split on commas outside brackets, normalizing whitespace
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    // Arrows aren't closing angle brackets
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}>'.includes(char) && depth > 0 && !(char === '>' && text[i - 1] === '=')) depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+/**
+ * Blank out comments, keeping offsets so line numbers stay accurate
+ */
+function stripJsComments(content) {
+  return content
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+    .replace(/(^|\s)\/\/.*$/gm, (comment, lead) => lead + ' '.repeat(comment.length - lead.length));
+}
+
+function lineAt(text, index) {
+  return text.substring(0, index).split('\n').length;
+}
+
+module.exports = { getExportLanguage, extractExports, diffExports };
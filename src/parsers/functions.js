@@ -0,0 +1,400 @@
+/**
+ * Function Parsers
+ * Finds functions with their line ranges and parameter counts in JS/TS,
+ * Python, Go, Java, Kotlin, Ruby and Rust. JS/TS is parsed into an AST that
+ * also gives per-function cyclomatic and cognitive complexity.
+ */
+
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+const PLUGINS = {
+  '.js': ['jsx'], '.jsx': ['jsx'], '.mjs': ['jsx'], '.cjs': ['jsx'],
+  '.ts': ['typescript'], '.mts': ['typescript'], '.cts': ['typescript'],
+  '.tsx': ['typescript', 'jsx']
+};
+
+const LANGUAGES = {
+  '.py': 'python', '.go': 'go', '.java': 'java', '.kt': 'kotlin',
+  '.rb': 'ruby', '.rs': 'rust'
+};
+
+// Signature lines up to the opening parenthesis of the parameter list
+const SIGNATURES = {
+  go: /^\s*func\s+(?:\([^)]*\)\s*)?(\w+)\s*(?:\[[^\]]*\]\s*)?\(/,
+  java: /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp)\s+)*(?:<[^>]+>\s+)?(?:([\w<>[\],.?]+)\s+)?(\w+)\s*\(/,
+  kotlin: /^\s*(?:(?:public|protected|private|internal|override|open|abstract|final|suspend|inline|operator|infix|tailrec|external)\s+)*fun\s+(?:<[^>]+>\s+)?(?:[\w.<>?]+\.)?(\w+)\s*\(/,
+  rust: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe)\s+|extern\s+"[^"]*"\s+)*fn\s+(\w+)\s*(?:<[^>]*>)?\s*\(/
+};
+
+// Words the Java signature pattern would otherwise take for a return type or name
+const JAVA_NON_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'throw', 'else', 'try', 'do', 'case']);
+
+// Comments and string literals, blanked out before scanning for brackets
+const C_LIKE_NOISE = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|`[^`]*`|'(?:[^'\\\n]|\\.)'/g;
+const SCRIPT_NOISE = /#[^\n]*|"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+
+// Receivers that are written as parameters but aren't passed by callers
+const RECEIVERS = /^(self|cls|&?(?:'\w+\s+)?(?:mut\s+)?self|this\b.*)$/;
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+// Node keys that never hold code
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'typeAnnotation', 'returnType', 'typeParameters']);
+
+/**
+ * Check if a file is JS/TS that can be parsed into an AST
+ */
+function isParsableScript(filename) {
+  return Boolean(PLUGINS[path.extname(filename).toLowerCase()]);
+}
+
+/**
+ * Language whose functions can be found, or null
+ */
+function getFunctionLanguage(filename) {
+  if (isParsableScript(filename)) return 'js';
+  return LANGUAGES[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Find the functions in a file, or null if the language isn't supported or
+ * JS/TS can't be parsed. Returns [{ name, startLine, endLine, params }], with
+ * `cyclomatic` and `cognitive` for JS/TS. Nested functions are listed
+ * separately and don't count toward their parent.
+ */
+function extractFunctions(filename, content) {
+  const language = getFunctionLanguage(filename);
+  if (!language || typeof content !== 'string') return null;
+
+  switch (language) {
+    case 'js': return extractScriptFunctions(filename, content);
+    case 'python': return extractIndentedFunctions(content, language);
+    case 'ruby': return extractIndentedFunctions(content, language);
+    default: return extractBracedFunctions(content, language);
+  }
+}
+
+function extractScriptFunctions(filename, content) {
+  let ast;
+  try {
+    ast = parse(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      errorRecovery: true,
+      plugins: [...PLUGINS[path.extname(filename).toLowerCase()], 'decorators-legacy']
+    });
+  } catch {
+    return null;
+  }
+
+  const functions = [];
+  const visit = (node, parent, grandparent) => {
+    if (FUNCTION_TYPES.has(node.type)) {
+      functions.push({
+        name: getFunctionName(node, parent, grandparent),
+        startLine: node.loc.start.line,
+        endLine: node.loc.end.line,
+        // TypeScript's `this` parameter only declares a type
+        params: node.params.filter(p => !(p.type === 'Identifier' && p.name === 'this')).length,
+        ...measure(node)
+      });
+    }
+    forEachChild(node, child => visit(child, node, parent));
+  };
+  visit(ast.program, null, null);
+
+  return functions;
+}
+
+/**
+ * Go, Java, Kotlin and Rust functions, from their signature to the matching
+ * closing brace. Declarations without a body are skipped; Kotlin expression
+ * bodies end with their signature.
+ */
+function extractBracedFunctions(content, language) {
+  const code = blank(content, C_LIKE_NOISE);
+  const lines = code.split('\n');
+  const lineStarts = getLineStarts(lines);
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(SIGNATURES[language]);
+    if (!match) return;
+    const name = match[match.length - 1];
+    if (language === 'java' && (JAVA_NON_METHODS.has(name) || JAVA_NON_METHODS.has(match[1]))) return;
+
+    const open = lineStarts[index] + match[0].length - 1;
+    const close = findClosing(code, open);
+    if (close === -1) return;
+
+    // Return types and throws clauses come before the body; empty braces are types like interface{}
+    const header = code.substring(close + 1).match(/^(?:[^{;]|\{\s*\})*/)[0];
+    const bodyStart = close + 1 + header.length;
+    let end;
+    if (code[bodyStart] === '{' && !(language === 'java' && !/^\s*(?:throws\s+[\w.,\s<>]+)?$/.test(header))) {
+      end = findClosing(code, bodyStart);
+    } else if (language === 'kotlin' && /^\s*(?::[^=]+)?=/.test(header)) {
+      end = close;
+    }
+    if (end === undefined || end === -1) return;
+
+    functions.push({
+      name,
+      startLine: index + 1,
+      endLine: lineOf(lineStarts, end),
+      params: countParams(code.substring(open + 1, close), true)
+    });
+  });
+
+  return functions;
+}
+
+/**
+ * Python functions end before the next code at or above their indentation;
+ * Ruby methods at the `end` aligned with their `def`
+ */
+function extractIndentedFunctions(content, language) {
+  const code = blank(content, SCRIPT_NOISE);
+  const lines = code.split('\n');
+  const originalLines = content.split('\n');
+  const lineStarts = getLineStarts(lines);
+  const pattern = language === 'python'
+    ? /^(\s*)(?:async\s+)?def\s+(\w+)\s*\(/
+    : /^(\s*)def\s+(?:self\.)?([\w?!=]+|\[\]=?|[-+*/%<=>!~^&|]+)\s*/;
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(pattern);
+    if (!match) return;
+    const indent = match[1].length;
+
+    // Parameters in parentheses, or Ruby's unparenthesized `def name a, b`
+    let params = 0;
+    let signatureEnd = lineStarts[index] + match[0].length;
+    if (code[signatureEnd - 1] === '(' || code[signatureEnd] === '(') {
+      const open = code[signatureEnd - 1] === '(' ? signatureEnd - 1 : signatureEnd;
+      const close = findClosing(code, open);
+      if (close === -1) return;
+      params = countParams(code.substring(open + 1, close), false);
+      signatureEnd = close + 1;
+    } else if (language === 'ruby') {
+      const bare = line.substring(match[0].length).match(/^[^;=]*/)[0];
+      params = countParams(bare, false);
+    }
+
+    const startLine = index + 1;
+    const signatureLine = lineOf(lineStarts, signatureEnd);
+    const rest = lines[signatureLine - 1].substring(signatureEnd - lineStarts[signatureLine - 1]);
+    let endLine = signatureLine;
+
+    if (language === 'ruby') {
+      // One-line and endless methods
+      if (/(^|;)\s*end\b/.test(rest) || /^\s*=[^=]/.test(rest)) {
+        functions.push({ name: match[2], startLine, endLine, params });
+        return;
+      }
+      const endIndex = lines.findIndex((l, i) => i >= signatureLine && /^\s*end\b/.test(l) && l.search(/\S/) === indent);
+      if (endIndex === -1) return;
+      endLine = endIndex + 1;
+    } else {
+      for (let i = signatureLine; i < lines.length; i++) {
+        const lineIndent = lines[i].search(/\S/);
+        if (lineIndent !== -1 && lineIndent <= indent) break;
+        // Blanked strings still count as code when they're indented into the body
+        const originalIndent = originalLines[i].search(/\S/);
+        if (lineIndent !== -1 || originalIndent > indent) endLine = i + 1;
+      }
+    }
+
+    functions.push({ name: match[2], startLine, endLine, params });
+  });
+
+  return functions;
+}
+
+/**
+ * Count comma-separated parameters, ignoring commas inside brackets and
+ * receivers such as self. `generics` treats <> as brackets.
+ */
+function countParams(text, generics) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{'.includes(char) || (generics && char === '<')) depth++;
+    else if (')]}'.includes(char) || (generics && char === '>' && text[i - 1] !== '-' && depth > 0)) depth--;
+
+    if (char === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  params.push(current);
+
+  return params
+    .map(param => param.trim())
+    .filter(param => param && param !== '*' && param !== '/' && !RECEIVERS.test(param.split(/[:=]/)[0].trim()))
+    .length;
+}
+
+/**
+ * Index of the bracket closing the one at `open`, or -1
+ */
+function findClosing(code, open) {
+  const pairs = { '(': ')', '{': '}', '[': ']' };
+  const close = pairs[code[open]];
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === code[open]) depth++;
+    else if (code[i] === close && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Replace matches with spaces, keeping line breaks so positions still line up
+ */
+function blank(content, pattern) {
+  return content.replace(/\r\n/g, '\n').replace(pattern, match => match.replace(/[^\n]/g, ' '));
+}
+
+function getLineStarts(lines) {
+  const starts = [];
+  let offset = 0;
+  for (const line of lines) {
+    starts.push(offset);
+    offset += line.length + 1;
+  }
+  return starts;
+}
+
+function lineOf(lineStarts, offset) {
+  let line = 0;
+  while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+  return line + 1;
+}
+
+/**
+ * Cyclomatic complexity counts decision points: branches, loops, cases,
+ * catches, ternaries and logical operators. Cognitive complexity adds one per
+ * break in linear flow plus its nesting depth, and one per sequence of like
+ * logical operators.
+ */
+function measure(fn) {
+  let cyclomatic = 1;
+  let cognitive = 0;
+
+  const walk = (node, nesting, parent) => {
+    if (FUNCTION_TYPES.has(node.type) && node !== fn) return;
+
+    let childNesting = nesting;
+    if (node.type === 'IfStatement') {
+      cyclomatic++;
+      // `else if` continues the chain at the same level
+      const isElseIf = parent?.type === 'IfStatement' && parent.alternate === node;
+      cognitive += isElseIf ? 1 : 1 + nesting;
+      if (node.alternate && node.alternate.type !== 'IfStatement') cognitive++;
+
+      walk(node.test, nesting, node);
+      walk(node.consequent, nesting + 1, node);
+      if (node.alternate) walk(node.alternate, node.alternate.type === 'IfStatement' ? nesting : nesting + 1, node);
+      return;
+    }
+
+    if (LOOP_TYPES.has(node.type) || node.type === 'ConditionalExpression' || node.type === 'CatchClause') {
+      cyclomatic++;
+      cognitive += 1 + nesting;
+      childNesting = nesting + 1;
+    } else if (node.type === 'SwitchStatement') {
+      cognitive += 1 + nesting;
+      childNesting = nesting + 1;
+    } else if (node.type === 'SwitchCase' && node.test) {
+      cyclomatic++;
+    } else if (node.type === 'LogicalExpression') {
+      cyclomatic++;
+      if (parent?.type !== 'LogicalExpression' || parent.operator !== node.operator) cognitive++;
+    } else if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+      cognitive++;
+    }
+
+    forEachChild(node, child => walk(child, childNesting, node));
+  };
+
+  forEachChild(fn, child => walk(child, 0, fn));
+  return { cyclomatic, cognitive };
+}
+
+/**
+ * Name a function from its declaration or what it's assigned to
+ */
+function getFunctionName(node, parent, grandparent) {
+  if (node.id?.name) return node.id.name;
+  if (node.key) return propertyName(node.key);
+
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id.name || '<anonymous>';
+    case 'AssignmentExpression':
+      return memberName(parent.left) || '<anonymous>';
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return propertyName(parent.key);
+    case 'CallExpression':
+    case 'NewExpression': {
+      const { callee } = parent;
+      const calleeName = memberName(callee) || (callee.property && !callee.computed ? propertyName(callee.property) : null);
+      return calleeName ? `${calleeName} callback` : '<anonymous>';
+    }
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return grandparent?.type === 'VariableDeclarator' && grandparent.id.name ? grandparent.id.name : '<anonymous>';
+  }
+}
+
+function propertyName(key) {
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return '<computed>';
+}
+
+/**
+ * Dotted name of an identifier or member expression, e.g. module.exports.run
+ */
+function memberName(node) {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'ThisExpression') return 'this';
+  if (node?.type === 'MemberExpression' || node?.type === 'OptionalMemberExpression') {
+    const object = memberName(node.object);
+    return object && !node.computed ? `${object}.${propertyName(node.property)}` : null;
+  }
+  return null;
+}
+
+function forEachChild(node, fn) {
+  for (const [key, value] of Object.entries(node)) {
+    if (SKIP_KEYS.has(key) || !value || typeof value !== 'object') continue;
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') fn(child);
+      }
+    } else if (typeof value.type === 'string') {
+      fn(value);
+    }
+  }
+}
+
+module.exports = { isParsableScript, getFunctionLanguage, extractFunctions };
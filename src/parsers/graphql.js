@@ -0,0 +1,298 @@
+/**
+ * GraphQL Parsers
+ * Reads type definitions from GraphQL SDL and classifies changes between schemas
+ */
+
+const KINDS = { type: 'type', interface: 'interface', input: 'input', enum: 'enum', union: 'union', scalar: 'scalar' };
+const NAME = /^[_A-Za-z]\w*$/;
+const TOKEN = /"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n]*|[_A-Za-z]\w*|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\.\.|[!$&()[\]{}:=@|,]/g;
+
+/**
+ * Check if a file holds GraphQL SDL
+ */
+function isGraphQLFile(filename) {
+  return /\.(graphql|graphqls|gql)$/i.test(filename);
+}
+
+/**
+ * Parse type definitions, merging `extend` blocks into their types.
+ * Returns { [name]: { kind, line, fields, values, members } } where fields map
+ * names to { type, line, args } and args map names to { type, hasDefault }.
+ */
+function parseGraphQLSchema(content) {
+  const tokens = tokenize(content || '');
+  const types = {};
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const kind = KINDS[token.value];
+    if (token.string || !kind || !NAME.test(tokens[i + 1]?.value || '')) {
+      i++;
+      continue;
+    }
+
+    const name = tokens[i + 1].value;
+    const type = types[name] || (types[name] = { kind, line: token.line, fields: {}, values: [], members: [] });
+    i = skipHeader(tokens, i + 2);
+
+    if (kind === 'union' && tokens[i]?.value === '=') {
+      i++;
+      do {
+        if (tokens[i]?.value === '|') i++;
+        if (NAME.test(tokens[i]?.value || '')) type.members.push(tokens[i++].value);
+      } while (tokens[i]?.value === '|');
+    } else if (tokens[i]?.value === '{') {
+      i = kind === 'enum' ? parseEnumValues(tokens, i + 1, type) : parseFields(tokens, i + 1, type);
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Compare two parsed schemas. Returns [{ breaking, type, message, line }].
+ * Breaking: removed types, fields, arguments, enum values and union members,
+ * new required arguments and input fields, and type changes other than
+ * output fields becoming non-null or inputs becoming nullable.
+ */
+function diffGraphQLSchema(base, head) {
+  const changes = [];
+  const add = (breaking, type, message, line) => changes.push({ breaking, type, message, line: line ?? head[type]?.line ?? null });
+
+  for (const [name, type] of Object.entries(head)) {
+    const previous = base[name];
+    if (!previous) {
+      add(false, name, `New ${type.kind} \`${name}\``);
+      continue;
+    }
+    if (previous.kind !== type.kind) {
+      add(true, name, `\`${name}\` changed from ${previous.kind} to ${type.kind}`);
+      continue;
+    }
+
+    const isInput = type.kind === 'input';
+    for (const [fieldName, field] of Object.entries(type.fields)) {
+      const label = `\`${name}.${fieldName}\``;
+      const before = previous.fields[fieldName];
+      if (!before) {
+        const required = isInput && isRequired(field);
+        add(required, name, `New ${isInput ? `${required ? 'required' : 'optional'} input ` : ''}field ${label}`, field.line);
+        continue;
+      }
+
+      if (before.type !== field.type) {
+        const safe = isInput ? onlyAddsNonNull(field.type, before.type) : onlyAddsNonNull(before.type, field.type);
+        add(!safe, name, `Type of ${label} changed from \`${before.type}\` to \`${field.type}\``, field.line);
+      }
+      compareArguments(before.args, field.args, label, (breaking, message) => add(breaking, name, message, field.line));
+    }
+
+    for (const fieldName of Object.keys(previous.fields)) {
+      if (!type.fields[fieldName]) add(true, name, `Removed field \`${name}.${fieldName}\``);
+    }
+
+    compareMembers(previous.values, type.values, (breaking, value) =>
+      add(breaking, name, `${breaking ? 'Removed' : 'New'} enum value \`${name}.${value}\``));
+    compareMembers(previous.members, type.members, (breaking, member) =>
+      add(breaking, name, `${breaking ? 'Removed' : 'New'} member \`${member}\` ${breaking ? 'from' : 'in'} union \`${name}\``));
+  }
+
+  for (const [name, type] of Object.entries(base)) {
+    if (!head[name]) add(true, name, `Removed ${type.kind} \`${name}\``, null);
+  }
+
+  return changes;
+}
+
+function compareArguments(before, after, label, add) {
+  for (const [name, arg] of Object.entries(after)) {
+    const previous = before[name];
+    if (!previous) {
+      add(isRequired(arg), `New ${isRequired(arg) ? 'required' : 'optional'} argument \`${name}\` on ${label}`);
+    } else if (previous.type !== arg.type) {
+      add(!onlyAddsNonNull(arg.type, previous.type), `Type of argument \`${name}\` on ${label} changed from \`${previous.type}\` to \`${arg.type}\``);
+    }
+  }
+
+  for (const name of Object.keys(before)) {
+    if (!after[name]) add(true, `Removed argument \`${name}\` from ${label}`);
+  }
+}
+
+function compareMembers(before, after, report) {
+  for (const member of after.filter(m => !before.includes(m))) report(false, member);
+  for (const member of before.filter(m => !after.includes(m))) report(true, member);
+}
+
+/**
+ * Whether `to` is `from` with some positions made non-null, e.g. [String] -> [String!]!
+ */
+function onlyAddsNonNull(from, to) {
+  let j = 0;
+  for (let i = 0; i < to.length; i++) {
+    if (to[i] === from[j]) j++;
+    else if (to[i] !== '!') return false;
+  }
+  return j === from.length;
+}
+
+function isRequired(value) {
+  return value.type.endsWith('!') && !value.hasDefault;
+}
+
+/**
+ * Skip `implements A & B` and directives up to a body, `=` or the next definition
+ */
+function skipHeader(tokens, i) {
+  while (i < tokens.length) {
+    const value = tokens[i].value;
+    if (value === 'implements' || value === '&') {
+      i++;
+    } else if (value === '@') {
+      i = skipDirectives(tokens, i);
+    } else if (NAME.test(value) && ['implements', '&'].includes(tokens[i - 1]?.value)) {
+      i++;
+    } else {
+      return i;
+    }
+  }
+  return i;
+}
+
+/**
+ * Parse `name(args): Type` fields and `name: Type = default` input fields up to `}`
+ */
+function parseFields(tokens, i, type) {
+  while (i < tokens.length && tokens[i].value !== '}') {
+    if (tokens[i].string || tokens[i].value === ',') {
+      i++;
+      continue;
+    }
+
+    const nameToken = tokens[i++];
+    const args = {};
+    if (tokens[i]?.value === '(') {
+      i = parseArguments(tokens, i + 1, args);
+    }
+    if (tokens[i]?.value !== ':') continue;
+
+    const parsed = parseTypeReference(tokens, i + 1);
+    i = parsed.i;
+    let hasDefault = false;
+    if (tokens[i]?.value === '=') {
+      hasDefault = true;
+      i = skipValue(tokens, i + 1);
+    }
+    i = skipDirectives(tokens, i);
+
+    type.fields[nameToken.value] = { type: parsed.type, line: nameToken.line, args, hasDefault };
+  }
+  return i + 1;
+}
+
+/**
+ * Parse `name: Type = default` arguments up to `)`
+ */
+function parseArguments(tokens, i, args) {
+  while (i < tokens.length && tokens[i].value !== ')') {
+    if (tokens[i].string || tokens[i].value === ',' || tokens[i + 1]?.value !== ':') {
+      i++;
+      continue;
+    }
+
+    const name = tokens[i].value;
+    const parsed = parseTypeReference(tokens, i + 2);
+    i = parsed.i;
+    let hasDefault = false;
+    if (tokens[i]?.value === '=') {
+      hasDefault = true;
+      i = skipValue(tokens, i + 1);
+    }
+    i = skipDirectives(tokens, i);
+    args[name] = { type: parsed.type, hasDefault };
+  }
+  return i + 1;
+}
+
+function parseEnumValues(tokens, i, type) {
+  while (i < tokens.length && tokens[i].value !== '}') {
+    if (NAME.test(tokens[i].value) && !tokens[i].string) {
+      type.values.push(tokens[i].value);
+      i = skipDirectives(tokens, i + 1);
+    } else {
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+/**
+ * Parse a type reference such as [ID!]!, returning it without whitespace
+ */
+function parseTypeReference(tokens, i) {
+  if (tokens[i]?.value === '[') {
+    const inner = parseTypeReference(tokens, i + 1);
+    i = inner.i + (tokens[inner.i]?.value === ']' ? 1 : 0);
+    const nonNull = tokens[i]?.value === '!';
+    return { type: `[${inner.type}]${nonNull ? '!' : ''}`, i: nonNull ? i + 1 : i };
+  }
+
+  const name = tokens[i]?.value || '';
+  const nonNull = tokens[i + 1]?.value === '!';
+  return { type: `${name}${nonNull ? '!' : ''}`, i: i + (nonNull ? 2 : 1) };
+}
+
+function skipDirectives(tokens, i) {
+  while (tokens[i]?.value === '@') {
+    i += 2;
+    if (tokens[i]?.value === '(') i = skipBalanced(tokens, i, '(', ')');
+  }
+  return i;
+}
+
+function skipValue(tokens, i) {
+  const value = tokens[i]?.value;
+  if (value === '[') return skipBalanced(tokens, i, '[', ']');
+  if (value === '{') return skipBalanced(tokens, i, '{', '}');
+  if (value === '$') return i + 2;
+  return i + 1;
+}
+
+function skipBalanced(tokens, i, open, close) {
+  let depth = 0;
+  for (; i < tokens.length; i++) {
+    if (tokens[i].value === open) depth++;
+    else if (tokens[i].value === close && --depth === 0) return i + 1;
+  }
+  return i;
+}
+
+/**
+ * Split SDL into tokens with line numbers, dropping comments. Strings are
+ * kept as single tokens so descriptions can be skipped.
+ */
+function tokenize(content) {
+  const tokens = [];
+  let line = 1;
+  let last = 0;
+
+  for (const match of content.matchAll(TOKEN)) {
+    line += countNewlines(content, last, match.index);
+    last = match.index;
+    if (!match[0].startsWith('#')) {
+      tokens.push({ value: match[0], line, string: match[0].startsWith('"') });
+    }
+  }
+  return tokens;
+}
+
+function countNewlines(text, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (text[i] === '\n') count++;
+  }
+  return count;
+}
+
+module.exports = { isGraphQLFile, parseGraphQLSchema, diffGraphQLSchema };
@@ -0,0 +1,236 @@
+/**
+ * Lockfile Parsers
+ * Normalizes package-lock.json (v1-v3), yarn.lock (classic and berry) and pnpm-lock.yaml
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+/**
+ * Detect the lockfile type from a filename, or null if it isn't one
+ */
+function getLockfileType(filename) {
+  const base = path.posix.basename(filename);
+  if (base === 'package-lock.json' || base === 'npm-shrinkwrap.json') return 'npm';
+  if (base === 'yarn.lock') return 'yarn';
+  if (base === 'pnpm-lock.yaml') return 'pnpm';
+  return null;
+}
+
+/**
+ * Path of the package.json a lockfile belongs to
+ */
+function getLockfileManifest(filename) {
+  const dir = path.posix.dirname(filename);
+  return dir === '.' ? 'package.json' : `${dir}/package.json`;
+}
+
+/**
+ * Parse a lockfile into:
+ *   packages: { "name@version": { name, version, resolved, integrity } }
+ *   required: Set of package names some package or workspace depends on
+ * `resolved` is null for packages from the default registry when the
+ * lockfile doesn't record a URL.
+ */
+function parseLockfile(filename, content) {
+  const type = getLockfileType(filename);
+  if (!type || content === null || content === undefined) {
+    return { packages: {}, required: new Set() };
+  }
+
+  const parsers = { npm: parseNpmLockfile, yarn: parseYarnLockfile, pnpm: parsePnpmLockfile };
+  return parsers[type](content);
+}
+
+/**
+ * Parse package-lock.json, preferring the v2/v3 `packages` map
+ */
+function parseNpmLockfile(content) {
+  const lock = { packages: {}, required: new Set() };
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return lock;
+  }
+
+  if (data.packages) {
+    for (const [key, entry] of Object.entries(data.packages)) {
+      addRequired(lock.required, entry);
+
+      // The root and workspace entries only contribute requirements
+      if (!key.includes('node_modules/') || entry.link) continue;
+
+      const name = entry.name || key.substring(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      addPackage(lock, name, entry.version, entry.resolved, entry.integrity);
+    }
+    return lock;
+  }
+
+  // lockfileVersion 1 nests dependencies instead
+  const walk = (dependencies) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      addPackage(lock, name, entry.version, entry.resolved, entry.integrity);
+      for (const required of Object.keys(entry.requires || {})) {
+        lock.required.add(required);
+      }
+      walk(entry.dependencies);
+    }
+  };
+  walk(data.dependencies);
+
+  return lock;
+}
+
+/**
+ * Parse yarn.lock. Classic (v1) and berry (v2+) share the same layout of
+ * unindented specifier headers followed by indented fields.
+ */
+function parseYarnLockfile(content) {
+  const lock = { packages: {}, required: new Set() };
+  let current = null;
+  let inDependencies = false;
+
+  const flush = () => {
+    if (current?.version && !current.workspace) {
+      addPackage(lock, current.name, current.version, current.resolved, current.integrity);
+    }
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+
+    if (indent === 0) {
+      flush();
+      current = null;
+      inDependencies = false;
+      if (!text.endsWith(':') || text.startsWith('__metadata')) continue;
+
+      const specifier = unquote(text.slice(0, -1).split(/,\s*/)[0]);
+      current = { name: specifierName(specifier), workspace: /@workspace:/.test(specifier) };
+      continue;
+    }
+    if (!current) continue;
+
+    const field = text.match(/^"?([^"\s:]+)"?:?\s+(.+)$/) || text.match(/^"?([^"\s:]+)"?:$/);
+    if (!field) continue;
+
+    if (indent <= 2) {
+      const [, key, value] = field;
+      inDependencies = /^(dependencies|optionalDependencies|peerDependencies)$/.test(key) && !value;
+      if (key === 'version') current.version = unquote(value);
+      if (key === 'resolved') current.resolved = unquote(value);
+      if (key === 'integrity' || key === 'checksum') current.integrity = unquote(value);
+      if (key === 'resolution') current.resolved = berryResolution(unquote(value));
+    } else if (inDependencies) {
+      lock.required.add(field[1]);
+    }
+  }
+  flush();
+
+  return lock;
+}
+
+/**
+ * Berry resolutions look like "name@npm:1.2.3"; only non-npm protocols
+ * point somewhere other than the configured registry
+ */
+function berryResolution(resolution) {
+  const reference = resolution.substring(specifierName(resolution).length + 1);
+  if (/^(npm|workspace|patch|portal|link):/.test(reference)) return null;
+  return reference;
+}
+
+/**
+ * Parse pnpm-lock.yaml (v5 through v9)
+ */
+function parsePnpmLockfile(content) {
+  const lock = { packages: {}, required: new Set() };
+
+  let data;
+  try {
+    data = yaml.load(content) || {};
+  } catch {
+    return lock;
+  }
+
+  // v6+ list workspace dependencies per importer, v5 at the top level
+  const importers = data.importers ? Object.values(data.importers) : [data];
+  for (const importer of importers) {
+    addRequired(lock.required, importer || {});
+  }
+
+  for (const [key, entry] of Object.entries(data.packages || {})) {
+    const { name, version } = parsePnpmKey(key, entry || {});
+    if (!name) continue;
+
+    const resolution = entry?.resolution || {};
+    addPackage(lock, name, version, resolution.tarball || resolution.repo || null, resolution.integrity);
+    addRequired(lock.required, entry || {});
+  }
+
+  // v9 moves the dependency graph into `snapshots`
+  for (const entry of Object.values(data.snapshots || {})) {
+    addRequired(lock.required, entry || {});
+  }
+
+  return lock;
+}
+
+/**
+ * Split a pnpm package key: "/name/1.0.0" (v5), "/name@1.0.0(peer)" (v6)
+ * or "name@1.0.0" (v9)
+ */
+function parsePnpmKey(key, entry) {
+  const bare = key.replace(/^\//, '').replace(/\(.*\)$/, '');
+  const at = bare.lastIndexOf('@');
+
+  if (at > 0) {
+    return { name: entry.name || bare.substring(0, at), version: entry.version || bare.substring(at + 1) };
+  }
+
+  const slash = bare.lastIndexOf('/');
+  if (slash > 0) {
+    return { name: entry.name || bare.substring(0, slash), version: entry.version || bare.substring(slash + 1).replace(/_.*$/, '') };
+  }
+
+  return { name: entry.name || null, version: entry.version || null };
+}
+
+function addPackage(lock, name, version, resolved, integrity) {
+  if (!name || !version) return;
+  lock.packages[`${name}@${version}`] = {
+    name,
+    version: String(version),
+    resolved: resolved || null,
+    integrity: integrity || null
+  };
+}
+
+function addRequired(required, entry) {
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const name of Object.keys(entry[field] || {})) {
+      required.add(name);
+    }
+  }
+}
+
+/**
+ * Package name of a specifier such as "@scope/name@^1.0.0"
+ */
+function specifierName(specifier) {
+  const at = specifier.indexOf('@', 1);
+  return at > 0 ? specifier.substring(0, at) : specifier;
+}
+
+function unquote(value) {
+  return value.trim().replace(/^"|"$/g, '');
+}
+
+module.exports = { getLockfileType, getLockfileManifest, parseLockfile };
@@ -0,0 +1,388 @@
+/**
+ * Dependency Manifest Parsers
+ * Normalizes package.json, requirements.txt, go.mod, Cargo.toml and Gemfile
+ */
+
+const path = require('path');
+
+// npm lifecycle scripts that run automatically on install
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+
+/**
+ * Detect the manifest type from a filename, or null if it isn't one
+ */
+function getManifestType(filename) {
+  const base = path.posix.basename(filename);
+  if (base === 'package.json') return 'npm';
+  if (/^requirements.*\.txt$/i.test(base)) return 'pip';
+  if (base === 'go.mod') return 'go';
+  if (base === 'Cargo.toml') return 'cargo';
+  if (base === 'Gemfile') return 'bundler';
+  return null;
+}
+
+/**
+ * Parse a manifest into { dependencies: { name: { version, spec, type, source } }, scripts }
+ */
+function parseManifest(filename, content) {
+  const type = getManifestType(filename);
+  if (!type || content === null || content === undefined) {
+    return { dependencies: {}, scripts: {} };
+  }
+
+  const parsers = {
+    npm: parsePackageJson,
+    pip: parseRequirements,
+    go: parseGoMod,
+    cargo: parseCargoToml,
+    bundler: parseGemfile
+  };
+
+  return parsers[type](content);
+}
+
+/**
+ * Public entry points of a package.json: the `main`, `module` and `exports`
+ * targets as paths relative to the package, defaulting to index.js like npm.
+ * Subpath patterns keep their `*`. Returns null if the manifest can't be parsed.
+ */
+function getPackageEntryPoints(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return null;
+  }
+
+  const targets = [];
+  const collect = value => {
+    if (typeof value === 'string') targets.push(value);
+    else if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+  collect(data.exports);
+  if (!data.exports) collect([data.main || 'index.js', data.module]);
+
+  return [...new Set(targets.map(target => path.posix.normalize(target).replace(/\/$/, '')))]
+    .filter(target => !target.startsWith('..'));
+}
+
+/**
+ * Parse package.json dependencies and install scripts
+ */
+function parsePackageJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return { dependencies: {}, scripts: {} };
+  }
+
+  const dependencies = {};
+  const sections = {
+    dependencies: 'prod',
+    devDependencies: 'dev',
+    optionalDependencies: 'optional',
+    peerDependencies: 'peer'
+  };
+
+  for (const [section, type] of Object.entries(sections)) {
+    for (const [name, spec] of Object.entries(data[section] || {})) {
+      if (dependencies[name]) continue;
+      dependencies[name] = createDependency(String(spec), type, classifyNpmSpec(String(spec)));
+    }
+  }
+
+  const scripts = {};
+  for (const script of INSTALL_SCRIPTS) {
+    if (data.scripts?.[script]) {
+      scripts[script] = data.scripts[script];
+    }
+  }
+
+  return { dependencies, scripts };
+}
+
+/**
+ * Classify where an npm dependency spec installs from
+ */
+function classifyNpmSpec(spec) {
+  if (/^(git\+|git:|github:|gitlab:|bitbucket:|gist:)/.test(spec) || /\.git(#.*)?$/.test(spec)) return 'git';
+  if (/^https?:\/\//.test(spec)) return 'url';
+  if (/^(file:|link:|\.{0,2}\/)/.test(spec)) return 'file';
+  if (/^[\w.-]+\/[\w.-]+(#.*)?$/.test(spec)) return 'git'; // user/repo shorthand
+  return 'registry';
+}
+
+/**
+ * Parse requirements.txt
+ */
+function parseRequirements(content) {
+  const dependencies = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    // VCS, URL and local requirements
+    const editable = line.replace(/^-e\s+/, '');
+    const eggMatch = editable.match(/[#&]egg=([\w.-]+)/);
+    const directMatch = editable.match(/^([\w.-]+)(\[[^\]]*\])?\s*@\s*(\S+)/);
+
+    if (directMatch) {
+      dependencies[normalizePythonName(directMatch[1])] = createDependency(directMatch[3], 'prod', classifyUrl(directMatch[3]));
+      continue;
+    }
+    if (/^(git\+|hg\+|svn\+|bzr\+|https?:\/\/|file:|\.{1,2}\/)/.test(editable)) {
+      const name = eggMatch ? eggMatch[1] : editable;
+      dependencies[normalizePythonName(name)] = createDependency(editable, 'prod', classifyUrl(editable));
+      continue;
+    }
+
+    // Options like -r, --index-url
+    if (line.startsWith('-')) continue;
+
+    const match = line.match(/^([\w.-]+)(\[[^\]]*\])?\s*(.*)$/);
+    if (match) {
+      const spec = match[3].split(';')[0].trim();
+      dependencies[normalizePythonName(match[1])] = createDependency(spec || '*', 'prod', 'registry');
+    }
+  }
+
+  return { dependencies, scripts: {} };
+}
+
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+function classifyUrl(spec) {
+  if (/^(git\+|hg\+|svn\+|bzr\+)/.test(spec) || /\.git(@|#|$)/.test(spec)) return 'git';
+  if (/^https?:\/\//.test(spec)) return 'url';
+  return 'file';
+}
+
+/**
+ * Parse go.mod require and replace directives
+ */
+function parseGoMod(content) {
+  const dependencies = {};
+  const replacements = {};
+  let block = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\/\/.*$/, '').trim();
+    if (!line) continue;
+
+    const blockStart = line.match(/^(require|replace)\s*\($/);
+    if (blockStart) {
+      block = blockStart[1];
+      continue;
+    }
+    if (line === ')') {
+      block = null;
+      continue;
+    }
+
+    const single = line.match(/^(require|replace)\s+(.+)$/);
+    const directive = single ? single[1] : block;
+    const body = single ? single[2] : line;
+
+    if (directive === 'require') {
+      const [name, version] = body.split(/\s+/);
+      const indirect = /\/\/\s*indirect/.test(rawLine);
+      dependencies[name] = createDependency(version, indirect ? 'indirect' : 'prod', 'registry');
+    } else if (directive === 'replace') {
+      const [from, to] = body.split('=>').map(part => part.trim());
+      if (from && to) {
+        replacements[from.split(/\s+/)[0]] = to;
+      }
+    }
+  }
+
+  for (const [name, target] of Object.entries(replacements)) {
+    const [targetPath, targetVersion] = target.split(/\s+/);
+    const local = /^\.{0,2}\//.test(targetPath);
+    const existing = dependencies[name] || createDependency(targetVersion || '', 'prod', 'registry');
+    dependencies[name] = {
+      ...existing,
+      spec: target,
+      version: targetVersion ? extractVersion(targetVersion) : existing.version,
+      source: local ? 'file' : existing.source
+    };
+  }
+
+  return { dependencies, scripts: {} };
+}
+
+/**
+ * Parse Cargo.toml dependency tables
+ */
+function parseCargoToml(content) {
+  const dependencies = {};
+  let section = null;
+  let tableDependency = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      const name = header[1].trim();
+      const tableMatch = name.match(/(^|\.)((?:dev-|build-)?dependencies)\.([\w-]+)$/);
+      const sectionMatch = name.match(/(^|\.)((?:dev-|build-)?dependencies)$/);
+
+      if (tableMatch) {
+        section = null;
+        tableDependency = tableMatch[3];
+        dependencies[tableDependency] = createDependency('', cargoType(tableMatch[2]), 'registry');
+      } else {
+        section = sectionMatch ? cargoType(sectionMatch[2]) : null;
+        tableDependency = null;
+      }
+      continue;
+    }
+
+    const entry = line.match(/^([\w-]+)\s*=\s*(.+)$/);
+    if (!entry) continue;
+
+    if (tableDependency) {
+      applyCargoKey(dependencies[tableDependency], entry[1], unquote(entry[2]));
+    } else if (section) {
+      const value = entry[2].trim();
+      const dependency = createDependency('', section, 'registry');
+      if (value.startsWith('{')) {
+        for (const pair of value.slice(1, -1).matchAll(/([\w-]+)\s*=\s*("[^"]*"|'[^']*'|[^,]+)/g)) {
+          applyCargoKey(dependency, pair[1], unquote(pair[2]));
+        }
+      } else {
+        applyCargoKey(dependency, 'version', unquote(value));
+      }
+      dependencies[entry[1]] = dependency;
+    }
+  }
+
+  return { dependencies, scripts: {} };
+}
+
+function cargoType(section) {
+  if (section.startsWith('dev-')) return 'dev';
+  if (section.startsWith('build-')) return 'build';
+  return 'prod';
+}
+
+function applyCargoKey(dependency, key, value) {
+  if (key === 'version') {
+    dependency.spec = value;
+    dependency.version = extractVersion(value);
+  } else if (key === 'git') {
+    dependency.spec = value;
+    dependency.source = 'git';
+  } else if (key === 'path') {
+    dependency.spec = value;
+    dependency.source = 'file';
+  }
+}
+
+/**
+ * Parse Gemfile gem declarations
+ */
+function parseGemfile(content) {
+  const dependencies = {};
+  const groupStack = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const group = line.match(/^group\s+(.+?)\s+do$/);
+    if (group) {
+      groupStack.push(/:(development|test)\b/.test(group[1]) ? 'dev' : 'prod');
+      continue;
+    }
+    if (line === 'end' && groupStack.length > 0) {
+      groupStack.pop();
+      continue;
+    }
+
+    const gem = line.match(/^gem\s+['"]([^'"]+)['"](.*)$/);
+    if (!gem) continue;
+
+    const rest = gem[2];
+    const version = (rest.match(/^\s*,\s*['"]([^'"]+)['"]/) || [])[1] || '';
+    const git = rest.match(/\b(git|github):\s*['"]([^'"]+)['"]/) || rest.match(/:(git|github)\s*=>\s*['"]([^'"]+)['"]/);
+    const localPath = rest.match(/\bpath:\s*['"]([^'"]+)['"]/) || rest.match(/:path\s*=>\s*['"]([^'"]+)['"]/);
+
+    let source = 'registry';
+    let spec = version;
+    if (git) {
+      source = 'git';
+      spec = git[2];
+    } else if (localPath) {
+      source = 'file';
+      spec = localPath[1];
+    }
+
+    dependencies[gem[1]] = {
+      ...createDependency(spec, groupStack[groupStack.length - 1] || 'prod', source),
+      version: extractVersion(version)
+    };
+  }
+
+  return { dependencies, scripts: {} };
+}
+
+function createDependency(spec, type, source) {
+  return {
+    spec,
+    version: source === 'registry' ? extractVersion(spec) : null,
+    type,
+    source
+  };
+}
+
+/**
+ * Extract the first version number from a spec, e.g. "^1.2.3" -> "1.2.3"
+ */
+function extractVersion(spec) {
+  const match = String(spec || '').match(/(\d+(?:\.\d+){0,3})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare two version strings numerically. Returns -1, 0 or 1.
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Whether an upgrade crosses a major version (0.x minor bumps count as major)
+ */
+function isMajorBump(from, to) {
+  const [fromMajor, fromMinor = 0] = from.split('.').map(Number);
+  const [toMajor, toMinor = 0] = to.split('.').map(Number);
+  if (toMajor !== fromMajor) return toMajor > fromMajor;
+  return fromMajor === 0 && toMinor > fromMinor;
+}
+
+function unquote(value) {
+  return value.trim().replace(/^["']|["']$/g, '');
+}
+
+module.exports = {
+  getManifestType,
+  parseManifest,
+  getPackageEntryPoints,
+  extractVersion,
+  compareVersions,
+  isMajorBump,
+  INSTALL_SCRIPTS
+};
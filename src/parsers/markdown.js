@@ -0,0 +1,175 @@
+/**
+ * Markdown Parsers
+ * Extracts links and heading anchors from Markdown files
+ */
+
+const path = require('path');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// [text](target "title") and ![alt](src), allowing one level of nested brackets for badges
+const INLINE_LINK = /(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|[^)\s]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+// [id]: target "title"
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*(<[^>]*>|\S+)/;
+// <a href="..."> and <img src="...">
+const HTML_LINK = /<(a|img)\b[^>]*?\s(?:href|src)\s*=\s*["']([^"']*)["']/gi;
+const HTML_ANCHOR = /<[a-z]+\b[^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["']/gi;
+
+/**
+ * Check if a file is Markdown
+ */
+function isMarkdownFile(filename) {
+  return MARKDOWN_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Extract links and image references outside code blocks and code spans.
+ * Returns [{ line, target, image }].
+ */
+function extractLinks(content) {
+  const links = [];
+
+  forEachProseLine(content, (text, line) => {
+    const prose = text.replace(/(`+)[\s\S]*?\1/g, code => ' '.repeat(code.length));
+
+    for (const match of prose.matchAll(INLINE_LINK)) {
+      // Badges nest an image inside the link text
+      for (const inner of match[2].matchAll(INLINE_LINK)) {
+        links.push({ line, target: unwrap(inner[3]), image: inner[1] === '!' });
+      }
+      links.push({ line, target: unwrap(match[3]), image: match[1] === '!' });
+    }
+
+    const definition = prose.match(REFERENCE_DEFINITION);
+    if (definition) {
+      links.push({ line, target: unwrap(definition[1]), image: false });
+    }
+
+    for (const match of prose.matchAll(HTML_LINK)) {
+      links.push({ line, target: match[2].trim(), image: match[1].toLowerCase() === 'img' });
+    }
+  });
+
+  return links.filter(link => link.target);
+}
+
+/**
+ * Anchors a file's headings generate on GitHub, plus explicit id and name
+ * attributes. Repeated headings get -1, -2 ... suffixes.
+ */
+function extractAnchors(content) {
+  const anchors = new Set();
+  const counts = {};
+  let previous = null;
+
+  forEachProseLine(content, (text) => {
+    const atx = text.match(/^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+    // Setext headings underline the previous paragraph line
+    const setext = previous && /^ {0,3}(=+|-+)\s*$/.test(text) && !/^\s*([-*+]|\d+[.)])\s/.test(previous) ? previous : null;
+    const heading = atx?.[1] ?? setext;
+
+    if (heading !== null && heading !== undefined) {
+      const slug = slugify(heading);
+      anchors.add(counts[slug] ? `${slug}-${counts[slug]}` : slug);
+      counts[slug] = (counts[slug] || 0) + 1;
+    }
+
+    for (const match of text.matchAll(HTML_ANCHOR)) {
+      anchors.add(match[1]);
+    }
+
+    previous = text.trim() && !atx ? text.trim() : null;
+  }, () => { previous = null; });
+
+  return anchors;
+}
+
+/**
+ * GitHub's heading slug: lowercase, punctuation dropped, spaces as hyphens
+ */
+function slugify(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Resolve a link found in `filename`. External links have a URL scheme or
+ * start with `//`; others resolve to a repository path (null for a link to the
+ * file itself) and an optional anchor.
+ * Returns { external, path, anchor, outside }.
+ */
+function resolveLink(filename, target) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(target) || target.startsWith('//')) {
+    return { external: true, path: null, anchor: null, outside: false };
+  }
+
+  const hashIndex = target.indexOf('#');
+  const anchor = hashIndex === -1 ? null : safeDecode(target.substring(hashIndex + 1));
+  const linkPath = safeDecode((hashIndex === -1 ? target : target.substring(0, hashIndex)).replace(/\?.*$/, ''));
+  if (!linkPath) {
+    return { external: false, path: null, anchor, outside: false };
+  }
+
+  const resolved = linkPath.startsWith('/')
+    ? path.posix.normalize(linkPath.substring(1))
+    : path.posix.join(path.posix.dirname(filename), linkPath);
+
+  return {
+    external: false,
+    path: resolved.replace(/\/$/, '') || '.',
+    anchor,
+    outside: resolved === '..' || resolved.startsWith('../')
+  };
+}
+
+/**
+ * Whether an external link is a well-formed URL. Web links need a host.
+ */
+function isValidUrl(target) {
+  try {
+    const url = new URL(target.startsWith('//') ? `https:${target}` : target);
+    if (['http:', 'https:'].includes(url.protocol)) {
+      return /^[^\s.]+(\.[^\s.]+)*$/.test(url.hostname) && !/\s/.test(target);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Call `fn(text, line)` for each line outside fenced code blocks, and
+ * `onFence()` when a fence opens or closes
+ */
+function forEachProseLine(content, fn, onFence = () => {}) {
+  let fence = null;
+
+  (content || '').split(/\r?\n/).forEach((text, index) => {
+    const marker = text.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (marker && (!fence || (marker[1][0] === fence[0] && marker[1].length >= fence.length))) {
+      fence = fence ? null : marker[1];
+      onFence();
+      return;
+    }
+    if (!fence) fn(text, index + 1);
+  });
+}
+
+function unwrap(target) {
+  return target.replace(/^<|>$/g, '').trim();
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+module.exports = { isMarkdownFile, extractLinks, extractAnchors, slugify, resolveLink, isValidUrl };
@@ -0,0 +1,298 @@
+/**
+ * OpenAPI Parsers
+ * Reads OpenAPI 3 and Swagger 2 documents and classifies changes between them
+ */
+
+const yaml = require('js-yaml');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Nested schemas are compared up to this depth, which also stops recursive $refs
+const MAX_SCHEMA_DEPTH = 8;
+
+/**
+ * Check if a file is an OpenAPI or Swagger document
+ */
+function isOpenApiFile(filename) {
+  return /(^|\/)[^/]*(openapi|swagger)[^/]*\.(ya?ml|json)$/i.test(filename);
+}
+
+/**
+ * Parse an OpenAPI or Swagger document, or null if the content isn't one
+ */
+function parseOpenApi(content) {
+  let doc;
+  try {
+    doc = yaml.load(content);
+  } catch {
+    return null;
+  }
+  if (!doc || typeof doc !== 'object' || !(doc.openapi || doc.swagger)) return null;
+  return doc;
+}
+
+/**
+ * Compare two documents. Returns [{ breaking, path, message }] where path is
+ * the API path the change belongs to.
+ * Breaking: removed endpoints, parameters, fields and success responses, new
+ * required parameters and request fields, narrowed request enums and type changes.
+ */
+function diffOpenApi(base, head) {
+  const changes = [];
+  const baseOperations = listOperations(base);
+  const headOperations = listOperations(head);
+
+  for (const [key, operation] of Object.entries(headOperations)) {
+    const previous = baseOperations[key];
+    if (!previous) {
+      changes.push({ breaking: false, path: operation.path, message: `New endpoint \`${key}\`` });
+      continue;
+    }
+
+    const context = { base, head, path: operation.path, changes };
+    compareParameters(previous, operation, key, context);
+    compareRequestBody(previous, operation, key, context);
+    compareResponses(previous, operation, key, context);
+  }
+
+  for (const [key, operation] of Object.entries(baseOperations)) {
+    if (!headOperations[key]) {
+      changes.push({ breaking: true, path: operation.path, message: `Removed endpoint \`${key}\`` });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Operations keyed by "METHOD /path", with path-level parameters merged in
+ * and Swagger 2 body parameters and response schemas in OpenAPI 3 form
+ */
+function listOperations(doc) {
+  const operations = {};
+
+  for (const [apiPath, item] of Object.entries(doc.paths || {})) {
+    if (!item || typeof item !== 'object') continue;
+
+    for (const method of METHODS) {
+      const operation = item[method];
+      if (!operation || typeof operation !== 'object') continue;
+
+      const parameters = {};
+      let requestBody = null;
+      for (const param of [...(item.parameters || []), ...(operation.parameters || [])]) {
+        const resolved = resolveRef(doc, param);
+        if (!resolved?.name) continue;
+
+        if (resolved.in === 'body') {
+          requestBody = { required: Boolean(resolved.required), schema: resolved.schema };
+        } else {
+          parameters[`${resolved.in} ${resolved.name}`] = {
+            name: resolved.name,
+            in: resolved.in,
+            required: Boolean(resolved.required),
+            schema: resolved.schema || resolved
+          };
+        }
+      }
+
+      if (operation.requestBody) {
+        const body = resolveRef(doc, operation.requestBody);
+        requestBody = { required: Boolean(body?.required), schema: pickContentSchema(body?.content) };
+      }
+
+      const responses = {};
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        const resolved = resolveRef(doc, response);
+        responses[status] = resolved?.schema || pickContentSchema(resolved?.content);
+      }
+
+      operations[`${method.toUpperCase()} ${apiPath}`] = { path: apiPath, parameters, requestBody, responses };
+    }
+  }
+
+  return operations;
+}
+
+function compareParameters(previous, operation, key, context) {
+  for (const [id, param] of Object.entries(operation.parameters)) {
+    const label = `${param.in} parameter \`${param.name}\``;
+    const before = previous.parameters[id];
+    if (!before) {
+      addChange(context, param.required, `New ${param.required ? 'required' : 'optional'} ${label} on \`${key}\``);
+      continue;
+    }
+    if (!before.required && param.required) {
+      addChange(context, true, `${capitalize(label)} on \`${key}\` is now required`);
+    }
+    compareSchema(before.schema, param.schema, `${label} on \`${key}\``, 'request', context);
+  }
+
+  for (const [id, param] of Object.entries(previous.parameters)) {
+    if (!operation.parameters[id]) {
+      addChange(context, true, `Removed ${param.in} parameter \`${param.name}\` from \`${key}\``);
+    }
+  }
+}
+
+function compareRequestBody(previous, operation, key, context) {
+  const before = previous.requestBody;
+  const after = operation.requestBody;
+  if (!after) return;
+
+  if (after.required && !before?.required) {
+    addChange(context, true, `\`${key}\` now requires a request body`);
+  }
+  if (before) {
+    compareSchema(before.schema, after.schema, `request body of \`${key}\``, 'request', context);
+  }
+}
+
+function compareResponses(previous, operation, key, context) {
+  for (const [status, schema] of Object.entries(operation.responses)) {
+    if (!(status in previous.responses)) {
+      addChange(context, false, `\`${key}\` can return ${status}`);
+    } else {
+      compareSchema(previous.responses[status], schema, `${status} response of \`${key}\``, 'response', context);
+    }
+  }
+
+  for (const status of Object.keys(previous.responses)) {
+    if (!(status in operation.responses) && /^2/.test(status)) {
+      addChange(context, true, `\`${key}\` no longer returns ${status}`);
+    }
+  }
+}
+
+/**
+ * Compare schemas. In requests, new required fields and narrowed enums break
+ * clients; in responses, removed fields and fields that became optional do.
+ */
+function compareSchema(baseSchema, headSchema, where, direction, context, depth = 0) {
+  const before = resolveSchema(context.base, baseSchema);
+  const after = resolveSchema(context.head, headSchema);
+  if (!before || !after || depth > MAX_SCHEMA_DEPTH) return;
+
+  const fromType = schemaType(before);
+  const toType = schemaType(after);
+  if (fromType && toType && fromType !== toType) {
+    addChange(context, true, `Type of ${where} changed from ${fromType} to ${toType}`);
+    return;
+  }
+
+  compareEnum(before, after, where, direction, context);
+
+  const fromProperties = before.properties || {};
+  const toProperties = after.properties || {};
+  const fromRequired = new Set(before.required || []);
+  const toRequired = new Set(after.required || []);
+
+  for (const [name, schema] of Object.entries(toProperties)) {
+    const field = `\`${name}\` in ${where}`;
+    if (!(name in fromProperties)) {
+      const required = direction === 'request' && toRequired.has(name);
+      addChange(context, required, `New ${direction === 'request' ? `${required ? 'required' : 'optional'} ` : ''}field ${field}`);
+      continue;
+    }
+
+    if (direction === 'request' && !fromRequired.has(name) && toRequired.has(name)) {
+      addChange(context, true, `Field ${field} is now required`);
+    } else if (direction === 'response' && fromRequired.has(name) && !toRequired.has(name)) {
+      addChange(context, true, `Field ${field} is no longer always returned`);
+    }
+    compareSchema(fromProperties[name], schema, `\`${name}\` in ${where}`, direction, context, depth + 1);
+  }
+
+  for (const name of Object.keys(fromProperties)) {
+    if (!(name in toProperties)) {
+      addChange(context, true, `Removed field \`${name}\` from ${where}`);
+    }
+  }
+
+  if (before.items && after.items) {
+    compareSchema(before.items, after.items, `items of ${where}`, direction, context, depth + 1);
+  }
+}
+
+/**
+ * Requests break when accepted values are removed; new response values are
+ * listed since strict clients may reject them
+ */
+function compareEnum(before, after, where, direction, context) {
+  if (!Array.isArray(after.enum)) return;
+
+  if (!Array.isArray(before.enum)) {
+    if (direction === 'request') addChange(context, true, `${capitalize(where)} is now restricted to ${formatValues(after.enum)}`);
+    return;
+  }
+
+  const removed = before.enum.filter(value => !after.enum.includes(value));
+  const added = after.enum.filter(value => !before.enum.includes(value));
+  if (removed.length > 0) {
+    addChange(context, direction === 'request', `${capitalize(where)} no longer ${direction === 'request' ? 'accepts' : 'returns'} ${formatValues(removed)}`);
+  }
+  if (added.length > 0) {
+    addChange(context, false, `${capitalize(where)} ${direction === 'request' ? 'accepts' : 'can return'} ${formatValues(added)}`);
+  }
+}
+
+/**
+ * Resolve a $ref and merge allOf members into one schema
+ */
+function resolveSchema(doc, schema, depth = 0) {
+  const resolved = resolveRef(doc, schema);
+  if (!resolved || typeof resolved !== 'object' || !Array.isArray(resolved.allOf) || depth > MAX_SCHEMA_DEPTH) return resolved;
+
+  const merged = { ...resolved, allOf: undefined, properties: { ...resolved.properties }, required: [...(resolved.required || [])] };
+  for (const member of resolved.allOf.map(m => resolveSchema(doc, m, depth + 1)).filter(Boolean)) {
+    merged.type = merged.type || member.type;
+    Object.assign(merged.properties, member.properties);
+    merged.required.push(...(member.required || []));
+  }
+  return merged;
+}
+
+/**
+ * Follow local `#/...` references
+ */
+function resolveRef(doc, value) {
+  let current = value;
+  for (let hops = 0; current?.$ref && hops < MAX_SCHEMA_DEPTH; hops++) {
+    if (typeof current.$ref !== 'string' || !current.$ref.startsWith('#/')) return null;
+    current = current.$ref.substring(2).split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => node?.[part], doc);
+  }
+  return current ?? null;
+}
+
+/**
+ * Schema of a JSON media type, or the first media type
+ */
+function pickContentSchema(content) {
+  if (!content || typeof content !== 'object') return null;
+  const type = Object.keys(content).find(t => /json/i.test(t)) || Object.keys(content)[0];
+  return type ? content[type]?.schema || null : null;
+}
+
+function schemaType(schema) {
+  const type = [].concat(schema.type || []).filter(t => t !== 'null').join(' | ');
+  if (type) return type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return null;
+}
+
+function addChange(context, breaking, message) {
+  context.changes.push({ breaking, path: context.path, message });
+}
+
+function formatValues(values) {
+  return values.map(value => `\`${value}\``).join(', ');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.substring(1);
+}
+
+module.exports = { isOpenApiFile, parseOpenApi, diffOpenApi };
@@ -0,0 +1,238 @@
+/**
+ * Symbol Parsers
+ * Finds functions, classes and methods in source files and whether each has a
+ * doc comment: JSDoc/Javadoc, Python docstrings, GoDoc or rustdoc
+ */
+
+const path = require('path');
+const { extractExports } = require('./exports');
+
+const LANGUAGES = {
+  '.js': 'js', '.jsx': 'js', '.mjs': 'js', '.cjs': 'js', '.ts': 'js', '.tsx': 'js',
+  '.java': 'java',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust'
+};
+
+// Words that look like method definitions in JS but aren't
+const JS_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with', 'constructor', 'super']);
+
+/**
+ * Language whose symbols can be extracted, or null
+ */
+function getSymbolLanguage(filename) {
+  return LANGUAGES[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Extract symbols from file content.
+ * Returns [{ name, kind, line, public, documented }] where kind is function,
+ * class or method.
+ */
+function extractSymbols(filename, content) {
+  const lines = (content || '').split(/\r?\n/);
+
+  switch (getSymbolLanguage(filename)) {
+    case 'js': return extractCLikeSymbols(lines, JS_SYNTAX, new Set(Object.keys(extractExports(filename, content))));
+    case 'java': return extractCLikeSymbols(lines, JAVA_SYNTAX);
+    case 'python': return extractPythonSymbols(lines);
+    case 'go': return extractGoSymbols(lines);
+    case 'rust': return extractRustSymbols(lines);
+    default: return [];
+  }
+}
+
+const JS_SYNTAX = {
+  topLevel: [
+    { kind: 'function', pattern: /^(export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)\s*[(<]/ },
+    { kind: 'class', pattern: /^(export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([\w$]+)/ },
+    { kind: 'function', pattern: /^(export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>)/ }
+  ],
+  method: /^(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?(#?[\w$]+)\s*(?:<[^>]*>)?\([^)]*\)?\s*(?::\s*[^{=]+)?(?:\{\s*\}?)?\s*$/,
+  isPublic: (match, { exported, line }) => Boolean(match[1]) || exported.has(match[2]) || /^export\s/.test(line),
+  isPublicMethod: (name, line) => !/^[#_]/.test(name) && !/^\s*(private|protected)\s/.test(line)
+};
+
+const JAVA_SYNTAX = {
+  topLevel: [
+    { kind: 'class', pattern: /^((?:public|protected)\s+)?(?:(?:private|static|final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/ }
+  ],
+  method: /^(?:@\w+\s+)*((?:public|protected|private|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s+)?[\w<>[\],.? ]+\s+(\w+)\s*\([^)]*\)?\s*(?:throws\s+[\w., ]+)?\s*(?:\{\s*\}?|;)?$/,
+  isPublic: match => Boolean(match[1]),
+  isPublicMethod: (name, line) => /^\s*(?:@\w+\s+)*(public|protected)\s/.test(line)
+};
+
+/**
+ * Top-level definitions and class members for JS/TS and Java, using
+ * indentation to tell class members apart from nested code
+ */
+function extractCLikeSymbols(lines, syntax, exported = new Set()) {
+  const symbols = [];
+  let currentClass = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const indent = line.search(/\S/);
+
+    if (currentClass && indent <= currentClass.indent && !/^\s*[}\])]/.test(line)) {
+      currentClass = null;
+    }
+
+    if (indent === 0) {
+      for (const { kind, pattern } of syntax.topLevel) {
+        const match = line.trim().match(pattern);
+        if (!match) continue;
+
+        const isPublic = syntax.isPublic(match, { exported, line: line.trim() });
+        symbols.push({ name: match[2], kind, line: index + 1, public: isPublic, documented: hasBlockDoc(lines, index) });
+        if (kind === 'class') currentClass = { indent, memberIndent: null, public: isPublic };
+        return;
+      }
+    }
+
+    if (currentClass && indent > currentClass.indent) {
+      if (currentClass.memberIndent === null) currentClass.memberIndent = indent;
+      if (indent !== currentClass.memberIndent) return;
+
+      const match = line.trim().match(syntax.method);
+      const name = match?.[match.length - 1];
+      if (!match || JS_KEYWORDS.has(name) || /^(new|return|throw|else)\b/.test(line.trim())) return;
+
+      symbols.push({
+        name,
+        kind: 'method',
+        line: index + 1,
+        public: currentClass.public && syntax.isPublicMethod(name, line),
+        documented: hasBlockDoc(lines, index)
+      });
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Defs and classes; nested functions are skipped and magic methods ignored
+ */
+function extractPythonSymbols(lines) {
+  const symbols = [];
+  const stack = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || /^\s*(#|[)\]])/.test(line)) return;
+    const indent = line.search(/\S/);
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const match = line.match(/^\s*(?:async\s+)?(def|class)\s+(\w+)/);
+    if (!match) return;
+
+    const [, keyword, name] = match;
+    const parent = stack[stack.length - 1];
+    stack.push({ indent, keyword, public: !name.startsWith('_') && (!parent || parent.public) });
+
+    if (parent?.keyword === 'def' || /^__\w+__$/.test(name)) return;
+
+    symbols.push({
+      name,
+      kind: keyword === 'class' ? 'class' : parent ? 'method' : 'function',
+      line: index + 1,
+      public: !name.startsWith('_') && (!parent || parent.public),
+      documented: hasDocstring(lines, index)
+    });
+  });
+
+  return symbols;
+}
+
+/**
+ * Functions, methods and struct or interface types; exported names are capitalized
+ */
+function extractGoSymbols(lines) {
+  const symbols = [];
+
+  lines.forEach((line, index) => {
+    const func = line.match(/^func\s+(\([^)]*\)\s*)?([A-Za-z_]\w*)\s*[([]/);
+    const type = line.match(/^type\s+([A-Za-z_]\w*)\s+(?:\[[^\]]*\]\s*)?(struct|interface)\b/);
+    const name = func?.[2] || type?.[1];
+    if (!name) return;
+
+    symbols.push({
+      name,
+      kind: type ? 'class' : func[1] ? 'method' : 'function',
+      line: index + 1,
+      public: /^[A-Z]/.test(name),
+      documented: /^\s*\/\//.test(lines[index - 1] || '') || hasBlockDoc(lines, index)
+    });
+  });
+
+  return symbols;
+}
+
+/**
+ * Functions and types; only `pub` items are public
+ */
+function extractRustSymbols(lines) {
+  const symbols = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^(\s*)(pub(\([^)]*\))?\s+)?(?:(?:const|async|unsafe|default)\s+|extern\s+"[^"]*"\s+)*(fn|struct|enum|trait|union)\s+(\w+)/);
+    if (!match) return;
+
+    const [, indent, pub, restricted, keyword, name] = match;
+    symbols.push({
+      name,
+      kind: keyword !== 'fn' ? 'class' : indent ? 'method' : 'function',
+      line: index + 1,
+      public: Boolean(pub) && !restricted,
+      documented: hasRustDoc(lines, index)
+    });
+  });
+
+  return symbols;
+}
+
+/**
+ * Whether a `/** ... *\/` block ends right above the line, skipping
+ * decorators and annotations
+ */
+function hasBlockDoc(lines, index) {
+  let i = index - 1;
+  while (i >= 0 && /^\s*@\w/.test(lines[i])) i--;
+  if (i < 0 || !lines[i].trim().endsWith('*/')) return false;
+
+  while (i >= 0 && !lines[i].includes('/*')) i--;
+  return i >= 0 && lines[i].includes('/**');
+}
+
+/**
+ * Whether the first statement of a def or class body is a string literal
+ */
+function hasDocstring(lines, index) {
+  let depth = 0;
+  let i = index;
+
+  // Find the end of the signature, which may span lines
+  for (; i < lines.length; i++) {
+    const code = lines[i].replace(/#.*$/, '');
+    depth += (code.match(/[([{]/g) || []).length - (code.match(/[)\]}]/g) || []).length;
+    if (depth <= 0 && code.trim().endsWith(':')) break;
+  }
+
+  for (i++; i < lines.length; i++) {
+    if (!lines[i].trim() || /^\s*#/.test(lines[i])) continue;
+    return /^\s*[rRuUbBfF]*("""|'''|"|')/.test(lines[i]);
+  }
+  return false;
+}
+
+/**
+ * Whether `///` or `/** *\/` docs precede an item, skipping attributes
+ */
+function hasRustDoc(lines, index) {
+  let i = index - 1;
+  while (i >= 0 && /^\s*#\[/.test(lines[i])) i--;
+  return i >= 0 && (/^\s*\/\/\//.test(lines[i]) || hasBlockDoc(lines, i + 1));
+}
+
+module.exports = { getSymbolLanguage, extractSymbols };
@@ -3,9 +3,12 @@
  * Posts beautifully formatted PR review comments
  */
 
+const { readAckMetadata, formatAckMetadata } = require('../utils/acknowledgements');
+
 const COMMENT_SIGNATURE = '\n\n---\n🤖 *Powered by [PR Reviewer Assistant](https://github.com/tommieseals/pr-reviewer-action)*';
 const COMMENT_IDENTIFIER = '<!-- pr-reviewer-action -->';
 
+// Commenter when the token can't look up its own user, as with GITHUB_TOKEN
 /**
  * Post or update PR comment with review results
  */
@@ -44,17 +47,42 @@ async function postComment(octokit, context, summary, options = {}) {
 }
 
 /**
- * Find existing PR Reviewer comment
+ * Find the latest PR Reviewer comment posted by the action itself. Comments
+ * from anyone else carrying the identifier are ignored.
  */
 async function findExistingComment(octokit, owner, repo, pullNumber) {
-  const { data: comments } = await octokit.rest.issues.listComments({
+  const author = await getCommentAuthor(octokit);
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
     owner,
     repo,
     issue_number: pullNumber,
     per_page: 100
   });
 
-  return comments.find(c => c.body?.includes(COMMENT_IDENTIFIER));
+  // Tokens that can't look up their user (GITHUB_TOKEN, GitHub App installations) post as a bot
+  const isAuthor = user => (author ? user?.login === author : user?.type === 'Bot');
+  return comments.filter(c => isAuthor(c.user) && c.body?.includes(COMMENT_IDENTIFIER)).pop();
+}
+
+/**
+ * Login the action comments as, or null if the token can't look it up
+ */
+async function getCommentAuthor(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read acknowledgements stored in the review comment
+ */
+async function readAcknowledgements(octokit, context) {
+  const { owner, repo } = context.repo;
+  const comment = await findExistingComment(octokit, owner, repo, context.payload.pull_request.number);
+  return comment ? readAckMetadata(comment.body) : [];
 }
 
 /**
@@ -65,6 +93,9 @@ function formatComment(summary) {
   
   // Header
   sections.push(COMMENT_IDENTIFIER);
+  if (summary.acknowledgements?.length > 0) {
+    sections.push(formatAckMetadata(summary.acknowledgements));
+  }
   sections.push('# 🔍 PR Review Summary\n');
 
   // AI Summary (if available)
@@ -90,6 +121,25 @@ function formatComment(summary) {
     sections.push(formatRisk(summary.risk));
   }
 
+  // Migration Section
+  if (summary.migrations?.migrations.length > 0) {
+    sections.push('\n## 🗄️ Database Migrations\n');
+    sections.push(formatMigrations(summary.migrations));
+  }
+
+  // API Schema Section
+  if (summary.schemas?.schemas.some(s => s.breaking.length > 0 || s.additive.length > 0)) {
+    sections.push('\n## 🌐 API Schema Changes\n');
+    sections.push(formatSchemas(summary.schemas));
+  }
+
+  // Dependency Section
+  const hasDependencyChanges = summary.dependencies?.changes.length > 0 || summary.dependencies?.scripts.length > 0;
+  if (hasDependencyChanges || summary.lockfiles?.issues.length > 0) {
+    sections.push('\n## 📦 Dependency Changes\n');
+    sections.push(formatDependencies(summary.dependencies, summary.lockfiles));
+  }
+
   // Documentation Section
   if (summary.docs) {
     sections.push('\n## 📚 Documentation\n');
@@ -97,7 +147,7 @@ function formatComment(summary) {
   }
 
   // Complexity Section
-  if (summary.complexity && summary.complexity.warnings.length > 0) {
+  if (summary.complexity && (summary.complexity.warnings.length > 0 || summary.complexity.improvements?.length > 0)) {
     sections.push('\n## 🔀 Complexity\n');
     sections.push(formatComplexity(summary.complexity));
   }
@@ -135,6 +185,20 @@ function formatQuickStats(summary) {
     stats.push(`| Test Files Changed | ${testIcon} ${summary.coverage.summary.testFilesChanged} |`);
   }
 
+  if (summary.score) {
+    const scoreIcon = { high: '🔴', elevated: '🟠', moderate: '🟡', low: '🟢' }[summary.score.level] || '⚪';
+    stats.push(`| Risk Score | ${scoreIcon} ${summary.score.score}/100 (${summary.score.level}) |`);
+
+    stats.push('\n<details>');
+    stats.push('<summary>Risk score breakdown</summary>\n');
+    stats.push('| Factor | Points | Weight | Detail |');
+    stats.push('|--------|--------|--------|--------|');
+    for (const factor of summary.score.breakdown) {
+      stats.push(`| ${factor.factor} | ${factor.points} | ${factor.weight} | ${factor.detail} |`);
+    }
+    stats.push('</details>');
+  }
+
   return stats.join('\n');
 }
 
@@ -161,6 +225,20 @@ function formatCoverage(coverage) {
     lines.push(detail);
   }
 
+  // Coverage report totals
+  if (coverage.totals) {
+    lines.push('');
+    lines.push(formatCoverageTotals(coverage));
+  }
+
+  // Patch coverage per file
+  if (coverage.patch?.files.length > 0) {
+    lines.push('\n<details>');
+    lines.push(`<summary>🩹 Patch Coverage (${coverage.patch.pct}%)</summary>\n`);
+    lines.push(formatPatchCoverage(coverage.patch));
+    lines.push('</details>');
+  }
+
   // Test files added
   if (coverage.testFilesAdded?.length > 0) {
     lines.push('\n<details>');
@@ -187,6 +265,60 @@ function formatCoverage(coverage) {
     lines.push('</details>');
   }
 
+  // Files whose existing tests weren't updated
+  if (coverage.sourceFilesWithStaleTests?.length > 0) {
+    lines.push('\n<details>');
+    lines.push('<summary>🔁 Existing Tests Not Updated</summary>\n');
+    for (const file of coverage.sourceFilesWithStaleTests.slice(0, 10)) {
+      const tests = file.tests.slice(0, 3).map(t => `\`${t}\``).join(', ');
+      lines.push(`- \`${file.filename}\` (${file.changes} lines changed) → ${tests}`);
+    }
+    if (coverage.sourceFilesWithStaleTests.length > 10) {
+      lines.push(`- ... and ${coverage.sourceFilesWithStaleTests.length - 10} more`);
+    }
+    lines.push('</details>');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format coverage totals table (base vs head)
+ */
+function formatCoverageTotals(coverage) {
+  const lines = [];
+  const formatPct = (value) => value === null || value === undefined ? 'n/a' : `${value}%`;
+  const formatDelta = (value) => {
+    if (value === null || value === undefined) return '-';
+    const icon = value > 0 ? '📈' : value < 0 ? '📉' : '➡️';
+    return `${icon} ${value > 0 ? '+' : ''}${value}%`;
+  };
+
+  lines.push('| Metric | Base | Head | Delta |');
+  lines.push('|--------|------|------|-------|');
+  lines.push(`| Lines | ${formatPct(coverage.baseTotals?.lines)} | ${formatPct(coverage.totals.lines)} | ${formatDelta(coverage.delta)} |`);
+  lines.push(`| Branches | ${formatPct(coverage.baseTotals?.branches)} | ${formatPct(coverage.totals.branches)} | ${formatDelta(coverage.branchDelta)} |`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Format patch coverage table (coverage of added lines per file)
+ */
+function formatPatchCoverage(patch) {
+  const lines = [];
+
+  lines.push('| File | Covered | Patch Coverage | Uncovered Lines |');
+  lines.push('|------|---------|----------------|-----------------|');
+  for (const file of patch.files.slice(0, 15)) {
+    const icon = file.pct >= 80 ? '🟢' : file.pct >= 50 ? '🟡' : '🔴';
+    const uncovered = file.uncoveredRanges.length > 0 ? file.uncoveredRanges.join(', ') : '-';
+    lines.push(`| \`${file.filename}\` | ${file.covered}/${file.total} | ${icon} ${file.pct}% | ${uncovered} |`);
+  }
+  if (patch.files.length > 15) {
+    lines.push(`\n*... and ${patch.files.length - 15} more files*`);
+  }
+
   return lines.join('\n');
 }
 
@@ -206,10 +338,12 @@ function formatRisk(risk) {
   if (highRiskFiles.length > 0) {
     lines.push('\n<details open>');
     lines.push('<summary>🚨 High Risk Files (Require Review)</summary>\n');
-    lines.push('| File | Category | Reason |');
-    lines.push('|------|----------|--------|');
+    const showOwners = highRiskFiles.some(f => f.owners?.length > 0);
+    lines.push(showOwners ? '| File | Category | Reason | Owners |' : '| File | Category | Reason |');
+    lines.push(showOwners ? '|------|----------|--------|--------|' : '|------|----------|--------|');
     for (const file of highRiskFiles.slice(0, 10)) {
-      lines.push(`| \`${file.filename}\` | ${file.categories.join(', ')} | ${file.messages[0]} |`);
+      const row = `| ${formatRiskFilename(file)} | ${file.categories.join(', ')} | ${file.messages[0]}${formatAcknowledged(file)} |`;
+      lines.push(showOwners ? `${row} ${(file.owners || []).join(', ') || '-'} |` : row);
     }
     if (highRiskFiles.length > 10) {
       lines.push(`\n*... and ${highRiskFiles.length - 10} more high-risk files*`);
@@ -217,13 +351,46 @@ function formatRisk(risk) {
     lines.push('</details>');
   }
 
+  // Potential secrets (values are redacted by the analyzer)
+  const secretFindings = (risk.findings || []).filter(f => f.category === 'secrets');
+  if (secretFindings.length > 0) {
+    lines.push('\n<details open>');
+    lines.push('<summary>🔑 Potential Secrets</summary>\n');
+    lines.push('| File | Line | Type | Value |');
+    lines.push('|------|------|------|-------|');
+    for (const finding of secretFindings.slice(0, 15)) {
+      lines.push(`| \`${finding.filename}\` | ${finding.line} | ${finding.description} | \`${finding.redacted}\` |`);
+    }
+    if (secretFindings.length > 15) {
+      lines.push(`\n*... and ${secretFindings.length - 15} more potential secrets*`);
+    }
+    lines.push('</details>');
+  }
+
+  // Risky code in added lines; secrets, dependencies, migrations and API schemas have their own tables
+  const codeFindings = (risk.findings || []).filter(f => !['secrets', 'dependencies', 'database', 'api'].includes(f.category));
+  if (codeFindings.length > 0) {
+    lines.push('\n<details open>');
+    lines.push('<summary>🔎 Risky Code Changes</summary>\n');
+    lines.push('| File | Line | Category | Severity | Issue |');
+    lines.push('|------|------|----------|----------|-------|');
+    for (const finding of codeFindings.slice(0, 15)) {
+      const severityIcon = finding.severity === 'high' ? '🔴' : finding.severity === 'medium' ? '🟡' : '🟢';
+      lines.push(`| \`${finding.filename}\` | ${finding.line ?? '-'} | ${finding.category} | ${severityIcon} ${finding.severity} | ${finding.message} |`);
+    }
+    if (codeFindings.length > 15) {
+      lines.push(`\n*... and ${codeFindings.length - 15} more findings*`);
+    }
+    lines.push('</details>');
+  }
+
   // Medium risk files
   const mediumRiskFiles = risk.files.filter(f => f.severity === 'medium');
   if (mediumRiskFiles.length > 0) {
     lines.push('\n<details>');
     lines.push('<summary>⚠️ Medium Risk Files</summary>\n');
     for (const file of mediumRiskFiles.slice(0, 10)) {
-      lines.push(`- \`${file.filename}\` - ${file.messages[0]}`);
+      lines.push(`- ${formatRiskFilename(file)} - ${file.messages[0]}${formatAcknowledged(file)}`);
     }
     if (mediumRiskFiles.length > 10) {
       lines.push(`- ... and ${mediumRiskFiles.length - 10} more`);
@@ -234,6 +401,131 @@ function formatRisk(risk) {
   return lines.join('\n');
 }
 
+/**
+ * Risk file name, checked off once reviewers acknowledged it
+ */
+function formatRiskFilename(file) {
+  return file.acknowledgedBy ? `✅ \`${file.filename}\`` : `\`${file.filename}\``;
+}
+
+function formatAcknowledged(file) {
+  return file.acknowledgedBy ? ` (acknowledged by ${file.acknowledgedBy.map(user => `@${user}`).join(', ')})` : '';
+}
+
+/**
+ * Format database migrations section
+ */
+function formatMigrations(migrations) {
+  const lines = [];
+
+  for (const detail of migrations.details || []) {
+    lines.push(detail);
+  }
+
+  const operations = migrations.migrations.flatMap(m => m.operations.map(op => ({ filename: m.filename, ...op })));
+  if (operations.length > 0) {
+    lines.push('\n| File | Line | Operation | Severity | Why it matters |');
+    lines.push('|------|------|-----------|----------|----------------|');
+    for (const op of operations.slice(0, 15)) {
+      const severityIcon = op.severity === 'high' ? '🔴' : '🟡';
+      lines.push(`| \`${op.filename}\` | ${op.line} | ${op.operation} | ${severityIcon} ${op.severity} | ${op.explanation} |`);
+    }
+    if (operations.length > 15) {
+      lines.push(`\n*... and ${operations.length - 15} more operations*`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format API schema changes section, breaking changes first
+ */
+function formatSchemas(schemas) {
+  const lines = [];
+
+  for (const detail of schemas.details || []) {
+    lines.push(detail);
+  }
+
+  const breaking = schemas.schemas.flatMap(s => s.breaking.map(change => ({ filename: s.filename, ...change })));
+  if (breaking.length > 0) {
+    lines.push('\n| File | Line | Breaking change |');
+    lines.push('|------|------|-----------------|');
+    for (const change of breaking.slice(0, 20)) {
+      lines.push(`| \`${change.filename}\` | ${change.line ?? '-'} | 💥 ${change.message} |`);
+    }
+    if (breaking.length > 20) {
+      lines.push(`\n*... and ${breaking.length - 20} more breaking changes*`);
+    }
+  }
+
+  const additive = schemas.schemas.flatMap(s => s.additive.map(change => ({ filename: s.filename, ...change })));
+  if (additive.length > 0) {
+    lines.push('\n<details>');
+    lines.push('<summary>🧩 Non-Breaking Changes</summary>\n');
+    lines.push('| File | Line | Change |');
+    lines.push('|------|------|--------|');
+    for (const change of additive.slice(0, 20)) {
+      lines.push(`| \`${change.filename}\` | ${change.line ?? '-'} | ${change.message} |`);
+    }
+    if (additive.length > 20) {
+      lines.push(`\n*... and ${additive.length - 20} more changes*`);
+    }
+    lines.push('</details>');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format dependency changes section, including lockfile issues
+ */
+function formatDependencies(dependencies = { changes: [], scripts: [] }, lockfiles = null) {
+  const lines = [];
+
+  for (const detail of [...(dependencies.details || []), ...(lockfiles?.details || [])]) {
+    lines.push(detail);
+  }
+
+  if (dependencies.changes.length > 0) {
+    const kindIcons = { added: '➕', removed: '➖', upgraded: '⬆️', downgraded: '⬇️', changed: '🔄' };
+    lines.push('\n| Manifest | Package | Change | From | To | Notes |');
+    lines.push('|----------|---------|--------|------|----|-------|');
+    for (const change of dependencies.changes.slice(0, 25)) {
+      const notes = change.flags.map(flag => `🚩 ${flag}`).join(', ') || (change.type !== 'prod' ? change.type : '');
+      lines.push(`| \`${change.manifest}\` | \`${change.name}\` | ${kindIcons[change.kind]} ${change.kind} | ${change.from ?? '-'} | ${change.to ?? '-'} | ${notes} |`);
+    }
+    if (dependencies.changes.length > 25) {
+      lines.push(`\n*... and ${dependencies.changes.length - 25} more dependency changes*`);
+    }
+  }
+
+  if (dependencies.scripts.length > 0) {
+    lines.push('\n**Install scripts:**');
+    for (const script of dependencies.scripts) {
+      lines.push(`- 🚩 \`${script.manifest}\` \`${script.script}\`: \`${script.command}\``);
+    }
+  }
+
+  if (lockfiles?.issues.length > 0) {
+    const issueLabels = { 'lockfile-only': 'Lockfile only', registry: 'Registry', integrity: 'Integrity', unrequired: 'Unrequired' };
+    lines.push('\n<details open>');
+    lines.push('<summary>🔐 Lockfile Issues</summary>\n');
+    lines.push('| Lockfile | Check | Issue |');
+    lines.push('|----------|-------|-------|');
+    for (const issue of lockfiles.issues.slice(0, 15)) {
+      lines.push(`| \`${issue.lockfile}\` | ${issueLabels[issue.type]} | ${issue.message} |`);
+    }
+    if (lockfiles.issues.length > 15) {
+      lines.push(`\n*... and ${lockfiles.issues.length - 15} more lockfile issues*`);
+    }
+    lines.push('</details>');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Format documentation section
  */
@@ -245,6 +537,74 @@ function formatDocs(docs) {
     lines.push(detail);
   }
 
+  // Exported API surface changes
+  const apiChanges = (docs.apiChanges || []).flatMap(f => f.changes.map(change => ({ filename: f.filename, ...change })));
+  if (apiChanges.length > 0) {
+    const label = docs.apiImpact === 'breaking' ? '💥 API Surface Changes (Breaking)' : '🧩 API Surface Changes';
+    lines.push(`\n<details${docs.apiImpact === 'breaking' ? ' open' : ''}>`);
+    lines.push(`<summary>${label}</summary>\n`);
+    lines.push('| File | Export | Change | Signature |');
+    lines.push('|------|--------|--------|-----------|');
+    for (const change of apiChanges.slice(0, 20)) {
+      const icon = change.change === 'added' ? '➕' : change.breaking ? '💥' : '✏️';
+      const signature = [change.from, change.to].filter(Boolean).map(sig => `\`${sig}\``).join(' → ');
+      lines.push(`| \`${change.filename}\` | \`${change.name}\` | ${icon} ${change.change} | ${signature} |`);
+    }
+    if (apiChanges.length > 20) {
+      lines.push(`\n*... and ${apiChanges.length - 20} more API changes*`);
+    }
+    lines.push('</details>');
+  }
+
+  // Broken links in changed docs
+  const brokenLinks = docs.brokenLinks || [];
+  if (brokenLinks.length > 0) {
+    lines.push('\n<details open>');
+    lines.push('<summary>🔗 Broken Links</summary>\n');
+    lines.push('| File | Line | Link | Problem |');
+    lines.push('|------|------|------|---------|');
+    for (const link of brokenLinks.slice(0, 15)) {
+      lines.push(`| \`${link.filename}\` | ${link.line} | ${link.image ? '🖼️ ' : ''}\`${link.target.replace(/\|/g, '\\|')}\` | ${link.reason} |`);
+    }
+    if (brokenLinks.length > 15) {
+      lines.push(`\n*... and ${brokenLinks.length - 15} more broken links*`);
+    }
+    lines.push('</details>');
+  }
+
+  // Action inputs and outputs the docs don't reflect
+  const actionDrift = docs.actionDrift || [];
+  if (actionDrift.length > 0) {
+    const changeLabels = { added: '➕ added', removed: '➖ removed', default: '✏️ default changed' };
+    lines.push('\n<details open>');
+    lines.push('<summary>📐 Action Docs Drift</summary>\n');
+    lines.push('| File | Option | Change | Problem |');
+    lines.push('|------|--------|--------|---------|');
+    for (const drift of actionDrift.slice(0, 15)) {
+      lines.push(`| \`${drift.filename}\` | ${drift.kind} \`${drift.name}\` | ${changeLabels[drift.change]} | ${drift.message} |`);
+    }
+    if (actionDrift.length > 15) {
+      lines.push(`\n*... and ${actionDrift.length - 15} more undocumented changes*`);
+    }
+    lines.push('</details>');
+  }
+
+  // Undocumented public symbols added in the PR
+  const undocumented = docs.inlineDocs?.undocumented || [];
+  if (undocumented.length > 0) {
+    lines.push('\n<details>');
+    lines.push('<summary>📝 Undocumented Public Symbols</summary>\n');
+    lines.push('| File | Line | Symbol | Kind |');
+    lines.push('|------|------|--------|------|');
+    for (const symbol of undocumented.slice(0, 15)) {
+      lines.push(`| \`${symbol.filename}\` | ${symbol.line} | \`${symbol.name}\` | ${symbol.kind} |`);
+    }
+    if (undocumented.length > 15) {
+      lines.push(`\n*... and ${undocumented.length - 15} more undocumented symbols*`);
+    }
+    lines.push('</details>');
+  }
+
   // Suggestions
   if (docs.suggestions?.length > 0) {
     lines.push('\n**Suggestions:**');
@@ -272,11 +632,11 @@ function formatComplexity(complexity) {
   if (complexity.warnings?.length > 0) {
     lines.push('\n<details>');
     lines.push('<summary>🔍 Detailed Warnings</summary>\n');
-    lines.push('| Severity | File | Issue |');
-    lines.push('|----------|------|-------|');
+    lines.push('| Severity | File | Line | Issue | Threshold |');
+    lines.push('|----------|------|------|-------|-----------|');
     for (const warning of complexity.warnings.slice(0, 15)) {
       const severityIcon = warning.severity === 'high' ? '🔴' : warning.severity === 'medium' ? '🟡' : '🟢';
-      lines.push(`| ${severityIcon} ${warning.severity} | \`${warning.filename}\` | ${warning.message} |`);
+      lines.push(`| ${severityIcon} ${warning.severity} | \`${warning.filename}\` | ${warning.line ?? '-'} | ${warning.message} | ${formatThreshold(warning.threshold)} |`);
     }
     if (complexity.warnings.length > 15) {
       lines.push(`\n*... and ${complexity.warnings.length - 15} more warnings*`);
@@ -284,6 +644,19 @@ function formatComplexity(complexity) {
     lines.push('</details>');
   }
 
+  // Functions brought back within thresholds
+  if (complexity.improvements?.length > 0) {
+    lines.push('\n<details>');
+    lines.push('<summary>✨ Improvements</summary>\n');
+    for (const improvement of complexity.improvements.slice(0, 10)) {
+      lines.push(`- \`${improvement.filename}\`: ${improvement.message}`);
+    }
+    if (complexity.improvements.length > 10) {
+      lines.push(`- ... and ${complexity.improvements.length - 10} more`);
+    }
+    lines.push('</details>');
+  }
+
   // Code smells
   if (complexity.codeSmells?.length > 0) {
     lines.push('\n<details>');
@@ -300,4 +673,13 @@ function formatComplexity(complexity) {
   return lines.join('\n');
 }
 
-module.exports = { postComment, formatComment, COMMENT_IDENTIFIER };
+/**
+ * Threshold a complexity warning was checked against, with its source unless it's the default
+ */
+function formatThreshold(threshold) {
+  if (!threshold) return '-';
+  const source = threshold.source === 'default' ? '' : ` (${threshold.source.replace(/\|/g, '\\|')})`;
+  return `\`${threshold.name}\` ${threshold.value}${source}`;
+}
+
+module.exports = { postComment, readAcknowledgements, formatComment, COMMENT_IDENTIFIER };
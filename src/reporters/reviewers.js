@@ -0,0 +1,71 @@
+/**
+ * Reviewer Requests
+ * Requests reviews from code owners of high-risk files
+ */
+
+/**
+ * Request reviews from owners of high-severity risk files who haven't been
+ * requested yet and haven't already reviewed
+ */
+async function requestOwnerReviews(octokit, context, risk) {
+  const { owner, repo } = context.repo;
+  const pullRequest = context.payload.pull_request;
+  const pullNumber = pullRequest.number;
+  const author = pullRequest.user?.login?.toLowerCase();
+
+  const owners = new Set();
+  for (const file of risk.files) {
+    if (file.severity !== 'high') continue;
+    for (const fileOwner of file.owners || []) {
+      owners.add(fileOwner);
+    }
+  }
+
+  if (owners.size === 0) {
+    return { users: [], teams: [] };
+  }
+
+  const [{ data: requested }, { data: reviews }] = await Promise.all([
+    octokit.rest.pulls.listRequestedReviewers({ owner, repo, pull_number: pullNumber }),
+    octokit.rest.pulls.listReviews({ owner, repo, pull_number: pullNumber, per_page: 100 })
+  ]);
+
+  const excludedUsers = new Set([
+    author,
+    ...requested.users.map(u => u.login.toLowerCase()),
+    ...reviews.map(r => r.user?.login?.toLowerCase())
+  ]);
+  const excludedTeams = new Set(requested.teams.map(t => t.slug.toLowerCase()));
+
+  const users = [];
+  const teams = [];
+
+  for (const codeOwner of owners) {
+    // Email owners can't be requested through the API
+    if (!codeOwner.startsWith('@')) continue;
+
+    const [first, team] = codeOwner.substring(1).split('/');
+    if (team) {
+      // Teams can only be requested from the repository's own organization
+      if (first.toLowerCase() === owner.toLowerCase() && !excludedTeams.has(team.toLowerCase())) {
+        teams.push(team);
+      }
+    } else if (!excludedUsers.has(first.toLowerCase())) {
+      users.push(first);
+    }
+  }
+
+  if (users.length > 0 || teams.length > 0) {
+    await octokit.rest.pulls.requestReviewers({
+      owner,
+      repo,
+      pull_number: pullNumber,
+      reviewers: users,
+      team_reviewers: teams
+    });
+  }
+
+  return { users, teams };
+}
+
+module.exports = { requestOwnerReviews };
@@ -0,0 +1,123 @@
+/**
+ * Acknowledgement Helpers
+ * Parses `/pr-reviewer ack` commands and tracks acknowledged risk files
+ */
+
+const ACK_COMMAND = /^\s*\/pr-reviewer\s+ack\s+(\S+)([^\n]*)$/im;
+const ACK_METADATA = /<!-- pr-reviewer-acks: (.*?) -->/;
+
+/**
+ * Parse an ack command from a comment body. Returns { category, files },
+ * where category 'all' covers every category and no files means every file,
+ * or null if the comment has no command.
+ */
+function parseAckCommand(body) {
+  const match = (body || '').match(ACK_COMMAND);
+  if (!match) return null;
+
+  return {
+    category: match[1].toLowerCase(),
+    files: match[2].trim().split(/\s+/).filter(Boolean).map(f => f.replace(/^`|`$/g, ''))
+  };
+}
+
+/**
+ * Read acknowledgements stored in a review comment
+ */
+function readAckMetadata(body) {
+  const match = (body || '').match(ACK_METADATA);
+  if (!match) return [];
+
+  try {
+    const acks = JSON.parse(match[1]);
+    return Array.isArray(acks) ? acks : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Hidden comment storing acknowledgements. `>` is escaped so filenames can't
+ * close the HTML comment.
+ */
+function formatAckMetadata(acks) {
+  if (!acks || acks.length === 0) return '';
+  return `<!-- pr-reviewer-acks: ${JSON.stringify(acks).replace(/>/g, '\\u003e')} -->`;
+}
+
+/**
+ * Create acknowledgements for the flagged files a command covers.
+ * `canAcknowledge(riskFile)` decides whether the commenter may acknowledge a file.
+ * Returns { acks, denied } with the filenames the commenter wasn't allowed to acknowledge.
+ */
+function acknowledgeRisks(command, risk, files, { user, canAcknowledge = () => true }) {
+  const shas = Object.fromEntries(files.map(f => [f.filename, f.sha || null]));
+  const acks = [];
+  const denied = [];
+
+  for (const riskFile of risk.files) {
+    if (command.files.length > 0 && !command.files.includes(riskFile.filename)) continue;
+    if (command.category !== 'all' && !riskFile.categories.includes(command.category)) continue;
+
+    if (!canAcknowledge(riskFile)) {
+      denied.push(riskFile.filename);
+      continue;
+    }
+
+    acks.push({
+      filename: riskFile.filename,
+      category: command.category,
+      sha: shas[riskFile.filename] ?? null,
+      user
+    });
+  }
+
+  return { acks, denied };
+}
+
+/**
+ * Mark risk files whose categories are all acknowledged. Acknowledgements of
+ * files that changed since are dropped. Returns the acknowledgements still valid.
+ */
+function applyAcknowledgements(risk, acks, files) {
+  const shas = Object.fromEntries(files.map(f => [f.filename, f.sha || null]));
+
+  // Later acknowledgements of the same file and category replace earlier ones
+  const latest = new Map();
+  for (const ack of acks) {
+    if (ack.sha !== (shas[ack.filename] ?? null)) continue;
+    latest.set(`${ack.filename}|${ack.category}`, ack);
+  }
+  const valid = [...latest.values()];
+
+  risk.acknowledgedCount = 0;
+  risk.unacknowledgedHighRiskCount = 0;
+
+  for (const riskFile of risk.files) {
+    const fileAcks = valid.filter(ack => ack.filename === riskFile.filename);
+    const covered = riskFile.categories.every(category =>
+      fileAcks.some(ack => ack.category === 'all' || ack.category === category)
+    );
+
+    if (covered && fileAcks.length > 0) {
+      riskFile.acknowledgedBy = [...new Set(fileAcks.map(ack => ack.user))];
+      risk.acknowledgedCount++;
+    } else if (riskFile.severity === 'high') {
+      risk.unacknowledgedHighRiskCount++;
+    }
+  }
+
+  if (risk.acknowledgedCount > 0) {
+    risk.details.push(`✅ ${risk.acknowledgedCount} risk file(s) acknowledged by reviewers`);
+  }
+
+  return valid;
+}
+
+module.exports = {
+  parseAckCommand,
+  readAckMetadata,
+  formatAckMetadata,
+  acknowledgeRisks,
+  applyAcknowledgements
+};
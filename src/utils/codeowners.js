@@ -0,0 +1,88 @@
+/**
+ * CODEOWNERS Helpers
+ * Parses CODEOWNERS files and resolves owners with GitHub's semantics
+ */
+
+// Locations GitHub checks, in order; the first file found is used
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Parse CODEOWNERS content into ordered rules
+ */
+function parseCodeowners(content) {
+  const rules = [];
+
+  for (const rawLine of (content || '').split(/\r?\n/)) {
+    // Strip comments, keeping escaped hashes
+    const line = rawLine.replace(/(^|[^\\])#.*$/, '$1').trim();
+    if (!line) continue;
+
+    const [pattern, ...tokens] = line.split(/\s+/);
+    const owners = tokens.filter(token => token.startsWith('@') || token.includes('@'));
+
+    rules.push({
+      pattern: pattern.replace(/\\#/g, '#'),
+      owners,
+      regex: patternToRegExp(pattern.replace(/\\#/g, '#'))
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Resolve owners for a file. The last matching rule wins, and a matching
+ * rule without owners leaves the file unowned.
+ */
+function resolveOwners(filename, rules) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regex.test(filename)) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+/**
+ * Convert a CODEOWNERS (gitignore-style) pattern to a regex.
+ * Patterns containing a slash are anchored to the repository root; others
+ * match at any depth. Matching a directory matches everything inside it,
+ * except for `dir/*` which only covers files directly in `dir`.
+ */
+function patternToRegExp(pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  let body = pattern.replace(/\/+$/, '');
+  const anchored = body.includes('/');
+  body = body.replace(/^\//, '');
+
+  let source = '';
+  let i = 0;
+  while (i < body.length) {
+    if (body.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 3;
+    } else if (body.startsWith('/**', i) && i + 3 === body.length) {
+      source += '/.*';
+      i += 3;
+    } else if (body.startsWith('**', i)) {
+      source += '.*';
+      i += 2;
+    } else if (body[i] === '*') {
+      source += '[^/]*';
+      i += 1;
+    } else if (body[i] === '?') {
+      source += '[^/]';
+      i += 1;
+    } else {
+      source += body[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      i += 1;
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const lastSegment = body.split('/').pop();
+  const suffix = directoryOnly ? '/.*$' : lastSegment === '*' ? '$' : '(?:/.*)?$';
+  return new RegExp(`${prefix}${source}${suffix}`);
+}
+
+module.exports = { parseCodeowners, resolveOwners, patternToRegExp, CODEOWNERS_PATHS };
@@ -0,0 +1,105 @@
+/**
+ * Diff Utilities
+ * Parses unified diffs into per-file hunks with line numbers
+ */
+
+/**
+ * Parse a unified diff into added and removed lines per file.
+ * Returns { [filename]: { added: [{ line, content }], removed: [{ line, content }] } }
+ * where added line numbers refer to the head version and removed ones to the base.
+ */
+function parseDiffHunks(diff) {
+  const files = {};
+  if (!diff || typeof diff !== 'string') return files;
+
+  const fileParts = diff.split(/^diff --git /m);
+
+  for (const part of fileParts) {
+    if (!part.trim()) continue;
+
+    const lines = part.split('\n');
+    const filename = getFilename(lines);
+    if (!filename) continue;
+
+    const entry = { added: [], removed: [] };
+    let headLine = 0;
+    let baseLine = 0;
+    let inHunk = false;
+
+    for (const line of lines) {
+      const hunkMatch = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunkMatch) {
+        baseLine = parseInt(hunkMatch[1]);
+        headLine = parseInt(hunkMatch[2]);
+        inHunk = true;
+        continue;
+      }
+      if (!inHunk) continue;
+
+      if (line.startsWith('+')) {
+        entry.added.push({ line: headLine++, content: line.substring(1) });
+      } else if (line.startsWith('-')) {
+        entry.removed.push({ line: baseLine++, content: line.substring(1) });
+      } else if (line.startsWith(' ')) {
+        headLine++;
+        baseLine++;
+      }
+    }
+
+    files[filename] = entry;
+  }
+
+  return files;
+}
+
+/**
+ * Extract the head filename from a file's diff header, falling back to the
+ * base name for deleted files
+ */
+function getFilename(lines) {
+  const hunkStart = lines.findIndex(l => l.startsWith('@@'));
+  const headerLines = hunkStart === -1 ? lines : lines.slice(0, hunkStart);
+  const newFile = headerLines.find(l => l.startsWith('+++ '));
+  const oldFile = headerLines.find(l => l.startsWith('--- '));
+
+  if (newFile && newFile !== '+++ /dev/null') {
+    return newFile.replace(/^\+\+\+ b\//, '').trim();
+  }
+  if (oldFile && oldFile !== '--- /dev/null') {
+    return oldFile.replace(/^--- a\//, '').trim();
+  }
+
+  // Binary or mode-only changes have no ---/+++ lines
+  const gitMatch = lines[0].match(/^a\/(.+?) b\/(.+)$/);
+  return gitMatch ? gitMatch[2] : null;
+}
+
+/**
+ * Collapse sorted line numbers into ranges, e.g. [1, 2, 3, 7] -> ['1-3', '7']
+ */
+function toLineRanges(lineNumbers) {
+  const sorted = [...lineNumbers].sort((a, b) => a - b);
+  const ranges = [];
+  let start = null;
+  let previous = null;
+
+  for (const lineNumber of sorted) {
+    if (start !== null && lineNumber === previous + 1) {
+      previous = lineNumber;
+      continue;
+    }
+    if (start !== null) {
+      ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+    }
+    start = lineNumber;
+    previous = lineNumber;
+  }
+
+  if (start !== null) {
+    ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+  }
+
+  return ranges;
+}
+
+module.exports = { parseDiffHunks, toLineRanges };
@@ -0,0 +1,114 @@
+/**
+ * GitHub API Helpers
+ * Fetches repository data needed by analyzers beyond the PR file list
+ */
+
+// Limits for fetching base and head contents of changed files
+const DEFAULT_MAX_FILE_SIZE = 512 * 1024;
+const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * List every file path in the repository tree at a commit
+ */
+async function fetchRepoTree(octokit, { owner, repo, ref }) {
+  const { data } = await octokit.rest.git.getTree({
+    owner,
+    repo,
+    tree_sha: ref,
+    recursive: 'true'
+  });
+
+  return {
+    paths: data.tree.filter(entry => entry.type === 'blob').map(entry => entry.path),
+    truncated: Boolean(data.truncated)
+  };
+}
+
+/**
+ * Fetch a file's text content at a ref, or null if it doesn't exist
+ */
+async function fetchFileContent(octokit, { owner, repo, path, ref }) {
+  const file = await fetchFile(octokit, { owner, repo, path, ref });
+  return file && file.content;
+}
+
+/**
+ * Fetch base and head contents of changed PR files.
+ * Returns { [filename]: { base, head } }, with null for the missing side of
+ * added and removed files. Files with a version over `maxFileSize` bytes are
+ * left out, and at most `concurrency` files are fetched at a time. Files that
+ * fail to load are left out too and passed to `onError(filename, error)`.
+ */
+async function fetchFileVersions(octokit, { owner, repo, baseRef, headRef }, files, options = {}) {
+  const { maxFileSize = DEFAULT_MAX_FILE_SIZE, concurrency = DEFAULT_CONCURRENCY, onError = () => {} } = options;
+
+  const entries = await mapWithConcurrency(files, concurrency, async (file) => {
+    const basePath = file.previous_filename || file.filename;
+    let base, head;
+    try {
+      [base, head] = await Promise.all([
+        file.status === 'added' ? null : fetchFile(octokit, { owner, repo, path: basePath, ref: baseRef }),
+        file.status === 'removed' ? null : fetchFile(octokit, { owner, repo, path: file.filename, ref: headRef })
+      ]);
+    } catch (error) {
+      onError(file.filename, error);
+      return null;
+    }
+    if ([base, head].some(version => version && (version.content === null || version.size > maxFileSize))) {
+      return null;
+    }
+    return [file.filename, { base: base && base.content, head: head && head.content }];
+  });
+
+  return Object.fromEntries(entries.filter(Boolean));
+}
+
+/**
+ * Fetch a file as { content, size }, or null if it doesn't exist. Content is
+ * null for files too large for the contents API to return inline.
+ */
+async function fetchFile(octokit, { owner, repo, path, ref }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    if (Array.isArray(data) || data.type !== 'file') return null;
+    if (data.encoding === 'none') return { content: null, size: data.size };
+    return {
+      content: Buffer.from(data.content, data.encoding || 'base64').toString('utf8'),
+      size: data.size
+    };
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Map items through an async function, running at most `limit` at once
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Whether a user has write, maintain or admin access to the repository
+ */
+async function hasWriteAccess(octokit, { owner, repo, username }) {
+  try {
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+    return ['admin', 'write'].includes(data.permission);
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+module.exports = { fetchRepoTree, fetchFileContent, fetchFileVersions, hasWriteAccess };
@@ -0,0 +1,13 @@
+/**
+ * Regular Expression Utilities
+ * Helpers for building patterns from untrusted strings
+ */
+
+/**
+ * Escape a string so it matches literally inside a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { escapeRegExp };
@@ -0,0 +1,102 @@
+/**
+ * Test Mapping
+ * Configurable rules for identifying test files and mapping sources to tests.
+ *
+ * Rules use globs whose wildcards are captured left to right and can be
+ * referenced in test templates as {1}, {2}, ...:
+ *   { "source": "app/**\/*.rb", "tests": ["spec/{1}/{2}_spec.rb"] }
+ * maps app/models/user.rb to spec/models/user_spec.rb.
+ */
+
+const { minimatch } = require('minimatch');
+
+/**
+ * Validate and compile a test mapping config:
+ * { testPatterns: [glob], rules: [{ source: glob, tests: [template] }] }
+ */
+function compileTestMapping(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('test-mapping must be a JSON object with "testPatterns" and/or "rules"');
+  }
+
+  const { testPatterns = [], rules = [] } = config;
+
+  if (!Array.isArray(testPatterns) || testPatterns.some(p => typeof p !== 'string')) {
+    throw new Error('test-mapping "testPatterns" must be an array of glob strings');
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('test-mapping "rules" must be an array');
+  }
+
+  const compiledRules = rules.map((rule, index) => {
+    const tests = typeof rule?.tests === 'string' ? [rule.tests] : rule?.tests;
+    if (typeof rule?.source !== 'string' || !Array.isArray(tests) || tests.length === 0) {
+      throw new Error(`test-mapping rule ${index} needs a "source" glob and a "tests" template list`);
+    }
+    return { source: rule.source, regex: globToCaptureRegExp(rule.source), tests };
+  });
+
+  return { testPatterns, rules: compiledRules };
+}
+
+/**
+ * Check a filename against the configured test globs
+ */
+function matchesTestPattern(filename, mapping) {
+  return mapping.testPatterns.some(pattern => minimatch(filename, pattern, { dot: true }));
+}
+
+/**
+ * Expected test paths for a source file from the first matching rule,
+ * or null when no rule applies
+ */
+function expectedTestPaths(sourceFilename, mapping) {
+  for (const rule of mapping.rules) {
+    const match = rule.regex.exec(sourceFilename);
+    if (!match) continue;
+
+    return rule.tests.map(template => normalizePath(
+      template.replace(/\{(\d+)\}/g, (_, index) => match[parseInt(index)] || '')
+    ));
+  }
+  return null;
+}
+
+/**
+ * Convert a glob to an anchored regex with a capture group per wildcard.
+ * `**\/` may match zero directories, in which case its capture is empty.
+ */
+function globToCaptureRegExp(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    if (glob.startsWith('**/', i)) {
+      source += '(?:(.*)/)?';
+      i += 3;
+    } else if (glob.startsWith('**', i)) {
+      source += '(.*)';
+      i += 2;
+    } else if (glob[i] === '*') {
+      source += '([^/]*)';
+      i += 1;
+    } else if (glob[i] === '?') {
+      source += '([^/])';
+      i += 1;
+    } else {
+      source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      i += 1;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Collapse empty segments left by empty captures
+ */
+function normalizePath(filePath) {
+  return filePath.replace(/\/{2,}/g, '/').replace(/^\//, '');
+}
+
+module.exports = { compileTestMapping, matchesTestPattern, expectedTestPaths, globToCaptureRegExp };
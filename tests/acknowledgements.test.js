@@ -0,0 +1,86 @@
+const {
+  parseAckCommand,
+  readAckMetadata,
+  formatAckMetadata,
+  acknowledgeRisks,
+  applyAcknowledgements
+} = require('../src/utils/acknowledgements');
+
+function buildRisk() {
+  return {
+    files: [
+      { filename: 'src/auth/login.js', severity: 'high', categories: ['security'] },
+      { filename: 'infra/main.tf', severity: 'high', categories: ['infrastructure', 'security'] },
+      { filename: 'config/app.yml', severity: 'medium', categories: ['config'] }
+    ],
+    details: []
+  };
+}
+
+const files = [
+  { filename: 'src/auth/login.js', sha: 'a1' },
+  { filename: 'infra/main.tf', sha: 'b1' },
+  { filename: 'config/app.yml', sha: 'c1' }
+];
+
+describe('Acknowledgements', () => {
+  test('parses ack commands', () => {
+    expect(parseAckCommand('/pr-reviewer ack security src/auth/login.js')).toEqual({
+      category: 'security',
+      files: ['src/auth/login.js']
+    });
+    expect(parseAckCommand('Looks fine.\n/pr-reviewer ack all\nThanks')).toEqual({ category: 'all', files: [] });
+    expect(parseAckCommand('/PR-Reviewer ack Security `a.js` b.js')).toEqual({ category: 'security', files: ['a.js', 'b.js'] });
+    expect(parseAckCommand('please /pr-reviewer ack all')).toBeNull();
+    expect(parseAckCommand('LGTM')).toBeNull();
+  });
+
+  test('round-trips metadata without closing the HTML comment', () => {
+    const acks = [{ filename: 'weird-->name.js', category: 'all', sha: 'a1', user: 'octocat' }];
+    const metadata = formatAckMetadata(acks);
+
+    expect(metadata).not.toContain('-->name');
+    expect(readAckMetadata(`header\n${metadata}\nbody`)).toEqual(acks);
+    expect(readAckMetadata('<!-- pr-reviewer-acks: not json -->')).toEqual([]);
+    expect(formatAckMetadata([])).toBe('');
+  });
+
+  test('acknowledges matching files the user may acknowledge', () => {
+    const risk = buildRisk();
+    const { acks, denied } = acknowledgeRisks({ category: 'security', files: [] }, risk, files, {
+      user: 'octocat',
+      canAcknowledge: riskFile => riskFile.filename !== 'infra/main.tf'
+    });
+
+    expect(acks).toEqual([{ filename: 'src/auth/login.js', category: 'security', sha: 'a1', user: 'octocat' }]);
+    expect(denied).toEqual(['infra/main.tf']);
+  });
+
+  test('marks files whose categories are all acknowledged', () => {
+    const risk = buildRisk();
+    const valid = applyAcknowledgements(risk, [
+      { filename: 'src/auth/login.js', category: 'security', sha: 'a1', user: 'octocat' },
+      { filename: 'infra/main.tf', category: 'security', sha: 'b1', user: 'hubot' },
+      { filename: 'config/app.yml', category: 'all', sha: 'c1', user: 'hubot' }
+    ], files);
+
+    expect(valid).toHaveLength(3);
+    expect(risk.files.map(f => f.acknowledgedBy)).toEqual([['octocat'], undefined, ['hubot']]);
+    expect(risk.acknowledgedCount).toBe(2);
+    expect(risk.unacknowledgedHighRiskCount).toBe(1);
+    expect(risk.details).toEqual(['✅ 2 risk file(s) acknowledged by reviewers']);
+  });
+
+  test('drops acknowledgements of files that changed again', () => {
+    const risk = buildRisk();
+    const valid = applyAcknowledgements(risk, [
+      { filename: 'src/auth/login.js', category: 'all', sha: 'old', user: 'octocat' },
+      { filename: 'infra/main.tf', category: 'all', sha: 'b1', user: 'octocat' },
+      { filename: 'infra/main.tf', category: 'all', sha: 'b1', user: 'hubot' }
+    ], files);
+
+    expect(valid).toEqual([{ filename: 'infra/main.tf', category: 'all', sha: 'b1', user: 'hubot' }]);
+    expect(risk.files[0].acknowledgedBy).toBeUndefined();
+    expect(risk.unacknowledgedHighRiskCount).toBe(1);
+  });
+});
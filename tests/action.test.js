@@ -0,0 +1,100 @@
+const { isActionFile, parseActionMetadata, diffActionMetadata, extractDocumentedOptions } = require('../src/parsers/action');
+
+const BASE = `
+name: Example
+inputs:
+  token:
+    description: Token
+    required: true
+    default: \${{ github.token }}
+  threshold:
+    description: Threshold
+    default: "80"
+  legacy:
+    description: Old option
+outputs:
+  score:
+    description: Score
+`;
+
+const HEAD = `
+name: Example
+inputs:
+  token:
+    description: Token
+    required: true
+    default: \${{ github.token }}
+  threshold:
+    description: Threshold
+    default: 90
+  mode:
+    description: Mode
+    default: ""
+outputs:
+  report:
+    description: Report
+`;
+
+describe('Action Metadata Parser', () => {
+  test('detects action metadata files', () => {
+    expect(isActionFile('action.yml')).toBe(true);
+    expect(isActionFile('actions/deploy/action.yaml')).toBe(true);
+    expect(isActionFile('.github/workflows/action.yml.bak')).toBe(false);
+  });
+
+  test('parses inputs and outputs with string defaults', () => {
+    expect(parseActionMetadata(BASE)).toEqual({
+      inputs: {
+        token: { default: '${{ github.token }}', required: true },
+        threshold: { default: '80', required: false },
+        legacy: { default: null, required: false }
+      },
+      outputs: { score: { default: null, required: false } }
+    });
+    expect(parseActionMetadata('inputs: [')).toBeNull();
+  });
+
+  test('diffs added, removed and changed options', () => {
+    expect(diffActionMetadata(parseActionMetadata(BASE), parseActionMetadata(HEAD))).toEqual([
+      { kind: 'input', name: 'threshold', change: 'default', from: '80', to: '90' },
+      { kind: 'input', name: 'mode', change: 'added', from: null, to: null },
+      { kind: 'input', name: 'legacy', change: 'removed', from: null, to: null },
+      { kind: 'output', name: 'report', change: 'added', from: null, to: null },
+      { kind: 'output', name: 'score', change: 'removed', from: null, to: null }
+    ]);
+  });
+
+  test('reads option tables and headings', () => {
+    const docs = [
+      '| Input | Description | Default |',
+      '|-------|-------------|---------|',
+      '| `threshold` | Minimum \\| maximum | `80` |',
+      '| `mode` | Mode | - |',
+      '',
+      '| Rule | Checks |',
+      '|------|--------|',
+      '| `open-ingress` | Ingress |',
+      '',
+      '| Output | Description |',
+      '|--------|-------------|',
+      '| `score` | Score |',
+      '',
+      '### `token` / `legacy`',
+      '',
+      '```md',
+      '| Input | Default |',
+      '| `fenced` | `1` |',
+      '```'
+    ].join('\n');
+
+    expect(extractDocumentedOptions(docs)).toEqual({
+      inputs: {
+        threshold: { line: 3, default: '80' },
+        mode: { line: 4, default: null },
+        token: { line: 14, default: undefined },
+        legacy: { line: 14, default: undefined }
+      },
+      outputs: { score: { line: 12, default: undefined } }
+    });
+  });
+});
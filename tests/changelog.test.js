@@ -0,0 +1,60 @@
+const { isChangelogFile, parseChangelogEntries, validateChangelogEntry, hasReference } = require('../src/parsers/changelog');
+
+const CHANGELOG = [
+  '# Changelog',
+  '',
+  '## [Unreleased]',
+  '',
+  '### Added',
+  '- Dependency diffs (#42)',
+  '  - nested detail',
+  '',
+  '### Misc',
+  '- Tidied up',
+  '',
+  '## [1.1.0] - 2024-05-01',
+  '',
+  '### Fixed',
+  '- Old fix'
+].join('\n');
+
+describe('Changelog Parser', () => {
+  test('detects changelog files', () => {
+    expect(isChangelogFile('CHANGELOG.md')).toBe(true);
+    expect(isChangelogFile('packages/core/changelog.md')).toBe(true);
+    expect(isChangelogFile('docs/changelog-guide.md')).toBe(false);
+  });
+
+  test('finds added entries with their version and section', () => {
+    const entries = parseChangelogEntries(CHANGELOG, new Set([6, 7, 10, 15]));
+
+    expect(entries).toEqual([
+      { line: 6, text: 'Dependency diffs (#42)', version: 'Unreleased', newVersion: false, section: 'Added' },
+      { line: 10, text: 'Tidied up', version: 'Unreleased', newVersion: false, section: 'Misc' },
+      { line: 15, text: 'Old fix', version: '1.1.0', newVersion: false, section: 'Fixed' }
+    ]);
+  });
+
+  test('validates entry placement', () => {
+    const [added, misc, released] = parseChangelogEntries(CHANGELOG, new Set([6, 10, 15]));
+
+    expect(validateChangelogEntry(added)).toEqual([]);
+    expect(validateChangelogEntry(misc)).toEqual([
+      'is under "Misc", which is not one of Added, Changed, Deprecated, Removed, Fixed, Security'
+    ]);
+    expect(validateChangelogEntry(released)).toEqual(['was added under the already released 1.1.0']);
+  });
+
+  test('accepts entries under a version heading added in the same change', () => {
+    const [entry] = parseChangelogEntries(CHANGELOG, new Set([12, 15]));
+
+    expect(entry.newVersion).toBe(true);
+    expect(validateChangelogEntry(entry)).toEqual([]);
+  });
+
+  test('detects PR and issue references', () => {
+    expect(hasReference('Fix crash (#12)')).toBe(true);
+    expect(hasReference('Fix crash, see https://github.com/o/r/pull/12')).toBe(true);
+    expect(hasReference('Fix crash')).toBe(false);
+  });
+});
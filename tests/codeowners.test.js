@@ -0,0 +1,108 @@
+const { parseCodeowners, resolveOwners } = require('../src/utils/codeowners');
+const { requestOwnerReviews } = require('../src/reporters/reviewers');
+const { analyzeRisk } = require('../src/analyzers/risk');
+
+const CODEOWNERS = `
+# Default owners
+*                 @acme/core
+*.js              @js-owner
+/docs/            @acme/docs
+apps/             @apps-owner
+src/auth/**       @acme/security alice@example.com
+db/*              @dba
+**/migrations     @acme/data
+src/auth/README.md
+`;
+
+describe('CODEOWNERS', () => {
+  const rules = parseCodeowners(CODEOWNERS);
+
+  describe('resolveOwners', () => {
+    test('last matching rule wins', () => {
+      expect(resolveOwners('src/index.js', rules)).toEqual(['@js-owner']);
+      expect(resolveOwners('src/auth/login.js', rules)).toEqual(['@acme/security', 'alice@example.com']);
+      expect(resolveOwners('Makefile', rules)).toEqual(['@acme/core']);
+    });
+
+    test('anchors patterns with slashes to the root', () => {
+      expect(resolveOwners('docs/guide.md', rules)).toEqual(['@acme/docs']);
+      expect(resolveOwners('src/docs/guide.md', rules)).toEqual(['@acme/core']);
+    });
+
+    test('matches unanchored directories at any depth', () => {
+      expect(resolveOwners('apps/web/main.py', rules)).toEqual(['@apps-owner']);
+      expect(resolveOwners('services/apps/x.py', rules)).toEqual(['@apps-owner']);
+      expect(resolveOwners('services/db/migrations/001.sql', rules)).toEqual(['@acme/data']);
+    });
+
+    test('dir/* only covers direct children', () => {
+      expect(resolveOwners('db/schema.sql', rules)).toEqual(['@dba']);
+      expect(resolveOwners('db/seeds/users.sql', rules)).toEqual(['@acme/core']);
+    });
+
+    test('a rule without owners leaves the file unowned', () => {
+      expect(resolveOwners('src/auth/README.md', rules)).toEqual([]);
+    });
+  });
+
+  describe('analyzeRisk integration', () => {
+    test('adds owners to risky files', async () => {
+      const result = await analyzeRisk(
+        [{ filename: 'src/auth/login.js', status: 'modified' }],
+        { codeowners: CODEOWNERS }
+      );
+
+      expect(result.files[0].owners).toEqual(['@acme/security', 'alice@example.com']);
+    });
+  });
+
+  describe('requestOwnerReviews', () => {
+    function createOctokit() {
+      return {
+        rest: {
+          pulls: {
+            listRequestedReviewers: jest.fn().mockResolvedValue({ data: { users: [{ login: 'bob' }], teams: [] } }),
+            listReviews: jest.fn().mockResolvedValue({ data: [{ user: { login: 'carol' } }] }),
+            requestReviewers: jest.fn().mockResolvedValue({})
+          }
+        }
+      };
+    }
+
+    const context = {
+      repo: { owner: 'acme', repo: 'app' },
+      payload: { pull_request: { number: 7, user: { login: 'dave' } } }
+    };
+
+    test('requests owners of high-risk files not yet requested', async () => {
+      const octokit = createOctokit();
+      const risk = {
+        files: [
+          { filename: 'src/auth/a.js', severity: 'high', owners: ['@acme/security', '@bob', '@carol', '@dave', '@erin', 'x@y.z'] },
+          { filename: 'config/b.js', severity: 'medium', owners: ['@frank'] },
+          { filename: 'src/auth/c.js', severity: 'high', owners: ['@other-org/team'] }
+        ]
+      };
+
+      const requested = await requestOwnerReviews(octokit, context, risk);
+
+      expect(requested).toEqual({ users: ['erin'], teams: ['security'] });
+      expect(octokit.rest.pulls.requestReviewers).toHaveBeenCalledWith({
+        owner: 'acme',
+        repo: 'app',
+        pull_number: 7,
+        reviewers: ['erin'],
+        team_reviewers: ['security']
+      });
+    });
+
+    test('does nothing without high-risk owners', async () => {
+      const octokit = createOctokit();
+
+      const requested = await requestOwnerReviews(octokit, context, { files: [] });
+
+      expect(requested).toEqual({ users: [], teams: [] });
+      expect(octokit.rest.pulls.requestReviewers).not.toHaveBeenCalled();
+    });
+  });
+});
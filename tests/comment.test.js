@@ -1,4 +1,5 @@
-const { formatComment, COMMENT_IDENTIFIER } = require('../src/reporters/comment');
+const { formatComment, postComment, readAcknowledgements, COMMENT_IDENTIFIER } = require('../src/reporters/comment');
+const { readAckMetadata, formatAckMetadata } = require('../src/utils/acknowledgements');
 
 describe('Comment Reporter', () => {
   describe('formatComment', () => {
@@ -65,11 +66,54 @@ describe('Comment Reporter', () => {
       expect(comment).toContain('5');
     });
 
+    test('includes risk score with breakdown when present', () => {
+      const summaryWithScore = {
+        ...baseSummary,
+        score: {
+          score: 42,
+          level: 'moderate',
+          breakdown: [
+            { factor: 'severity', points: 11.7, weight: 35, detail: '1 high, 0 medium, 0 low risk file(s)' }
+          ]
+        }
+      };
+
+      const comment = formatComment(summaryWithScore);
+      expect(comment).toContain('| Risk Score | 🟡 42/100 (moderate) |');
+      expect(comment).toContain('| severity | 11.7 | 35 | 1 high, 0 medium, 0 low risk file(s) |');
+    });
+
     test('includes coverage section', () => {
       const comment = formatComment(baseSummary);
       expect(comment).toContain('## 🧪 Test Coverage');
     });
 
+    test('includes coverage totals and patch coverage when reports are present', () => {
+      const summaryWithCoverage = {
+        ...baseSummary,
+        coverage: {
+          ...baseSummary.coverage,
+          totals: { lines: 82.5, branches: 70 },
+          baseTotals: { lines: 80, branches: 70 },
+          delta: 2.5,
+          branchDelta: 0,
+          patch: {
+            covered: 3,
+            total: 5,
+            pct: 60,
+            files: [
+              { filename: 'src/a.js', covered: 3, total: 5, pct: 60, uncoveredLines: [4, 5], uncoveredRanges: ['4-5'] }
+            ]
+          }
+        }
+      };
+
+      const comment = formatComment(summaryWithCoverage);
+      expect(comment).toContain('| Lines | 80% | 82.5% | 📈 +2.5% |');
+      expect(comment).toContain('Patch Coverage (60%)');
+      expect(comment).toContain('| `src/a.js` | 3/5 | 🟡 60% | 4-5 |');
+    });
+
     test('includes AI summary when present', () => {
       const summaryWithAI = {
         ...baseSummary,
@@ -105,6 +149,204 @@ describe('Comment Reporter', () => {
       expect(comment).toContain('.env');
     });
 
+    test('marks acknowledged risk files and stores acknowledgements', () => {
+      const acknowledgements = [{ filename: 'src/auth/login.js', category: 'security', sha: 'abc', user: 'octocat' }];
+      const comment = formatComment({
+        ...baseSummary,
+        acknowledgements,
+        risk: {
+          ...baseSummary.risk,
+          files: [
+            { filename: 'src/auth/login.js', severity: 'high', categories: ['security'], messages: ['Authentication code'], acknowledgedBy: ['octocat'] },
+            { filename: 'config/app.yml', severity: 'medium', categories: ['config'], messages: ['Configuration file'] }
+          ],
+          highRiskCount: 1,
+          mediumRiskCount: 1
+        }
+      });
+
+      expect(comment).toContain('| ✅ `src/auth/login.js` | security | Authentication code (acknowledged by @octocat) |');
+      expect(comment).toContain('- `config/app.yml` - Configuration file');
+      expect(readAckMetadata(comment)).toEqual(acknowledgements);
+    });
+
+    test('lists secrets with redacted values only', () => {
+      const summaryWithSecrets = {
+        ...baseSummary,
+        risk: {
+          ...baseSummary.risk,
+          files: [
+            { filename: 'src/config.js', severity: 'high', categories: ['secrets'], messages: ['Potential secret: AWS access key ID'] }
+          ],
+          findings: [
+            {
+              filename: 'src/config.js',
+              line: 3,
+              type: 'aws-access-key',
+              description: 'AWS access key ID',
+              category: 'secrets',
+              severity: 'high',
+              message: 'Potential secret: AWS access key ID',
+              redacted: 'AKIA********'
+            }
+          ],
+          highRiskCount: 1,
+          summary: { totalRiskFiles: 1, highRisk: 1, mediumRisk: 0, lowRisk: 0 }
+        }
+      };
+
+      const comment = formatComment(summaryWithSecrets);
+      expect(comment).toContain('🔑 Potential Secrets');
+      expect(comment).toContain('| `src/config.js` | 3 | AWS access key ID | `AKIA********` |');
+      expect(comment).not.toContain('Risky Code Changes');
+    });
+
+    test('includes dependency changes table when dependencies changed', () => {
+      const summaryWithDependencies = {
+        ...baseSummary,
+        dependencies: {
+          changes: [
+            { manifest: 'package.json', name: 'react', kind: 'upgraded', from: '^17.0.2', to: '^18.2.0', type: 'prod', flags: ['major'] },
+            { manifest: 'package.json', name: 'jest', kind: 'added', from: null, to: '^29.0.0', type: 'dev', flags: [] }
+          ],
+          scripts: [{ manifest: 'package.json', script: 'postinstall', command: 'node setup.js', previous: null }],
+          details: ['📦 Dependency changes: 1 added, 1 upgraded']
+        }
+      };
+
+      const comment = formatComment(summaryWithDependencies);
+      expect(comment).toContain('## 📦 Dependency Changes');
+      expect(comment).toContain('| `package.json` | `react` | ⬆️ upgraded | ^17.0.2 | ^18.2.0 | 🚩 major |');
+      expect(comment).toContain('| `package.json` | `jest` | ➕ added | - | ^29.0.0 | dev |');
+      expect(comment).toContain('`postinstall`: `node setup.js`');
+    });
+
+    test('lists lockfile issues in the dependency section', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        dependencies: { changes: [], scripts: [], details: [] },
+        lockfiles: {
+          issues: [{ lockfile: 'package-lock.json', type: 'lockfile-only', package: null, version: null, message: 'Lockfile changed without a matching package.json change' }],
+          details: ['🔐 1 lockfile issue(s) need review']
+        }
+      });
+
+      expect(comment).toContain('## 📦 Dependency Changes');
+      expect(comment).toContain('| `package-lock.json` | Lockfile only | Lockfile changed without a matching package.json change |');
+    });
+
+    test('lists migration operations with explanations', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        migrations: {
+          migrations: [{
+            filename: 'db/migrate/001_drop.rb',
+            severity: 'high',
+            operations: [{ line: 3, rule: 'rails-drop-table', operation: 'Drop table', kind: 'destructive', severity: 'high', explanation: 'Deletes the table.' }]
+          }],
+          details: ['🧨 1 destructive migration(s)']
+        }
+      });
+
+      expect(comment).toContain('## 🗄️ Database Migrations');
+      expect(comment).toContain('| `db/migrate/001_drop.rb` | 3 | Drop table | 🔴 high | Deletes the table. |');
+    });
+
+    test('lists breaking and non-breaking API schema changes', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        schemas: {
+          schemas: [{
+            filename: 'api/openapi.yaml',
+            format: 'openapi',
+            breaking: [{ breaking: true, message: 'Removed endpoint `DELETE /users/{id}`', line: null }],
+            additive: [{ breaking: false, message: 'New endpoint `GET /teams`', line: 14 }]
+          }],
+          details: ['💥 1 breaking change(s) in 1 API schema(s)']
+        }
+      });
+
+      expect(comment).toContain('## 🌐 API Schema Changes');
+      expect(comment).toContain('| `api/openapi.yaml` | - | 💥 Removed endpoint `DELETE /users/{id}` |');
+      expect(comment).toContain('| `api/openapi.yaml` | 14 | New endpoint `GET /teams` |');
+    });
+
+    test('omits dependency section when nothing changed', () => {
+      const comment = formatComment({ ...baseSummary, dependencies: { changes: [], scripts: [], details: [] } });
+      expect(comment).not.toContain('Dependency Changes');
+    });
+
+    test('lists exported API changes in the documentation section', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        docs: {
+          ...baseSummary.docs,
+          apiImpact: 'breaking',
+          apiChanges: [{
+            filename: 'src/client.js',
+            impact: 'breaking',
+            changes: [
+              { name: 'connect', change: 'changed', breaking: true, from: 'function (url)', to: 'function (url, token)' },
+              { name: 'VERSION', change: 'added', breaking: false, from: null, to: 'variable' }
+            ]
+          }]
+        }
+      });
+
+      expect(comment).toContain('<summary>💥 API Surface Changes (Breaking)</summary>');
+      expect(comment).toContain('| `src/client.js` | `connect` | 💥 changed | `function (url)` → `function (url, token)` |');
+      expect(comment).toContain('| `src/client.js` | `VERSION` | ➕ added | `variable` |');
+    });
+
+    test('lists undocumented public symbols', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        docs: {
+          ...baseSummary.docs,
+          details: ['📝 Inline docs: 1/2 new symbol(s) documented (50%)'],
+          inlineDocs: {
+            symbols: 2,
+            documented: 1,
+            coverage: 50,
+            undocumented: [{ filename: 'src/util.js', line: 3, name: 'sub', kind: 'function' }]
+          }
+        }
+      });
+
+      expect(comment).toContain('📝 Inline docs: 1/2 new symbol(s) documented (50%)');
+      expect(comment).toContain('| `src/util.js` | 3 | `sub` | function |');
+    });
+
+    test('lists broken links in docs', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        docs: {
+          ...baseSummary.docs,
+          brokenLinks: [
+            { filename: 'README.md', line: 4, target: 'docs/setup.md', image: false, reason: 'File deleted in this PR' },
+            { filename: 'README.md', line: 9, target: 'logo.png', image: true, reason: 'File not found' }
+          ]
+        }
+      });
+
+      expect(comment).toContain('<summary>🔗 Broken Links</summary>');
+      expect(comment).toContain('| `README.md` | 4 | `docs/setup.md` | File deleted in this PR |');
+      expect(comment).toContain('| `README.md` | 9 | 🖼️ `logo.png` | File not found |');
+    });
+
+    test('lists action options missing from the docs', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        docs: {
+          ...baseSummary.docs,
+          actionDrift: [{ filename: 'action.yml', kind: 'input', name: 'mode', change: 'added', message: 'Input `mode` is not documented in README.md' }]
+        }
+      });
+
+      expect(comment).toContain('<summary>📐 Action Docs Drift</summary>');
+      expect(comment).toContain('| `action.yml` | input `mode` | ➕ added | Input `mode` is not documented in README.md |');
+    });
+
     test('includes complexity section when warnings exist', () => {
       const summaryWithComplexity = {
         ...baseSummary,
@@ -122,10 +364,107 @@ describe('Comment Reporter', () => {
       expect(comment).toContain('## 🔀 Complexity');
     });
 
+    test('lists function warnings with lines and improvements', () => {
+      const comment = formatComment({
+        ...baseSummary,
+        complexity: {
+          ...baseSummary.complexity,
+          warnings: [{
+            type: 'size',
+            severity: 'medium',
+            filename: 'app/jobs.py',
+            line: 12,
+            message: 'Function `enqueue` (lines 12-20) has 6 parameters (over maxParameters 5)',
+            threshold: { name: 'maxParameters', value: 5, source: 'app/**' }
+          }],
+          improvements: [{
+            filename: 'main.go',
+            line: 1,
+            message: 'Function `Load` (lines 1-32) shrank from 62 to 32 lines (now within maxFunctionLines 50)'
+          }]
+        }
+      });
+
+      expect(comment).toContain('| 🟡 medium | `app/jobs.py` | 12 | Function `enqueue` (lines 12-20) has 6 parameters (over maxParameters 5) | `maxParameters` 5 (app/**) |');
+      expect(comment).toContain('<summary>✨ Improvements</summary>');
+      expect(comment).toContain('- `main.go`: Function `Load` (lines 1-32) shrank from 62 to 32 lines (now within maxFunctionLines 50)');
+    });
+
     test('includes footer with action link', () => {
       const comment = formatComment(baseSummary);
       expect(comment).toContain('Powered by');
       expect(comment).toContain('pr-reviewer-action');
     });
   });
+
+  describe('review comment lookup', () => {
+    const context = { repo: { owner: 'o', repo: 'r' }, payload: { pull_request: { number: 7 } } };
+    const ack = login => formatAckMetadata([{ filename: 'db/schema.sql', category: 'database', sha: 'abc', user: login }]);
+
+    // Octokit stub serving comments in pages of two
+    function createOctokit(comments, login = 'github-actions[bot]') {
+      const updateComment = jest.fn();
+      const octokit = {
+        rest: {
+          users: {
+            getAuthenticated: async () => {
+              if (!login) throw Object.assign(new Error('Resource not accessible by integration'), { status: 403 });
+              return { data: { login } };
+            }
+          },
+          issues: { listComments: jest.fn(), updateComment, createComment: jest.fn(async () => ({ data: { id: 99 } })) }
+        },
+        paginate: async (method, params) => {
+          const pages = [];
+          for (let i = 0; i < comments.length; i += 2) pages.push(comments.slice(i, i + 2));
+          await method(params);
+          return pages.flat();
+        }
+      };
+      return { octokit, updateComment };
+    }
+
+    const comments = [
+      { id: 1, user: { login: 'github-actions[bot]', type: 'Bot' }, body: `${COMMENT_IDENTIFIER}\nold` },
+      { id: 2, user: { login: 'someone', type: 'User' }, body: 'lgtm' },
+      { id: 3, user: { login: 'github-actions[bot]', type: 'Bot' }, body: `${COMMENT_IDENTIFIER}${ack('maintainer')}` },
+      { id: 4, user: { login: 'author', type: 'User' }, body: `${COMMENT_IDENTIFIER}${ack('author')}` }
+    ];
+
+    test('ignores acknowledgements from comments the action did not post', async () => {
+      const { octokit } = createOctokit(comments);
+      const acks = await readAcknowledgements(octokit, context);
+
+      expect(acks).toEqual([{ filename: 'db/schema.sql', category: 'database', sha: 'abc', user: 'maintainer' }]);
+    });
+
+    test('updates the comment acknowledgements are read from, across pages', async () => {
+      const { octokit, updateComment } = createOctokit(comments);
+      const result = await postComment(octokit, context, { meta: { filesAnalyzed: 1 } }, { mode: 'update' });
+
+      expect(result).toEqual({ action: 'updated', commentId: 3 });
+      expect(updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 3 }));
+    });
+
+    test('falls back to bot comments when the token user cannot be looked up', async () => {
+      const appComments = [
+        { id: 5, user: { login: 'my-review-app[bot]', type: 'Bot' }, body: `${COMMENT_IDENTIFIER}${ack('maintainer')}` },
+        { id: 6, user: { login: 'author', type: 'User' }, body: `${COMMENT_IDENTIFIER}${ack('author')}` }
+      ];
+      const { octokit, updateComment } = createOctokit(appComments, null);
+
+      expect(await readAcknowledgements(octokit, context)).toEqual([
+        { filename: 'db/schema.sql', category: 'database', sha: 'abc', user: 'maintainer' }
+      ]);
+      await postComment(octokit, context, { meta: { filesAnalyzed: 1 } }, { mode: 'update' });
+      expect(updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 5 }));
+    });
+
+    test('uses the token user when it can be looked up', async () => {
+      const { octokit } = createOctokit(comments, 'author');
+      const acks = await readAcknowledgements(octokit, context);
+
+      expect(acks[0].user).toBe('author');
+    });
+  });
 });
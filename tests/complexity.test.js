@@ -0,0 +1,202 @@
+const { analyzeComplexity, validateThresholds, resolveThresholds } = require('../src/analyzers/complexity');
+
+// A function with `branches` if statements, each adding one to both metrics
+function branchy(name, branches) {
+  const body = Array.from({ length: branches }, (_, i) => `  if (value === ${i}) return ${i};`).join('\n');
+  return `function ${name}(value) {\n${body}\n  return null;\n}\n`;
+}
+
+const file = (filename, status = 'modified') => ({ filename, status, additions: 5, deletions: 0 });
+
+describe('Complexity Analyzer', () => {
+  test('reports functions that crossed the cyclomatic threshold', async () => {
+    const contents = {
+      'src/route.js': { base: branchy('route', 8), head: branchy('route', 12) }
+    };
+    const result = await analyzeComplexity([file('src/route.js')], '', { contents });
+
+    expect(result.complexFunctions).toEqual([{
+      filename: 'src/route.js',
+      name: 'route',
+      startLine: 1,
+      endLine: 15,
+      status: 'crossed',
+      cyclomatic: { before: 9, after: 13 },
+      cognitive: { before: 8, after: 12 }
+    }]);
+    expect(result.warnings[0].line).toBe(1);
+    expect(result.warnings[0].message).toContain('Function `route` (lines 1-15): cyclomatic complexity 9 → 13');
+    expect(result.summary.complexFunctions).toBe(1);
+    expect(result.details).toContain('🧮 1 function(s) over complexity thresholds');
+  });
+
+  test('reports complex functions that got worse or are new', async () => {
+    const contents = {
+      'src/a.js': { base: branchy('a', 11), head: branchy('a', 12) },
+      'src/b.ts': { base: null, head: branchy('b', 20) }
+    };
+    const result = await analyzeComplexity([file('src/a.js'), file('src/b.ts', 'added')], '', { contents });
+
+    expect(result.complexFunctions.map(f => [f.name, f.status])).toEqual([['a', 'worse'], ['b', 'new']]);
+    expect(result.complexFunctions[1].cyclomatic).toEqual({ before: null, after: 21 });
+  });
+
+  test('ignores complex functions that did not change or improved', async () => {
+    const contents = {
+      'src/a.js': { base: branchy('a', 14), head: branchy('a', 14) },
+      'src/b.js': { base: branchy('b', 14), head: branchy('b', 12) }
+    };
+    const result = await analyzeComplexity([file('src/a.js'), file('src/b.js')], '', { contents });
+
+    expect(result.complexFunctions).toEqual([]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('reports file size as a delta against the base', async () => {
+    const lines = count => 'const a = 1;\n'.repeat(count);
+    const contents = {
+      'src/grew.js': { base: lines(420), head: lines(610) },
+      'src/big.js': { base: lines(600), head: lines(600) },
+      'src/new.py': { base: null, head: 'x = 1\n'.repeat(501) }
+    };
+    const files = [file('src/grew.js'), file('src/big.js'), file('src/new.py', 'added')];
+    const result = await analyzeComplexity(files, '', { contents });
+
+    expect(result.warnings.map(w => [w.filename, w.message])).toEqual([
+      ['src/grew.js', 'File grew from 420 to 610 lines (crosses maxFileLines 500)'],
+      ['src/new.py', 'File has 501 lines (over maxFileLines 500)']
+    ]);
+  });
+
+  test('reports functions that grew past maxFunctionLines', async () => {
+    const fn = count => `function load() {\n${'  step();\n'.repeat(count)}}\n`;
+    const contents = { 'src/load.js': { base: fn(40), head: fn(60) } };
+    const result = await analyzeComplexity([file('src/load.js')], '', { contents });
+
+    expect(result.warnings).toEqual([{
+      type: 'size',
+      severity: 'medium',
+      filename: 'src/load.js',
+      line: 1,
+      message: 'Function `load` (lines 1-62) grew from 42 to 62 lines (crosses maxFunctionLines 50)',
+      threshold: { name: 'maxFunctionLines', value: 50, source: 'default' }
+    }]);
+  });
+
+  test('flags changed functions with too many parameters', async () => {
+    const contents = {
+      'app/jobs.py': {
+        base: 'def enqueue(a, b, c, d, e, f):\n    return a\n\ndef run(self, a, b, c, d, e, f):\n    pass\n',
+        head: 'def enqueue(a, b, c, d, e, f):\n    return b\n\ndef run(self, a, b, c, d, e, f):\n    pass\n'
+      }
+    };
+    const result = await analyzeComplexity([file('app/jobs.py')], '', { contents });
+
+    expect(result.warnings.map(w => w.message)).toEqual([
+      'Function `enqueue` (lines 1-2) has 6 parameters (over maxParameters 5)'
+    ]);
+  });
+
+  test('notes functions that shrank below a threshold', async () => {
+    const fn = count => `func Load() {\n${'\tstep()\n'.repeat(count)}}\n`;
+    const contents = { 'main.go': { base: fn(100), head: fn(30) } };
+    const result = await analyzeComplexity([file('main.go')], '', { contents });
+
+    expect(result.warnings).toEqual([]);
+    expect(result.improvements).toEqual([{
+      filename: 'main.go',
+      line: 1,
+      message: 'Function `Load` (lines 1-32) shrank from 102 to 32 lines (now within maxFunctionLines 80)'
+    }]);
+    expect(result.details).toContain('✨ 1 function size improvement(s)');
+  });
+
+  test('counts only code smells the head adds', async () => {
+    const contents = {
+      'src/log.js': {
+        base: 'console.log(1);\n// TODO: tidy\n',
+        head: 'console.log(1);\nconsole.log(2);\n// TODO: tidy\n'
+      }
+    };
+    const result = await analyzeComplexity([file('src/log.js')], '', { contents });
+
+    expect(result.codeSmells).toEqual([
+      { filename: 'src/log.js', type: 'debug', count: 1, message: 'Contains console statements' }
+    ]);
+  });
+
+  test('falls back to estimating added lines without contents', async () => {
+    const added = Array.from({ length: 12 }, (_, i) => `+if (a && b${i}) {}`).join('\n');
+    const diff = `diff --git a/src/x.js b/src/x.js\n--- a/src/x.js\n+++ b/src/x.js\n@@ -0,0 +1,12 @@\n${added}\n`;
+    const result = await analyzeComplexity([file('src/x.js')], diff);
+
+    expect(result.complexFunctions).toEqual([]);
+    expect(result.complexFiles).toHaveLength(1);
+    expect(result.complexFiles[0].complexity).toBe(25);
+  });
+
+  describe('thresholds', () => {
+    const thresholds = {
+      maxLineLength: 120,
+      languages: { go: { maxLineLength: 200 } },
+      overrides: [
+        { files: 'legacy/**', maxFunctionLines: 200, maxCyclomaticComplexity: 25 },
+        { files: ['src/core/**'], maxFunctionLines: 30 }
+      ]
+    };
+    const config = validateThresholds(thresholds);
+
+    test('resolves defaults, languages and overrides with their sources', () => {
+      const legacy = resolveThresholds('legacy/gen/api.go', config);
+      expect(legacy.values).toMatchObject({ maxLineLength: 200, maxFunctionLines: 200, maxCyclomaticComplexity: 25, maxFileLines: 500 });
+      expect(legacy.sources).toMatchObject({
+        maxLineLength: 'languages.go',
+        maxFunctionLines: 'legacy/**',
+        maxFileLines: 'default'
+      });
+
+      const core = resolveThresholds('src/core/run.js', config);
+      expect(core.values).toMatchObject({ maxLineLength: 120, maxFunctionLines: 30 });
+      expect(core.sources).toMatchObject({ maxLineLength: 'config', maxFunctionLines: 'src/core/**' });
+
+      expect(resolveThresholds('main.go', validateThresholds()).sources.maxFunctionLines).toBe('go default');
+    });
+
+    test('lets top-level keys override built-in language defaults', () => {
+      const go = resolveThresholds('main.go', validateThresholds({ maxFunctionLines: 40 }));
+      expect(go.values.maxFunctionLines).toBe(40);
+      expect(go.sources.maxFunctionLines).toBe('config');
+
+      const sql = resolveThresholds('db/seed.sql', validateThresholds({ maxLineLength: 100 }));
+      expect(sql.values.maxLineLength).toBe(100);
+    });
+
+    test('reports every invalid key', () => {
+      expect(() => validateThresholds({
+        maxLines: 10,
+        maxFileLines: -1,
+        languages: { typescript: {} },
+        overrides: [{ maxFunctionLines: 10 }]
+      })).toThrow(
+        'Invalid complexity thresholds: unknown threshold "maxLines"; "maxFileLines" must be a positive number; ' +
+        'unknown language "typescript"'
+      );
+      expect(() => validateThresholds({ overrides: [{ maxFunctionLines: 10 }] })).toThrow('overrides[0] needs a "files" glob');
+      expect(() => validateThresholds([])).toThrow('expected a JSON object');
+    });
+
+    test('applies the thresholds for each file', async () => {
+      const fn = count => `function load() {\n${'  step();\n'.repeat(count)}}\n`;
+      const contents = {
+        'legacy/load.js': { base: fn(40), head: fn(60) },
+        'src/core/load.js': { base: fn(20), head: fn(35) }
+      };
+      const files = [file('legacy/load.js'), file('src/core/load.js')];
+      const result = await analyzeComplexity(files, '', { contents, thresholds });
+
+      expect(result.warnings.map(w => [w.filename, w.threshold])).toEqual([
+        ['src/core/load.js', { name: 'maxFunctionLines', value: 30, source: 'src/core/**' }]
+      ]);
+    });
+  });
+});
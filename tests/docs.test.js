@@ -0,0 +1,302 @@
+const { analyzeDocs } = require('../src/analyzers/docs');
+
+function buildDiff(filename, addedLines, start = 1) {
+  return [
+    `diff --git a/${filename} b/${filename}`,
+    `--- a/${filename}`,
+    `+++ b/${filename}`,
+    `@@ -${start},0 +${start},${addedLines.length} @@`,
+    ...addedLines.map(line => `+${line}`)
+  ].join('\n');
+}
+
+describe('Documentation Analyzer', () => {
+  const files = [{ filename: 'src/client.js', status: 'modified', additions: 5 }];
+
+  test('requires changelog and README updates for breaking export changes', async () => {
+    const result = await analyzeDocs(files, {
+      contents: {
+        'src/client.js': {
+          base: 'function connect(url) {}\nfunction close() {}\nmodule.exports = { connect, close };',
+          head: 'function connect(url, token) {}\nmodule.exports = { connect };'
+        }
+      }
+    });
+
+    expect(result.apiImpact).toBe('breaking');
+    expect(result.apiChanges[0].changes.map(c => c.name)).toEqual(['connect', 'close']);
+    expect(result.details).toContain('💥 2 breaking API change(s) to exports');
+    expect(result.suggestions.map(s => s.message)).toEqual([
+      'Breaking API changes detected; update CHANGELOG.md',
+      'Breaking API changes detected; check README.md usage examples'
+    ]);
+  });
+
+  test('suggests a changelog entry for additive changes only', async () => {
+    const result = await analyzeDocs([...files, { filename: 'CHANGELOG.md', status: 'modified' }], {
+      contents: {
+        'src/client.js': {
+          base: 'export function connect(url) {}',
+          head: 'export function connect(url, options = {}) {}\nexport const VERSION = 2;'
+        }
+      }
+    });
+
+    expect(result.apiImpact).toBe('additive');
+    expect(result.details).toContain('🧩 2 additive API change(s) to exports');
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('ignores internal changes that keep the exported surface', async () => {
+    const result = await analyzeDocs([{ filename: 'src/exporter.js', status: 'modified' }], {
+      contents: {
+        'src/exporter.js': {
+          base: 'function run(a) { return a; }\nmodule.exports = { run };',
+          head: 'function run(a) { return a * 2; }\nmodule.exports = { run };'
+        }
+      }
+    });
+
+    expect(result.apiImpact).toBe('none');
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('measures doc coverage of added symbols against the threshold', async () => {
+    const head = [
+      'def existing():',
+      '    pass',
+      '',
+      'def fetch(url):',
+      '    """Fetch a URL."""',
+      '',
+      'def parse(data):',
+      '    return data',
+      '',
+      'def _helper():',
+      '    pass'
+    ];
+    const result = await analyzeDocs([{ filename: 'pkg/client.py', status: 'modified' }], {
+      diff: buildDiff('pkg/client.py', head.slice(3), 4),
+      contents: { 'pkg/client.py': { base: head.slice(0, 3).join('\n'), head: head.join('\n') } },
+      docCoverageThreshold: 50
+    });
+
+    expect(result.inlineDocs).toEqual({
+      symbols: 3,
+      documented: 1,
+      coverage: 33.33,
+      undocumented: [{ filename: 'pkg/client.py', line: 7, name: 'parse', kind: 'function' }],
+      threshold: 50,
+      belowThreshold: true
+    });
+    expect(result.details).toContain('📝 Inline docs: 1/3 new symbol(s) documented (33.33%)');
+    expect(result.details).toContain('⚠️ Inline doc coverage 33.33% is below the 50% threshold');
+  });
+
+  test('checks doc comments from added lines without file contents', async () => {
+    const result = await analyzeDocs([{ filename: 'src/util.js', status: 'added' }], {
+      diff: buildDiff('src/util.js', ['/** Adds numbers */', 'function add(a, b) {}', 'function sub(a, b) {}', 'module.exports = { add, sub };'])
+    });
+
+    expect(result.inlineDocs.coverage).toBe(50);
+    expect(result.inlineDocs.undocumented.map(s => s.name)).toEqual(['sub']);
+    expect(result.summary.docCoverage).toBe(50);
+  });
+
+  describe('changelog check', () => {
+    const changelog = ['# Changelog', '', '## [Unreleased]', '', '### Fixed', '- Handle empty diffs (#7)', '', '## [1.0.0]', '### Added', '- Initial release'];
+    const apiChange = {
+      filename: 'src/client.js',
+      base: 'export function connect(url) {}',
+      head: 'export function connect(url, token) {}'
+    };
+
+    async function check(addedLines, pullRequest = { number: 7, labels: [] }) {
+      const files = [{ filename: 'CHANGELOG.md', status: 'modified' }, { filename: apiChange.filename, status: 'modified' }];
+      const diff = addedLines.map(line => buildDiff('CHANGELOG.md', [changelog[line - 1]], line)).join('\n');
+      return analyzeDocs(files, {
+        diff,
+        pullRequest,
+        contents: {
+          'CHANGELOG.md': { base: null, head: changelog.join('\n') },
+          [apiChange.filename]: { base: apiChange.base, head: apiChange.head }
+        }
+      });
+    }
+
+    test('accepts an entry under Unreleased that references the PR', async () => {
+      const result = await check([6]);
+
+      expect(result.changelog).toMatchObject({ status: 'valid', ok: true, required: true });
+      expect(result.details).toContain('✅ CHANGELOG.md has 1 valid new entry');
+      expect(result.suggestions.map(s => s.message)).not.toContain('Breaking API changes detected; update CHANGELOG.md');
+    });
+
+    test('rejects entries under released versions without references', async () => {
+      const result = await check([10]);
+
+      expect(result.changelog.status).toBe('invalid');
+      expect(result.changelog.problems).toEqual([
+        'CHANGELOG.md:10 entry was added under the already released 1.0.0',
+        'No changelog entry references #7 or an issue'
+      ]);
+      expect(result.suggestions.map(s => s.message)).toContain('Breaking API changes detected; update CHANGELOG.md');
+    });
+
+    test('is skipped by the skip label', async () => {
+      const result = await check([10], { number: 7, labels: ['no-changelog'] });
+
+      expect(result.changelog).toMatchObject({ status: 'skipped', ok: true });
+      expect(result.details).toContain('⏭️ Changelog check skipped by the `no-changelog` label');
+    });
+
+    describe('required entries', () => {
+      const packageJson = JSON.stringify({ main: './dist/index.js', exports: { '.': './dist/index.js', './plugins/*': './dist/plugins/*.js' } });
+
+      async function checkAdditive(filename) {
+        return analyzeDocs([{ filename, status: 'modified' }], {
+          contents: { [filename]: { base: 'export function a() {}', head: 'export function a() {}\nexport function b() {}' } },
+          packageManifests: { 'package.json': packageJson }
+        });
+      }
+
+      test('are not required for new exports of internal modules', async () => {
+        const result = await checkAdditive('src/internal/helpers.js');
+
+        expect(result.apiImpact).toBe('additive');
+        expect(result.apiChanges[0].entryPoint).toBe(false);
+        expect(result.changelog.required).toBe(false);
+      });
+
+      test('are required for new exports of entry points mapped from the build output', async () => {
+        expect((await checkAdditive('src/index.ts')).changelog.required).toBe(true);
+        expect((await checkAdditive('src/plugins/retry.ts')).changelog.required).toBe(true);
+      });
+
+      test('are required for breaking changes to internal modules', async () => {
+        const result = await analyzeDocs([{ filename: 'src/internal/helpers.js', status: 'modified' }], {
+          contents: { 'src/internal/helpers.js': { base: 'export function a() {}', head: '' } },
+          packageManifests: { 'package.json': packageJson }
+        });
+
+        expect(result.apiChanges[0]).toMatchObject({ impact: 'breaking', entryPoint: false });
+        expect(result.changelog.required).toBe(true);
+      });
+
+      test('use the nearest package.json and default to index.js', async () => {
+        const result = await analyzeDocs([{ filename: 'packages/cli/index.js', status: 'modified' }], {
+          contents: {
+            'packages/cli/index.js': { base: 'exports.a = 1;', head: 'exports.a = 1;\nexports.b = 2;' },
+            'packages/cli/package.json': { base: '{}', head: '{"name": "cli"}' }
+          },
+          packageManifests: { 'package.json': packageJson }
+        });
+
+        expect(result.changelog.required).toBe(true);
+      });
+    });
+  });
+
+  describe('link check', () => {
+    const readme = [
+      '# Project',
+      '',
+      'See [setup](docs/setup.md), [usage](docs/usage.md#options) and [config](docs/usage.md#missing).',
+      'Read [the guide](docs/old-guide.md) and [contributing](CONTRIBUTING.md#setup).',
+      '![logo](assets/logo.png) [site](https://example.com) [bad](https://)',
+      '[top](#project) [nowhere](#nowhere) [src](src/) [up](../outside.md)'
+    ].join('\n');
+
+    test('reports missing files, anchors, moved targets and malformed URLs', async () => {
+      const files = [
+        { filename: 'README.md', status: 'modified' },
+        { filename: 'docs/setup.md', status: 'removed' },
+        { filename: 'docs/guide.md', previous_filename: 'docs/old-guide.md', status: 'renamed' }
+      ];
+      const result = await analyzeDocs(files, {
+        contents: { 'README.md': { base: null, head: readme } },
+        repoFiles: ['README.md', 'CONTRIBUTING.md', 'docs/usage.md', 'docs/guide.md', 'src/index.js'],
+        linkedDocs: { 'docs/usage.md': '# Usage\n\n## Options', 'CONTRIBUTING.md': '# Contributing\n\n## Setup' }
+      });
+
+      expect(result.brokenLinks.map(({ line, target, reason }) => [line, target, reason])).toEqual([
+        [3, 'docs/setup.md', 'File deleted in this PR'],
+        [3, 'docs/usage.md#missing', 'Heading `#missing` not found'],
+        [4, 'docs/old-guide.md', 'File renamed to `docs/guide.md` in this PR'],
+        [5, 'assets/logo.png', 'File not found'],
+        [5, 'https://', 'Malformed URL'],
+        [6, '#nowhere', 'Heading `#nowhere` not found'],
+        [6, '../outside.md', 'Points outside the repository']
+      ]);
+      expect(result.details).toContain('🔗 7 broken link(s) in documentation');
+      expect(result.suggestions).toContainEqual({ type: 'warning', message: 'Fix broken links in documentation', files: ['README.md'] });
+    });
+
+    test('checks only links to PR files without the repository tree', async () => {
+      const result = await analyzeDocs([{ filename: 'README.md', status: 'modified' }, { filename: 'docs/setup.md', status: 'removed' }], {
+        contents: { 'README.md': { base: null, head: readme } }
+      });
+
+      expect(result.brokenLinks.map(link => link.target)).toEqual(['docs/setup.md', 'https://', '#nowhere', '../outside.md']);
+    });
+  });
+
+  describe('action docs drift', () => {
+    const base = 'inputs:\n  threshold:\n    default: "80"\n  legacy:\n    default: ""\noutputs:\n  score:\n    description: Score\n';
+    const head = 'inputs:\n  threshold:\n    default: "90"\n  mode:\n    default: warn\noutputs:\n  score:\n    description: Score\n  report:\n    description: Report\n';
+    const readme = [
+      '| Input | Description | Default |',
+      '|-------|-------------|---------|',
+      '| `threshold` | Threshold | `80` |',
+      '| `legacy` | Old option | - |',
+      '',
+      '| Output | Description |',
+      '|--------|-------------|',
+      '| `score` | Score |'
+    ].join('\n');
+
+    test('reports option changes the docs miss', async () => {
+      const result = await analyzeDocs([{ filename: 'action.yml', status: 'modified' }], {
+        contents: { 'action.yml': { base, head } },
+        linkedDocs: { 'README.md': readme }
+      });
+
+      expect(result.actionDrift.map(d => d.message)).toEqual([
+        'Input `threshold` defaults to `90` but README.md:3 says `80`',
+        'Input `mode` is not documented in README.md',
+        'Input `legacy` was removed but is still documented in README.md:4',
+        'Output `report` is not documented in README.md'
+      ]);
+      expect(result.details).toContain('📐 4 action input/output change(s) not reflected in docs');
+      expect(result.triggersNeedingDocs).toEqual([]);
+    });
+
+    test('passes when nested action docs are updated', async () => {
+      const docs = readme
+        .replace('`80`', '`90`')
+        .replace('| `legacy` | Old option | - |', '| `mode` | Mode | `warn` |')
+        .concat('\n| `report` | Report |');
+      const result = await analyzeDocs([
+        { filename: 'actions/review/action.yml', status: 'modified' },
+        { filename: 'actions/review/README.md', status: 'modified' }
+      ], {
+        contents: {
+          'actions/review/action.yml': { base, head },
+          'actions/review/README.md': { base: readme, head: docs }
+        }
+      });
+
+      expect(result.actionDrift).toEqual([]);
+      expect(result.details).toContain('✅ Action inputs and outputs match the docs');
+    });
+
+    test('falls back to the doc hint when the docs are unavailable', async () => {
+      const result = await analyzeDocs([{ filename: 'action.yml', status: 'modified' }], {
+        contents: { 'action.yml': { base, head } }
+      });
+
+      expect(result.actionDrift).toEqual([]);
+      expect(result.triggersNeedingDocs).toEqual([{ filename: 'action.yml', hint: 'Action documentation may need updates', status: 'modified' }]);
+    });
+  });
+});
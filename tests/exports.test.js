@@ -0,0 +1,98 @@
+const { getExportLanguage, extractExports, diffExports } = require('../src/parsers/exports');
+
+describe('Export Parsers', () => {
+  test('detects supported languages', () => {
+    expect(getExportLanguage('src/index.ts')).toBe('js');
+    expect(getExportLanguage('lib/util.mjs')).toBe('js');
+    expect(getExportLanguage('pkg/models.py')).toBe('python');
+    expect(getExportLanguage('main.go')).toBeNull();
+  });
+
+  test('extracts ES module exports', () => {
+    const exports = extractExports('src/api.ts', [
+      '// export function commented() {}',
+      'export async function load(path: string, opts?: Options): Promise<Data> {}',
+      'export const add = (a: number, b = 2) => a + b;',
+      'export const VERSION = "1.0";',
+      'export default class Client {}',
+      'export interface Options { retries: number }',
+      'export { helper as util } from "./helpers";',
+      'export * from "./types";',
+      'export { format };',
+      'function format(value, { locale } = {}) {}'
+    ].join('\n'));
+
+    expect(exports.load).toEqual({ name: 'load', kind: 'function', params: ['path: string', 'opts?: Options'], line: 2 });
+    expect(exports.add.params).toEqual(['a: number', 'b = 2']);
+    expect(exports.VERSION.kind).toBe('variable');
+    expect(exports.default.kind).toBe('class');
+    expect(exports.Options.kind).toBe('type');
+    expect(exports.util.kind).toBe('reexport');
+    expect(exports['* from ./types'].kind).toBe('reexport');
+    expect(exports.format.params).toEqual(['value', '{ locale } = {}']);
+    expect(exports.commented).toBeUndefined();
+  });
+
+  test('extracts CommonJS exports', () => {
+    const exports = extractExports('src/analyzers/risk.js', [
+      'async function analyzeRisk(files, options = {}) {}',
+      'const isRisky = file => true;',
+      'const PATTERNS = [];',
+      '',
+      'module.exports = {',
+      '  analyzeRisk,',
+      '  isRisky,',
+      '  patterns: PATTERNS,',
+      '  format(value) {}',
+      '};',
+      'exports.version = function (major, minor) {};'
+    ].join('\n'));
+
+    expect(exports.analyzeRisk).toEqual({ name: 'analyzeRisk', kind: 'function', params: ['files', 'options = {}'], line: 5 });
+    expect(exports.isRisky.params).toEqual(['file']);
+    expect(exports.patterns.kind).toBe('variable');
+    expect(exports.format.params).toEqual(['value']);
+    expect(exports.version.params).toEqual(['major', 'minor']);
+  });
+
+  test('extracts public Python defs and honors __all__', () => {
+    const source = [
+      'def public(a, b=1, *args, **kwargs):',
+      '    pass',
+      '',
+      'def _private():',
+      '    pass',
+      '',
+      'class Model(Base):',
+      '    def method(self):',
+      '        pass',
+      '',
+      'async def fetch(url,',
+      '                timeout=10):',
+      '    pass'
+    ].join('\n');
+
+    expect(Object.keys(extractExports('pkg/api.py', source))).toEqual(['public', 'Model', 'fetch']);
+    expect(extractExports('pkg/api.py', source).fetch.params).toEqual(['url', 'timeout=10']);
+    expect(Object.keys(extractExports('pkg/api.py', `__all__ = ["fetch"]\n${source}`))).toEqual(['fetch']);
+  });
+
+  test('classifies changes as additive or breaking', () => {
+    const base = extractExports('api.py', 'def fetch(url, timeout=10):\n    pass\ndef parse(data):\n    pass\ndef load(path):\n    pass\n');
+    const head = extractExports('api.py', [
+      'def fetch(url, timeout=10, retries=3):',
+      '    pass',
+      'def parse(data, strict):',
+      '    pass',
+      'def dump(data):',
+      '    pass'
+    ].join('\n'));
+
+    expect(diffExports(base, head).map(c => [c.name, c.change, c.breaking])).toEqual([
+      ['fetch', 'changed', false],
+      ['parse', 'changed', true],
+      ['dump', 'added', false],
+      ['load', 'removed', true]
+    ]);
+  });
+});
@@ -0,0 +1,223 @@
+const { isParsableScript, getFunctionLanguage, extractFunctions } = require('../src/parsers/functions');
+
+describe('Function Parsers', () => {
+  test('detects parsable scripts', () => {
+    expect(isParsableScript('src/index.js')).toBe(true);
+    expect(isParsableScript('src/App.tsx')).toBe(true);
+    expect(isParsableScript('lib/util.mts')).toBe(true);
+    expect(isParsableScript('app.py')).toBe(false);
+  });
+
+  test('detects function languages', () => {
+    expect(getFunctionLanguage('src/App.tsx')).toBe('js');
+    expect(getFunctionLanguage('app/models.py')).toBe('python');
+    expect(getFunctionLanguage('Main.kt')).toBe('kotlin');
+    expect(getFunctionLanguage('lib.rs')).toBe('rust');
+    expect(getFunctionLanguage('main.c')).toBeNull();
+  });
+
+  test('measures cyclomatic and cognitive complexity', () => {
+    const content = `function check(items, strict) {
+  for (const item of items) {
+    if (item.valid && item.ready) {
+      return true;
+    } else if (strict || item.forced || item.retry) {
+      return false;
+    } else {
+      continue;
+    }
+  }
+  return null;
+}
+`;
+    expect(extractFunctions('check.js', content)).toEqual([
+      { name: 'check', startLine: 1, endLine: 12, params: 2, cyclomatic: 7, cognitive: 7 }
+    ]);
+  });
+
+  test('counts nesting, ternaries, switch cases and catches', () => {
+    const content = `const run = (value) => {
+  try {
+    switch (value) {
+      case 1: return value > 0 ? 'a' : 'b';
+      case 2: return 'c';
+      default: return value ?? 'd';
+    }
+  } catch (error) {
+    if (error) throw error;
+  }
+};
+`;
+    const [fn] = extractFunctions('run.js', content);
+    expect(fn.name).toBe('run');
+    expect(fn.cyclomatic).toBe(7);
+    expect(fn.cognitive).toBe(7);
+  });
+
+  test('measures nested functions on their own and names them', () => {
+    const content = `class Queue {
+  drain(items) {
+    items.forEach(item => {
+      if (item) this.push(item);
+    });
+  }
+}
+module.exports.start = function () {
+  return [1].map(n => n).filter(n => n || 0);
+};
+`;
+    const functions = extractFunctions('queue.js', content);
+    expect(functions.map(f => f.name)).toEqual([
+      'drain', 'items.forEach callback', 'module.exports.start', 'map callback', 'filter callback'
+    ]);
+    expect(functions[0].cyclomatic).toBe(1);
+    expect(functions[1].cyclomatic).toBe(2);
+  });
+
+  test('parses TypeScript and JSX', () => {
+    const content = `export function render<T>(props: { items: T[] }): JSX.Element {
+  return <ul>{props.items.length > 0 ? <li /> : null}</ul>;
+}
+`;
+    expect(extractFunctions('view.tsx', content)).toEqual([
+      { name: 'render', startLine: 1, endLine: 3, params: 1, cyclomatic: 2, cognitive: 1 }
+    ]);
+  });
+
+  test('finds Go functions and methods', () => {
+    const content = `package main
+
+// Run does things {
+func Run(a, b int, s string) error {
+	return fmt.Errorf("x { %d", a)
+}
+
+func (s *Server) Handle(w http.ResponseWriter, r *http.Request) (int, error) {
+	go func() {
+		s.x()
+	}()
+	return 0, nil
+}
+
+func Any() interface{} {
+	return nil
+}
+`;
+    expect(extractFunctions('main.go', content)).toEqual([
+      { name: 'Run', startLine: 4, endLine: 6, params: 3 },
+      { name: 'Handle', startLine: 8, endLine: 13, params: 2 },
+      { name: 'Any', startLine: 15, endLine: 17, params: 0 }
+    ]);
+  });
+
+  test('finds Java methods and constructors', () => {
+    const content = `public class A {
+    @Override
+    public String toString() {
+        return "}";
+    }
+
+    public A(int a, Map<String, Integer> m) {
+        if (a > 0) {
+            foo(a);
+        }
+        list.forEach(x -> {
+            bar(x);
+        });
+    }
+
+    private static <T> List<T> copy(List<T> items,
+                                    int limit) throws IOException {
+        return items;
+    }
+
+    abstract void noBody(int a);
+}
+`;
+    expect(extractFunctions('A.java', content)).toEqual([
+      { name: 'toString', startLine: 3, endLine: 5, params: 0 },
+      { name: 'A', startLine: 7, endLine: 14, params: 2 },
+      { name: 'copy', startLine: 16, endLine: 19, params: 2 }
+    ]);
+  });
+
+  test('finds Kotlin and Rust functions', () => {
+    const kotlin = `class A {
+    fun greet(name: String, times: Int = 1): String {
+        return "hi"
+    }
+    override fun toString() = "A"
+}
+`;
+    expect(extractFunctions('A.kt', kotlin)).toEqual([
+      { name: 'greet', startLine: 2, endLine: 4, params: 2 },
+      { name: 'toString', startLine: 5, endLine: 5, params: 0 }
+    ]);
+
+    const rust = `impl Foo {
+    fn get<'a>(&'a self, key: &str) -> Option<&'a str> {
+        let c = 'x';
+        None
+    }
+}
+trait T { fn decl(&self, x: i32); }
+pub async fn handler(req: Request<Body>, f: impl Fn(i32) -> i32) -> Result<(), Error> {
+    Ok(())
+}
+`;
+    expect(extractFunctions('lib.rs', rust)).toEqual([
+      { name: 'get', startLine: 2, endLine: 5, params: 1 },
+      { name: 'handler', startLine: 8, endLine: 10, params: 2 }
+    ]);
+  });
+
+  test('finds Python functions by indentation', () => {
+    const content = `def run(a, b=1, *args, **kwargs):
+    """Doc
+with a line at column 0
+    """
+    return a
+
+# trailing comment
+
+class A:
+    def method(self, x: Dict[str, int], /, *, y=None):
+        def inner():
+            pass
+
+        return inner
+`;
+    expect(extractFunctions('app.py', content)).toEqual([
+      { name: 'run', startLine: 1, endLine: 5, params: 4 },
+      { name: 'method', startLine: 10, endLine: 14, params: 2 },
+      { name: 'inner', startLine: 11, endLine: 12, params: 0 }
+    ]);
+  });
+
+  test('finds Ruby methods up to their end', () => {
+    const content = `class A
+  def initialize(a, b = 2, *rest, &blk)
+    if a
+      b
+    end
+  end
+
+  def self.build a, b
+    new(a, b)
+  end
+
+  def short; 1; end
+end
+`;
+    expect(extractFunctions('a.rb', content)).toEqual([
+      { name: 'initialize', startLine: 2, endLine: 6, params: 4 },
+      { name: 'build', startLine: 8, endLine: 10, params: 2 },
+      { name: 'short', startLine: 12, endLine: 12, params: 0 }
+    ]);
+  });
+
+  test('returns null for unsupported files', () => {
+    expect(extractFunctions('main.c', 'int main() { return 0; }')).toBeNull();
+    expect(extractFunctions('app.js', undefined)).toBeNull();
+  });
+});
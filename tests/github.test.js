@@ -0,0 +1,84 @@
+const { fetchFileContent, fetchFileVersions } = require('../src/utils/github');
+
+// Octokit stub serving `files` keyed by "ref:path" and tracking concurrent requests
+function createOctokit(files) {
+  const stats = { active: 0, peak: 0 };
+  const getContent = async ({ path, ref }) => {
+    stats.active++;
+    stats.peak = Math.max(stats.peak, stats.active);
+    await new Promise(resolve => setImmediate(resolve));
+    stats.active--;
+
+    const content = files[`${ref}:${path}`];
+    if (content === undefined) throw Object.assign(new Error('Not Found'), { status: 404 });
+    return { data: { type: 'file', encoding: 'base64', size: content.length, content: Buffer.from(content).toString('base64') } };
+  };
+  return { octokit: { rest: { repos: { getContent } } }, stats };
+}
+
+const refs = { owner: 'o', repo: 'r', baseRef: 'base', headRef: 'head' };
+
+describe('GitHub Helpers', () => {
+  test('fetches file content or null when missing', async () => {
+    const { octokit } = createOctokit({ 'main:a.js': 'a' });
+    expect(await fetchFileContent(octokit, { owner: 'o', repo: 'r', path: 'a.js', ref: 'main' })).toBe('a');
+    expect(await fetchFileContent(octokit, { owner: 'o', repo: 'r', path: 'b.js', ref: 'main' })).toBeNull();
+  });
+
+  test('fetches base and head versions of changed files', async () => {
+    const { octokit } = createOctokit({
+      'base:old.js': 'old',
+      'head:new.js': 'new',
+      'head:added.js': 'added',
+      'base:removed.js': 'removed'
+    });
+    const versions = await fetchFileVersions(octokit, refs, [
+      { filename: 'new.js', previous_filename: 'old.js', status: 'renamed' },
+      { filename: 'added.js', status: 'added' },
+      { filename: 'removed.js', status: 'removed' }
+    ]);
+
+    expect(versions).toEqual({
+      'new.js': { base: 'old', head: 'new' },
+      'added.js': { base: null, head: 'added' },
+      'removed.js': { base: 'removed', head: null }
+    });
+  });
+
+  test('leaves out files over the size cap', async () => {
+    const { octokit } = createOctokit({ 'base:a.js': 'x', 'head:a.js': 'x'.repeat(20), 'head:b.js': 'small' });
+    const versions = await fetchFileVersions(octokit, refs, [
+      { filename: 'a.js', status: 'modified' },
+      { filename: 'b.js', status: 'added' }
+    ], { maxFileSize: 10 });
+
+    expect(Object.keys(versions)).toEqual(['b.js']);
+  });
+
+  test('keeps the versions it fetched when a file fails to load', async () => {
+    const { octokit } = createOctokit({ 'head:a.js': 'a', 'base:b.js': 'b', 'head:b.js': 'b2' });
+    const getContent = octokit.rest.repos.getContent;
+    octokit.rest.repos.getContent = async params => {
+      if (params.path === 'a.js') throw Object.assign(new Error('Server Error'), { status: 502 });
+      return getContent(params);
+    };
+    const onError = jest.fn();
+
+    const versions = await fetchFileVersions(octokit, refs, [
+      { filename: 'a.js', status: 'added' },
+      { filename: 'b.js', status: 'modified' }
+    ], { onError });
+
+    expect(versions).toEqual({ 'b.js': { base: 'b', head: 'b2' } });
+    expect(onError).toHaveBeenCalledWith('a.js', expect.objectContaining({ status: 502 }));
+  });
+
+  test('limits concurrent requests', async () => {
+    const files = Array.from({ length: 10 }, (_, i) => ({ filename: `f${i}.js`, status: 'added' }));
+    const { octokit, stats } = createOctokit(Object.fromEntries(files.map(f => [`head:${f.filename}`, 'x'])));
+    const versions = await fetchFileVersions(octokit, refs, files, { concurrency: 3 });
+
+    expect(Object.keys(versions)).toHaveLength(10);
+    expect(stats.peak).toBe(3);
+  });
+});
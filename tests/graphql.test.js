@@ -0,0 +1,77 @@
+const { isGraphQLFile, parseGraphQLSchema, diffGraphQLSchema } = require('../src/parsers/graphql');
+
+const BASE = `
+"""A registered user"""
+type User implements Node & Entity @key(fields: "id") {
+  id: ID!
+  "Primary email"
+  email: String
+  name: String!
+  # Paginated posts
+  posts(first: Int = 10, after: String): [Post!]!
+}
+
+input UserFilter {
+  role: Role
+  active: Boolean
+}
+
+enum Role { ADMIN USER GUEST }
+union SearchResult = User | Post
+type Post { id: ID! }
+`;
+
+describe('GraphQL Parser', () => {
+  test('detects SDL files', () => {
+    expect(isGraphQLFile('schema.graphql')).toBe(true);
+    expect(isGraphQLFile('src/types.gql')).toBe(true);
+    expect(isGraphQLFile('src/queries.js')).toBe(false);
+  });
+
+  test('parses types, fields, arguments, enums and unions', () => {
+    const types = parseGraphQLSchema(BASE);
+
+    expect(types.User).toMatchObject({ kind: 'type', line: 3 });
+    expect(types.User.fields.posts).toEqual({
+      type: '[Post!]!',
+      line: 9,
+      args: { first: { type: 'Int', hasDefault: true }, after: { type: 'String', hasDefault: false } },
+      hasDefault: false
+    });
+    expect(Object.keys(types.User.fields)).toEqual(['id', 'email', 'name', 'posts']);
+    expect(types.Role.values).toEqual(['ADMIN', 'USER', 'GUEST']);
+    expect(types.SearchResult.members).toEqual(['User', 'Post']);
+  });
+
+  test('merges extensions into their types', () => {
+    const types = parseGraphQLSchema('type Query { users: [User] }\nextend type Query { me: User }');
+    expect(Object.keys(types.Query.fields)).toEqual(['users', 'me']);
+  });
+
+  test('classifies breaking and additive changes', () => {
+    const head = `
+type User implements Node & Entity @key(fields: "id") {
+  id: ID!
+  email: String!
+  name: String
+  posts(first: Int = 10, after: String, orderBy: Order!): [Post!]!
+  avatar: String
+}
+input UserFilter { role: Role, active: Boolean!, search: String = "" }
+enum Role { ADMIN USER }
+union SearchResult = User
+`;
+
+    expect(diffGraphQLSchema(parseGraphQLSchema(BASE), parseGraphQLSchema(head)).map(c => [c.breaking, c.message, c.line])).toEqual([
+      [false, 'Type of `User.email` changed from `String` to `String!`', 4],
+      [true, 'Type of `User.name` changed from `String!` to `String`', 5],
+      [true, 'New required argument `orderBy` on `User.posts`', 6],
+      [false, 'New field `User.avatar`', 7],
+      [true, 'Type of `UserFilter.active` changed from `Boolean` to `Boolean!`', 9],
+      [false, 'New optional input field `UserFilter.search`', 9],
+      [true, 'Removed enum value `Role.GUEST`', 10],
+      [true, 'Removed member `Post` from union `SearchResult`', 11],
+      [true, 'Removed type `Post`', null]
+    ]);
+  });
+});
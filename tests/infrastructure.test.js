@@ -0,0 +1,168 @@
+const { analyzeInfrastructure, getInfrastructureType } = require('../src/analyzers/infrastructure');
+const { analyzeRisk } = require('../src/analyzers/risk');
+
+function buildDiff(filename, addedLines) {
+  return [
+    `diff --git a/${filename} b/${filename}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${filename}`,
+    `@@ -0,0 +1,${addedLines.length} @@`,
+    ...addedLines.map(line => `+${line}`)
+  ].join('\n');
+}
+
+async function analyze(filename, lines, base = null) {
+  const files = [{ filename, status: base ? 'modified' : 'added' }];
+  const head = lines.join('\n');
+  return analyzeInfrastructure(files, buildDiff(filename, lines), { contents: { [filename]: { base, head } } });
+}
+
+function rulesOf(result) {
+  return result.findings.map(f => [f.rule, f.line]);
+}
+
+describe('Infrastructure Analyzer', () => {
+  test('classifies infrastructure files', () => {
+    expect(getInfrastructureType('Dockerfile')).toBe('docker');
+    expect(getInfrastructureType('services/api/Dockerfile.prod')).toBe('docker');
+    expect(getInfrastructureType('infra/main.tf')).toBe('terraform');
+    expect(getInfrastructureType('k8s/deployment.yaml')).toBe('kubernetes');
+    expect(getInfrastructureType('deploy/app.yml', 'apiVersion: v1\nkind: Pod\n')).toBe('kubernetes');
+    expect(getInfrastructureType('.github/workflows/ci.yml', 'on: push\njobs: {}\n')).toBeNull();
+    expect(getInfrastructureType('src/index.js')).toBeNull();
+  });
+
+  test('flags Dockerfile base images, root user and remote downloads', async () => {
+    const result = await analyze('Dockerfile', [
+      'FROM node:latest AS build',
+      'RUN curl -fsSL https://example.com/install.sh | bash',
+      'FROM ubuntu',
+      'ADD https://example.com/tool.tar.gz /opt/',
+      'COPY --from=build /app /app'
+    ]);
+
+    expect(rulesOf(result)).toEqual([
+      ['unpinned-base-image', 1],
+      ['curl-pipe-shell', 2],
+      ['unpinned-base-image', 3],
+      ['root-user', 3],
+      ['add-remote-url', 4]
+    ]);
+    expect(result.findings.every(f => f.category === 'infrastructure')).toBe(true);
+  });
+
+  test('passes a hardened multi-stage Dockerfile', async () => {
+    const result = await analyze('Dockerfile', [
+      'ARG BASE=node:20',
+      'FROM ${BASE} AS build',
+      'USER root',
+      'FROM build AS test',
+      `FROM gcr.io/distroless/nodejs20@sha256:${'a'.repeat(64)}`,
+      'COPY --from=build /app /app',
+      'USER 1000:1000'
+    ]);
+
+    expect(result.findings).toEqual([]);
+  });
+
+  test('flags privileged pods and containers without resource limits', async () => {
+    const result = await analyze('k8s/deployment.yaml', [
+      'apiVersion: apps/v1',
+      'kind: Deployment',
+      'metadata:',
+      '  name: api',
+      'spec:',
+      '  template:',
+      '    spec:',
+      '      hostNetwork: true',
+      '      containers:',
+      '        - name: api',
+      '          image: api:1.2.3',
+      '          securityContext:',
+      '            privileged: true',
+      '        - name: sidecar',
+      '          image: proxy:1.0.0',
+      '          resources:',
+      '            limits:',
+      '              memory: 128Mi'
+    ]);
+
+    expect(rulesOf(result)).toEqual([
+      ['host-namespace', 8],
+      ['missing-resource-limits', 10],
+      ['privileged-container', 13]
+    ]);
+    expect(result.findings[1].message).toBe('Container "api" in Deployment/api has no resource limits');
+  });
+
+  test('still runs line checks on Helm templates', async () => {
+    const result = await analyze('helm/app/templates/deployment.yaml', [
+      'spec:',
+      '  containers:',
+      '    - name: {{ .Chart.Name }}',
+      '      securityContext:',
+      '        privileged: {{ .Values.privileged }}',
+      '        privileged: true'
+    ]);
+
+    expect(rulesOf(result)).toEqual([['privileged-container', 6]]);
+  });
+
+  test('flags open ingress, public buckets and unencrypted storage in Terraform', async () => {
+    const result = await analyze('infra/main.tf', [
+      'resource "aws_security_group" "web" {',
+      '  ingress {',
+      '    from_port   = 22',
+      '    cidr_blocks = ["0.0.0.0/0"]',
+      '  }',
+      '  egress {',
+      '    cidr_blocks = ["0.0.0.0/0"]',
+      '  }',
+      '}',
+      'resource "aws_security_group_rule" "https" {',
+      '  type        = "ingress"',
+      '  cidr_blocks = ["0.0.0.0/0"]',
+      '}',
+      'resource "aws_s3_bucket_acl" "assets" {',
+      '  acl = "public-read"',
+      '}',
+      'resource "aws_ebs_volume" "data" {',
+      '  size = 100',
+      '}',
+      'resource "aws_db_instance" "main" {',
+      '  storage_encrypted = false',
+      '}'
+    ]);
+
+    expect(rulesOf(result)).toEqual([
+      ['open-ingress', 4],
+      ['open-ingress', 12],
+      ['public-s3-acl', 15],
+      ['unencrypted-storage', 17],
+      ['unencrypted-storage', 20],
+      ['encryption-disabled', 21]
+    ]);
+  });
+
+  test('reports only missing settings the PR introduces', async () => {
+    const base = ['FROM node:20', 'RUN npm ci'].join('\n');
+    const result = await analyze('Dockerfile', ['FROM node:20', 'RUN npm ci', 'RUN npm run build'], base);
+
+    expect(result.findings).toEqual([]);
+  });
+
+  test('reports findings per line in the risk analysis', async () => {
+    const files = [{ filename: 'infra/network.tf', status: 'added' }];
+    const lines = ['resource "google_compute_firewall" "ssh" {', '  source_ranges = ["0.0.0.0/0"]', '}'];
+    const infrastructure = await analyzeInfrastructure(files, buildDiff('infra/network.tf', lines), {
+      contents: { 'infra/network.tf': { base: null, head: lines.join('\n') } }
+    });
+    const risk = await analyzeRisk(files, { findings: infrastructure.findings });
+
+    expect(risk.findings).toEqual([
+      expect.objectContaining({ filename: 'infra/network.tf', line: 2, category: 'infrastructure', severity: 'high' })
+    ]);
+    expect(risk.details).toContain('🔎 1 risky code pattern(s) found in changed files');
+  });
+});
@@ -0,0 +1,192 @@
+const { analyzeLockfiles, isAllowedRegistry } = require('../src/analyzers/lockfiles');
+const { analyzeRisk } = require('../src/analyzers/risk');
+const { parseLockfile } = require('../src/parsers/lockfiles');
+
+function npmLock(packages) {
+  return JSON.stringify({ name: 'app', lockfileVersion: 3, packages }, null, 2);
+}
+
+const npmRoot = { '': { name: 'app', dependencies: { lodash: '^4.17.21' } } };
+const lodash = {
+  version: '4.17.21',
+  resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz',
+  integrity: 'sha512-original'
+};
+
+describe('Lockfile Parsers', () => {
+  test('parses npm v3 packages and requirements', () => {
+    const lock = parseLockfile('package-lock.json', npmLock({
+      ...npmRoot,
+      'node_modules/lodash': lodash,
+      'node_modules/@scope/pkg': { version: '1.0.0', dependencies: { 'left-pad': '^1.0.0' } }
+    }));
+
+    expect(lock.packages['lodash@4.17.21']).toEqual({ name: 'lodash', ...lodash });
+    expect(lock.packages['@scope/pkg@1.0.0'].resolved).toBeNull();
+    expect([...lock.required].sort()).toEqual(['left-pad', 'lodash']);
+  });
+
+  test('parses classic yarn.lock', () => {
+    const lock = parseLockfile('yarn.lock', [
+      '# yarn lockfile v1',
+      '',
+      '"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.22.13":',
+      '  version "7.22.13"',
+      '  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.22.13.tgz#abc"',
+      '  integrity sha512-frame',
+      '  dependencies:',
+      '    "@babel/highlight" "^7.22.13"',
+      '    chalk "^2.4.2"',
+      ''
+    ].join('\n'));
+
+    expect(lock.packages['@babel/code-frame@7.22.13']).toMatchObject({ integrity: 'sha512-frame' });
+    expect([...lock.required]).toEqual(['@babel/highlight', 'chalk']);
+  });
+
+  test('parses yarn berry resolutions', () => {
+    const lock = parseLockfile('yarn.lock', [
+      '__metadata:',
+      '  version: 6',
+      '',
+      '"app@workspace:.":',
+      '  version: 0.0.0-use.local',
+      '  resolution: "app@workspace:."',
+      '  dependencies:',
+      '    lodash: "npm:^4.17.21"',
+      '',
+      '"lodash@npm:^4.17.21":',
+      '  version: 4.17.21',
+      '  resolution: "lodash@npm:4.17.21"',
+      '  checksum: abc123',
+      '',
+      '"fork@https://example.com/fork.tgz":',
+      '  version: 1.0.0',
+      '  resolution: "fork@https://example.com/fork.tgz"',
+      ''
+    ].join('\n'));
+
+    expect(Object.keys(lock.packages)).toEqual(['lodash@4.17.21', 'fork@1.0.0']);
+    expect(lock.packages['lodash@4.17.21']).toMatchObject({ resolved: null, integrity: 'abc123' });
+    expect(lock.packages['fork@1.0.0'].resolved).toBe('https://example.com/fork.tgz');
+    expect(lock.required.has('lodash')).toBe(true);
+  });
+
+  test('parses pnpm v9 and v5 lockfiles', () => {
+    const v9 = parseLockfile('pnpm-lock.yaml', [
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      react:',
+      '        specifier: ^18.2.0',
+      '        version: 18.2.0',
+      'packages:',
+      '  react@18.2.0:',
+      '    resolution: {integrity: sha512-react}',
+      '  loose-envify@1.4.0:',
+      '    resolution: {integrity: sha512-loose}',
+      'snapshots:',
+      '  react@18.2.0:',
+      '    dependencies:',
+      '      loose-envify: 1.4.0'
+    ].join('\n'));
+
+    expect(v9.packages['react@18.2.0'].integrity).toBe('sha512-react');
+    expect([...v9.required].sort()).toEqual(['loose-envify', 'react']);
+
+    const v5 = parseLockfile('pnpm-lock.yaml', [
+      'lockfileVersion: 5.4',
+      'dependencies:',
+      '  is-odd: 3.0.1',
+      'packages:',
+      '  /is-odd/3.0.1:',
+      '    resolution: {tarball: https://example.com/is-odd.tgz}'
+    ].join('\n'));
+
+    expect(v5.packages['is-odd@3.0.1'].resolved).toBe('https://example.com/is-odd.tgz');
+    expect(v5.required.has('is-odd')).toBe(true);
+  });
+});
+
+describe('Lockfile Analyzer', () => {
+  test('flags lockfile-only changes', async () => {
+    const files = [{ filename: 'package-lock.json', status: 'modified' }];
+    const contents = {
+      'package-lock.json': {
+        base: npmLock({ ...npmRoot, 'node_modules/lodash': { ...lodash, version: '4.17.20' } }),
+        head: npmLock({ ...npmRoot, 'node_modules/lodash': lodash })
+      }
+    };
+
+    const result = await analyzeLockfiles(files, { contents });
+    expect(result.issues.map(i => i.type)).toEqual(['lockfile-only']);
+
+    const withManifest = await analyzeLockfiles([...files, { filename: 'package.json', status: 'modified' }], { contents });
+    expect(withManifest.issues).toHaveLength(0);
+  });
+
+  test('flags integrity changes, foreign registries and unrequired packages', async () => {
+    const files = [
+      { filename: 'web/package-lock.json', status: 'modified' },
+      { filename: 'web/package.json', status: 'modified' }
+    ];
+    const contents = {
+      'web/package-lock.json': {
+        base: npmLock({ ...npmRoot, 'node_modules/lodash': lodash }),
+        head: npmLock({
+          ...npmRoot,
+          'node_modules/lodash': { ...lodash, integrity: 'sha512-tampered' },
+          'node_modules/sneaky': { version: '1.0.0', resolved: 'https://evil.example.com/sneaky-1.0.0.tgz', integrity: 'sha512-x' }
+        })
+      }
+    };
+
+    const result = await analyzeLockfiles(files, { contents });
+    expect(result.issues.map(i => i.type).sort()).toEqual(['integrity', 'registry', 'unrequired']);
+    expect(result.findings.every(f => f.severity === 'high' && f.category === 'dependencies')).toBe(true);
+
+    const integrity = result.findings.find(f => f.type === 'integrity');
+    expect(integrity.line).toBe(11);
+  });
+
+  test('allows configured registries and requirements from the manifest', async () => {
+    const files = [{ filename: 'yarn.lock', status: 'added' }];
+    const contents = {
+      'yarn.lock': {
+        base: null,
+        head: [
+          'internal@^1.0.0:',
+          '  version "1.0.0"',
+          '  resolved "https://npm.example.com/internal/-/internal-1.0.0.tgz"',
+          ''
+        ].join('\n')
+      }
+    };
+    const manifests = { 'package.json': JSON.stringify({ dependencies: { internal: '^1.0.0' } }) };
+
+    const flagged = await analyzeLockfiles(files, { contents });
+    expect(flagged.issues.map(i => i.type).sort()).toEqual(['registry', 'unrequired']);
+
+    const allowed = await analyzeLockfiles(files, { contents, manifests, allowedRegistries: ['https://npm.example.com/'] });
+    expect(allowed.issues).toHaveLength(0);
+  });
+
+  test('treats git and file sources as outside the registry', () => {
+    const registries = ['registry.npmjs.org'];
+    expect(isAllowedRegistry('https://registry.npmjs.org/a/-/a-1.0.0.tgz', registries)).toBe(true);
+    expect(isAllowedRegistry('git+ssh://git@github.com/org/repo.git#abc', registries)).toBe(false);
+    expect(isAllowedRegistry('file:../local', registries)).toBe(false);
+  });
+
+  test('lockfile issues escalate the lockfile to high risk', async () => {
+    const files = [{ filename: 'package-lock.json', status: 'modified' }];
+    const contents = { 'package-lock.json': { base: npmLock(npmRoot), head: npmLock(npmRoot) } };
+
+    const lockfiles = await analyzeLockfiles(files, { contents });
+    const risk = await analyzeRisk(files, { findings: lockfiles.findings });
+
+    expect(risk.files[0].severity).toBe('high');
+    expect(risk.highRiskCount).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+const { isMarkdownFile, extractLinks, extractAnchors, slugify, resolveLink, isValidUrl } = require('../src/parsers/markdown');
+
+describe('Markdown Parser', () => {
+  test('detects Markdown files', () => {
+    expect(isMarkdownFile('docs/guide.md')).toBe(true);
+    expect(isMarkdownFile('NOTES.markdown')).toBe(true);
+    expect(isMarkdownFile('src/index.js')).toBe(false);
+  });
+
+  test('extracts links, images and references outside code', () => {
+    const content = [
+      '# Title',
+      'See [setup](docs/setup.md#install "Setup") and ![logo](<img/logo one.png>).',
+      '[![build](https://ci.example.com/badge.svg)](https://ci.example.com)',
+      '`[not](a-link.md)`',
+      '```md',
+      '[also not](fenced.md)',
+      '```',
+      '[ref]: ./CONTRIBUTING.md',
+      '<img src="img/banner.png" alt="">'
+    ].join('\n');
+
+    expect(extractLinks(content)).toEqual([
+      { line: 2, target: 'docs/setup.md#install', image: false },
+      { line: 2, target: 'img/logo one.png', image: true },
+      { line: 3, target: 'https://ci.example.com/badge.svg', image: true },
+      { line: 3, target: 'https://ci.example.com', image: false },
+      { line: 8, target: './CONTRIBUTING.md', image: false },
+      { line: 9, target: 'img/banner.png', image: true }
+    ]);
+  });
+
+  test('generates GitHub heading anchors', () => {
+    const content = [
+      '# Getting Started!',
+      '## `max-files`',
+      '## Usage',
+      '## Usage',
+      'Setext Heading',
+      '--------------',
+      '```',
+      '# not a heading',
+      '```',
+      '<a name="custom-anchor"></a>'
+    ].join('\n');
+
+    expect([...extractAnchors(content)]).toEqual([
+      'getting-started', 'max-files', 'usage', 'usage-1', 'setext-heading', 'custom-anchor'
+    ]);
+    expect(slugify('CI/CD [Integration](#ci) 🚀')).toBe('cicd-integration-');
+  });
+
+  test('resolves relative, root and anchor links', () => {
+    expect(resolveLink('docs/guide.md', '../README.md#usage')).toEqual({ external: false, path: 'README.md', anchor: 'usage', outside: false });
+    expect(resolveLink('docs/guide.md', '/src/index.js')).toEqual({ external: false, path: 'src/index.js', anchor: null, outside: false });
+    expect(resolveLink('docs/guide.md', '#top')).toEqual({ external: false, path: null, anchor: 'top', outside: false });
+    expect(resolveLink('docs/guide.md', 'my%20notes.md')).toMatchObject({ path: 'docs/my notes.md' });
+    expect(resolveLink('README.md', '../other/README.md')).toMatchObject({ outside: true });
+    expect(resolveLink('README.md', 'mailto:team@example.com')).toMatchObject({ external: true });
+  });
+
+  test('syntax-checks external URLs', () => {
+    expect(isValidUrl('https://example.com/path?q=1')).toBe(true);
+    expect(isValidUrl('mailto:team@example.com')).toBe(true);
+    expect(isValidUrl('https://')).toBe(false);
+    expect(isValidUrl('http://exa mple.com')).toBe(false);
+    expect(isValidUrl('https://example..com')).toBe(false);
+  });
+});
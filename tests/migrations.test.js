@@ -0,0 +1,166 @@
+const { analyzeMigrations, isMigrationFile } = require('../src/analyzers/migrations');
+const { analyzeRisk } = require('../src/analyzers/risk');
+
+function buildDiff(filename, addedLines) {
+  return [
+    `diff --git a/${filename} b/${filename}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${filename}`,
+    `@@ -0,0 +1,${addedLines.length} @@`,
+    ...addedLines.map(line => `+${line}`)
+  ].join('\n');
+}
+
+async function analyze(filename, addedLines, options) {
+  const files = [{ filename, status: 'added' }];
+  return analyzeMigrations(files, buildDiff(filename, addedLines), options);
+}
+
+function rulesOf(result) {
+  return result.migrations.flatMap(m => m.operations.map(op => op.rule));
+}
+
+describe('Migration Analyzer', () => {
+  test('detects migration files but not schema dumps or tests', () => {
+    expect(isMigrationFile('db/migrate/20240101000000_add_users.rb')).toBe(true);
+    expect(isMigrationFile('app/migrations/0002_auto.py')).toBe(true);
+    expect(isMigrationFile('alembic/versions/abc123_drop.py')).toBe(true);
+    expect(isMigrationFile('sql/cleanup.sql')).toBe(true);
+    expect(isMigrationFile('db/schema.rb')).toBe(false);
+    expect(isMigrationFile('db/structure.sql')).toBe(false);
+    expect(isMigrationFile('src/app.js')).toBe(false);
+  });
+
+  test('classifies destructive SQL statements across lines', async () => {
+    const result = await analyze('migrations/002_cleanup.sql', [
+      'ALTER TABLE users',
+      '  DROP COLUMN legacy_id;',
+      'DROP TABLE audit_log;',
+      'ALTER TABLE orders ALTER COLUMN total TYPE numeric(12, 2);',
+      'ALTER TABLE accounts RENAME COLUMN name TO display_name;',
+      'DELETE FROM sessions;',
+      'DELETE FROM sessions WHERE expires_at < now();'
+    ]);
+
+    expect(rulesOf(result)).toEqual(['drop-column', 'drop-table', 'column-type', 'rename', 'delete-all']);
+    expect(result.migrations[0].operations[0]).toMatchObject({ line: 1, kind: 'destructive', severity: 'high' });
+    expect(result.assessments['migrations/002_cleanup.sql']).toEqual({
+      category: 'database',
+      severity: 'high',
+      message: 'Destructive database migration'
+    });
+  });
+
+  test('reports risky SQL as medium and skips indexes on new tables', async () => {
+    const result = await analyze('migrations/003_orders.sql', [
+      'CREATE TABLE orders (id bigint PRIMARY KEY, user_id bigint NOT NULL);',
+      'CREATE INDEX idx_orders_user ON orders (user_id);',
+      'CREATE INDEX idx_users_email ON users (email);',
+      'CREATE INDEX CONCURRENTLY idx_users_name ON users (name);',
+      'ALTER TABLE users ADD COLUMN age integer NOT NULL;',
+      'ALTER TABLE users ADD COLUMN plan text NOT NULL DEFAULT \'free\';'
+    ]);
+
+    expect(rulesOf(result)).toEqual(['create-index', 'add-not-null']);
+    expect(result.migrations[0].operations[0].line).toBe(3);
+    expect(result.assessments['migrations/003_orders.sql'].severity).toBe('medium');
+  });
+
+  test('skips the Postgres index check for other engines', async () => {
+    const result = await analyze('migrations/004.sql', ['CREATE INDEX idx_users_email ON users (email);'], { engine: 'mysql' });
+    expect(result.findings).toHaveLength(0);
+    expect(result.assessments['migrations/004.sql'].severity).toBe('low');
+  });
+
+  test('classifies Rails migrations', async () => {
+    const result = await analyze('db/migrate/20240101000000_change_users.rb', [
+      'class ChangeUsers < ActiveRecord::Migration[7.1]',
+      '  disable_ddl_transaction!',
+      '  def change',
+      '    remove_column :users, :nickname, :string',
+      '    rename_column :users, :name, :full_name',
+      '    change_column :users, :age, :bigint',
+      '    add_column :users, :role, :string, null: false',
+      '    add_column :users, :plan, :string, null: false, default: "free"',
+      '    add_index :users, :email',
+      '    add_index :users, :role, algorithm: :concurrently',
+      '  end',
+      'end'
+    ]);
+
+    expect(rulesOf(result)).toEqual([
+      'rails-remove-column', 'rails-rename', 'rails-change-column', 'rails-add-not-null', 'rails-add-index'
+    ]);
+  });
+
+  test('classifies multi-line Django operations', async () => {
+    const result = await analyze('shop/migrations/0005_auto.py', [
+      'from django.db import migrations, models',
+      '',
+      'class Migration(migrations.Migration):',
+      '    operations = [',
+      '        migrations.RemoveField(',
+      "            model_name='order',",
+      "            name='legacy_total',",
+      '        ),',
+      '        migrations.AddField(',
+      "            model_name='order',",
+      "            name='status',",
+      '            field=models.CharField(max_length=20),',
+      '        ),',
+      '        migrations.AddField(',
+      "            model_name='order',",
+      "            name='note',",
+      '            field=models.TextField(null=True),',
+      '        ),',
+      '    ]'
+    ]);
+
+    expect(rulesOf(result)).toEqual(['django-remove-field', 'django-add-field']);
+    expect(result.migrations[0].operations.map(op => op.line)).toEqual([5, 9]);
+  });
+
+  test('classifies Alembic and Knex migrations', async () => {
+    const alembic = await analyze('alembic/versions/abc123_users.py', [
+      'def upgrade():',
+      "    op.drop_column('users', 'nickname')",
+      "    op.alter_column('users', 'age', type_=sa.BigInteger())",
+      "    op.create_index('ix_users_email', 'users', ['email'])",
+      "    op.create_index('ix_users_role', 'users', ['role'], postgresql_concurrently=True)",
+      "    op.execute('TRUNCATE sessions')"
+    ]);
+    expect(rulesOf(alembic)).toEqual(['alembic-drop-column', 'alembic-type', 'alembic-create-index', 'truncate']);
+
+    const knex = await analyze('migrations/20240101_users.js', [
+      'exports.up = knex => knex.schema.alterTable(\'users\', table => {',
+      "  table.dropColumn('nickname');",
+      "  table.string('role')",
+      '    .notNullable();',
+      "  table.renameColumn('name', 'full_name');",
+      '});'
+    ]);
+    expect(rulesOf(knex)).toEqual(['knex-drop-column', 'knex-not-null', 'knex-rename']);
+    expect(knex.migrations[0].operations[1].line).toBe(3);
+  });
+
+  test('escalates only destructive migrations in the risk analysis', async () => {
+    const files = [
+      { filename: 'migrations/001_add_column.sql', status: 'added' },
+      { filename: 'migrations/002_drop_table.sql', status: 'added' }
+    ];
+    const diff = [
+      buildDiff('migrations/001_add_column.sql', ['ALTER TABLE users ADD COLUMN bio text;']),
+      buildDiff('migrations/002_drop_table.sql', ['DROP TABLE audit_log;'])
+    ].join('\n');
+
+    const migrations = await analyzeMigrations(files, diff);
+    const risk = await analyzeRisk(files, { diff, findings: migrations.findings, assessments: migrations.assessments });
+    const byName = Object.fromEntries(risk.files.map(f => [f.filename, f]));
+
+    expect(byName['migrations/001_add_column.sql'].severity).toBe('low');
+    expect(byName['migrations/001_add_column.sql'].messages).toEqual(['Database migration (no destructive operations)']);
+    expect(byName['migrations/002_drop_table.sql'].severity).toBe('high');
+    expect(risk.highRiskCount).toBe(1);
+  });
+});
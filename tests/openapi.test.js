@@ -0,0 +1,99 @@
+const { isOpenApiFile, parseOpenApi, diffOpenApi } = require('../src/parsers/openapi');
+
+function spec(paths, schemas = {}) {
+  return { openapi: '3.0.0', paths, components: { schemas } };
+}
+
+const listUsers = (parameters = [], items = { $ref: '#/components/schemas/User' }) => ({
+  get: {
+    parameters,
+    responses: { 200: { content: { 'application/json': { schema: { type: 'array', items } } } } }
+  }
+});
+
+const USER = { type: 'object', required: ['id', 'email'], properties: { id: { type: 'string' }, email: { type: 'string' } } };
+
+describe('OpenAPI Parser', () => {
+  test('detects OpenAPI and Swagger documents', () => {
+    expect(isOpenApiFile('api/openapi.yaml')).toBe(true);
+    expect(isOpenApiFile('docs/swagger.json')).toBe(true);
+    expect(isOpenApiFile('billing.openapi.yml')).toBe(true);
+    expect(isOpenApiFile('api/routes.yaml')).toBe(false);
+  });
+
+  test('parses only OpenAPI documents', () => {
+    expect(parseOpenApi('openapi: 3.1.0\npaths: {}')).toEqual({ openapi: '3.1.0', paths: {} });
+    expect(parseOpenApi('name: not an api')).toBeNull();
+    expect(parseOpenApi('paths: [')).toBeNull();
+  });
+
+  test('classifies endpoint and parameter changes', () => {
+    const base = spec({
+      '/users': listUsers([
+        { name: 'limit', in: 'query', schema: { type: 'integer' } },
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['active', 'banned'] } },
+        { name: 'legacy', in: 'query', schema: { type: 'string' } }
+      ]),
+      '/users/{id}': { delete: { responses: { 204: { description: 'Deleted' } } } }
+    }, { User: USER });
+    const head = spec({
+      '/users': listUsers([
+        { name: 'limit', in: 'query', schema: { type: 'string' } },
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['active'] } },
+        { name: 'org', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'sort', in: 'query', schema: { type: 'string' } }
+      ]),
+      '/teams': { get: { responses: { 200: { description: 'Teams' } } } }
+    }, { User: USER });
+
+    expect(diffOpenApi(base, head)).toEqual([
+      { breaking: true, path: '/users', message: 'Type of query parameter `limit` on `GET /users` changed from integer to string' },
+      { breaking: true, path: '/users', message: 'Query parameter `status` on `GET /users` no longer accepts `banned`' },
+      { breaking: true, path: '/users', message: 'New required query parameter `org` on `GET /users`' },
+      { breaking: false, path: '/users', message: 'New optional query parameter `sort` on `GET /users`' },
+      { breaking: true, path: '/users', message: 'Removed query parameter `legacy` from `GET /users`' },
+      { breaking: false, path: '/teams', message: 'New endpoint `GET /teams`' },
+      { breaking: true, path: '/users/{id}', message: 'Removed endpoint `DELETE /users/{id}`' }
+    ]);
+  });
+
+  test('follows $refs into request and response schemas', () => {
+    const createUser = (schema) => ({
+      post: {
+        requestBody: { required: true, content: { 'application/json': { schema } } },
+        responses: { 201: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } } }
+      }
+    });
+    const base = spec({ '/users': createUser({ type: 'object', properties: { email: { type: 'string' } } }) }, { User: USER });
+    const head = spec({
+      '/users': createUser({ type: 'object', required: ['email', 'name'], properties: { email: { type: 'string' }, name: { type: 'string' } } })
+    }, {
+      User: { type: 'object', required: ['id'], properties: { id: { type: 'string' }, role: { type: 'string' } } }
+    });
+
+    expect(diffOpenApi(base, head).map(c => [c.breaking, c.message])).toEqual([
+      [true, 'Field `email` in request body of `POST /users` is now required'],
+      [true, 'New required field `name` in request body of `POST /users`'],
+      [false, 'New field `role` in 201 response of `POST /users`'],
+      [true, 'Removed field `email` from 201 response of `POST /users`']
+    ]);
+  });
+
+  test('reads Swagger 2 body parameters and response schemas', () => {
+    const operation = (type) => ({
+      put: {
+        parameters: [{ name: 'body', in: 'body', schema: { type: 'object', properties: { size: { type } } } }],
+        responses: { 200: { schema: { type: 'object', properties: { size: { type } } } } }
+      }
+    });
+    const changes = diffOpenApi(
+      { swagger: '2.0', paths: { '/files': operation('integer') } },
+      { swagger: '2.0', paths: { '/files': operation('string') } }
+    );
+
+    expect(changes.map(c => c.message)).toEqual([
+      'Type of `size` in request body of `PUT /files` changed from integer to string',
+      'Type of `size` in 200 response of `PUT /files` changed from integer to string'
+    ]);
+  });
+});
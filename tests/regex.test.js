@@ -0,0 +1,15 @@
+const { escapeRegExp } = require('../src/utils/regex');
+
+describe('escapeRegExp', () => {
+  test('matches special characters literally', () => {
+    const value = 'a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o';
+    const pattern = new RegExp(`^${escapeRegExp(value)}$`);
+
+    expect(pattern.test(value)).toBe(true);
+    expect(pattern.test(value.replace('.', 'x'))).toBe(false);
+  });
+
+  test('leaves plain strings unchanged', () => {
+    expect(escapeRegExp('@scope/package-name_1')).toBe('@scope/package-name_1');
+  });
+});
@@ -1,4 +1,14 @@
-const { analyzeRisk, DEFAULT_RISK_PATTERNS } = require('../src/analyzers/risk');
+const { analyzeRisk, DEFAULT_RISK_PATTERNS, CONTENT_RISK_RULES } = require('../src/analyzers/risk');
+
+function buildDiff(filename, addedLines) {
+  return [
+    `diff --git a/${filename} b/${filename}`,
+    `--- a/${filename}`,
+    `+++ b/${filename}`,
+    `@@ -1,0 +1,${addedLines.length} @@`,
+    ...addedLines.map(line => `+${line}`)
+  ].join('\n');
+}
 
 describe('Risk Analyzer', () => {
   describe('analyzeRisk', () => {
@@ -95,6 +105,140 @@ describe('Risk Analyzer', () => {
     });
   });
 
+  describe('content rules', () => {
+    test('flags dangerous code in files without risky paths', async () => {
+      const files = [{ filename: 'src/utils.js', status: 'modified', additions: 3 }];
+      const diff = buildDiff('src/utils.js', [
+        'const ok = 1;',
+        'const result = eval(input);',
+        'exec(`rm -rf ${dir}`);'
+      ]);
+
+      const result = await analyzeRisk(files, { diff });
+
+      expect(result.findings).toEqual([
+        expect.objectContaining({ filename: 'src/utils.js', line: 2, rule: 'eval', severity: 'high', category: 'security' }),
+        expect.objectContaining({ filename: 'src/utils.js', line: 3, rule: 'exec-template' })
+      ]);
+      expect(result.highRiskCount).toBe(1);
+      expect(result.byCategory.security).toContain('src/utils.js');
+    });
+
+    test('detects TLS, CSRF, SQL and HTML injection patterns', async () => {
+      const files = [
+        { filename: 'app/client.py', status: 'modified' },
+        { filename: 'src/db.js', status: 'modified' },
+        { filename: 'src/View.jsx', status: 'modified' }
+      ];
+      const diff = [
+        buildDiff('app/client.py', ['requests.get(url, verify=False)', '@csrf_exempt']),
+        buildDiff('src/db.js', ['db.query("SELECT * FROM users WHERE id = " + id);', 'https.request({ rejectUnauthorized: false });']),
+        buildDiff('src/View.jsx', ['<div dangerouslySetInnerHTML={{ __html: html }} />'])
+      ].join('\n');
+
+      const result = await analyzeRisk(files, { diff });
+      const rules = result.findings.map(f => f.rule);
+
+      expect(rules).toEqual(expect.arrayContaining([
+        'tls-verify-false', 'csrf-exempt', 'sql-concat', 'tls-reject-unauthorized', 'dangerously-set-inner-html'
+      ]));
+      expect(result.files.find(f => f.filename === 'src/View.jsx').severity).toBe('medium');
+    });
+
+    test('ignores comments, test files and language mismatches', async () => {
+      const files = [
+        { filename: 'src/a.js', status: 'modified' },
+        { filename: 'src/a.test.js', status: 'modified' },
+        { filename: 'src/b.py', status: 'modified' }
+      ];
+      const diff = [
+        buildDiff('src/a.js', ['// never use eval(x) here']),
+        buildDiff('src/a.test.js', ['eval(code);']),
+        buildDiff('src/b.py', ['new Function("x")'])
+      ].join('\n');
+
+      const result = await analyzeRisk(files, { diff });
+
+      expect(result.findings).toHaveLength(0);
+      expect(result.files).toHaveLength(0);
+    });
+
+    test('all content rules have required fields', () => {
+      for (const rule of CONTENT_RISK_RULES) {
+        expect(rule.pattern).toBeInstanceOf(RegExp);
+        expect(['high', 'medium', 'low']).toContain(rule.severity);
+        expect(rule.category).toBeTruthy();
+        expect(rule.message).toBeTruthy();
+      }
+    });
+  });
+
+  describe('conditional rules', () => {
+    const authTests = [
+      { filename: 'src/auth/login.test.js', status: 'modified', additions: 10 },
+      { filename: 'README.md', status: 'modified', additions: 2 }
+    ];
+
+    test('suppresses default patterns with severity none', async () => {
+      const rule = { pattern: '**/auth/**', category: 'security', severity: 'none', when: { onlyTests: true } };
+
+      const testsOnly = await analyzeRisk(authTests, { customPatterns: [rule] });
+      expect(testsOnly.files).toHaveLength(0);
+
+      const withSource = await analyzeRisk([
+        ...authTests,
+        { filename: 'src/auth/login.js', status: 'modified', additions: 5 }
+      ], { customPatterns: [rule] });
+      expect(withSource.highRiskCount).toBe(2);
+    });
+
+    test('escalates on file status and size', async () => {
+      const customPatterns = [
+        { pattern: '**/migrations/**', category: 'database', severity: 'high', message: 'Deleted migration', when: { status: 'removed' } },
+        { pattern: 'src/**', category: 'churn', severity: 'high', message: 'Large change', when: { minAdditions: 500 } }
+      ];
+      const files = [
+        { filename: 'db/migrations/001_init.sql', status: 'removed', deletions: 20 },
+        { filename: 'src/app.js', status: 'modified', additions: 600 },
+        { filename: 'src/util.js', status: 'modified', additions: 10 }
+      ];
+
+      const result = await analyzeRisk(files, {
+        customPatterns,
+        assessments: { 'db/migrations/001_init.sql': { category: 'database', severity: 'low', message: 'Database migration (no destructive operations)' } }
+      });
+      const byName = Object.fromEntries(result.files.map(f => [f.filename, f]));
+
+      expect(byName['db/migrations/001_init.sql'].messages).toContain('Deleted migration');
+      expect(byName['db/migrations/001_init.sql'].severity).toBe('high');
+      expect(byName['src/app.js'].severity).toBe('high');
+      expect(byName['src/util.js']).toBeUndefined();
+    });
+
+    test('matches pull request author, branch, labels and co-changed files', async () => {
+      const files = [
+        { filename: 'src/billing/invoice.js', status: 'modified' },
+        { filename: 'src/billing/tax.js', status: 'modified' }
+      ];
+      const rule = conditions => ({ pattern: '**/billing/**', category: 'financial', severity: 'high', ...conditions });
+      const pullRequest = { author: 'Octocat', authorAssociation: 'FIRST_TIME_CONTRIBUTOR', branch: 'release/2.0', labels: ['hotfix'] };
+      const count = async conditions => (await analyzeRisk(files, { customPatterns: [rule(conditions)], pullRequest })).files.length;
+
+      expect(await count({ when: { authors: ['octocat'] } })).toBe(2);
+      expect(await count({ when: { authorAssociations: ['first_time_contributor', 'none'] } })).toBe(2);
+      expect(await count({ when: { branches: 'release/*' } })).toBe(2);
+      expect(await count({ when: { labels: ['hotfix'] }, unless: { authors: 'octocat' } })).toBe(0);
+      expect(await count({ unless: { labels: ['reviewed'] } })).toBe(2);
+      expect(await count({ when: { withFiles: '**/tax.js' } })).toBe(1);
+    });
+
+    test('rejects unknown conditions', async () => {
+      await expect(analyzeRisk([{ filename: 'a.js' }], {
+        customPatterns: [{ pattern: '**', when: { label: 'x' } }]
+      })).rejects.toThrow('Unknown condition "label"');
+    });
+  });
+
   describe('DEFAULT_RISK_PATTERNS', () => {
     test('has reasonable number of patterns', () => {
       expect(DEFAULT_RISK_PATTERNS.length).toBeGreaterThan(20);
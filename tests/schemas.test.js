@@ -0,0 +1,89 @@
+const { analyzeSchemas, getSchemaFormat } = require('../src/analyzers/schemas');
+
+const BASE_SPEC = `openapi: 3.0.0
+paths:
+  /users:
+    get:
+      responses:
+        '200':
+          description: Users
+  /users/{id}:
+    delete:
+      responses:
+        '204':
+          description: Deleted
+`;
+
+const HEAD_SPEC = `openapi: 3.0.0
+paths:
+  /users:
+    get:
+      parameters:
+        - name: org
+          in: query
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          description: Users
+  /teams:
+    get:
+      responses:
+        '200':
+          description: Teams
+`;
+
+describe('Schema Analyzer', () => {
+  test('detects schema formats', () => {
+    expect(getSchemaFormat('api/openapi.yaml')).toBe('openapi');
+    expect(getSchemaFormat('schema.graphql')).toBe('graphql');
+    expect(getSchemaFormat('src/index.js')).toBeNull();
+  });
+
+  test('reports breaking changes as high-severity api findings', async () => {
+    const result = await analyzeSchemas([{ filename: 'api/openapi.yaml', status: 'modified' }], {
+      contents: { 'api/openapi.yaml': { base: BASE_SPEC, head: HEAD_SPEC } }
+    });
+
+    expect(result.findings).toEqual([
+      {
+        filename: 'api/openapi.yaml',
+        line: 3,
+        rule: 'breaking-schema-change',
+        category: 'api',
+        severity: 'high',
+        message: 'Breaking API change: New required query parameter `org` on `GET /users`'
+      },
+      {
+        filename: 'api/openapi.yaml',
+        line: null,
+        rule: 'breaking-schema-change',
+        category: 'api',
+        severity: 'high',
+        message: 'Breaking API change: Removed endpoint `DELETE /users/{id}`'
+      }
+    ]);
+    expect(result.schemas[0].additive).toEqual([{ breaking: false, message: 'New endpoint `GET /teams`', line: 14 }]);
+    expect(result.details).toEqual(['💥 2 breaking change(s) in 1 API schema(s)', '🧩 1 non-breaking API schema change(s)']);
+    expect(result.summary).toEqual({ schemas: 1, breaking: 2, additive: 1 });
+  });
+
+  test('skips added, ignored and unparseable schemas', async () => {
+    const result = await analyzeSchemas([
+      { filename: 'api/openapi.yaml', status: 'added' },
+      { filename: 'vendor/schema.graphql', status: 'modified' },
+      { filename: 'swagger.json', status: 'modified' }
+    ], {
+      ignorePatterns: ['vendor/**'],
+      contents: {
+        'api/openapi.yaml': { base: null, head: HEAD_SPEC },
+        'vendor/schema.graphql': { base: 'type A { id: ID }', head: 'type B { id: ID }' },
+        'swagger.json': { base: '{"name": "config"}', head: '{"name": "config"}' }
+      }
+    });
+
+    expect(result.schemas).toEqual([]);
+    expect(result.findings).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+const { calculateRiskScore, DEFAULT_WEIGHTS } = require('../src/analyzers/score');
+
+describe('Risk Score', () => {
+  const quietResults = {
+    risk: { files: [], highRiskCount: 0, mediumRiskCount: 0, lowRiskCount: 0, byCategory: {} },
+    complexity: { stats: { totalAdditions: 0, totalDeletions: 0 } },
+    coverage: { status: 'improved' }
+  };
+
+  test('scores a trivial PR as low risk', () => {
+    const result = calculateRiskScore([{ filename: 'README.md' }], quietResults);
+
+    expect(result.score).toBe(0);
+    expect(result.level).toBe('low');
+    expect(result.breakdown.map(b => b.factor)).toEqual(Object.keys(DEFAULT_WEIGHTS));
+  });
+
+  test('scores a large risky PR as high risk', () => {
+    const files = [
+      { filename: 'src/auth/login.js' },
+      { filename: 'migrations/001.sql' },
+      { filename: 'infra/main.tf' },
+      { filename: 'src/auth/old.js' }
+    ];
+    const results = {
+      risk: {
+        files: [{ filename: 'src/auth/old.js', status: 'removed' }, { filename: 'infra/main.tf', status: 'removed' }],
+        highRiskCount: 4,
+        mediumRiskCount: 0,
+        lowRiskCount: 0,
+        byCategory: { security: [], database: [], infrastructure: [] }
+      },
+      complexity: { stats: { totalAdditions: 1500, totalDeletions: 500 } },
+      coverage: { status: 'degraded' }
+    };
+
+    const result = calculateRiskScore(files, results);
+
+    expect(result.score).toBeGreaterThanOrEqual(75);
+    expect(result.level).toBe('high');
+  });
+
+  test('applies custom weights', () => {
+    const results = { ...quietResults, coverage: { status: 'degraded' } };
+
+    const result = calculateRiskScore([{ filename: 'a.js' }], results, {
+      weights: { severity: 0, categories: 0, churn: 0, tests: 1, spread: 0, deletions: 0 }
+    });
+
+    expect(result.score).toBe(100);
+    expect(result.breakdown.find(b => b.factor === 'tests').points).toBe(100);
+  });
+
+  test('rejects unknown factors and invalid weights', () => {
+    expect(() => calculateRiskScore([], quietResults, { weights: { size: 10 } })).toThrow('Unknown risk score factor "size"');
+    expect(() => calculateRiskScore([], quietResults, { weights: { churn: -1 } })).toThrow('non-negative');
+  });
+});
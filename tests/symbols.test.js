@@ -0,0 +1,138 @@
+const { getSymbolLanguage, extractSymbols } = require('../src/parsers/symbols');
+
+function summarize(symbols) {
+  return symbols.map(s => [s.name, s.kind, s.line, s.public, s.documented]);
+}
+
+describe('Symbol Parsers', () => {
+  test('detects supported languages', () => {
+    expect(getSymbolLanguage('src/app.tsx')).toBe('js');
+    expect(getSymbolLanguage('Main.java')).toBe('java');
+    expect(getSymbolLanguage('pkg/server.go')).toBe('go');
+    expect(getSymbolLanguage('README.md')).toBeNull();
+  });
+
+  test('finds JS classes, methods and functions with JSDoc', () => {
+    const symbols = extractSymbols('src/client.js', [
+      '/**',
+      ' * API client',
+      ' */',
+      'class Client {',
+      '  /** Connect to the server */',
+      '  async connect(url) {',
+      '    if (url) {',
+      '      retry(url);',
+      '    }',
+      '  }',
+      '',
+      '  _reset() {}',
+      '}',
+      '',
+      '// Not a doc comment',
+      'const helper = (a) => a;',
+      'function internal(b) {}',
+      '',
+      'module.exports = { Client, helper };'
+    ].join('\n'));
+
+    expect(summarize(symbols)).toEqual([
+      ['Client', 'class', 4, true, true],
+      ['connect', 'method', 6, true, true],
+      ['_reset', 'method', 12, false, false],
+      ['helper', 'function', 16, true, false],
+      ['internal', 'function', 17, false, false]
+    ]);
+  });
+
+  test('finds TypeScript exports and decorated methods', () => {
+    const symbols = extractSymbols('src/service.ts', [
+      'export class Service {',
+      '  /** Handles requests */',
+      '  @Get()',
+      '  handle(req: Request): Response {',
+      '  }',
+      '',
+      '  private cache(key: string) {}',
+      '}',
+      'export async function start(port: number): Promise<void> {}'
+    ].join('\n'));
+
+    expect(summarize(symbols)).toEqual([
+      ['Service', 'class', 1, true, false],
+      ['handle', 'method', 4, true, true],
+      ['cache', 'method', 7, false, false],
+      ['start', 'function', 9, true, false]
+    ]);
+  });
+
+  test('finds Python docstrings on multi-line signatures', () => {
+    const symbols = extractSymbols('pkg/models.py', [
+      'class Model:',
+      '    """A model."""',
+      '',
+      '    def __init__(self):',
+      '        pass',
+      '',
+      '    def save(self,',
+      '             force=False):',
+      '        """Persist the model."""',
+      '        def inner():',
+      '            pass',
+      '',
+      'def _load(path):',
+      '    return path'
+    ].join('\n'));
+
+    expect(summarize(symbols)).toEqual([
+      ['Model', 'class', 1, true, true],
+      ['save', 'method', 7, true, true],
+      ['_load', 'function', 13, false, false]
+    ]);
+  });
+
+  test('finds GoDoc, rustdoc and Javadoc comments', () => {
+    const go = extractSymbols('server.go', [
+      '// Server handles requests.',
+      'type Server struct {}',
+      '',
+      'func (s *Server) Start() error {',
+      '}',
+      'func helper() {}'
+    ].join('\n'));
+    const rust = extractSymbols('lib.rs', [
+      '/// A parsed document',
+      '#[derive(Debug)]',
+      'pub struct Document;',
+      'impl Document {',
+      '    pub fn parse() -> Self {}',
+      '}',
+      'pub(crate) fn internal() {}'
+    ].join('\n'));
+    const java = extractSymbols('Service.java', [
+      '/** Service */',
+      'public class Service {',
+      '    @Override',
+      '    public String toString() {',
+      '    }',
+      '    private int count;',
+      '    void helper() {}',
+      '}'
+    ].join('\n'));
+
+    expect(summarize(go)).toEqual([
+      ['Server', 'class', 2, true, true],
+      ['Start', 'method', 4, true, false],
+      ['helper', 'function', 6, false, false]
+    ]);
+    expect(summarize(rust)).toEqual([
+      ['Document', 'class', 3, true, true],
+      ['parse', 'method', 5, true, false],
+      ['internal', 'function', 7, false, false]
+    ]);
+    expect(summarize(java)).toEqual([
+      ['Service', 'class', 2, true, true],
+      ['toString', 'method', 4, true, false],
+      ['helper', 'method', 7, false, false]
+    ]);
+  });
+});
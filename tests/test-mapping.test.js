@@ -0,0 +1,62 @@
+const { compileTestMapping, matchesTestPattern, expectedTestPaths } = require('../src/utils/test-mapping');
+const { analyzeCoverage } = require('../src/analyzers/coverage');
+
+describe('Test Mapping', () => {
+  const mapping = compileTestMapping({
+    testPatterns: ['**/test/**/*.spec.ts', 'spec/**/*_spec.rb', '**/*_test.go'],
+    rules: [
+      { source: 'packages/*/src/**/*.ts', tests: ['packages/{1}/test/{2}/{3}.spec.ts'] },
+      { source: 'app/**/*.rb', tests: ['spec/{1}/{2}_spec.rb'] },
+      { source: 'internal/**/*.go', tests: ['internal/{1}/{2}_test.go'] }
+    ]
+  });
+
+  describe('expectedTestPaths', () => {
+    test('maps monorepo packages', () => {
+      expect(expectedTestPaths('packages/x/src/a.ts', mapping)).toEqual(['packages/x/test/a.spec.ts']);
+      expect(expectedTestPaths('packages/x/src/lib/b.ts', mapping)).toEqual(['packages/x/test/lib/b.spec.ts']);
+    });
+
+    test('maps Rails and Go layouts', () => {
+      expect(expectedTestPaths('app/models/user.rb', mapping)).toEqual(['spec/models/user_spec.rb']);
+      expect(expectedTestPaths('internal/store/db.go', mapping)).toEqual(['internal/store/db_test.go']);
+    });
+
+    test('returns null when no rule matches', () => {
+      expect(expectedTestPaths('lib/tasks/x.rb', mapping)).toBeNull();
+    });
+  });
+
+  describe('matchesTestPattern', () => {
+    test('uses configured test globs', () => {
+      expect(matchesTestPattern('spec/models/user_spec.rb', mapping)).toBe(true);
+      expect(matchesTestPattern('packages/x/test/a.spec.ts', mapping)).toBe(true);
+      expect(matchesTestPattern('src/a.test.js', mapping)).toBe(false);
+    });
+  });
+
+  describe('compileTestMapping', () => {
+    test('rejects invalid config', () => {
+      expect(() => compileTestMapping([])).toThrow('must be a JSON object');
+      expect(() => compileTestMapping({ rules: [{ source: 'a/**' }] })).toThrow('rule 0');
+      expect(() => compileTestMapping({ testPatterns: 'x' })).toThrow('testPatterns');
+    });
+  });
+
+  describe('analyzeCoverage integration', () => {
+    test('uses mapping rules to resolve existing tests', async () => {
+      const files = [
+        { filename: 'app/models/user.rb', status: 'modified', additions: 5 },
+        { filename: 'app/models/post.rb', status: 'modified', additions: 5 }
+      ];
+      const repoFiles = ['app/models/user.rb', 'app/models/post.rb', 'spec/models/user_spec.rb'];
+
+      const result = await analyzeCoverage(files, {
+        repoFiles,
+        testMapping: { rules: [{ source: 'app/**/*.rb', tests: ['spec/{1}/{2}_spec.rb'] }] }
+      });
+
+      expect(result.sourceFilesWithoutTests).toEqual(['app/models/post.rb']);
+    });
+  });
+});
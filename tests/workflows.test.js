@@ -0,0 +1,171 @@
+const { analyzeWorkflows, checkWorkflow, isWorkflowFile } = require('../src/analyzers/workflows');
+const { analyzeRisk } = require('../src/analyzers/risk');
+
+const SHA = 'b4ffde65f46336ab88eb53be808477a3936bae11';
+
+describe('Workflow Analyzer', () => {
+  test('detects workflow files', () => {
+    expect(isWorkflowFile('.github/workflows/ci.yml')).toBe(true);
+    expect(isWorkflowFile('.github/workflows/release.yaml')).toBe(true);
+    expect(isWorkflowFile('.github/dependabot.yml')).toBe(false);
+  });
+
+  test('passes a hardened workflow', () => {
+    const issues = checkWorkflow([
+      'on: pull_request',
+      'permissions:',
+      '  contents: read',
+      'jobs:',
+      '  test:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      `      - uses: codecov/codecov-action@${SHA}`,
+      '      - run: npm test',
+      '        env:',
+      '          TITLE: ${{ github.event.pull_request.title }}'
+    ].join('\n'));
+
+    expect(issues).toEqual([]);
+  });
+
+  test('flags pull_request_target checkouts of the PR head', () => {
+    const issues = checkWorkflow([
+      'on: pull_request_target',
+      'permissions: {}',
+      'jobs:',
+      '  build:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '        with:',
+      '          ref: ${{ github.event.pull_request.head.sha }}',
+      '      - run: npm ci && npm test'
+    ].join('\n'));
+
+    expect(issues).toEqual([
+      expect.objectContaining({ rule: 'pr-target-checkout', severity: 'high', line: 9 })
+    ]);
+  });
+
+  test('flags unpinned actions, reusable workflows and token permissions', () => {
+    const issues = checkWorkflow([
+      'on: push',
+      'permissions: write-all',
+      'jobs:',
+      '  lint:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '    - uses: actions/checkout@v4',
+      '    - name: Lint',
+      '      uses: some-org/lint-action@v2',
+      '  deploy:',
+      '    uses: some-org/workflows/.github/workflows/deploy.yml@main'
+    ].join('\n'));
+
+    expect(issues).toEqual([
+      expect.objectContaining({ rule: 'permissions-write-all', severity: 'high', line: 2 }),
+      expect.objectContaining({ rule: 'unpinned-action', severity: 'medium', line: 9 }),
+      expect.objectContaining({ rule: 'unpinned-action', severity: 'medium', line: 11 })
+    ]);
+  });
+
+  test('flags missing permissions', () => {
+    const issues = checkWorkflow([
+      'on: push',
+      'jobs:',
+      '  a:',
+      '    runs-on: ubuntu-latest',
+      '    permissions:',
+      '      contents: read',
+      '    steps: [{ run: "true" }]',
+      '  b:',
+      '    runs-on: ubuntu-latest',
+      '    steps: [{ run: "true" }]'
+    ].join('\n'));
+
+    expect(issues).toEqual([expect.objectContaining({ rule: 'permissions-missing', line: 2 })]);
+    expect(issues[0].message).toContain('job(s) b');
+  });
+
+  test('flags expressions interpolated into scripts', () => {
+    const issues = checkWorkflow([
+      'on: issue_comment',
+      'permissions: {}',
+      'jobs:',
+      '  greet:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - name: Echo',
+      '        run: |',
+      '          echo "Issue number ${{ github.event.issue.number }}"',
+      '          echo "${{ github.event.comment.body }}"',
+      `      - uses: actions/github-script@${SHA}`,
+      '        with:',
+      '          script: console.log("${{ github.event.issue.title }}")'
+    ].join('\n'));
+
+    expect(issues.map(i => [i.rule, i.severity, i.line])).toEqual([
+      ['script-injection', 'medium', 9],
+      ['script-injection', 'high', 10],
+      ['script-injection', 'high', 13]
+    ]);
+  });
+
+  test('flags secrets in untrusted triggers and self-hosted runners on fork events', () => {
+    const issues = checkWorkflow([
+      'on:',
+      '  pull_request:',
+      '  workflow_run:',
+      '    workflows: [CI]',
+      'permissions: {}',
+      'jobs:',
+      '  deploy:',
+      '    runs-on: [self-hosted, linux]',
+      '    steps:',
+      '      - run: ./deploy.sh',
+      '        env:',
+      '          TOKEN: ${{ secrets.DEPLOY_TOKEN }}',
+      '          GH: ${{ secrets.GITHUB_TOKEN }}'
+    ].join('\n'));
+
+    expect(issues.map(i => [i.rule, i.line])).toEqual([
+      ['self-hosted-fork', 8],
+      ['untrusted-secrets', 12]
+    ]);
+  });
+
+  test('reports only issues the PR introduces', async () => {
+    const base = [
+      'on: push',
+      'jobs:',
+      '  build:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: some-org/setup@v1'
+    ].join('\n');
+    const head = `${base}\n      - uses: other-org/publish@v3\n`;
+    const files = [{ filename: '.github/workflows/ci.yml', status: 'modified' }];
+
+    const result = await analyzeWorkflows(files, { contents: { '.github/workflows/ci.yml': { base, head } } });
+
+    expect(result.findings).toEqual([{
+      filename: '.github/workflows/ci.yml',
+      line: 7,
+      rule: 'unpinned-action',
+      category: 'ci',
+      severity: 'medium',
+      message: 'Third-party action other-org/publish@v3 is not pinned to a full commit SHA'
+    }]);
+  });
+
+  test('high-severity workflow issues escalate the workflow file', async () => {
+    const files = [{ filename: '.github/workflows/pr.yml', status: 'added' }];
+    const head = 'on: pull_request_target\npermissions: write-all\njobs: {}\n';
+
+    const workflows = await analyzeWorkflows(files, { contents: { '.github/workflows/pr.yml': { base: null, head } } });
+    const risk = await analyzeRisk(files, { findings: workflows.findings });
+
+    expect(risk.files[0]).toMatchObject({ severity: 'high', categories: ['ci'] });
+  });
+});